@@ -11,6 +11,36 @@ jest.mock( 'axios' );
 // This prevents accidentally connecting to real MongoDB in tests
 jest.mock( 'mongodb' );
 
+// Let upstream requests through at once in all tests
+// Waiting for rate limit tokens would tie tests to the wall clock; rateLimiter tests use jest.requireActual
+jest.mock( './src/services/rateLimiter', () => {
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.rateLimiter = {
+    'acquire': jest.fn().mockResolvedValue(),
+    'getMetrics': jest.fn().mockReturnValue( {} )
+  };
+} );
+
+// Make a single attempt per upstream request in all tests
+// Retry backoff would tie tests to the wall clock; upstreamRetry tests use jest.requireActual
+jest.mock( './src/services/upstreamRetry', () => {
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.upstreamRetry = {
+    'withRetries': jest.fn( ( request ) => request() )
+  };
+} );
+
+// Send every upstream request in all tests
+// Breaker state would leak from failure tests into later tests; circuitBreaker tests use jest.requireActual
+jest.mock( './src/services/circuitBreaker', () => {
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.circuitBreaker = {
+    'execute': jest.fn( ( url, request ) => request() ),
+    'getMetrics': jest.fn().mockReturnValue( {} ),
+    'getStates': jest.fn().mockReturnValue( {} )
+  };
+} );
+
 // Install nock as safety net to block any real HTTP requests at network level
 // This catches anything that slips through the axios mock
 const nock = require( 'nock' );
@@ -57,7 +57,7 @@ describe( 'Act Service Integration Tests', () => {
 
     const result = await mf.actService.fetchAndEnrichActData(
       fixtureVulvodynia.id,
-      false
+      true
     );
 
     // Verify MusicBrainz transformation
@@ -131,7 +131,7 @@ describe( 'Act Service Integration Tests', () => {
 
     const result = await mf.actService.fetchAndEnrichActData(
       fixtureVulvodynia.id,
-      false
+      true
     );
 
     /*
@@ -172,7 +172,7 @@ describe( 'Act Service Integration Tests', () => {
   /**
    * Test that fetchMultipleActs handles missing acts correctly
    */
-  test( 'fetchMultipleActs returns error response when acts not cached', async () => {
+  test( 'fetchMultipleActs returns a job when acts not cached', async () => {
     const actIds = [
       fixtureVulvodynia.id,
       '664c3e0e-42d8-48c1-b209-1efca19c0325',
@@ -184,10 +184,10 @@ describe( 'Act Service Integration Tests', () => {
 
     const result = await mf.actService.fetchMultipleActs( actIds );
 
-    // Should return error response and trigger background fetch
-    expect( result.error ).toBeDefined();
-    expect( result.error.missingCount ).toBe( 3 );
-    expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( actIds );
+    // Should return a job and trigger background fetch
+    expect( result.job.id ).toBeDefined();
+    expect( result.job.missingCount ).toBe( 3 );
+    expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( actIds, 'interactive' );
   } );
 
   /**
@@ -256,7 +256,7 @@ describe( 'Act Service Integration Tests', () => {
     expect( result.acts ).toHaveLength( 2 );
 
     // Should trigger refresh for stale act only
-    expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ fixtureVulvodynia.id ] );
+    expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ fixtureVulvodynia.id ], 'refresh' );
   } );
 
   /**
@@ -265,7 +265,7 @@ describe( 'Act Service Integration Tests', () => {
   test( 'fetchAndEnrichActData handles artists without Bandsintown URL', async () => {
     const artistWithoutBandsintown = {
       ...fixtureVulvodynia,
-      'relations': fixtureVulvodynia.relations.filter( ( rel ) => rel.type !== 'bandsintown' )
+      'relations': fixtureVulvodynia.relations.filter( ( rel ) => rel.type !== 'bandsintown' && rel.type !== 'songkick' )
     };
 
     // Mock MusicBrainz HTTP response
@@ -282,7 +282,7 @@ describe( 'Act Service Integration Tests', () => {
     // But events should be empty
     expect( result.events ).toEqual( [] );
 
-    // Only MusicBrainz should be called, not Bandsintown
+    // Only MusicBrainz should be called, no event source
     expect( axios.get ).toHaveBeenCalledTimes( 1 );
     expect( axios.get ).toHaveBeenCalledWith( expect.stringContaining( 'musicbrainz.org' ), expect.any( Object ) );
   } );
@@ -296,13 +296,9 @@ describe( 'Act Service Integration Tests', () => {
     // Mock Bandsintown HTTP failure
     axios.get.mockRejectedValue( new Error( 'HTTP request timeout' ) );
 
-    /*
-     * LdJsonExtractor catches errors and returns empty array
-     * So fetchBandsintownEvents returns empty array, doesn't throw
-     */
-    const events = await mf.actService.fetchBandsintownEvents( artist, false );
-
-    expect( events ).toEqual( [] );
+    // The failure reaches fetchBandsintownEvents, which only swallows it with silentFail
+    await expect( mf.actService.fetchBandsintownEvents( artist, false ) ).rejects.toThrow( 'HTTP request timeout' );
+    await expect( mf.actService.fetchBandsintownEvents( artist, true ) ).resolves.toEqual( [] );
   } );
 
   /**
@@ -45,6 +45,7 @@ describe( 'Express App Integration Tests', () => {
     // Mock MongoDB driver
     mockCollection = {
       'findOne': jest.fn(),
+      'insertOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
       'updateOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
       'find': jest.fn().mockReturnValue( { 'toArray': jest.fn().mockResolvedValue( [] ) } ),
       'deleteOne': jest.fn().mockResolvedValue( { 'acknowledged': true } )
@@ -154,7 +155,7 @@ describe( 'Express App Integration Tests', () => {
   /**
    * Test multi-act partial cache miss scenario
    */
-  test( 'GET /acts/:id1,:id2,:id3 with partial cache miss returns error', async () => {
+  test( 'GET /acts/:id1,:id2,:id3 with partial cache miss returns job', async () => {
     const transformedArtist = mf.musicbrainzTransformer.transformActData( fixtureTheKinks );
 
     transformedArtist.events = [];
@@ -176,11 +177,11 @@ describe( 'Express App Integration Tests', () => {
 
     const response = await request( mf.app ).
       get( `/acts/${actIds.join( ',' )}` ).
-      expect( 503 );
+      expect( 202 );
 
-    // Should return error for 2+ missing acts
-    expect( response.body.error ).toBeDefined();
-    expect( response.body.error.message ).toContain( '2 acts not cached' );
+    // Should return job for 2+ missing acts
+    expect( response.body.job.cachedCount ).toBe( 1 );
+    expect( response.body.job.acts.map( ( act ) => act.musicbrainzId ) ).toEqual( actIds.slice( 1 ) );
   } );
 
   /**
@@ -342,15 +343,15 @@ describe( 'Express App Integration Tests', () => {
   /**
    * Test 503 error responses include meta
    */
-  test( 'GET /acts/:id 503 errors include complete meta object', async () => {
-    // Create scenario that returns 503 - MongoDB returns null for both (cache miss)
+  test( 'GET /acts/:id 202 job responses include complete meta object', async () => {
+    // Create scenario that returns 202 - MongoDB returns null for both (cache miss)
     mockCollection.findOne.mockResolvedValueOnce( null ).mockResolvedValueOnce( null );
 
     const response = await request( mf.app ).
       get( `/acts/${fixtureTheKinks.id},other-id` ).
-      expect( 503 );
+      expect( 202 );
 
-    // Verify meta is included in 503 response
+    // Verify meta is included in 202 response
     expect( response.body.meta ).toBeDefined();
     expect( response.body.meta.attribution ).toBeDefined();
     expect( response.body.meta.attribution.sources ).toContain( 'MusicBrainz' );
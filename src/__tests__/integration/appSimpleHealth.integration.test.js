@@ -69,7 +69,8 @@ describe( 'Express App - /health Integration Tests', () => {
       },
       'status': 'unhealthy',
       'reason': 'database_unavailable',
-      'timestamp': expect.stringMatching( /^\d{4}-\d{2}-\d{2}T/u )
+      'timestamp': expect.stringMatching( /^\d{4}-\d{2}-\d{2}T/u ),
+      'upstreams': {}
     } );
   } );
 
@@ -191,7 +191,7 @@ describe( 'Cache Updater Integration Tests', () => {
 
     expect( musicbrainzCalls.length ).toBe( 2 );
     // But only cache the successful one (1 act × 2 collections = 2 calls)
-    expect( mockCollection.updateOne ).toHaveBeenCalledTimes( 2 );
+    expect( mf.testing.integrationTestSetup.countActWrites( mockCollection ) ).toBe( 2 );
   } );
 
   /**
@@ -273,6 +273,6 @@ describe( 'Cache Updater Integration Tests', () => {
     const musicbrainzCalls = axios.get.mock.calls.filter( ( call ) => call[ 0 ].includes( 'musicbrainz.org' ) );
 
     expect( musicbrainzCalls.length ).toBe( 3 );
-    expect( mockCollection.updateOne ).toHaveBeenCalledTimes( 6 );
+    expect( mf.testing.integrationTestSetup.countActWrites( mockCollection ) ).toBe( 6 );
   } );
 } );
@@ -88,7 +88,9 @@ describe( 'Database Integration Tests', () => {
     expect( result2._id ).toBe( fixtureTheKinks.id );
 
     // Both should attempt to fetch from MusicBrainz via axios
-    expect( axios.get ).toHaveBeenCalledTimes( 2 );
+    const musicbrainzCalls = axios.get.mock.calls.filter( ( [ url ] ) => url.includes( 'musicbrainz.org' ) );
+
+    expect( musicbrainzCalls ).toHaveLength( 2 );
   } );
 
   /**
@@ -140,8 +142,8 @@ describe( 'Database Integration Tests', () => {
     const result = await mf.actService.fetchMultipleActs( actIds );
 
     // Both should be treated as cache misses
-    expect( result.error ).toBeDefined();
-    expect( result.error.message ).toContain( '2 acts not cached' );
+    expect( result.job ).toBeDefined();
+    expect( result.job.counts.queued ).toBe( 2 );
   } );
 
   /**
@@ -69,18 +69,18 @@ describe( 'Error Propagation Integration Tests', () => {
   } );
 
   /**
-   * Test service layer error propagates to HTTP 503
+   * Test service layer job for missing acts propagates to HTTP 202
    */
-  test( 'service error for missing acts propagates to HTTP 503', async () => {
-    // Multiple acts missing triggers 503 - MongoDB returns null
+  test( 'service job for missing acts propagates to HTTP 202', async () => {
+    // Multiple acts missing triggers 202 - MongoDB returns null
     mockCollection.findOne.mockResolvedValue( null );
 
     const response = await request( mf.app ).
       get( `/acts/${fixtureTheKinks.id},other-id` ).
-      expect( 503 );
+      expect( 202 );
 
-    expect( response.body.error ).toBeDefined();
-    expect( response.body.error.message ).toContain( '2 acts not cached' );
+    expect( response.body.type ).toBe( 'job' );
+    expect( response.headers.location ).toBe( `/jobs/${response.body.job.id}` );
   } );
 
   /**
@@ -65,7 +65,7 @@ describe( 'Fetch Queue Integration Tests', () => {
     expect( axios.get.mock.calls.some( ( call ) => call[ 0 ].includes( fixtureTheKinks.id ) ) ).toBe( true );
     expect( axios.get.mock.calls.some( ( call ) => call[ 0 ].includes( fixtureVulvodynia.id ) ) ).toBe( true );
     // Verify MongoDB cache writes occurred (2 acts × 2 collections = 4 calls)
-    expect( mockCollection.updateOne ).toHaveBeenCalledTimes( 4 );
+    expect( mf.testing.integrationTestSetup.countActWrites( mockCollection ) ).toBe( 4 );
 
     // Reset timers to restore normal timing
     jest.useRealTimers();
@@ -98,9 +98,9 @@ describe( 'Fetch Queue Integration Tests', () => {
     // Call fetchMultipleActs with 3 missing acts
     const result = await mf.actService.fetchMultipleActs( actIds );
 
-    // Should return error because 2+ acts are missing
-    expect( result.error ).toBeDefined();
-    expect( result.error.message ).toContain( '3 acts not cached' );
+    // Should return job because 2+ acts are missing
+    expect( result.job ).toBeDefined();
+    expect( result.job.missingCount ).toBe( 3 );
 
     // Verify triggerBackgroundFetch function exists
     expect( typeof mf.fetchQueue.triggerBackgroundFetch ).toBe( 'function' );
@@ -170,7 +170,7 @@ describe( 'Fetch Queue Integration Tests', () => {
 
     expect( musicbrainzCalls.length ).toBe( 3 );
     // But only 2 should be cached (the successful ones) × 2 collections = 4 calls
-    expect( mockCollection.updateOne ).toHaveBeenCalledTimes( 4 );
+    expect( mf.testing.integrationTestSetup.countActWrites( mockCollection ) ).toBe( 4 );
 
     jest.useRealTimers();
   }, 10000 );
@@ -198,8 +198,9 @@ describe( 'Fetch Queue Integration Tests', () => {
       return Promise.resolve( { 'data': '' } );
     } );
 
-    // First cache succeeds, second fails at MongoDB level
+    // Fetch attempt is counted, first cache succeeds, second fails at MongoDB level
     mockCollection.updateOne.
+      mockResolvedValueOnce( { 'acknowledged': true } ).
       mockResolvedValueOnce( { 'acknowledged': true } ).
       mockRejectedValueOnce( new Error( 'Cache write failed' ) );
 
@@ -214,7 +215,7 @@ describe( 'Fetch Queue Integration Tests', () => {
 
     expect( musicbrainzCalls.length ).toBe( 2 );
     // First act: 2 calls (acts succeeds, metadata fails). Second act: 2 calls (both succeed) = 4 total
-    expect( mockCollection.updateOne ).toHaveBeenCalledTimes( 4 );
+    expect( mf.testing.integrationTestSetup.countActWrites( mockCollection ) ).toBe( 4 );
 
     jest.useRealTimers();
   }, 10000 );
@@ -295,8 +296,8 @@ describe( 'Fetch Queue Integration Tests', () => {
     // Call fetchMultipleActs (triggers background fetch)
     const apiResult = await mf.actService.fetchMultipleActs( actIds );
 
-    // API should return error (2+ acts missing)
-    expect( apiResult.error ).toBeDefined();
+    // API should return job (2+ acts missing)
+    expect( apiResult.job.status ).toBe( 'running' );
 
     /*
      * Background fetch should have been triggered
@@ -308,7 +309,31 @@ describe( 'Fetch Queue Integration Tests', () => {
     const musicbrainzCalls = axios.get.mock.calls.filter( ( call ) => call[ 0 ].includes( 'musicbrainz.org' ) );
 
     expect( musicbrainzCalls.length ).toBe( 2 );
-    expect( mockCollection.updateOne ).toHaveBeenCalledTimes( 4 );
+    expect( mf.testing.integrationTestSetup.countActWrites( mockCollection ) ).toBe( 4 );
+
+    // Job should be stored with both acts queued and record both as fetched
+    expect( mockCollection.insertOne ).toHaveBeenCalledWith( expect.objectContaining( {
+      '_id': apiResult.job.id,
+      'completedAt': null,
+      'acts': actIds.map( ( musicbrainzId ) => ( {
+        musicbrainzId,
+        'status': 'queued'
+      } ) )
+    } ) );
+    for ( const actId of actIds ) {
+      expect( mockCollection.updateMany ).toHaveBeenCalledWith(
+        expect.anything(),
+        { '$set': { 'acts.$[act].status': 'fetched' } },
+        {
+          'arrayFilters': [
+            {
+              'act.musicbrainzId': actId,
+              'act.status': 'queued'
+            }
+          ]
+        }
+      );
+    }
 
     jest.useRealTimers();
   }, 10000 );
@@ -341,7 +366,7 @@ describe( 'Fetch Queue Integration Tests', () => {
     const musicbrainzCalls = axios.get.mock.calls.filter( ( call ) => call[ 0 ].includes( 'musicbrainz.org' ) );
 
     expect( musicbrainzCalls.length ).toBe( 10 );
-    expect( mockCollection.updateOne ).toHaveBeenCalledTimes( 20 );
+    expect( mf.testing.integrationTestSetup.countActWrites( mockCollection ) ).toBe( 20 );
 
     jest.useRealTimers();
   }, 15000 );
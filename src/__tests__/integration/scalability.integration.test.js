@@ -77,13 +77,13 @@ describe( 'Scalability Integration Tests', () => {
 
     // Should return all 200 acts
     expect( response.body.acts ).toHaveLength( 200 );
-    expect( mockCollection.findOne ).toHaveBeenCalledTimes( 200 );
+    expect( mf.testing.integrationTestSetup.countActLookups( mockCollection ) ).toBe( 200 );
   }, 15000 );
 
   /**
    * Test handling 200 acts with partial cache misses
    */
-  test( 'GET /acts with 200 acts where 50 are missing returns error', async () => {
+  test( 'GET /acts with 200 acts where 50 are missing returns job', async () => {
     const transformedArtist = mf.musicbrainzTransformer.transformActData( fixtureTheKinks );
 
     transformedArtist.events = [];
@@ -106,11 +106,11 @@ describe( 'Scalability Integration Tests', () => {
 
     const response = await request( mf.app ).
       get( `/acts/${actIds.join( ',' )}` ).
-      expect( 503 );
+      expect( 202 );
 
-    // Should error about missing acts
-    expect( response.body.error ).toBeDefined();
-    expect( response.body.error.message ).toContain( '50 acts not cached' );
+    // Should return a job for the missing acts
+    expect( response.body.job.counts.queued ).toBe( 50 );
+    expect( response.body.job.cachedCount ).toBe( 150 );
   }, 15000 );
 
   /**
@@ -276,6 +276,6 @@ describe( 'Scalability Integration Tests', () => {
     }
 
     // All requests should have been processed at MongoDB driver level
-    expect( mockCollection.findOne ).toHaveBeenCalledTimes( 1000 );
+    expect( mf.testing.integrationTestSetup.countActLookups( mockCollection ) ).toBe( 1000 );
   }, 30000 );
 } );
@@ -1,6 +1,6 @@
 /**
  * Integration tests for transformer pipeline
- * Tests: musicbrainzTransformer → bandsintownTransformer workflow
+ * Tests: musicbrainzTransformer → bandsintownTransformer / songkickTransformer workflow
  * Mocks: Only external I/O (HTTP for LD+JSON)
  * @module __tests__/integration/transformers.integration
  */
@@ -20,6 +20,7 @@ const axios = require( 'axios' );
 require( '../../services/ldJsonExtractor' );
 require( '../../services/musicbrainzTransformer' );
 require( '../../services/bandsintownTransformer' );
+require( '../../services/songkickTransformer' );
 
 describe( 'Transformer Integration Tests', () => {
   beforeEach( () => {
@@ -156,4 +157,29 @@ describe( 'Transformer Integration Tests', () => {
     expect( firstEvent.location.geo.lat ).toBeDefined();
     expect( firstEvent.location.geo.lon ).toBeDefined();
   } );
+
+  /**
+   * Test full transformer pipeline: MusicBrainz → Songkick
+   */
+  test( 'musicbrainzTransformer output flows correctly through songkickTransformer', async () => {
+    const mbTransformed = mf.musicbrainzTransformer.transformActData( fixtureVulvodynia );
+    const songkickUrl = mbTransformed.relations.songkick;
+
+    expect( songkickUrl ).toBe( 'https://www.songkick.com/artists/8816354' );
+
+    // Serve Songkick fixture with dates moved into the future
+    const html = mf.testing.fixtureHelpers.loadFixture( 'songkick-anaal-nathrakh.html' ).
+      replace( /"startDate":\s*"\d{4}-\d{2}-\d{2}"/gu, `"startDate": "${new Date( Date.now() + ( 30 * 24 * 60 * 60 * 1000 ) ).toISOString().slice( 0, 10 )}"` );
+
+    axios.get.mockResolvedValue( { 'data': html } );
+
+    const ldJson = await mf.ldJsonExtractor.fetchAndExtractLdJson( songkickUrl );
+    const events = mf.songkickTransformer.transformEvents( ldJson );
+
+    expect( events.length ).toBeGreaterThan( 0 );
+    events.forEach( ( event ) => {
+      expect( event.name ).toMatch( /^Anaal Nathrakh @ /u );
+      expect( event.location.geo ).toEqual( expect.objectContaining( { 'lat': expect.any( Number ) } ) );
+    } );
+  } );
 } );
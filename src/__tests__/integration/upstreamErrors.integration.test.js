@@ -238,7 +238,7 @@ describe( 'Upstream API Error Handling Integration Tests', () => {
     // Should still cache with empty events
     expect( mockCollection.updateOne ).toHaveBeenCalled();
 
-    const updateCall = mockCollection.updateOne.mock.calls.find( ( call ) => call[ 0 ]._id === fixtureTheKinks.id );
+    const updateCall = mockCollection.updateOne.mock.calls.find( ( call ) => call[ 0 ]._id === fixtureTheKinks.id && call[ 1 ].$set );
 
     expect( updateCall ).toBeDefined();
     expect( updateCall[ 1 ].$set.events ).toEqual( [] );
@@ -275,7 +275,7 @@ describe( 'Upstream API Error Handling Integration Tests', () => {
     const musicbrainzCalls = axios.get.mock.calls.filter( ( call ) => call[ 0 ].includes( 'musicbrainz.org' ) );
 
     expect( musicbrainzCalls.length ).toBe( 3 );
-    expect( mockCollection.updateOne ).not.toHaveBeenCalled();
+    expect( mf.testing.integrationTestSetup.countActWrites( mockCollection ) ).toBe( 0 );
   } );
 
   /**
@@ -302,7 +302,7 @@ describe( 'Upstream API Error Handling Integration Tests', () => {
     // Should cache with empty events
     expect( mockCollection.updateOne ).toHaveBeenCalled();
 
-    const updateCall = mockCollection.updateOne.mock.calls.find( ( call ) => call[ 0 ]._id === fixtureTheKinks.id );
+    const updateCall = mockCollection.updateOne.mock.calls.find( ( call ) => call[ 0 ]._id === fixtureTheKinks.id && call[ 1 ].$set );
 
     expect( updateCall ).toBeDefined();
     expect( updateCall[ 1 ].$set.events ).toEqual( [] );
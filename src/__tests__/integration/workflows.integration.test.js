@@ -143,7 +143,7 @@ describe( 'Real-World Workflow Integration Tests', () => {
     } );
 
     // MongoDB driver should be accessed 10 times
-    expect( mockCollection.findOne ).toHaveBeenCalledTimes( 10 );
+    expect( mf.testing.integrationTestSetup.countActLookups( mockCollection ) ).toBe( 10 );
   } );
 
   /**
@@ -175,9 +175,9 @@ describe( 'Real-World Workflow Integration Tests', () => {
 
     const response = await request( mf.app ).get( `/acts/${actIds.join( ',' )}` );
 
-    // Should return 503 (2+ missing)
-    expect( response.status ).toBe( 503 );
-    expect( response.body.error.message ).toContain( '2 acts not cached' );
+    // Should return 202 with a job (2+ missing)
+    expect( response.status ).toBe( 202 );
+    expect( response.body.job.counts.queued ).toBe( 2 );
   } );
 
   /**
@@ -210,7 +210,7 @@ describe( 'Real-World Workflow Integration Tests', () => {
     }
 
     // Should have queried MongoDB 5 times
-    expect( mockCollection.findOne ).toHaveBeenCalledTimes( 5 );
+    expect( mf.testing.integrationTestSetup.countActLookups( mockCollection ) ).toBe( 5 );
   } );
 
   /**
@@ -276,7 +276,7 @@ describe( 'Real-World Workflow Integration Tests', () => {
       expect( response.status ).toBe( 200 );
     } );
 
-    expect( mockCollection.findOne ).toHaveBeenCalledTimes( 20 );
+    expect( mf.testing.integrationTestSetup.countActLookups( mockCollection ) ).toBe( 20 );
   }, 15000 );
 
   /**
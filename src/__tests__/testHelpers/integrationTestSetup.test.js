@@ -282,6 +282,32 @@ describe( 'Integration Test Setup Helpers', () => {
     } );
   } );
 
+  describe( 'countActLookups', () => {
+    test( 'counts findOne calls without projection', () => {
+      const mockCollection = mf.testing.integrationTestSetup.setupMongoMocks();
+
+      mockCollection.findOne( { '_id': 'a' } );
+      mockCollection.findOne( { '_id': 'a' }, { 'projection': { 'events': 1 } } );
+      mockCollection.findOne( { '_id': 'b' } );
+
+      expect( mf.testing.integrationTestSetup.countActLookups( mockCollection ) ).toBe( 2 );
+    } );
+  } );
+
+  describe( 'countActWrites', () => {
+    test( 'counts updateOne calls that are no negative results, aliases or fetch queue attempts', () => {
+      const mockCollection = mf.testing.integrationTestSetup.setupMongoMocks();
+
+      mockCollection.updateOne( { '_id': 'a' }, { '$set': { 'name': 'A' } } );
+      mockCollection.updateOne( { '_id': 'b' }, { '$set': { 'reason': 'notFound' } } );
+      mockCollection.updateOne( { '_id': 'c' }, { '$set': { 'canonicalId': 'a' } } );
+      mockCollection.updateOne( { '_id': 'd' }, { '$inc': { 'attempts': 1 } } );
+      mockCollection.updateOne( { '_id': 'a' }, { '$inc': { 'updatesSinceLastRequest': 1 } } );
+
+      expect( mf.testing.integrationTestSetup.countActWrites( mockCollection ) ).toBe( 2 );
+    } );
+  } );
+
   describe( 'resetFetchQueueState', () => {
     test( 'clears fetch queue and sets isRunning to false', () => {
       const clearSpy = jest.fn();
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for iCalendar export of acts
+ * Tests Accept negotiation on /acts and the /acts/:ids/calendar.ics route with mocked actService
+ * @module __tests__/unit/appCalendar
+ */
+
+const request = require( 'supertest' );
+require( '../../app' );
+require( '../../services/actService' );
+
+const acts = [
+  {
+    'musicbrainzId': 'id-a',
+    'name': 'Act A',
+    'events': [
+      {
+        'name': 'Act A @ SO36',
+        'date': '2030-06-02',
+        'localTime': '20:00:00',
+        'startsAt': '2030-06-02T20:00:00+02:00',
+        'location': {
+          'name': 'SO36'
+        }
+      }
+    ]
+  },
+  {
+    'musicbrainzId': 'id-b',
+    'name': 'Act B',
+    'events': [
+      {
+        'name': 'Act B @ Conne Island',
+        'date': '2030-06-01',
+        'localTime': '',
+        'location': {
+          'name': 'Conne Island'
+        }
+      }
+    ]
+  }
+];
+
+describe( 'Express App - iCalendar Export Tests', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.actService.fetchMultipleActs = jest.fn().mockResolvedValue( {
+      acts
+    } );
+
+    mf.usageStats.requests = 0;
+    mf.usageStats.actsQueried = 0;
+  } );
+
+  describe( 'GET /acts/:ids/calendar.ics', () => {
+    test( 'returns a calendar with the events of all acts', async () => {
+      const response = await request( mf.app ).
+        get( '/acts/id-a,id-b/calendar.ics' ).
+        expect( 200 );
+
+      expect( response.headers[ 'content-type' ] ).toBe( 'text/calendar; charset=utf-8' );
+      expect( response.headers[ 'x-robots-tag' ] ).toBeDefined();
+      expect( mf.actService.fetchMultipleActs ).toHaveBeenCalledWith( [ 'id-a', 'id-b' ] );
+      expect( response.text.match( /BEGIN:VEVENT/gu ) ).toHaveLength( 2 );
+      expect( response.text ).toContain( 'DTSTART:20300602T180000Z' );
+      expect( response.text ).toContain( 'DTSTART;VALUE=DATE:20300601' );
+    } );
+
+    test( 'counts the request in usage stats', async () => {
+      await request( mf.app ).get( '/acts/id-a,id-b/calendar.ics' );
+
+      expect( mf.usageStats.requests ).toBe( 1 );
+      expect( mf.usageStats.actsQueried ).toBe( 2 );
+    } );
+
+    test( 'returns 503 as JSON when acts are not available yet', async () => {
+      mf.actService.fetchMultipleActs.mockResolvedValue( {
+        'error': {
+          'message': '1 act not cached'
+        }
+      } );
+
+      const response = await request( mf.app ).
+        get( '/acts/id-a/calendar.ics' ).
+        expect( 503 );
+
+      expect( response.body.error.message ).toBe( '1 act not cached' );
+    } );
+
+    test( 'returns 500 as JSON when fetching acts fails', async () => {
+      mf.actService.fetchMultipleActs.mockRejectedValue( new Error( 'Database down' ) );
+
+      const response = await request( mf.app ).
+        get( '/acts/id-a/calendar.ics' ).
+        expect( 500 );
+
+      expect( response.body.error.message ).toBe( 'Failed to fetch act data' );
+    } );
+  } );
+
+  describe( 'Accept: text/calendar', () => {
+    test( 'GET /acts/:id returns a calendar', async () => {
+      const response = await request( mf.app ).
+        get( '/acts/id-a,id-b' ).
+        set( 'Accept', 'text/calendar' ).
+        expect( 200 );
+
+      expect( response.headers[ 'content-type' ] ).toBe( 'text/calendar; charset=utf-8' );
+      expect( response.text.startsWith( 'BEGIN:VCALENDAR\r\n' ) ).toBe( true );
+    } );
+
+    test( 'POST /acts returns a calendar', async () => {
+      const response = await request( mf.app ).
+        post( '/acts' ).
+        set( 'Content-Type', 'text/plain' ).
+        set( 'Accept', 'text/calendar' ).
+        send( 'id-a,id-b' ).
+        expect( 200 );
+
+      expect( response.headers[ 'content-type' ] ).toBe( 'text/calendar; charset=utf-8' );
+      expect( response.text.match( /BEGIN:VEVENT/gu ) ).toHaveLength( 2 );
+    } );
+
+    test( 'prefers JSON when the client accepts both', async () => {
+      const response = await request( mf.app ).
+        get( '/acts/id-a' ).
+        set( 'Accept', 'application/json, text/calendar' ).
+        expect( 200 );
+
+      expect( response.body.type ).toBe( 'acts' );
+    } );
+  } );
+} );
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for GET /acts/:id/changes route
+ * Tests Express app behavior with mocked databaseHistory
+ * @module __tests__/unit/appChanges
+ */
+
+const request = require( 'supertest' );
+require( '../../app' );
+
+describe( 'Express App - GET /acts/:id/changes Route Tests', () => {
+  const changes = [
+    {
+      'detectedAt': '2030-02-01T10:00:00.000Z',
+      'type': 'rescheduled',
+      'event': {
+        'date': '2030-05-08'
+      },
+      'previous': {
+        'date': '2030-05-01'
+      }
+    }
+  ];
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.databaseHistory.getChanges = jest.fn().mockResolvedValue( changes );
+
+    mf.usageStats.requests = 0;
+  } );
+
+  test( 'returns all changes of an act', async () => {
+    const response = await request( mf.app ).
+      get( '/acts/id-a/changes' ).
+      expect( 200 );
+
+    expect( mf.databaseHistory.getChanges ).toHaveBeenCalledWith( 'id-a', null );
+    expect( response.body.type ).toBe( 'changes' );
+    expect( response.body.musicbrainzId ).toBe( 'id-a' );
+    expect( response.body.since ).toBeNull();
+    expect( response.body.changes ).toEqual( changes );
+    expect( response.body.meta.attribution ).toBeDefined();
+    expect( mf.usageStats.requests ).toBe( 1 );
+  } );
+
+  test.each( [
+    [ '2030-01-01', '2030-01-01T00:00:00.000Z' ],
+    [ '2030-01-01T12:00:00+02:00', '2030-01-01T10:00:00.000Z' ],
+    [ '2030-01-01T12:00:00.5Z', '2030-01-01T12:00:00.500Z' ]
+  ] )( 'returns changes since %s', async ( since, expected ) => {
+    const response = await request( mf.app ).
+      get( `/acts/id-a/changes?since=${encodeURIComponent( since )}` ).
+      expect( 200 );
+
+    expect( mf.databaseHistory.getChanges ).toHaveBeenCalledWith( 'id-a', expected );
+    expect( response.body.since ).toBe( expected );
+  } );
+
+  test.each( [ 'yesterday', '2030-13-45', '2030-01-01T12:00:00' ] )( 'returns 400 for since=%s', async ( since ) => {
+    const response = await request( mf.app ).
+      get( `/acts/id-a/changes?since=${since}` ).
+      expect( 400 );
+
+    expect( response.body.error.message ).toBe( 'Invalid query parameter' );
+    expect( mf.databaseHistory.getChanges ).not.toHaveBeenCalled();
+  } );
+
+  test( 'returns 500 when the history cannot be read', async () => {
+    mf.databaseHistory.getChanges.mockRejectedValue( new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_031)' ) );
+
+    const response = await request( mf.app ).
+      get( '/acts/id-a/changes' ).
+      expect( 500 );
+
+    expect( response.body.error ).toEqual( {
+      'message': 'Failed to fetch change history',
+      'details': 'Service temporarily unavailable. Please try again later. (Error: DB_031)'
+    } );
+  } );
+} );
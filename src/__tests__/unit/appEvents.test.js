@@ -0,0 +1,170 @@
+/**
+ * Unit tests for GET /acts/:ids/events route
+ * Tests Express app behavior with mocked actService
+ * @module __tests__/unit/appEvents
+ */
+
+const request = require( 'supertest' );
+require( '../../app' );
+require( '../../services/actService' );
+
+/**
+ * Builds a cached act with events
+ * @param {string} musicbrainzId - MusicBrainz ID of the act
+ * @param {string} name - Name of the act
+ * @param {Array<object>} events - Events of the act
+ * @returns {object} Act as returned by fetchMultipleActs
+ */
+const buildAct = ( musicbrainzId, name, events ) => ( {
+  musicbrainzId,
+  name,
+  events
+} );
+
+const berlinShow = {
+  'name': 'Act A @ SO36',
+  'date': '2030-06-02',
+  'localTime': '20:00:00',
+  'startsAt': '2030-06-02T20:00:00+02:00',
+  'location': {
+    'geo': {
+      'lat': 52.5,
+      'lon': 13.42
+    }
+  }
+};
+
+const leipzigShow = {
+  'name': 'Act B @ Conne Island',
+  'date': '2030-06-01',
+  'localTime': '19:00:00',
+  'startsAt': '2030-06-01T19:00:00+02:00',
+  'location': {
+    'geo': {
+      'lat': 51.31,
+      'lon': 12.38
+    }
+  }
+};
+
+const londonShow = {
+  'name': 'Act A @ Underworld',
+  'date': '2030-05-30',
+  'localTime': '19:00:00',
+  'startsAt': '2030-05-30T19:00:00+01:00',
+  'location': {
+    'geo': {
+      'lat': 51.54,
+      'lon': -0.14
+    }
+  }
+};
+
+describe( 'Express App - GET /acts/:ids/events Route Tests', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.actService.fetchMultipleActs = jest.fn().mockResolvedValue( {
+      'acts': [
+        buildAct( 'id-a', 'Act A', [ berlinShow, londonShow ] ),
+        buildAct( 'id-b', 'Act B', [ leipzigShow ] )
+      ]
+    } );
+
+    mf.usageStats.requests = 0;
+    mf.usageStats.actsQueried = 0;
+  } );
+
+  test( 'returns events near a location sorted by start with distance and act', async () => {
+    const response = await request( mf.app ).
+      get( '/acts/id-a,id-b/events?near=52.52,13.40&radiusKm=200' ).
+      expect( 200 );
+
+    expect( mf.actService.fetchMultipleActs ).toHaveBeenCalledWith( [ 'id-a', 'id-b' ] );
+    expect( response.body.type ).toBe( 'events' );
+    expect( response.body.meta.attribution ).toBeDefined();
+    expect( response.body.query ).toEqual( {
+      'near': {
+        'lat': 52.52,
+        'lon': 13.4
+      },
+      'radiusKm': 200,
+      'from': null,
+      'to': null
+    } );
+    expect( response.body.events.map( ( event ) => event.name ) ).toEqual( [ 'Act B @ Conne Island', 'Act A @ SO36' ] );
+    expect( response.body.events[ 0 ].act ).toEqual( {
+      'musicbrainzId': 'id-b',
+      'name': 'Act B'
+    } );
+    expect( response.body.events[ 0 ].distanceKm ).toBe( 151.6 );
+    expect( response.body.events[ 1 ].distanceKm ).toBe( 2.6 );
+  } );
+
+  test( 'returns all events without location filter', async () => {
+    const response = await request( mf.app ).
+      get( '/acts/id-a,id-b/events' ).
+      expect( 200 );
+
+    expect( response.body.events.map( ( event ) => event.date ) ).toEqual( [ '2030-05-30', '2030-06-01', '2030-06-02' ] );
+    expect( response.body.events[ 0 ].distanceKm ).toBeNull();
+  } );
+
+  test( 'filters events by date range', async () => {
+    const response = await request( mf.app ).
+      get( '/acts/id-a,id-b/events?from=2030-06-01&to=2030-06-01' ).
+      expect( 200 );
+
+    expect( response.body.events.map( ( event ) => event.name ) ).toEqual( [ 'Act B @ Conne Island' ] );
+  } );
+
+  test( 'counts the request in usage stats', async () => {
+    await request( mf.app ).get( '/acts/id-a,id-b,id-a/events' );
+
+    expect( mf.usageStats.requests ).toBe( 1 );
+    expect( mf.usageStats.actsQueried ).toBe( 2 );
+  } );
+
+  test( 'returns 400 for invalid query parameters without fetching acts', async () => {
+    const response = await request( mf.app ).
+      get( '/acts/id-a/events?near=north' ).
+      expect( 400 );
+
+    expect( response.body.type ).toBe( 'error' );
+    expect( response.body.error.message ).toBe( 'Invalid query parameter' );
+    expect( mf.actService.fetchMultipleActs ).not.toHaveBeenCalled();
+  } );
+
+  test( 'returns 503 when acts are not available yet', async () => {
+    mf.actService.fetchMultipleActs.mockResolvedValue( {
+      'error': {
+        'message': '2 acts not cached'
+      }
+    } );
+
+    const response = await request( mf.app ).
+      get( '/acts/id-a,id-b/events' ).
+      expect( 503 );
+
+    expect( response.body.error.message ).toBe( '2 acts not cached' );
+  } );
+
+  test( 'returns 500 when fetching acts fails', async () => {
+    mf.actService.fetchMultipleActs.mockRejectedValue( new Error( 'Database down' ) );
+
+    const response = await request( mf.app ).
+      get( '/acts/id-a/events' ).
+      expect( 500 );
+
+    expect( response.body.error ).toEqual( {
+      'message': 'Failed to fetch act data',
+      'details': 'Database down'
+    } );
+  } );
+
+  test( 'pretty-prints JSON with ?pretty', async () => {
+    const response = await request( mf.app ).get( '/acts/id-a/events?pretty' );
+
+    expect( response.text ).toContain( '\n  "meta"' );
+  } );
+} );
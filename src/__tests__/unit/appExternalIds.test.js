@@ -0,0 +1,90 @@
+/**
+ * Unit tests for resolving acts by external IDs
+ * Tests Express app behavior with mocked actIdentifiers and actService
+ * @module __tests__/unit/appExternalIds
+ */
+
+const request = require( 'supertest' );
+require( '../../app' );
+
+const MBID = '1cdc8e8b-2b7a-4b42-9a47-4b6e6d2e5ad1';
+
+describe( 'Express App - External ID Route Tests', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.actIdentifiers.resolveExternalId = jest.fn().mockResolvedValue( { 'musicbrainzId': MBID } );
+    mf.actService.fetchMultipleActs = jest.fn().mockResolvedValue( {
+      'acts': [
+        {
+          'musicbrainzId': MBID,
+          'name': 'Watain'
+        }
+      ]
+    } );
+    mf.databaseAdmin.updateLastRequestedAt = jest.fn().mockResolvedValue();
+  } );
+
+  test( 'GET /acts/by/:provider/:externalId returns the normal act payload', async () => {
+    const response = await request( mf.app ).
+      get( '/acts/by/discogs/12345' ).
+      expect( 200 );
+
+    expect( mf.actIdentifiers.resolveExternalId ).toHaveBeenCalledWith( 'discogs', '12345' );
+    expect( mf.actService.fetchMultipleActs ).toHaveBeenCalledWith( [ MBID ] );
+    expect( response.body.type ).toBe( 'acts' );
+    expect( response.body.acts[ 0 ].musicbrainzId ).toBe( MBID );
+  } );
+
+  test( 'GET /acts/:ids tracks requests for merged MBIDs on the canonical act', async () => {
+    const OLD_ID = '53b106e7-0cc6-42cc-ac95-ed8d30a3a98e';
+
+    mf.actService.fetchMultipleActs.mockResolvedValue( {
+      'acts': [
+        {
+          'musicbrainzId': MBID,
+          'redirectedFrom': OLD_ID
+        }
+      ]
+    } );
+
+    await request( mf.app ).
+      get( `/acts/${OLD_ID}` ).
+      expect( 200 );
+
+    expect( mf.databaseAdmin.updateLastRequestedAt ).toHaveBeenCalledWith( [ MBID ] );
+  } );
+
+  test( 'GET /acts/by/:provider/:externalId answers with the resolution error', async () => {
+    mf.actIdentifiers.resolveExternalId.mockResolvedValue( {
+      'status': 404,
+      'error': {
+        'message': 'Act not found',
+        'details': 'MusicBrainz links no act to https://www.discogs.com/artist/12345'
+      }
+    } );
+
+    const response = await request( mf.app ).
+      get( '/acts/by/discogs/12345' ).
+      expect( 404 );
+
+    expect( response.body.type ).toBe( 'error' );
+    expect( response.body.error.message ).toBe( 'Act not found' );
+    expect( mf.actService.fetchMultipleActs ).not.toHaveBeenCalled();
+  } );
+
+  test( 'GET /acts/by/:provider/:externalId answers with 500 when the ID cannot be resolved', async () => {
+    mf.actIdentifiers.resolveExternalId.mockRejectedValue( new Error( 'MusicBrainz: timeout' ) );
+
+    const response = await request( mf.app ).
+      get( '/acts/by/discogs/12345' ).
+      expect( 500 );
+
+    expect( response.body.type ).toBe( 'error' );
+    expect( response.body.error ).toEqual( {
+      'message': 'Failed to fetch act data',
+      'details': 'MusicBrainz: timeout'
+    } );
+    expect( mf.actService.fetchMultipleActs ).not.toHaveBeenCalled();
+  } );
+} );
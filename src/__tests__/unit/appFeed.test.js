@@ -0,0 +1,84 @@
+/**
+ * Unit tests for GET /acts/:ids/feed.atom and /acts/:ids/feed.rss routes
+ * Tests Express app behavior with mocked actService
+ * @module __tests__/unit/appFeed
+ */
+
+const request = require( 'supertest' );
+require( '../../app' );
+require( '../../services/actService' );
+
+describe( 'Express App - Feed Route Tests', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.actService.fetchMultipleActs = jest.fn().mockResolvedValue( {
+      'acts': [
+        {
+          'musicbrainzId': 'id-a',
+          'name': 'Act A',
+          'events': [
+            {
+              'name': 'Act A @ SO36',
+              'date': '2030-06-02',
+              'firstSeenAt': '2030-01-01T10:00:00.000Z'
+            }
+          ]
+        }
+      ]
+    } );
+
+    mf.usageStats.requests = 0;
+    mf.usageStats.actsQueried = 0;
+  } );
+
+  test( 'returns an Atom feed linking to itself', async () => {
+    const response = await request( mf.app ).
+      get( '/acts/id-a/feed.atom' ).
+      expect( 200 );
+
+    expect( response.headers[ 'content-type' ] ).toBe( 'application/atom+xml; charset=utf-8' );
+    expect( response.headers[ 'x-robots-tag' ] ).toBeDefined();
+    expect( response.text ).toMatch( /<link rel="self" href="http:\/\/127\.0\.0\.1:\d+\/acts\/id-a\/feed\.atom"\/>/u );
+    expect( response.text ).toContain( '<title>Act A @ SO36</title>' );
+  } );
+
+  test( 'returns an RSS feed', async () => {
+    const response = await request( mf.app ).
+      get( '/acts/id-a/feed.rss' ).
+      expect( 200 );
+
+    expect( response.headers[ 'content-type' ] ).toBe( 'application/rss+xml; charset=utf-8' );
+    expect( response.text ).toContain( '<title>Act A @ SO36</title>' );
+  } );
+
+  test( 'counts the request in usage stats', async () => {
+    await request( mf.app ).get( '/acts/id-a,id-b/feed.atom' );
+
+    expect( mf.actService.fetchMultipleActs ).toHaveBeenCalledWith( [ 'id-a', 'id-b' ] );
+    expect( mf.usageStats.requests ).toBe( 1 );
+    expect( mf.usageStats.actsQueried ).toBe( 2 );
+  } );
+
+  test( 'returns 404 for unknown feed formats', async () => {
+    await request( mf.app ).
+      get( '/acts/id-a/feed.json' ).
+      expect( 404 );
+
+    expect( mf.actService.fetchMultipleActs ).not.toHaveBeenCalled();
+  } );
+
+  test( 'returns 503 when acts are not available yet', async () => {
+    mf.actService.fetchMultipleActs.mockResolvedValue( {
+      'error': {
+        'message': '1 act not cached'
+      }
+    } );
+
+    const response = await request( mf.app ).
+      get( '/acts/id-a/feed.rss' ).
+      expect( 503 );
+
+    expect( response.body.error.message ).toBe( '1 act not cached' );
+  } );
+} );
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the upstream sections of /health and /admin/health
+ * Tests health endpoint behavior with mocked database, rate limiter and circuit breaker
+ * @module __tests__/unit/appHealthUpstream
+ */
+
+const request = require( 'supertest' );
+const speakeasy = require( 'speakeasy' );
+require( '../../app' );
+
+describe( 'Express App - health upstream data', () => {
+  const validTotpConfig = {
+    'secret': 'TESTSECRET',
+    'encoding': 'base32',
+    'algorithm': 'sha1'
+  };
+  const validPassword = 'testpass';
+  let originalEnv;
+
+  /**
+   * Helper to make authenticated request
+   * @returns {object} Supertest request with auth header
+   */
+  const authenticatedRequest = () => {
+    const token = speakeasy.totp( validTotpConfig );
+
+    return request( mf.app ).
+      get( '/admin/health' ).
+      set( 'Authorization', `pass ${validPassword}, bearer ${token}` );
+  };
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    originalEnv = {
+      'ADMIN_TOTP_CONFIG': process.env.ADMIN_TOTP_CONFIG,
+      'ADMIN_PASS': process.env.ADMIN_PASS
+    };
+    process.env.ADMIN_TOTP_CONFIG = JSON.stringify( validTotpConfig );
+    process.env.ADMIN_PASS = validPassword;
+
+    mf.database.getAllActIds = jest.fn().mockResolvedValue( [] );
+    mf.database.getActsWithoutBandsintown = jest.fn().mockResolvedValue( [] );
+    mf.databaseAdmin.getRecentUpdateErrors = jest.fn().mockResolvedValue( [] );
+    mf.database.testCacheHealth = jest.fn();
+  } );
+
+  afterEach( () => {
+    process.env.ADMIN_TOTP_CONFIG = originalEnv.ADMIN_TOTP_CONFIG;
+    process.env.ADMIN_PASS = originalEnv.ADMIN_PASS;
+  } );
+
+  test( 'returns the rate limiter metrics per upstream host', async () => {
+    const metrics = {
+      'musicbrainz.org': {
+        'requestsPerSecond': 1,
+        'queueDepth': 3,
+        'requests': 10,
+        'delayedRequests': 4,
+        'averageWaitMs': 800,
+        'maxWaitMs': 3000
+      }
+    };
+
+    mf.rateLimiter.getMetrics.mockReturnValue( metrics );
+
+    const response = await authenticatedRequest().expect( 200 );
+
+    expect( response.body.upstreamRateLimits ).toEqual( metrics );
+  } );
+
+  test( 'returns the circuit breaker details per upstream host', async () => {
+    const metrics = {
+      'www.bandsintown.com': {
+        'state': 'open',
+        'consecutiveFailures': 5,
+        'openedAt': '2030-02-01T10:00:00.000Z'
+      }
+    };
+
+    mf.circuitBreaker.getMetrics.mockReturnValue( metrics );
+
+    const response = await authenticatedRequest().expect( 200 );
+
+    expect( response.body.upstreamCircuitBreakers ).toEqual( metrics );
+  } );
+
+  test.each( [
+    [ 'healthy', 200, () => mf.database.testCacheHealth.mockResolvedValue() ],
+    [ 'unhealthy', 503, () => mf.database.testCacheHealth.mockRejectedValue( new Error( 'DB down' ) ) ]
+  ] )( '/health reports the circuit breaker states when %s', async ( status, httpStatus, arrange ) => {
+    arrange();
+    mf.circuitBreaker.getStates.mockReturnValue( {
+      'musicbrainz.org': 'closed',
+      'www.bandsintown.com': 'half-open'
+    } );
+
+    const response = await request( mf.app ).get( '/health' ).
+      expect( httpStatus );
+
+    expect( response.body.status ).toBe( status );
+    expect( response.body.upstreams ).toEqual( {
+      'musicbrainz.org': 'closed',
+      'www.bandsintown.com': 'half-open'
+    } );
+  } );
+} );
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the favorites import route
+ * Tests Express app behavior with mocked actImport
+ * @module __tests__/unit/appImport
+ */
+
+const request = require( 'supertest' );
+require( '../../app' );
+
+const job = {
+  'id': 'job-1',
+  'kind': 'import',
+  'status': 'running',
+  'createdAt': '2030-01-01T00:00:00.000Z',
+  'completedAt': null,
+  'format': 'text',
+  'counts': {
+    'total': 1,
+    'resolved': 0,
+    'matched': 0,
+    'ambiguous': 0,
+    'missed': 0
+  },
+  'matched': [],
+  'ambiguous': [],
+  'missed': []
+};
+
+describe( 'Express App - Import Route Tests', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.actImport.importActs = jest.fn().mockResolvedValue( { job } );
+  } );
+
+  test.each( [
+    [ 'spotify', 'application/json', '[{"name":"Watain"}]' ],
+    [ 'lastfm', 'text/csv', 'Watain,A,B,C' ],
+    [ 'text', 'text/plain', 'Watain' ]
+  ] )( 'POST /import/%s reads a %s body as text and returns 202 with the import job', async ( format, contentType, body ) => {
+    const response = await request( mf.app ).
+      post( `/import/${format}` ).
+      set( 'Content-Type', contentType ).
+      send( body ).
+      expect( 202 );
+
+    expect( mf.actImport.importActs ).toHaveBeenCalledWith( format, body );
+    expect( response.headers.location ).toBe( '/jobs/job-1' );
+    expect( response.body.type ).toBe( 'job' );
+    expect( response.body.job ).toEqual( job );
+    expect( response.body.meta.attribution ).toBeDefined();
+  } );
+
+  test( 'POST /import/:format accepts bodies above the default limit of 100kb', async () => {
+    const body = Array.from( { 'length': 4000 }, ( _, index ) => `Some Rather Long Artist Name ${index}` ).join( '\n' );
+
+    expect( body.length ).toBeGreaterThan( 100 * 1024 );
+
+    await request( mf.app ).
+      post( '/import/text' ).
+      set( 'Content-Type', 'text/plain' ).
+      send( body ).
+      expect( 202 );
+
+    expect( mf.actImport.importActs ).toHaveBeenCalledWith( 'text', body );
+  } );
+
+  test( 'POST /import/:format returns 413 for bodies above 1mb', async () => {
+    await request( mf.app ).
+      post( '/import/text' ).
+      set( 'Content-Type', 'text/plain' ).
+      send( 'x'.repeat( ( 1024 * 1024 ) + 1 ) ).
+      expect( 413 );
+
+    expect( mf.actImport.importActs ).not.toHaveBeenCalled();
+  } );
+
+  test( 'POST /import/:format returns 400 for unreadable files', async () => {
+    mf.actImport.importActs.mockResolvedValue( {
+      'error': {
+        'message': 'Invalid import file',
+        'details': 'Request body is no spotify export'
+      }
+    } );
+
+    const response = await request( mf.app ).
+      post( '/import/spotify' ).
+      set( 'Content-Type', 'application/json' ).
+      send( 'nope' ).
+      expect( 400 );
+
+    expect( response.body.type ).toBe( 'error' );
+    expect( response.body.error.details ).toBe( 'Request body is no spotify export' );
+  } );
+
+  test( 'POST /import/:format returns 503 when the import job cannot be stored', async () => {
+    mf.actImport.importActs.mockRejectedValue( new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_057)' ) );
+
+    const response = await request( mf.app ).
+      post( '/import/text' ).
+      set( 'Content-Type', 'text/plain' ).
+      send( 'Watain' ).
+      expect( 503 );
+
+    expect( response.body.error.message ).toBe( 'Failed to start import' );
+  } );
+} );
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for job routes and 202 responses
+ * Tests Express app behavior with mocked actService and fetchQueue
+ * @module __tests__/unit/appJobs
+ */
+
+const request = require( 'supertest' );
+require( '../../app' );
+
+const job = {
+  'id': 'job-1',
+  'status': 'running',
+  'createdAt': '2030-01-01T00:00:00.000Z',
+  'completedAt': null,
+  'estimatedCompletionAt': '2030-01-01T00:01:10.000Z',
+  'counts': {
+    'queued': 2,
+    'fetched': 0,
+    'failed': 0
+  },
+  'acts': [
+    {
+      'musicbrainzId': 'id1',
+      'status': 'queued'
+    },
+    {
+      'musicbrainzId': 'id2',
+      'status': 'queued'
+    }
+  ]
+};
+
+describe( 'Express App - Job Route Tests', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.actService.fetchMultipleActs = jest.fn().mockResolvedValue( { job } );
+    mf.fetchQueue.getJob = jest.fn().mockResolvedValue( job );
+    mf.databaseAdmin.updateLastRequestedAt = jest.fn().mockResolvedValue();
+  } );
+
+  describe( '202 responses', () => {
+    test.each( [ '/acts/id1,id2', '/acts/id1,id2/events', '/acts/id1,id2/calendar.ics' ] )( 'GET %s returns 202 with the job', async ( path ) => {
+      const response = await request( mf.app ).
+        get( path ).
+        expect( 202 );
+
+      expect( response.headers.location ).toBe( '/jobs/job-1' );
+      expect( response.body.type ).toBe( 'job' );
+      expect( response.body.job ).toEqual( job );
+      expect( response.body.meta.attribution ).toBeDefined();
+      expect( mf.databaseAdmin.updateLastRequestedAt ).not.toHaveBeenCalled();
+    } );
+  } );
+
+  describe( 'GET /jobs/:id', () => {
+    test( 'returns the job', async () => {
+      const response = await request( mf.app ).
+        get( '/jobs/job-1' ).
+        expect( 200 );
+
+      expect( mf.fetchQueue.getJob ).toHaveBeenCalledWith( 'job-1' );
+      expect( response.body.type ).toBe( 'job' );
+      expect( response.body.job ).toEqual( job );
+    } );
+
+    test( 'returns 404 for unknown jobs', async () => {
+      mf.fetchQueue.getJob.mockResolvedValue( null );
+
+      const response = await request( mf.app ).
+        get( '/jobs/job-2' ).
+        expect( 404 );
+
+      expect( response.body.error.message ).toBe( 'Job not found' );
+    } );
+
+    test( 'returns 503 when jobs cannot be read', async () => {
+      mf.fetchQueue.getJob.mockRejectedValue( new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_059)' ) );
+
+      const response = await request( mf.app ).
+        get( '/jobs/job-1' ).
+        expect( 503 );
+
+      expect( response.body.error.message ).toBe( 'Failed to read job' );
+    } );
+  } );
+} );
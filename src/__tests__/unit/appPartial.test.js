@@ -0,0 +1,91 @@
+/**
+ * Unit tests for partial act responses
+ * Tests Express app behavior with mocked actService
+ * @module __tests__/unit/appPartial
+ */
+
+const request = require( 'supertest' );
+require( '../../app' );
+
+const partialResult = {
+  'acts': [
+    {
+      'musicbrainzId': 'id1',
+      'name': 'Act 1'
+    }
+  ],
+  'pending': [ 'id2' ],
+  'invalid': [ 'typo' ],
+  'notFound': [ 'id3' ]
+};
+
+describe( 'Express App - Partial Response Tests', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.actService.fetchAvailableActs = jest.fn().mockResolvedValue( partialResult );
+    mf.actService.fetchMultipleActs = jest.fn().mockResolvedValue( { 'acts': [] } );
+    mf.databaseAdmin.updateLastRequestedAt = jest.fn().mockResolvedValue();
+  } );
+
+  test( 'GET /acts/:ids?partial=true returns cached acts and the state of all other IDs', async () => {
+    const response = await request( mf.app ).
+      get( '/acts/id1,id2,typo,id3?partial=true' ).
+      expect( 200 );
+
+    expect( mf.actService.fetchAvailableActs ).toHaveBeenCalledWith( [ 'id1', 'id2', 'typo', 'id3' ] );
+    expect( mf.actService.fetchMultipleActs ).not.toHaveBeenCalled();
+    expect( response.body ).toMatchObject( {
+      'type': 'acts',
+      ...partialResult
+    } );
+  } );
+
+  test( 'GET /acts/:ids?partial=true tracks requests of returned and pending acts only', async () => {
+    await request( mf.app ).
+      get( '/acts/id1,id2,typo,id3?partial=true' ).
+      expect( 200 );
+
+    expect( mf.databaseAdmin.updateLastRequestedAt ).toHaveBeenCalledWith( [ 'id1', 'id2' ] );
+  } );
+
+  test( 'POST /acts?partial=true returns a partial response', async () => {
+    const response = await request( mf.app ).
+      post( '/acts?partial=true' ).
+      set( 'Content-Type', 'text/plain' ).
+      send( 'id1,id2,typo,id3' ).
+      expect( 200 );
+
+    expect( response.body.invalid ).toEqual( [ 'typo' ] );
+  } );
+
+  test( 'GET /acts/:ids without partial keeps the all-or-nothing response', async () => {
+    const response = await request( mf.app ).
+      get( '/acts/id1,id2' ).
+      expect( 200 );
+
+    expect( mf.actService.fetchAvailableActs ).not.toHaveBeenCalled();
+    expect( response.body.pending ).toBeUndefined();
+  } );
+
+  test( 'GET /acts/:ids answers unknown acts with 404', async () => {
+    mf.actService.fetchMultipleActs.mockResolvedValue( {
+      'status': 404,
+      'error': {
+        'message': '1 acts cannot be fetched from MusicBrainz',
+        'acts': [
+          {
+            'musicbrainzId': 'id2',
+            'reason': 'notFound'
+          }
+        ]
+      }
+    } );
+
+    const response = await request( mf.app ).
+      get( '/acts/id1,id2' ).
+      expect( 404 );
+
+    expect( response.body.error.acts[ 0 ].reason ).toBe( 'notFound' );
+  } );
+} );
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the act search route
+ * Tests Express app behavior with mocked actSearch
+ * @module __tests__/unit/appSearch
+ */
+
+const request = require( 'supertest' );
+require( '../../app' );
+
+const candidate = {
+  'musicbrainzId': '1cdc8e8b-2b7a-4b42-9a47-4b6e6d2e5ad1',
+  'name': 'Watain',
+  'disambiguation': null,
+  'country': 'SE',
+  'type': 'Group',
+  'score': 100,
+  'cached': false
+};
+
+describe( 'Express App - Search Route Tests', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.actSearch.searchActs = jest.fn().mockResolvedValue( {
+      'query': 'watain',
+      'candidates': [ candidate ]
+    } );
+  } );
+
+  test( 'GET /search/acts returns the candidates', async () => {
+    const response = await request( mf.app ).
+      get( '/search/acts?q=watain' ).
+      expect( 200 );
+
+    expect( mf.actSearch.searchActs ).toHaveBeenCalledWith( 'watain' );
+    expect( response.body.type ).toBe( 'search' );
+    expect( response.body.query ).toBe( 'watain' );
+    expect( response.body.candidates ).toEqual( [ candidate ] );
+    expect( response.body.meta.attribution ).toBeDefined();
+  } );
+
+  test( 'GET /search/acts returns 400 for an invalid query', async () => {
+    mf.actSearch.searchActs.mockResolvedValue( {
+      'error': {
+        'message': 'Invalid query parameter',
+        'details': 'q must be a search text of 1 to 200 characters'
+      }
+    } );
+
+    const response = await request( mf.app ).
+      get( '/search/acts' ).
+      expect( 400 );
+
+    expect( response.body.type ).toBe( 'error' );
+    expect( response.body.error.message ).toBe( 'Invalid query parameter' );
+  } );
+
+  test( 'GET /search/acts returns 503 when MusicBrainz fails', async () => {
+    mf.actSearch.searchActs.mockRejectedValue( new Error( 'MusicBrainz: timeout of 5000ms exceeded' ) );
+
+    const response = await request( mf.app ).
+      get( '/search/acts?q=watain' ).
+      expect( 503 );
+
+    expect( response.body.error ).toEqual( {
+      'message': 'Act search is temporarily unavailable',
+      'details': 'MusicBrainz: timeout of 5000ms exceeded'
+    } );
+  } );
+} );
@@ -0,0 +1,240 @@
+/**
+ * Unit tests for the act stream route
+ * Tests Server-Sent Events with mocked actService and fetchQueue
+ * @module __tests__/unit/appStream
+ */
+
+const request = require( 'supertest' );
+require( '../../app' );
+
+/**
+ * Parses a Server-Sent Events body
+ * @param {string} text - Response body
+ * @returns {Array<object>} Events with name and parsed data, comments skipped
+ */
+const parseEvents = ( text ) => text.
+  split( '\n\n' ).
+  filter( ( block ) => block.startsWith( 'event:' ) ).
+  map( ( block ) => {
+    const [ eventLine, dataLine ] = block.split( '\n' );
+
+    return {
+      'event': eventLine.slice( 'event: '.length ),
+      'data': JSON.parse( dataLine.slice( 'data: '.length ) )
+    };
+  } );
+
+describe( 'Express App - Stream Route Tests', () => {
+  let listener;
+  let unsubscribe;
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    listener = null;
+    unsubscribe = jest.fn();
+
+    mf.actService.lookupCachedActs = jest.fn().mockResolvedValue( {
+      'cachedActs': [
+        {
+          'musicbrainzId': 'id1',
+          'name': 'Act 1'
+        }
+      ],
+      'missingIds': []
+    } );
+    mf.databaseAdmin.updateLastRequestedAt = jest.fn().mockResolvedValue();
+    mf.fetchQueue.onActProcessed = jest.fn( ( callback ) => {
+      listener = callback;
+
+      return unsubscribe;
+    } );
+    mf.fetchQueue.triggerBackgroundFetch = jest.fn();
+    mf.negativeCache.findNegativeResults = jest.fn().mockResolvedValue( [] );
+  } );
+
+  test( 'sends cached acts and ends when nothing is missing', async () => {
+    const response = await request( mf.app ).
+      get( '/acts/id1/stream' ).
+      expect( 200 );
+
+    expect( response.headers[ 'content-type' ] ).toBe( 'text/event-stream; charset=utf-8' );
+    expect( parseEvents( response.text ) ).toEqual( [
+      {
+        'event': 'act',
+        'data': {
+          'musicbrainzId': 'id1',
+          'name': 'Act 1'
+        }
+      },
+      {
+        'event': 'done',
+        'data': {}
+      }
+    ] );
+    expect( mf.fetchQueue.triggerBackgroundFetch ).not.toHaveBeenCalled();
+    expect( mf.databaseAdmin.updateLastRequestedAt ).toHaveBeenCalledWith( [ 'id1' ] );
+  } );
+
+  test( 'pushes missing acts and errors as the fetch queue finishes them', async () => {
+    mf.databaseAdmin.updateLastRequestedAt.mockRejectedValue( new Error( 'DB down' ) );
+    mf.actService.lookupCachedActs.mockResolvedValue( {
+      'cachedActs': [],
+      'missingIds': [ 'id2', 'id3' ]
+    } );
+    mf.fetchQueue.triggerBackgroundFetch.mockImplementation( () => {
+      listener( 'other', {
+        '_id': 'other'
+      }, null );
+      listener( 'id2', {
+        '_id': 'id2',
+        'name': 'Act 2'
+      }, null );
+      listener( 'id3', null, new Error( 'MusicBrainz unavailable' ) );
+    } );
+
+    const response = await request( mf.app ).
+      get( '/acts/id2,id3/stream' ).
+      expect( 200 );
+
+    expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ 'id2', 'id3' ], 'interactive' );
+    expect( parseEvents( response.text ) ).toEqual( [
+      {
+        'event': 'pending',
+        'data': {
+          'musicbrainzIds': [ 'id2', 'id3' ]
+        }
+      },
+      {
+        'event': 'act',
+        'data': {
+          'musicbrainzId': 'id2',
+          'name': 'Act 2'
+        }
+      },
+      {
+        'event': 'error',
+        'data': {
+          'musicbrainzId': 'id3',
+          'message': 'MusicBrainz unavailable'
+        }
+      },
+      {
+        'event': 'done',
+        'data': {}
+      }
+    ] );
+    expect( unsubscribe ).toHaveBeenCalled();
+  } );
+
+  test( 'answers negatively cached acts with an error event instead of fetching them', async () => {
+    mf.actService.lookupCachedActs.mockResolvedValue( {
+      'cachedActs': [],
+      'missingIds': [ 'id2', 'id3' ]
+    } );
+    mf.negativeCache.findNegativeResults.mockResolvedValue( [
+      {
+        'musicbrainzId': 'id3',
+        'reason': 'notFound',
+        'expiresAt': new Date( '2030-01-02T00:00:00.000Z' )
+      }
+    ] );
+    mf.fetchQueue.triggerBackgroundFetch.mockImplementation( () => {
+      listener( 'id2', {
+        '_id': 'id2',
+        'name': 'Act 2'
+      }, null );
+    } );
+
+    const response = await request( mf.app ).
+      get( '/acts/id2,id3/stream' ).
+      expect( 200 );
+
+    expect( mf.negativeCache.findNegativeResults ).toHaveBeenCalledWith( [ 'id2', 'id3' ] );
+    expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ 'id2' ], 'interactive' );
+    expect( mf.databaseAdmin.updateLastRequestedAt ).toHaveBeenCalledWith( [ 'id2' ] );
+    expect( parseEvents( response.text ) ).toEqual( [
+      {
+        'event': 'error',
+        'data': {
+          'musicbrainzId': 'id3',
+          'reason': 'notFound',
+          'message': 'Act cannot be fetched from MusicBrainz'
+        }
+      },
+      {
+        'event': 'pending',
+        'data': {
+          'musicbrainzIds': [ 'id2' ]
+        }
+      },
+      {
+        'event': 'act',
+        'data': {
+          'musicbrainzId': 'id2',
+          'name': 'Act 2'
+        }
+      },
+      {
+        'event': 'done',
+        'data': {}
+      }
+    ] );
+  } );
+
+  test( 'ends the stream when every missing act is negatively cached', async () => {
+    mf.actService.lookupCachedActs.mockResolvedValue( {
+      'cachedActs': [],
+      'missingIds': [ 'typo' ]
+    } );
+    mf.negativeCache.findNegativeResults.mockResolvedValue( [
+      {
+        'musicbrainzId': 'typo',
+        'reason': 'invalid'
+      }
+    ] );
+
+    const response = await request( mf.app ).
+      get( '/acts/typo/stream' ).
+      expect( 200 );
+
+    expect( mf.fetchQueue.triggerBackgroundFetch ).not.toHaveBeenCalled();
+    expect( parseEvents( response.text ).map( ( { event } ) => event ) ).toEqual( [ 'error', 'done' ] );
+  } );
+
+  test( 'sends keep-alive comments while waiting', async () => {
+    jest.useFakeTimers( {
+      'toFake': [ 'setInterval', 'clearInterval' ]
+    } );
+    mf.actService.lookupCachedActs.mockResolvedValue( {
+      'cachedActs': [],
+      'missingIds': [ 'id2' ]
+    } );
+
+    const listening = new Promise( ( resolve ) => {
+      mf.fetchQueue.triggerBackgroundFetch.mockImplementation( resolve );
+    } );
+    const promise = request( mf.app ).get( '/acts/id2/stream' ).then( ( response ) => response );
+
+    await listening;
+
+    jest.advanceTimersByTime( 15000 );
+    listener( 'id2', null, new Error( 'timeout' ) );
+
+    const response = await promise;
+
+    expect( response.text ).toContain( ': keep-alive\n\n' );
+    jest.useRealTimers();
+  } );
+
+  test( 'returns 500 when the cache is unavailable', async () => {
+    mf.actService.lookupCachedActs.mockRejectedValue( new Error( 'Service temporarily unavailable' ) );
+
+    const response = await request( mf.app ).
+      get( '/acts/id1,id2/stream' ).
+      expect( 500 );
+
+    expect( response.body.error.message ).toBe( 'Failed to fetch act data' );
+    expect( mf.fetchQueue.onActProcessed ).not.toHaveBeenCalled();
+  } );
+} );
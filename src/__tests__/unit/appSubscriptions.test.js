@@ -0,0 +1,228 @@
+/**
+ * Unit tests for subscription routes
+ * Tests Express app behavior with mocked databaseSubscriptions
+ * @module __tests__/unit/appSubscriptions
+ */
+
+const dns = require( 'dns' );
+const request = require( 'supertest' );
+require( '../../app' );
+
+const ACT_A = '53b106e7-0cc6-42cc-ac95-ed8d30a3a98e';
+const ACT_B = 'f4abc0b5-3f7a-4eff-8f78-ac078dbce533';
+
+const storedSubscription = {
+  '_id': 'sub-1',
+  'callbackUrl': 'https://hooks.example.com/music',
+  'actIds': [ ACT_A ],
+  'secret': 'top-secret',
+  'createdAt': '2030-01-01T00:00:00.000Z'
+};
+
+/**
+ * Builds a subscription request body
+ * @param {string} callbackUrl - Callback URL
+ * @param {Array<string>|null} actIds - Act IDs
+ * @returns {object} Request body
+ */
+const buildBody = ( callbackUrl, actIds ) => ( {
+  callbackUrl,
+  actIds
+} );
+
+describe( 'Express App - Subscription Route Tests', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.databaseSubscriptions.createSubscription = jest.fn().mockResolvedValue();
+    mf.databaseSubscriptions.getSubscription = jest.fn().mockResolvedValue( storedSubscription );
+    mf.databaseSubscriptions.deleteSubscription = jest.fn().mockResolvedValue();
+    mf.databaseSubscriptions.getDeliveries = jest.fn().mockResolvedValue( [ { 'attempt': 1 } ] );
+    jest.spyOn( dns.promises, 'lookup' ).mockResolvedValue( [
+      {
+        'address': '93.184.215.14',
+        'family': 4
+      }
+    ] );
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  describe( 'parseSubscription', () => {
+    test( 'deduplicates and lowercases act IDs', () => {
+      expect( mf.testing.subscriptionRoutes.parseSubscription( {
+        'callbackUrl': 'https://hooks.example.com/music',
+        'actIds': [ ACT_A, ACT_A.toUpperCase(), ACT_B ]
+      } ) ).toEqual( {
+        'callbackUrl': 'https://hooks.example.com/music',
+        'actIds': [ ACT_A, ACT_B ]
+      } );
+    } );
+
+    test.each( [
+      [ null, 'callbackUrl' ],
+      [ buildBody( 'http://hooks.example.com', [ ACT_A ] ), 'callbackUrl' ],
+      [ buildBody( 'not a url', [ ACT_A ] ), 'callbackUrl' ],
+      [ buildBody( 'https://hooks.example.com', null ), 'actIds must be' ],
+      [ buildBody( 'https://hooks.example.com', [] ), 'actIds must be' ],
+      [ buildBody( 'https://hooks.example.com', Array( 501 ).fill( ACT_A ) ), 'actIds must be' ],
+      [ buildBody( 'https://hooks.example.com', [ ACT_A, 'nope', 42 ] ), 'Invalid MusicBrainz IDs: nope, 42' ]
+    ] )( 'rejects %o', ( body, details ) => {
+      expect( mf.testing.subscriptionRoutes.parseSubscription( body ).error.details ).toContain( details );
+    } );
+  } );
+
+  describe( 'POST /subscriptions', () => {
+    test( 'creates a subscription and returns its secret once', async () => {
+      const response = await request( mf.app ).
+        post( '/subscriptions' ).
+        send( {
+          'callbackUrl': 'https://hooks.example.com/music',
+          'actIds': [ ACT_A ]
+        } ).
+        expect( 201 );
+
+      const [ [ stored ] ] = mf.databaseSubscriptions.createSubscription.mock.calls;
+
+      expect( response.body.type ).toBe( 'subscription' );
+      expect( response.body.subscription ).toEqual( {
+        'id': stored._id,
+        'callbackUrl': 'https://hooks.example.com/music',
+        'actIds': [ ACT_A ],
+        'createdAt': stored.createdAt
+      } );
+      expect( response.body.secret ).toMatch( /^[0-9a-f]{64}$/u );
+      expect( stored.secret ).toBe( response.body.secret );
+    } );
+
+    test( 'returns 400 for invalid bodies', async () => {
+      const response = await request( mf.app ).
+        post( '/subscriptions' ).
+        send( {
+          'callbackUrl': 'https://hooks.example.com/music',
+          'actIds': [ 'nope' ]
+        } ).
+        expect( 400 );
+
+      expect( response.body.error.message ).toBe( 'Invalid request body' );
+      expect( mf.databaseSubscriptions.createSubscription ).not.toHaveBeenCalled();
+    } );
+
+    test.each( [
+      [ 'https://localhost/hook', '127.0.0.1' ],
+      [ 'https://169.254.169.254/latest', '169.254.169.254' ],
+      [ 'https://intranet.example.com/hook', '192.168.1.10' ],
+      [ 'https://[::1]/hook', '::1' ]
+    ] )( 'returns 400 for callback URL %s resolving to %s', async ( callbackUrl, address ) => {
+      dns.promises.lookup.mockResolvedValue( [
+        {
+          address,
+          'family': address.includes( ':' ) ? 6 : 4
+        }
+      ] );
+
+      const response = await request( mf.app ).
+        post( '/subscriptions' ).
+        send( {
+          callbackUrl,
+          'actIds': [ ACT_A ]
+        } ).
+        expect( 400 );
+
+      expect( response.body.error.details ).toBe( 'callbackUrl must resolve to public addresses only' );
+      expect( mf.databaseSubscriptions.createSubscription ).not.toHaveBeenCalled();
+    } );
+
+    test( 'returns 400 for callback hosts that cannot be resolved', async () => {
+      dns.promises.lookup.mockRejectedValue( new Error( 'getaddrinfo ENOTFOUND hooks.invalid' ) );
+
+      await request( mf.app ).
+        post( '/subscriptions' ).
+        send( {
+          'callbackUrl': 'https://hooks.invalid/music',
+          'actIds': [ ACT_A ]
+        } ).
+        expect( 400 );
+
+      expect( mf.databaseSubscriptions.createSubscription ).not.toHaveBeenCalled();
+    } );
+
+    test( 'returns 500 when the subscription cannot be stored', async () => {
+      mf.databaseSubscriptions.createSubscription.mockRejectedValue( new Error( 'DB down' ) );
+
+      const response = await request( mf.app ).
+        post( '/subscriptions' ).
+        send( {
+          'callbackUrl': 'https://hooks.example.com/music',
+          'actIds': [ ACT_A ]
+        } ).
+        expect( 500 );
+
+      expect( response.body.error ).toEqual( {
+        'message': 'Failed to process subscription',
+        'details': 'DB down'
+      } );
+    } );
+  } );
+
+  describe( 'GET /subscriptions/:id/deliveries', () => {
+    test( 'returns the delivery log with the subscription secret', async () => {
+      const response = await request( mf.app ).
+        get( '/subscriptions/sub-1/deliveries' ).
+        set( 'Authorization', 'Bearer top-secret' ).
+        expect( 200 );
+
+      expect( mf.databaseSubscriptions.getDeliveries ).toHaveBeenCalledWith( 'sub-1' );
+      expect( response.body.type ).toBe( 'deliveries' );
+      expect( response.body.deliveries ).toEqual( [ { 'attempt': 1 } ] );
+    } );
+
+    test.each( [ 'Bearer wrong-secret', 'Bearer top-secreT', '' ] )( 'returns 401 for Authorization "%s"', async ( authorization ) => {
+      await request( mf.app ).
+        get( '/subscriptions/sub-1/deliveries' ).
+        set( 'Authorization', authorization ).
+        expect( 401 );
+
+      expect( mf.databaseSubscriptions.getDeliveries ).not.toHaveBeenCalled();
+    } );
+
+    test( 'returns 404 for unknown subscriptions', async () => {
+      mf.databaseSubscriptions.getSubscription.mockResolvedValue( null );
+
+      await request( mf.app ).
+        get( '/subscriptions/sub-2/deliveries' ).
+        set( 'Authorization', 'Bearer top-secret' ).
+        expect( 404 );
+    } );
+  } );
+
+  describe( 'DELETE /subscriptions/:id', () => {
+    test( 'deletes the subscription', async () => {
+      await request( mf.app ).
+        delete( '/subscriptions/sub-1' ).
+        set( 'Authorization', 'Bearer top-secret' ).
+        expect( 204 );
+
+      expect( mf.databaseSubscriptions.deleteSubscription ).toHaveBeenCalledWith( 'sub-1' );
+    } );
+
+    test( 'returns 401 without the secret', async () => {
+      await request( mf.app ).
+        delete( '/subscriptions/sub-1' ).
+        expect( 401 );
+
+      expect( mf.databaseSubscriptions.deleteSubscription ).not.toHaveBeenCalled();
+    } );
+
+    test( 'returns 404 for unknown subscriptions', async () => {
+      mf.databaseSubscriptions.getSubscription.mockResolvedValue( null );
+
+      await request( mf.app ).
+        delete( '/subscriptions/sub-2' ).
+        set( 'Authorization', 'Bearer top-secret' ).
+        expect( 404 );
+    } );
+  } );
+} );
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for actAliases module
+ * Tests redirect marking and alias resolution with a mocked alias collection
+ * @module __tests__/unit/services/actAliases
+ */
+
+require( '../../../services/actAliases' );
+
+const OLD_ID = '53b106e7-0cc6-42cc-ac95-ed8d30a3a98e';
+const CANONICAL_ID = 'f4abc0b5-3f7a-4eff-8f78-ac078dbce533';
+
+describe( 'actAliases', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.databaseAliases.getCanonicalIds = jest.fn().mockResolvedValue( new Map( [ [ OLD_ID, CANONICAL_ID ] ] ) );
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  describe( 'markRedirect', () => {
+    const act = {
+      'musicbrainzId': CANONICAL_ID,
+      'name': 'Act'
+    };
+
+    test( 'adds redirectedFrom when the act was requested under another MBID', () => {
+      expect( mf.actAliases.markRedirect( act, OLD_ID ) ).toEqual( {
+        ...act,
+        'redirectedFrom': OLD_ID
+      } );
+    } );
+
+    test.each( [
+      [ 'the same MBID', CANONICAL_ID ],
+      [ 'the same MBID in other case', CANONICAL_ID.toUpperCase() ],
+      [ 'no MBID', undefined ]
+    ] )( 'returns the act unchanged for %s', ( _, requestedId ) => {
+      expect( mf.actAliases.markRedirect( act, requestedId ) ).toBe( act );
+    } );
+  } );
+
+  describe( 'formatFetchedAct', () => {
+    test( 'maps _id to musicbrainzId', () => {
+      expect( mf.actAliases.formatFetchedAct( {
+        '_id': CANONICAL_ID,
+        'name': 'Act'
+      } ) ).toEqual( {
+        'musicbrainzId': CANONICAL_ID,
+        'name': 'Act'
+      } );
+    } );
+
+    test( 'adds redirectedFrom when MusicBrainz answered with another MBID', () => {
+      expect( mf.actAliases.formatFetchedAct( { '_id': CANONICAL_ID }, OLD_ID ) ).toEqual( {
+        'musicbrainzId': CANONICAL_ID,
+        'redirectedFrom': OLD_ID
+      } );
+    } );
+  } );
+
+  describe( 'resolveCanonicalIds', () => {
+    test( 'replaces merged MBIDs and keeps the order', async () => {
+      await expect( mf.actAliases.resolveCanonicalIds( [ 'other', OLD_ID ] ) ).resolves.toEqual( [ 'other', CANONICAL_ID ] );
+    } );
+
+    test( 'uses the requested MBIDs when the lookup fails', async () => {
+      mf.databaseAliases.getCanonicalIds.mockRejectedValue( new Error( 'DB down' ) );
+
+      await expect( mf.actAliases.resolveCanonicalIds( [ OLD_ID ] ) ).resolves.toEqual( [ OLD_ID ] );
+      expect( mf.logger.warn ).toHaveBeenCalledWith( expect.any( Object ), 'Failed to resolve act aliases' );
+    } );
+  } );
+
+  describe( 'getTrackedIds', () => {
+    test( 'returns the canonical MBIDs of the answered acts and the pending MBIDs without duplicates', () => {
+      const acts = [
+        {
+          'musicbrainzId': CANONICAL_ID,
+          'redirectedFrom': OLD_ID
+        },
+        { 'musicbrainzId': CANONICAL_ID },
+        { 'musicbrainzId': 'other' }
+      ];
+
+      expect( mf.actAliases.getTrackedIds( acts, [ 'pending' ] ) ).toEqual( [ CANONICAL_ID, 'other', 'pending' ] );
+    } );
+
+    test( 'tracks only the answered acts when nothing is pending', () => {
+      expect( mf.actAliases.getTrackedIds( [ { 'musicbrainzId': 'other' } ] ) ).toEqual( [ 'other' ] );
+    } );
+  } );
+} );
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for actIdentifiers module
+ * Tests resolving external IDs with mocked database lookup and MusicBrainz
+ * @module __tests__/unit/services/actIdentifiers
+ */
+
+require( '../../../services/actIdentifiers' );
+
+const MBID = '1cdc8e8b-2b7a-4b42-9a47-4b6e6d2e5ad1';
+
+describe( 'actIdentifiers', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.databaseLookup.getActIdByRelation = jest.fn().mockResolvedValue( null );
+    mf.musicbrainz.lookupUrl = jest.fn().mockResolvedValue( [ { 'id': MBID } ] );
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  test( 'lists the relation keys to index', () => {
+    expect( mf.actIdentifiers.RELATION_KEYS ).toEqual( [ 'bandsintown', 'discogs', 'songkick', 'wikidata' ] );
+  } );
+
+  test.each( [
+    [ 'bandsintown', '39920', 'https://www.bandsintown.com/a/39920' ],
+    [ 'discogs', '12345', 'https://www.discogs.com/artist/12345' ],
+    [ 'songkick', '402465', 'https://www.songkick.com/artists/402465' ],
+    [ 'wikidata', 'Q123', 'https://www.wikidata.org/wiki/Q123' ]
+  ] )( 'resolves %s IDs of cached acts without upstream call', async ( provider, externalId, url ) => {
+    mf.databaseLookup.getActIdByRelation.mockResolvedValue( MBID );
+
+    await expect( mf.actIdentifiers.resolveExternalId( provider, externalId ) ).resolves.toEqual( { 'musicbrainzId': MBID } );
+    expect( mf.databaseLookup.getActIdByRelation ).toHaveBeenCalledWith( provider, url );
+    expect( mf.musicbrainz.lookupUrl ).not.toHaveBeenCalled();
+  } );
+
+  test( 'asks MusicBrainz for acts that are not cached', async () => {
+    await expect( mf.actIdentifiers.resolveExternalId( 'discogs', '12345' ) ).resolves.toEqual( { 'musicbrainzId': MBID } );
+    expect( mf.musicbrainz.lookupUrl ).toHaveBeenCalledWith( 'https://www.discogs.com/artist/12345' );
+  } );
+
+  test( 'asks MusicBrainz for Spotify IDs, which cached acts do not keep', async () => {
+    await mf.actIdentifiers.resolveExternalId( 'spotify', '1lYT0A0LV5DUfxr6doRP3d' );
+
+    expect( mf.databaseLookup.getActIdByRelation ).not.toHaveBeenCalled();
+    expect( mf.musicbrainz.lookupUrl ).toHaveBeenCalledWith( 'https://open.spotify.com/artist/1lYT0A0LV5DUfxr6doRP3d' );
+  } );
+
+  test( 'asks MusicBrainz when the cache lookup fails', async () => {
+    mf.databaseLookup.getActIdByRelation.mockRejectedValue( new Error( 'DB down' ) );
+
+    await expect( mf.actIdentifiers.resolveExternalId( 'wikidata', 'Q1' ) ).resolves.toEqual( { 'musicbrainzId': MBID } );
+    expect( mf.logger.warn ).toHaveBeenCalledWith( expect.any( Object ), 'Failed to look up act by relation' );
+  } );
+
+  test.each( [
+    [ 'unknown providers', 'itunes', '1', 404, 'Unknown provider' ],
+    [ 'inherited object keys', 'toString', '1', 404, 'Unknown provider' ],
+    [ 'malformed IDs', 'discogs', 'abc', 400, 'Invalid external ID' ]
+  ] )( 'rejects %s', async ( _, provider, externalId, status, message ) => {
+    const result = await mf.actIdentifiers.resolveExternalId( provider, externalId );
+
+    expect( result.status ).toBe( status );
+    expect( result.error.message ).toBe( message );
+    expect( mf.musicbrainz.lookupUrl ).not.toHaveBeenCalled();
+  } );
+
+  test.each( [
+    [ 'no act', [], 404, 'Act not found' ],
+    [ 'several acts', [ { 'id': 'a' }, { 'id': 'b' } ], 409, 'External ID is ambiguous' ]
+  ] )( 'reports URLs MusicBrainz links to %s', async ( _, artists, status, message ) => {
+    mf.musicbrainz.lookupUrl.mockResolvedValue( artists );
+
+    const result = await mf.actIdentifiers.resolveExternalId( 'discogs', '12345' );
+
+    expect( result.status ).toBe( status );
+    expect( result.error.message ).toBe( message );
+  } );
+
+  test( 'reports MusicBrainz failures', async () => {
+    mf.musicbrainz.lookupUrl.mockRejectedValue( new Error( 'MusicBrainz: timeout' ) );
+
+    await expect( mf.actIdentifiers.resolveExternalId( 'discogs', '12345' ) ).resolves.toEqual( {
+      'status': 503,
+      'error': {
+        'message': 'External ID lookup is temporarily unavailable',
+        'details': 'MusicBrainz: timeout'
+      }
+    } );
+  } );
+} );
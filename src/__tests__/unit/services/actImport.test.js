@@ -0,0 +1,338 @@
+/**
+ * Unit tests for actImport module
+ * Tests import jobs and matching imported artists with mocked MusicBrainz, search and jobs
+ * @module __tests__/unit/services/actImport
+ */
+
+require( '../../../services/actImport' );
+
+const SPOTIFY_ID = '1lYT0A0LV5DUfxr6doRP3d';
+
+/**
+ * Builds a search candidate
+ * @param {string} name - Act name
+ * @param {number} score - MusicBrainz search score
+ * @returns {object} Candidate as returned by actSearch
+ */
+const buildCandidate = ( name, score ) => ( {
+  'musicbrainzId': `mbid-${name}-${score}`,
+  name,
+  'disambiguation': null,
+  'country': null,
+  'type': 'Group',
+  score,
+  'cached': false
+} );
+
+/**
+ * Starts an import, waits for it and collects the artists it recorded in the job
+ * @param {string} format - "spotify", "lastfm" or "text"
+ * @param {string} body - File content
+ * @returns {Promise<object>} Result with matched, ambiguous and missed artists, or the error of unreadable files
+ */
+const resolveImport = async ( format, body ) => {
+  const started = await mf.actImport.importActs( format, body );
+
+  if ( started.error ) {
+    return started;
+  }
+
+  await mf.testing.actImport.waitForImports();
+
+  const result = {
+    'matched': [],
+    'ambiguous': [],
+    'missed': []
+  };
+
+  for ( const [ , status, item ] of mf.databaseJobs.recordImportEntry.mock.calls ) {
+    result[ status ].push( item );
+  }
+
+  return result;
+};
+
+/**
+ * Builds a stored import job
+ * @param {object} overrides - Fields to replace
+ * @returns {object} Import job as stored in MongoDB
+ */
+const buildJob = ( overrides ) => ( {
+  '_id': 'job-1',
+  'kind': 'import',
+  'createdAt': '2030-01-01T00:00:00.000Z',
+  'completedAt': null,
+  'format': 'text',
+  'entries': [ { 'name': 'Watain' }, { 'name': 'Alcest' } ],
+  'resolvedCount': 0,
+  'matched': [],
+  'ambiguous': [],
+  'missed': [],
+  ...overrides
+} );
+
+describe( 'actImport', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.musicbrainz.lookupUrl = jest.fn().mockResolvedValue( [] );
+    mf.actSearch.searchActs = jest.fn().mockResolvedValue( { 'candidates': [] } );
+    jest.spyOn( mf.databaseJobs, 'createJob' ).mockResolvedValue();
+    jest.spyOn( mf.databaseJobs, 'recordImportEntry' ).mockResolvedValue();
+    jest.spyOn( mf.databaseJobs, 'completeJob' ).mockResolvedValue();
+    jest.spyOn( mf.databaseJobs, 'getRunningImports' ).mockResolvedValue( [] );
+    jest.spyOn( mf.logger, 'info' ).mockImplementation();
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+    jest.spyOn( mf.logger, 'error' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  test( 'returns errors of unreadable files without starting a job', async () => {
+    const result = await mf.actImport.importActs( 'spotify', 'nope' );
+
+    expect( result.error.message ).toBe( 'Invalid import file' );
+    expect( mf.databaseJobs.createJob ).not.toHaveBeenCalled();
+    expect( mf.actSearch.searchActs ).not.toHaveBeenCalled();
+  } );
+
+  test( 'stores a running import job and returns it before resolving any artist', async () => {
+    const { job } = await mf.actImport.importActs( 'text', 'Watain\nAlcest' );
+
+    expect( mf.databaseJobs.createJob ).toHaveBeenCalledWith( {
+      '_id': job.id,
+      'kind': 'import',
+      'createdAt': expect.any( String ),
+      'completedAt': null,
+      'expiresAt': expect.any( Date ),
+      'format': 'text',
+      'entries': [ { 'name': 'Watain' }, { 'name': 'Alcest' } ],
+      'resolvedCount': 0,
+      'matched': [],
+      'ambiguous': [],
+      'missed': []
+    } );
+    expect( job ).toMatchObject( {
+      'kind': 'import',
+      'status': 'running',
+      'completedAt': null,
+      'format': 'text',
+      'counts': {
+        'total': 2,
+        'resolved': 0,
+        'matched': 0,
+        'ambiguous': 0,
+        'missed': 0
+      }
+    } );
+    expect( mf.actSearch.searchActs ).not.toHaveBeenCalled();
+
+    await mf.testing.actImport.waitForImports();
+
+    expect( mf.actSearch.searchActs ).toHaveBeenCalledTimes( 2 );
+    expect( mf.databaseJobs.completeJob ).toHaveBeenCalledWith( job.id, 24 * 60 * 60 * 1000 );
+  } );
+
+  test( 'fails when the import job cannot be stored', async () => {
+    mf.databaseJobs.createJob.mockRejectedValue( new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_057)' ) );
+
+    await expect( mf.actImport.importActs( 'text', 'Watain' ) ).rejects.toThrow( 'DB_057' );
+    await mf.testing.actImport.waitForImports();
+    expect( mf.actSearch.searchActs ).not.toHaveBeenCalled();
+  } );
+
+  test( 'matches Spotify artists by the URL MusicBrainz links to them', async () => {
+    mf.musicbrainz.lookupUrl.mockResolvedValue( [
+      {
+        'id': 'mbid-watain',
+        'name': 'Watain'
+      }
+    ] );
+
+    const result = await resolveImport( 'spotify', JSON.stringify( [
+      {
+        'name': 'Watain',
+        'id': SPOTIFY_ID
+      }
+    ] ) );
+
+    expect( mf.musicbrainz.lookupUrl ).toHaveBeenCalledWith( `https://open.spotify.com/artist/${SPOTIFY_ID}` );
+    expect( mf.actSearch.searchActs ).not.toHaveBeenCalled();
+    expect( result ).toEqual( {
+      'matched': [
+        {
+          'input': 'Watain',
+          'musicbrainzId': 'mbid-watain',
+          'name': 'Watain',
+          'matchedBy': 'url'
+        }
+      ],
+      'ambiguous': [],
+      'missed': []
+    } );
+  } );
+
+  test( 'searches by name when the Spotify URL is linked to several acts', async () => {
+    mf.musicbrainz.lookupUrl.mockResolvedValue( [ { 'id': 'a' }, { 'id': 'b' } ] );
+
+    await resolveImport( 'spotify', JSON.stringify( [
+      {
+        'name': 'Watain',
+        'id': SPOTIFY_ID
+      }
+    ] ) );
+
+    expect( mf.actSearch.searchActs ).toHaveBeenCalledWith( 'Watain' );
+  } );
+
+  test( 'sorts names into matched, ambiguous and missed', async () => {
+    const candidates = {
+      'Mötley Crüe': [ buildCandidate( 'Motley Crue', 100 ), buildCandidate( 'Motley Crue Tribute', 80 ) ],
+      'Alcest': [ buildCandidate( 'Alcest', 100 ), buildCandidate( 'Alcest', 95 ) ],
+      'Nobody': [],
+      'Bathory': Array.from( { 'length': 7 }, ( _, index ) => buildCandidate( `Bathory ${index}`, 80 ) )
+    };
+
+    mf.actSearch.searchActs.mockImplementation( ( name ) => Promise.resolve( { 'candidates': candidates[ name ] } ) );
+
+    const result = await resolveImport( 'text', 'Mötley Crüe\nAlcest\nNobody\nBathory\n' );
+
+    expect( result.matched ).toEqual( [
+      {
+        'input': 'Mötley Crüe',
+        ...candidates[ 'Mötley Crüe' ][ 0 ],
+        'matchedBy': 'search'
+      }
+    ] );
+    expect( result.ambiguous ).toEqual( [
+      {
+        'input': 'Alcest',
+        'candidates': candidates.Alcest
+      },
+      {
+        'input': 'Bathory',
+        'candidates': candidates.Bathory.slice( 0, 5 )
+      }
+    ] );
+    expect( result.missed ).toEqual( [
+      {
+        'input': 'Nobody',
+        'reason': 'noMatch'
+      }
+    ] );
+  } );
+
+  test( 'misses names the search rejects', async () => {
+    mf.actSearch.searchActs.mockResolvedValue( { 'error': { 'message': 'Invalid query parameter' } } );
+
+    const result = await resolveImport( 'text', 'x'.repeat( 201 ) );
+
+    expect( result.missed ).toEqual( [
+      {
+        'input': 'x'.repeat( 201 ),
+        'reason': 'noMatch'
+      }
+    ] );
+  } );
+
+  test( 'misses artists MusicBrainz cannot be asked about and continues', async () => {
+    mf.actSearch.searchActs.
+      mockRejectedValueOnce( new Error( 'MusicBrainz: timeout' ) ).
+      mockResolvedValueOnce( { 'candidates': [ buildCandidate( 'Alcest', 100 ) ] } );
+
+    const result = await resolveImport( 'text', 'Watain\nAlcest' );
+
+    expect( result.missed ).toEqual( [
+      {
+        'input': 'Watain',
+        'reason': 'lookupFailed'
+      }
+    ] );
+    expect( result.matched ).toHaveLength( 1 );
+    expect( mf.logger.warn ).toHaveBeenCalledWith( expect.objectContaining( { 'input': 'Watain' } ), 'Failed to resolve imported act' );
+  } );
+
+  test( 'continues a resumed import after the artists resolved before', async () => {
+    const matched = {
+      'input': 'Watain',
+      'musicbrainzId': 'mbid-watain',
+      'name': 'Watain',
+      'matchedBy': 'search'
+    };
+
+    mf.actSearch.searchActs.mockResolvedValue( { 'candidates': [ buildCandidate( 'Alcest', 100 ) ] } );
+
+    const result = await mf.testing.actImport.runImport( buildJob( {
+      'resolvedCount': 1,
+      'matched': [ matched ]
+    } ) );
+
+    expect( mf.actSearch.searchActs ).toHaveBeenCalledTimes( 1 );
+    expect( mf.actSearch.searchActs ).toHaveBeenCalledWith( 'Alcest' );
+    expect( result.matched ).toEqual( [
+      matched,
+      {
+        'input': 'Alcest',
+        ...buildCandidate( 'Alcest', 100 ),
+        'matchedBy': 'search'
+      }
+    ] );
+    expect( mf.databaseJobs.completeJob ).toHaveBeenCalledWith( 'job-1', 24 * 60 * 60 * 1000 );
+  } );
+
+  test( 'logs imports whose job cannot be updated and runs the next import', async () => {
+    const error = new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_062)' );
+
+    mf.databaseJobs.recordImportEntry.mockRejectedValueOnce( error );
+    mf.databaseJobs.getRunningImports.mockResolvedValue( [ buildJob(), buildJob( { '_id': 'job-2' } ) ] );
+
+    await expect( mf.actImport.resumeImports() ).resolves.toBe( 2 );
+    await mf.testing.actImport.waitForImports();
+
+    expect( mf.logger.info ).toHaveBeenCalledWith( { 'importCount': 2 }, 'Resuming imports' );
+    expect( mf.logger.error ).toHaveBeenCalledWith( {
+      'jobId': 'job-1',
+      'err': error
+    }, 'Import failed' );
+    expect( mf.databaseJobs.completeJob ).toHaveBeenCalledTimes( 1 );
+    expect( mf.databaseJobs.completeJob ).toHaveBeenCalledWith( 'job-2', 24 * 60 * 60 * 1000 );
+  } );
+
+  test( 'resumes nothing when no import is running', async () => {
+    await expect( mf.actImport.resumeImports() ).resolves.toBe( 0 );
+    expect( mf.logger.info ).not.toHaveBeenCalled();
+  } );
+
+  test( 'reports completed import jobs with the resolved artists', () => {
+    const missed = {
+      'input': 'Nobody',
+      'reason': 'noMatch'
+    };
+
+    expect( mf.actImport.toJobView( buildJob( {
+      'completedAt': '2030-01-01T00:00:10.000Z',
+      'entries': [ { 'name': 'Nobody' } ],
+      'resolvedCount': 1,
+      'missed': [ missed ]
+    } ) ) ).toEqual( {
+      'id': 'job-1',
+      'kind': 'import',
+      'status': 'completed',
+      'createdAt': '2030-01-01T00:00:00.000Z',
+      'completedAt': '2030-01-01T00:00:10.000Z',
+      'format': 'text',
+      'counts': {
+        'total': 1,
+        'resolved': 1,
+        'matched': 0,
+        'ambiguous': 0,
+        'missed': 1
+      },
+      'matched': [],
+      'ambiguous': [],
+      'missed': [ missed ]
+    } );
+  } );
+} );
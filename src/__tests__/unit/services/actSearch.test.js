@@ -0,0 +1,130 @@
+/**
+ * Unit tests for actSearch module
+ * Tests candidate mapping, the search cache and cached flags with mocked MusicBrainz and database
+ * @module __tests__/unit/services/actSearch
+ */
+
+require( '../../../services/actSearch' );
+
+const artist = {
+  'id': '1cdc8e8b-2b7a-4b42-9a47-4b6e6d2e5ad1',
+  'name': 'Watain',
+  'sort-name': 'Watain',
+  'type': 'Group',
+  'country': 'SE',
+  'disambiguation': 'Swedish black metal',
+  'score': 100
+};
+
+describe( 'actSearch', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.useFakeTimers( {
+      'now': new Date( '2030-02-01T10:00:00.000Z' )
+    } );
+
+    mf.testing.actSearch.searchCache.clear();
+    mf.musicbrainz.searchActs = jest.fn().mockResolvedValue( [ artist ] );
+    mf.databaseLookup.getCachedActIds = jest.fn().mockResolvedValue( [ artist.id ] );
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  describe( 'toCandidate', () => {
+    test( 'uses null for missing details', () => {
+      expect( mf.testing.actSearch.toCandidate( {
+        'id': 'id-1',
+        'name': 'Act'
+      } ) ).toEqual( {
+        'musicbrainzId': 'id-1',
+        'name': 'Act',
+        'disambiguation': null,
+        'country': null,
+        'type': null,
+        'score': null
+      } );
+    } );
+  } );
+
+  describe( 'searchActs', () => {
+    test( 'returns candidates marked as cached', async () => {
+      const result = await mf.actSearch.searchActs( '  Watain ' );
+
+      expect( mf.musicbrainz.searchActs ).toHaveBeenCalledWith( 'Watain', 25 );
+      expect( result ).toEqual( {
+        'query': 'Watain',
+        'candidates': [
+          {
+            'musicbrainzId': artist.id,
+            'name': 'Watain',
+            'disambiguation': 'Swedish black metal',
+            'country': 'SE',
+            'type': 'Group',
+            'score': 100,
+            'cached': true
+          }
+        ]
+      } );
+    } );
+
+    test.each( [ undefined, '   ', 'x'.repeat( 201 ) ] )( 'rejects the query %p', async ( query ) => {
+      const result = await mf.actSearch.searchActs( query );
+
+      expect( result.error.message ).toBe( 'Invalid query parameter' );
+      expect( mf.musicbrainz.searchActs ).not.toHaveBeenCalled();
+    } );
+
+    test( 'reuses results for the same query regardless of case', async () => {
+      await mf.actSearch.searchActs( 'watain' );
+      await mf.actSearch.searchActs( 'WATAIN' );
+
+      expect( mf.musicbrainz.searchActs ).toHaveBeenCalledTimes( 1 );
+      expect( mf.databaseLookup.getCachedActIds ).toHaveBeenCalledTimes( 2 );
+    } );
+
+    test( 'searches again once the results are older than 10 minutes', async () => {
+      await mf.actSearch.searchActs( 'watain' );
+      jest.advanceTimersByTime( ( 10 * 60 * 1000 ) + 1 );
+      await mf.actSearch.searchActs( 'watain' );
+
+      expect( mf.musicbrainz.searchActs ).toHaveBeenCalledTimes( 2 );
+    } );
+
+    test( 'drops the oldest query when the search cache is full', async () => {
+      for ( let index = 0; index < 1000; index++ ) {
+        mf.testing.actSearch.searchCache.set( `query-${index}`, {
+          'candidates': [],
+          'cachedAt': Date.now()
+        } );
+      }
+
+      await mf.actSearch.searchActs( 'watain' );
+
+      expect( mf.testing.actSearch.searchCache.size ).toBe( 1000 );
+      expect( mf.testing.actSearch.searchCache.has( 'query-0' ) ).toBe( false );
+      expect( mf.testing.actSearch.searchCache.has( 'watain' ) ).toBe( true );
+    } );
+
+    test( 'reports candidates as not cached when the lookup fails', async () => {
+      mf.databaseLookup.getCachedActIds.mockRejectedValue( new Error( 'DB down' ) );
+
+      const result = await mf.actSearch.searchActs( 'watain' );
+
+      expect( result.candidates[ 0 ].cached ).toBe( false );
+      expect( mf.logger.warn ).toHaveBeenCalledWith( expect.any( Object ), 'Failed to look up cached search candidates' );
+    } );
+
+    test( 'does not cache failed searches', async () => {
+      mf.musicbrainz.searchActs.mockRejectedValueOnce( new Error( 'MusicBrainz: timeout' ) );
+
+      await expect( mf.actSearch.searchActs( 'watain' ) ).rejects.toThrow( 'MusicBrainz: timeout' );
+      await mf.actSearch.searchActs( 'watain' );
+
+      expect( mf.musicbrainz.searchActs ).toHaveBeenCalledTimes( 2 );
+    } );
+  } );
+} );
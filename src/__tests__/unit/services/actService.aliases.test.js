@@ -0,0 +1,77 @@
+/**
+ * Unit tests for actService answering merged MBIDs with the canonical act
+ * @module __tests__/unit/services/actService.aliases
+ */
+
+const OLD_ID = '53b106e7-0cc6-42cc-ac95-ed8d30a3a98e';
+const CANONICAL_ID = 'f4abc0b5-3f7a-4eff-8f78-ac078dbce533';
+const OTHER_ID = '664c3e0e-42d8-48c1-b209-1efca19c0325';
+
+const canonicalAct = {
+  'musicbrainzId': CANONICAL_ID,
+  'name': 'Canonical Act',
+  'updatedAt': new Date().toLocaleString( 'sv-SE', { 'timeZone': 'Europe/Berlin' } )
+};
+
+describe( 'actService - merged acts', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+
+    require( '../../../services/database' );
+    require( '../../../services/musicbrainz' );
+    require( '../../../services/fetchQueue' );
+    require( '../../../services/cacheUpdater' );
+    require( '../../../services/actService' );
+
+    jest.spyOn( mf.database, 'connect' ).mockResolvedValue();
+    jest.spyOn( mf.database, 'testCacheHealth' ).mockResolvedValue();
+    jest.spyOn( mf.database, 'cacheAct' ).mockResolvedValue();
+    jest.spyOn( mf.database, 'getActFromCache' ).mockImplementation( ( actId ) => Promise.resolve( actId === CANONICAL_ID ? canonicalAct : null ) );
+    jest.spyOn( mf.databaseAliases, 'getCanonicalIds' ).mockResolvedValue( new Map( [ [ OLD_ID, CANONICAL_ID ] ] ) );
+    jest.spyOn( mf.negativeCache, 'findNegativeResults' ).mockResolvedValue( [] );
+    jest.spyOn( mf.fetchQueue, 'triggerBackgroundFetch' ).mockImplementation( () => {
+      // No-op - background fetch is mocked for tests
+    } );
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  test( 'answers a merged MBID with the cached canonical act', async () => {
+    const result = await mf.actService.fetchMultipleActs( [ OLD_ID ] );
+
+    expect( mf.database.getActFromCache ).toHaveBeenCalledWith( CANONICAL_ID );
+    expect( result.acts ).toEqual( [
+      expect.objectContaining( {
+        'musicbrainzId': CANONICAL_ID,
+        'redirectedFrom': OLD_ID
+      } )
+    ] );
+  } );
+
+  test( 'does not mark acts requested under their canonical MBID', async () => {
+    const result = await mf.actService.fetchMultipleActs( [ CANONICAL_ID ] );
+
+    expect( result.acts[ 0 ] ).not.toHaveProperty( 'redirectedFrom' );
+  } );
+
+  test( 'marks acts MusicBrainz redirects on the first request', async () => {
+    jest.spyOn( mf.negativeCache, 'fetchMusicBrainzAct' ).mockResolvedValue( {
+      'id': CANONICAL_ID,
+      'name': 'Canonical Act',
+      'relations': []
+    } );
+
+    const result = await mf.actService.fetchMultipleActs( [ OTHER_ID ] );
+
+    expect( mf.negativeCache.fetchMusicBrainzAct ).toHaveBeenCalledWith( OTHER_ID );
+    expect( result.acts ).toEqual( [
+      expect.objectContaining( {
+        'musicbrainzId': CANONICAL_ID,
+        'redirectedFrom': OTHER_ID
+      } )
+    ] );
+  } );
+} );
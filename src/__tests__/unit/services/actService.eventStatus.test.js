@@ -0,0 +1,148 @@
+/**
+ * Unit tests for event status and start times in actService status detection
+ * @module __tests__/unit/services/actService.eventStatus
+ */
+
+describe( 'actService - event status', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    require( '../../../services/actService' );
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  /**
+   * Builds a date string relative to today
+   * @param {number} days - Days from today (UTC)
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  const daysFromNow = ( days ) => {
+    const date = new Date();
+
+    date.setUTCDate( date.getUTCDate() + days );
+
+    return date.toISOString().split( 'T' )[ 0 ];
+  };
+
+  describe( 'determineStatus', () => {
+    test( 'ignores cancelled events', () => {
+      const events = [
+        {
+          'name': 'Cancelled Concert',
+          'date': daysFromNow( 10 ),
+          'status': 'cancelled',
+          'location': {}
+        }
+      ];
+
+      expect( mf.actService.determineStatus( events, 'active' ) ).toBe( 'active' );
+    } );
+
+    test( 'ignores postponed events', () => {
+      const events = [
+        {
+          'name': 'Postponed Concert',
+          'date': daysFromNow( 10 ),
+          'status': 'postponed',
+          'location': {}
+        },
+        {
+          'name': 'Later Concert',
+          'date': daysFromNow( 180 ),
+          'status': 'scheduled',
+          'location': {}
+        }
+      ];
+
+      expect( mf.actService.determineStatus( events, 'active' ) ).toBe( 'tour planned' );
+    } );
+
+    test( 'uses the start instant of events', () => {
+      const startsAt = new Date( Date.now() + ( 89 * 24 * 60 * 60 * 1000 ) );
+      const events = [
+        {
+          'name': 'Concert',
+          'date': startsAt.toISOString().split( 'T' )[ 0 ],
+          'startsAt': startsAt.toISOString(),
+          'location': {}
+        }
+      ];
+
+      expect( mf.actService.determineStatus( events, 'active' ) ).toBe( 'on tour' );
+    } );
+
+    test( 'resolves events without start instant in their timezone', () => {
+      // 90 days ahead at 23:30 in Honolulu is already past the three month window
+      const events = [
+        {
+          'name': 'Late Show',
+          'date': daysFromNow( 90 ),
+          'localTime': '23:30:00',
+          'timeZone': 'Pacific/Honolulu',
+          'location': {}
+        }
+      ];
+
+      expect( mf.actService.determineStatus( events, 'active' ) ).toBe( 'tour planned' );
+    } );
+
+    test( 'ignores shows of past days', () => {
+      const events = [
+        {
+          'name': 'Last Week',
+          'date': daysFromNow( -7 ),
+          'location': {}
+        },
+        {
+          'name': 'Yesterday',
+          'date': daysFromNow( -1 ),
+          'status': 'rescheduled',
+          'location': {}
+        }
+      ];
+
+      expect( mf.actService.determineStatus( events, 'active' ) ).toBe( 'active' );
+    } );
+
+    test( 'counts shows of today', () => {
+      const events = [
+        {
+          'name': 'Tonight',
+          'date': daysFromNow( 0 ),
+          'location': {}
+        }
+      ];
+
+      expect( mf.actService.determineStatus( events, 'active' ) ).toBe( 'on tour' );
+    } );
+
+    test( 'skips events with invalid start instant', () => {
+      const events = [
+        {
+          'name': 'Broken Concert',
+          'date': daysFromNow( 10 ),
+          'startsAt': 'soon',
+          'location': {}
+        }
+      ];
+
+      expect( mf.actService.determineStatus( events, 'active' ) ).toBe( 'active' );
+    } );
+
+    test( 'counts rescheduled events', () => {
+      const events = [
+        {
+          'name': 'Rescheduled Concert',
+          'date': daysFromNow( 10 ),
+          'status': 'rescheduled',
+          'location': {}
+        }
+      ];
+
+      expect( mf.actService.determineStatus( events, 'active' ) ).toBe( 'on tour' );
+    } );
+  } );
+} );
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for festival handling in actService
+ * @module __tests__/unit/services/actService.festival
+ */
+
+describe( 'actService - Festivals', () => {
+  const festivalEvent = {
+    'name': 'Alcatraz Metal Festival',
+    'date': '2030-08-06',
+    'endDate': '2030-08-09',
+    'type': 'festival',
+    'location': {},
+    'lineup': [
+      {
+        'name': 'Anaal Nathrakh',
+        'musicbrainzId': null
+      },
+      {
+        'name': 'Amorphis',
+        'musicbrainzId': null
+      }
+    ]
+  };
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.useFakeTimers();
+
+    // Load modules
+    require( '../../../services/database' );
+    require( '../../../services/musicbrainz' );
+    require( '../../../services/ldJsonExtractor' );
+    require( '../../../services/bandsintownTransformer' );
+    require( '../../../services/songkickTransformer' );
+    require( '../../../services/festivalTransformer' );
+    require( '../../../services/musicbrainzTransformer' );
+    require( '../../../services/fetchQueue' );
+    require( '../../../services/actService' );
+
+    // Spy on dependencies
+    jest.spyOn( mf.database, 'connect' ).mockResolvedValue();
+    jest.spyOn( mf.database, 'testCacheHealth' ).mockResolvedValue();
+    jest.spyOn( mf.database, 'getActFromCache' ).mockResolvedValue( null );
+    jest.spyOn( mf.databaseLookup, 'getActsByNames' ).mockResolvedValue( [] );
+    jest.spyOn( mf.ldJsonExtractor, 'fetchAndExtractLdJson' ).mockResolvedValue( [] );
+    jest.spyOn( mf.musicbrainz, 'fetchAct' ).mockResolvedValue( {} );
+    jest.spyOn( mf.fetchQueue, 'triggerBackgroundFetch' ).mockImplementation( () => {
+      // No-op - background fetch is mocked for tests
+    } );
+    mf.musicbrainzTransformer.transformActData = jest.fn().mockReturnValue( {
+      '_id': 'test-id',
+      'status': 'active',
+      'relations': {
+        'bandsintown': 'https://www.bandsintown.com/a/12345'
+      }
+    } );
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  test( 'fetchBandsintownEvents includes Festival objects from LD+JSON', async () => {
+    mf.bandsintownTransformer.transformEvents = jest.fn().mockReturnValue( [] );
+    mf.festivalTransformer.transformFestivals = jest.fn().mockReturnValue( [ festivalEvent ] );
+
+    const result = await mf.actService.fetchBandsintownEvents( {
+      'relations': {
+        'bandsintown': 'https://www.bandsintown.com/a/12345'
+      }
+    } );
+
+    expect( result ).toEqual( [ festivalEvent ] );
+  } );
+
+  test( 'fetchAndEnrichActData matches festival lineup against cached acts', async () => {
+    mf.festivalTransformer.transformFestivals = jest.fn().mockReturnValue( [ festivalEvent ] );
+    mf.databaseLookup.getActsByNames.mockResolvedValue( [
+      {
+        '_id': 'mbid-anaal',
+        'name': 'Anaal Nathrakh'
+      }
+    ] );
+
+    const result = await mf.actService.fetchAndEnrichActData( 'test-id' );
+
+    expect( mf.databaseLookup.getActsByNames ).toHaveBeenCalledWith( [ 'Anaal Nathrakh', 'Amorphis' ] );
+    expect( result.events[ 0 ].lineup ).toEqual( [
+      {
+        'name': 'Anaal Nathrakh',
+        'musicbrainzId': 'mbid-anaal'
+      },
+      {
+        'name': 'Amorphis',
+        'musicbrainzId': null
+      }
+    ] );
+  } );
+
+  test( 'fetchAndEnrichActData keeps unmatched lineup when lookup fails', async () => {
+    mf.festivalTransformer.transformFestivals = jest.fn().mockReturnValue( [ festivalEvent ] );
+    mf.databaseLookup.getActsByNames.mockRejectedValue( new Error( 'DB down' ) );
+
+    const result = await mf.actService.fetchAndEnrichActData( 'test-id' );
+
+    expect( result.events[ 0 ].lineup ).toEqual( festivalEvent.lineup );
+  } );
+
+  test( 'fetchAndEnrichActData skips lineup lookup without festivals', async () => {
+    await mf.actService.fetchAndEnrichActData( 'test-id' );
+
+    expect( mf.databaseLookup.getActsByNames ).not.toHaveBeenCalled();
+  } );
+
+  test( 'fetchMultipleActs lists requested acts playing a festival', async () => {
+    const festival = {
+      ...festivalEvent,
+      'lineup': [
+        {
+          'name': 'Anaal Nathrakh',
+          'musicbrainzId': 'id1'
+        },
+        {
+          'name': 'Amorphis',
+          'musicbrainzId': 'id2'
+        }
+      ]
+    };
+
+    mf.database.getActFromCache.
+      mockResolvedValueOnce( {
+        'musicbrainzId': 'id1',
+        'events': [ festival ]
+      } ).
+      mockResolvedValueOnce( {
+        'musicbrainzId': 'id2',
+        'events': []
+      } );
+    jest.spyOn( mf.cacheUpdater, 'isActStale' ).mockReturnValue( false );
+
+    const result = await mf.actService.fetchMultipleActs( [ 'id1', 'id2' ] );
+
+    expect( result.acts[ 0 ].events[ 0 ].favoritesInLineup ).toEqual( [ 'id1', 'id2' ] );
+  } );
+} );
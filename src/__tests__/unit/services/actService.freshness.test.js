@@ -0,0 +1,89 @@
+/**
+ * Unit tests for event source freshness in actService enrichment
+ * @module __tests__/unit/services/actService.freshness
+ */
+
+const ACT_ID = '53689c08-f234-4c47-9256-58c8568f06d1';
+
+describe( 'actService - event source freshness', () => {
+  /**
+   * Builds a date string relative to today
+   * @param {number} days - Days from today (UTC)
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  const daysFromNow = ( days ) => {
+    const date = new Date();
+
+    date.setUTCDate( date.getUTCDate() + days );
+
+    return date.toISOString().split( 'T' )[ 0 ];
+  };
+
+  const cachedEvent = {
+    'name': 'Club Show',
+    'date': daysFromNow( 30 ),
+    'location': {},
+    'sources': [ 'bandsintown' ]
+  };
+
+  beforeEach( () => {
+    jest.resetModules();
+    require( '../../../services/actService' );
+
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+    jest.spyOn( mf.logger, 'info' ).mockImplementation();
+    mf.negativeCache.fetchMusicBrainzAct = jest.fn().mockResolvedValue( { 'id': ACT_ID } );
+    mf.musicbrainzTransformer.transformActData = jest.fn().mockReturnValue( {
+      '_id': ACT_ID,
+      'status': 'active',
+      'relations': {
+        'bandsintown': 'https://www.bandsintown.com/a/1'
+      }
+    } );
+    mf.database.getActFromCache = jest.fn().mockResolvedValue( {
+      'musicbrainzId': ACT_ID,
+      'status': 'on tour',
+      'events': [ cachedEvent ]
+    } );
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  test( 'keeps the cached events and status when the event source fails', async () => {
+    jest.spyOn( mf.ldJsonExtractor, 'fetchAndExtractLdJson' ).mockRejectedValue( new Error( 'Bandsintown down' ) );
+
+    const result = await mf.actService.fetchAndEnrichActData( ACT_ID, true );
+
+    expect( result.events ).toEqual( [
+      expect.objectContaining( {
+        'name': 'Club Show',
+        'sources': [ 'bandsintown' ]
+      } )
+    ] );
+    expect( result.status ).toBe( 'on tour' );
+    expect( result.eventSources ).toEqual( {
+      'bandsintown': {
+        'stale': true,
+        'fetchedAt': null
+      }
+    } );
+  } );
+
+  test( 'drops the cached events when the event source reports none', async () => {
+    jest.spyOn( mf.ldJsonExtractor, 'fetchAndExtractLdJson' ).mockResolvedValue( [] );
+
+    const result = await mf.actService.fetchAndEnrichActData( ACT_ID, true );
+
+    expect( result.events ).toEqual( [] );
+    expect( result.status ).toBe( 'active' );
+    expect( result.eventSources ).toEqual( {
+      'bandsintown': {
+        'stale': false,
+        'fetchedAt': result.updatedAt
+      }
+    } );
+    expect( mf.database.getActFromCache ).not.toHaveBeenCalled();
+  } );
+} );
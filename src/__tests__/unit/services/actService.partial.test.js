@@ -0,0 +1,120 @@
+/**
+ * Unit tests for actService partial responses and negatively cached acts
+ * @module __tests__/unit/services/actService.partial
+ */
+
+const VALID_A = '53b106e7-0cc6-42cc-ac95-ed8d30a3a98e';
+const VALID_B = 'f4abc0b5-3f7a-4eff-8f78-ac078dbce533';
+const VALID_C = '664c3e0e-42d8-48c1-b209-1efca19c0325';
+
+const cachedAct = {
+  'musicbrainzId': VALID_A,
+  'name': 'Act A',
+  'updatedAt': new Date().toLocaleString( 'sv-SE', { 'timeZone': 'Europe/Berlin' } )
+};
+
+describe( 'actService - partial responses', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+
+    require( '../../../services/database' );
+    require( '../../../services/musicbrainz' );
+    require( '../../../services/fetchQueue' );
+    require( '../../../services/cacheUpdater' );
+    require( '../../../services/actService' );
+
+    jest.spyOn( mf.database, 'connect' ).mockResolvedValue();
+    jest.spyOn( mf.database, 'testCacheHealth' ).mockResolvedValue();
+    jest.spyOn( mf.database, 'getActFromCache' ).mockImplementation( ( actId ) => Promise.resolve( actId === VALID_A ? cachedAct : null ) );
+    jest.spyOn( mf.musicbrainz, 'fetchAct' ).mockResolvedValue( {} );
+    jest.spyOn( mf.fetchQueue, 'triggerBackgroundFetch' ).mockImplementation( () => {
+      // No-op - background fetch is mocked for tests
+    } );
+    jest.spyOn( mf.negativeCache, 'findNegativeResults' ).mockImplementation( ( actIds ) => Promise.resolve( actIds.
+      filter( ( actId ) => actId === VALID_C ).
+      map( ( actId ) => ( {
+        'musicbrainzId': actId,
+        'reason': 'notFound'
+      } ) ) ) );
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  test( 'returns cached acts and reports pending, invalid and unknown act IDs', async () => {
+    const result = await mf.actService.fetchAvailableActs( [ VALID_A, 'typo', VALID_B, VALID_C ] );
+
+    expect( result ).toEqual( {
+      'acts': [ expect.objectContaining( { 'musicbrainzId': VALID_A } ) ],
+      'pending': [ VALID_B ],
+      'invalid': [ 'typo' ],
+      'notFound': [ VALID_C ]
+    } );
+    expect( mf.database.getActFromCache ).not.toHaveBeenCalledWith( 'typo' );
+    expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ VALID_B ], 'interactive' );
+    expect( mf.musicbrainz.fetchAct ).not.toHaveBeenCalled();
+  } );
+
+  test( 'lists unknown acts next to the cached acts without fetching them', async () => {
+    const result = await mf.actService.fetchMultipleActs( [ VALID_A, VALID_C ] );
+
+    expect( result ).toEqual( {
+      'acts': [ expect.objectContaining( { 'musicbrainzId': VALID_A } ) ],
+      'notFound': [
+        {
+          'musicbrainzId': VALID_C,
+          'reason': 'notFound'
+        }
+      ]
+    } );
+    expect( mf.musicbrainz.fetchAct ).not.toHaveBeenCalled();
+    expect( mf.fetchQueue.triggerBackgroundFetch ).not.toHaveBeenCalled();
+  } );
+
+  test( 'answers requests for nothing but unknown acts with 404', async () => {
+    const result = await mf.actService.fetchMultipleActs( [ VALID_C ] );
+
+    expect( result ).toEqual( {
+      'status': 404,
+      'error': {
+        'message': '1 acts cannot be fetched from MusicBrainz',
+        'acts': [
+          {
+            'musicbrainzId': VALID_C,
+            'reason': 'notFound'
+          }
+        ]
+      }
+    } );
+    expect( mf.musicbrainz.fetchAct ).not.toHaveBeenCalled();
+  } );
+
+  test( 'fetches the other missing acts in a job that lists the unknown acts', async () => {
+    const VALID_D = '0383dadf-2a4e-4d10-a46a-e9e041da8eb3';
+
+    jest.spyOn( mf.databaseJobs, 'createJob' ).mockResolvedValue();
+
+    const result = await mf.actService.fetchMultipleActs( [ VALID_A, VALID_B, VALID_C, VALID_D ] );
+
+    expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ VALID_B, VALID_D ], 'interactive' );
+    expect( result.job ).toMatchObject( {
+      'missingCount': 2,
+      'cachedCount': 1,
+      'notFound': [
+        {
+          'musicbrainzId': VALID_C,
+          'reason': 'notFound'
+        }
+      ]
+    } );
+  } );
+
+  test( 'queues nothing when every act is cached or unknown', async () => {
+    const result = await mf.actService.fetchAvailableActs( [ VALID_A, VALID_C ] );
+
+    expect( result.pending ).toEqual( [] );
+    expect( mf.fetchQueue.triggerBackgroundFetch ).not.toHaveBeenCalled();
+  } );
+} );
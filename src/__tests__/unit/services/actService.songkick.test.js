@@ -0,0 +1,198 @@
+/**
+ * Unit tests for Songkick event fetching in actService
+ * @module __tests__/unit/services/actService.songkick
+ */
+
+describe( 'actService - Songkick events', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.useFakeTimers();
+
+    // Load modules
+    require( '../../../services/database' );
+    require( '../../../services/musicbrainz' );
+    require( '../../../services/ldJsonExtractor' );
+    require( '../../../services/bandsintownTransformer' );
+    require( '../../../services/songkickTransformer' );
+    require( '../../../services/musicbrainzTransformer' );
+    require( '../../../services/fetchQueue' );
+    require( '../../../services/actService' );
+
+    // Spy on dependencies
+    jest.spyOn( mf.ldJsonExtractor, 'fetchAndExtractLdJson' ).mockResolvedValue( [] );
+    jest.spyOn( mf.musicbrainz, 'fetchAct' ).mockResolvedValue( {} );
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  describe( 'fetchSongkickEvents', () => {
+    test( 'returns empty array when act has no Songkick relation', async () => {
+      const result = await mf.actService.fetchSongkickEvents( { 'relations': {} } );
+
+      expect( result ).toEqual( [] );
+      expect( mf.ldJsonExtractor.fetchAndExtractLdJson ).not.toHaveBeenCalled();
+    } );
+
+    test( 'returns empty array when act has no relations', async () => {
+      const result = await mf.actService.fetchSongkickEvents( {} );
+
+      expect( result ).toEqual( [] );
+    } );
+
+    test( 'fetches and transforms events when Songkick URL exists', async () => {
+      const mockLdJson = [ { '@type': 'MusicEvent' } ];
+      const mockEvents = [
+        {
+          'name': 'Concert',
+          'date': '2030-12-01',
+          'location': {}
+        }
+      ];
+
+      mf.ldJsonExtractor.fetchAndExtractLdJson.mockResolvedValue( mockLdJson );
+      mf.songkickTransformer.transformEvents = jest.fn().mockReturnValue( mockEvents );
+
+      const result = await mf.actService.fetchSongkickEvents( {
+        'relations': {
+          'songkick': 'https://www.songkick.com/artists/478835'
+        }
+      } );
+
+      expect( mf.ldJsonExtractor.fetchAndExtractLdJson ).toHaveBeenCalledWith( 'https://www.songkick.com/artists/478835' );
+      expect( mf.songkickTransformer.transformEvents ).toHaveBeenCalledWith( mockLdJson );
+      expect( result ).toEqual( mockEvents );
+    } );
+
+    test( 'accepts Songkick URL with name slug', async () => {
+      mf.songkickTransformer.transformEvents = jest.fn().mockReturnValue( [] );
+
+      await mf.actService.fetchSongkickEvents( {
+        'relations': {
+          'songkick': 'https://songkick.com/artists/277414-anaal-nathrakh'
+        }
+      } );
+
+      expect( mf.ldJsonExtractor.fetchAndExtractLdJson ).toHaveBeenCalledWith( 'https://songkick.com/artists/277414-anaal-nathrakh' );
+    } );
+
+    test( 'rejects Songkick URL with wrong path', async () => {
+      const result = await mf.actService.fetchSongkickEvents( {
+        'relations': {
+          'songkick': 'https://www.songkick.com/concerts/478835'
+        }
+      } );
+
+      expect( result ).toEqual( [] );
+      expect( mf.ldJsonExtractor.fetchAndExtractLdJson ).not.toHaveBeenCalled();
+    } );
+
+    test( 'rejects non-Songkick domain', async () => {
+      const result = await mf.actService.fetchSongkickEvents( {
+        'relations': {
+          'songkick': 'https://www.bandsintown.com/artists/478835'
+        }
+      } );
+
+      expect( result ).toEqual( [] );
+      expect( mf.ldJsonExtractor.fetchAndExtractLdJson ).not.toHaveBeenCalled();
+    } );
+
+    test( 'throws error on fetch failure when silentFail is false', async () => {
+      mf.ldJsonExtractor.fetchAndExtractLdJson.mockRejectedValue( new Error( 'Fetch failed' ) );
+
+      await expect( mf.actService.fetchSongkickEvents( {
+        'relations': {
+          'songkick': 'https://www.songkick.com/artists/478835'
+        }
+      }, false ) ).rejects.toThrow( 'Fetch failed' );
+    } );
+
+    test( 'returns empty array on fetch failure when silentFail is true', async () => {
+      mf.ldJsonExtractor.fetchAndExtractLdJson.mockRejectedValue( new Error( 'Fetch failed' ) );
+
+      const result = await mf.actService.fetchSongkickEvents( {
+        'relations': {
+          'songkick': 'https://www.songkick.com/artists/478835'
+        }
+      }, true );
+
+      expect( result ).toEqual( [] );
+    } );
+  } );
+
+  describe( 'fetchAndEnrichActData', () => {
+    test( 'combines Bandsintown and Songkick events', async () => {
+      const bandsintownEvents = [
+        {
+          'name': 'Bandsintown Concert',
+          'date': '2030-12-01',
+          'location': {}
+        }
+      ];
+      const songkickEvents = [
+        {
+          'name': 'Songkick Concert',
+          'date': '2030-12-02',
+          'location': {}
+        }
+      ];
+
+      mf.musicbrainzTransformer.transformActData = jest.fn().mockReturnValue( {
+        '_id': 'test-id',
+        'status': 'active',
+        'relations': {
+          'bandsintown': 'https://www.bandsintown.com/a/12345',
+          'songkick': 'https://www.songkick.com/artists/478835'
+        }
+      } );
+      mf.bandsintownTransformer.transformEvents = jest.fn().mockReturnValue( bandsintownEvents );
+      mf.songkickTransformer.transformEvents = jest.fn().mockReturnValue( songkickEvents );
+
+      const result = await mf.actService.fetchAndEnrichActData( 'test-id' );
+
+      expect( result.events ).toEqual( [
+        {
+          ...bandsintownEvents[ 0 ],
+          'sources': [ 'bandsintown' ]
+        },
+        {
+          ...songkickEvents[ 0 ],
+          'sources': [ 'songkick' ]
+        }
+      ] );
+    } );
+
+    test( 'returns Songkick events for acts without Bandsintown link', async () => {
+      const songkickEvents = [
+        {
+          'name': 'Songkick Concert',
+          'date': '2030-12-02',
+          'location': {}
+        }
+      ];
+
+      mf.musicbrainzTransformer.transformActData = jest.fn().mockReturnValue( {
+        '_id': 'test-id',
+        'status': 'active',
+        'relations': {
+          'songkick': 'https://www.songkick.com/artists/478835'
+        }
+      } );
+      mf.songkickTransformer.transformEvents = jest.fn().mockReturnValue( songkickEvents );
+
+      const result = await mf.actService.fetchAndEnrichActData( 'test-id' );
+
+      expect( result.events ).toEqual( [
+        {
+          ...songkickEvents[ 0 ],
+          'sources': [ 'songkick' ]
+        }
+      ] );
+      expect( mf.ldJsonExtractor.fetchAndExtractLdJson ).toHaveBeenCalledTimes( 1 );
+    } );
+  } );
+} );
@@ -113,7 +113,7 @@ describe( 'actService - cache staleness checking', () => {
       expect( result ).toEqual( {
         'acts': mockCached
       } );
-      expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ 'id1', 'id2' ] );
+      expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ 'id1', 'id2' ], 'refresh' );
     } );
 
     test( 'triggers background refresh for acts with missing updatedAt', async () => {
@@ -129,7 +129,7 @@ describe( 'actService - cache staleness checking', () => {
       expect( result ).toEqual( {
         'acts': [ mockCached ]
       } );
-      expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ 'id1' ] );
+      expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ 'id1' ], 'refresh' );
     } );
 
     test( 'triggers refresh only for stale acts in mixed scenario', async () => {
@@ -166,7 +166,33 @@ describe( 'actService - cache staleness checking', () => {
       expect( result ).toEqual( {
         'acts': mockCached
       } );
-      expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ 'id2', 'id3' ] );
+      expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ 'id2', 'id3' ], 'refresh' );
+    } );
+
+    test( 'refreshes stale acts on tour with higher priority', async () => {
+      const mockCached = [
+        {
+          'musicbrainzId': 'id1',
+          'name': 'Artist 1',
+          'status': 'on tour'
+        },
+        {
+          'musicbrainzId': 'id2',
+          'name': 'Artist 2',
+          'status': 'tour planned'
+        }
+      ];
+
+      mf.database.getActFromCache.
+        mockResolvedValueOnce( mockCached[ 0 ] ).
+        mockResolvedValueOnce( mockCached[ 1 ] );
+
+      await mf.actService.fetchMultipleActs( [ 'id1', 'id2' ] );
+
+      expect( mf.fetchQueue.triggerBackgroundFetch.mock.calls ).toEqual( [
+        [ [ 'id1' ], 'onTour' ],
+        [ [ 'id2' ], 'refresh' ]
+      ] );
     } );
   } );
 } );
@@ -362,6 +362,7 @@ describe( 'actService', () => {
       jest.spyOn( mf.database, 'testCacheHealth' ).mockResolvedValue();
       jest.spyOn( mf.database, 'getActFromCache' ).mockResolvedValue( null );
       jest.spyOn( mf.database, 'cacheAct' ).mockResolvedValue();
+      jest.spyOn( mf.databaseJobs, 'createJob' ).mockResolvedValue();
 
       // Spy on other service functions
       jest.spyOn( mf.musicbrainz, 'fetchAct' ).mockResolvedValue( {} );
@@ -702,7 +703,7 @@ describe( 'actService', () => {
         expect( result.acts[ 1 ].musicbrainzId ).toBe( 'id2' );
       } );
 
-      test( 'triggers background fetch for multiple missing acts', async () => {
+      test( 'returns a job and triggers background fetch for multiple missing acts', async () => {
         const artistIds = [ 'id1', 'id2', 'id3' ];
         const mockCached = {
           '_id': 'id1',
@@ -718,13 +719,17 @@ describe( 'actService', () => {
 
         const result = await mf.actService.fetchMultipleActs( artistIds );
 
-        expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ 'id2', 'id3' ] );
-        expect( result ).toEqual( {
-          'error': {
-            'message': '2 acts not cached. Background fetch initiated. Please try again in a few minutes.',
-            'missingCount': 2,
-            'cachedCount': 1
-          }
+        expect( mf.databaseJobs.createJob ).toHaveBeenCalledWith( expect.objectContaining( { '_id': result.job.id } ) );
+        expect( mf.fetchQueue.triggerBackgroundFetch ).toHaveBeenCalledWith( [ 'id2', 'id3' ], 'interactive' );
+        expect( result.job ).toMatchObject( {
+          'status': 'running',
+          'counts': {
+            'queued': 2,
+            'fetched': 0,
+            'failed': 0
+          },
+          'missingCount': 2,
+          'cachedCount': 1
         } );
       } );
     } );
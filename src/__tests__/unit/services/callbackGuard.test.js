@@ -0,0 +1,100 @@
+/**
+ * Unit tests for callbackGuard module
+ * Tests address classification with mocked DNS lookups
+ * @module __tests__/unit/services/callbackGuard
+ */
+
+const dns = require( 'dns' );
+require( '../../../services/callbackGuard' );
+
+describe( 'callbackGuard', () => {
+  beforeEach( () => {
+    jest.spyOn( dns.promises, 'lookup' ).mockResolvedValue( [
+      {
+        'address': '93.184.215.14',
+        'family': 4
+      }
+    ] );
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  describe( 'isPublicAddress', () => {
+    test.each( [ '93.184.215.14', '8.8.8.8', '2606:2800:220:1::1', '::ffff:93.184.215.14' ] )( 'accepts %s', ( address ) => {
+      expect( mf.testing.callbackGuard.isPublicAddress( address ) ).toBe( true );
+    } );
+
+    test.each( [
+      '127.0.0.1',
+      '0.0.0.0',
+      '10.1.2.3',
+      '172.16.0.1',
+      '172.31.255.255',
+      '192.168.0.1',
+      '169.254.169.254',
+      '100.64.0.1',
+      '255.255.255.255',
+      '::1',
+      '::',
+      'fd00::1',
+      'fe80::1',
+      '::ffff:127.0.0.1',
+      '::ffff:7f00:1',
+      'not an address'
+    ] )( 'rejects %s', ( address ) => {
+      expect( mf.testing.callbackGuard.isPublicAddress( address ) ).toBe( false );
+    } );
+  } );
+
+  describe( 'resolvePublicAddresses', () => {
+    test( 'returns all addresses of public hosts', async () => {
+      await expect( mf.callbackGuard.resolvePublicAddresses( 'hooks.example.com' ) ).resolves.toEqual( [
+        {
+          'address': '93.184.215.14',
+          'family': 4
+        }
+      ] );
+      expect( dns.promises.lookup ).toHaveBeenCalledWith( 'hooks.example.com', { 'all': true } );
+    } );
+
+    test( 'rejects hosts with any private address', async () => {
+      dns.promises.lookup.mockResolvedValue( [
+        {
+          'address': '93.184.215.14',
+          'family': 4
+        },
+        {
+          'address': '10.0.0.1',
+          'family': 4
+        }
+      ] );
+
+      await expect( mf.callbackGuard.resolvePublicAddresses( 'internal.example.com' ) ).rejects.toMatchObject( {
+        'message': 'internal.example.com does not resolve to a public address',
+        'code': 'EBLOCKEDADDRESS'
+      } );
+    } );
+
+    test( 'rejects hosts without addresses', async () => {
+      dns.promises.lookup.mockResolvedValue( [] );
+
+      await expect( mf.callbackGuard.resolvePublicAddresses( 'empty.example.com' ) ).rejects.toMatchObject( { 'code': 'EBLOCKEDADDRESS' } );
+    } );
+  } );
+
+  describe( 'assertPublicUrl', () => {
+    test( 'resolves the host of the URL without IPv6 brackets', async () => {
+      dns.promises.lookup.mockResolvedValue( [
+        {
+          'address': '::1',
+          'family': 6
+        }
+      ] );
+
+      await expect( mf.callbackGuard.assertPublicUrl( 'https://[::1]:8443/hook' ) ).rejects.toMatchObject( { 'code': 'EBLOCKEDADDRESS' } );
+      expect( dns.promises.lookup ).toHaveBeenCalledWith( '::1', { 'all': true } );
+    } );
+  } );
+} );
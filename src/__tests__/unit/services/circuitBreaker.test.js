@@ -0,0 +1,222 @@
+/**
+ * Unit tests for circuitBreaker module
+ * Uses the real module (jest.setup.js mocks it for all other tests) with fake timers
+ * @module __tests__/unit/services/circuitBreaker
+ */
+
+const BANDSINTOWN_URL = 'https://www.bandsintown.com/a/1';
+
+/**
+ * Builds an error as thrown by axios
+ * @param {number} [status] - HTTP status of the response, none for timeouts
+ * @returns {Error} Axios-like error
+ */
+const buildError = ( status ) => {
+  const error = new Error( `Request failed: ${status || 'timeout'}` );
+
+  if ( status ) {
+    error.response = { status };
+  }
+
+  return error;
+};
+
+describe( 'circuitBreaker', () => {
+  let originalEnv;
+
+  beforeEach( () => {
+    jest.useFakeTimers( {
+      'now': new Date( '2030-02-01T10:00:00.000Z' )
+    } );
+    jest.resetModules();
+    jest.requireActual( '../../../services/circuitBreaker' );
+    jest.spyOn( mf.logger, 'info' ).mockImplementation();
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+
+    originalEnv = {
+      'CIRCUIT_BREAKER_FAILURE_THRESHOLD': process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+      'CIRCUIT_BREAKER_OPEN_MS': process.env.CIRCUIT_BREAKER_OPEN_MS
+    };
+    delete process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD;
+    delete process.env.CIRCUIT_BREAKER_OPEN_MS;
+  } );
+
+  afterEach( () => {
+    for ( const [ name, value ] of Object.entries( originalEnv ) ) {
+      if ( value === undefined ) {
+        delete process.env[ name ];
+      } else {
+        process.env[ name ] = value;
+      }
+    }
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  /**
+   * Sends failing requests through the breaker
+   * @param {number} count - Number of requests
+   * @param {number} [status] - HTTP status of the failures, none for timeouts
+   * @returns {Promise<void>} Resolves when all requests failed
+   */
+  const fail = async ( count, status ) => {
+    for ( let i = 0; i < count; i++ ) {
+      await expect( mf.circuitBreaker.execute( BANDSINTOWN_URL, () => Promise.reject( buildError( status ) ) ) ).rejects.toThrow( 'Request failed' );
+    }
+  };
+
+  test( 'passes results through while closed', async () => {
+    await expect( mf.circuitBreaker.execute( BANDSINTOWN_URL, () => Promise.resolve( 'page' ) ) ).resolves.toBe( 'page' );
+    expect( mf.circuitBreaker.getStates() ).toEqual( {
+      'bandsintown.com': 'closed'
+    } );
+  } );
+
+  test( 'opens after five consecutive upstream failures and rejects without sending', async () => {
+    const request = jest.fn();
+
+    await fail( 4 );
+    expect( mf.circuitBreaker.getStates()[ 'bandsintown.com' ] ).toBe( 'closed' );
+
+    await fail( 1, 503 );
+
+    await expect( mf.circuitBreaker.execute( `${BANDSINTOWN_URL}/other`, request ) ).rejects.toMatchObject( {
+      'message': 'Circuit breaker open for bandsintown.com',
+      'code': 'ECIRCUITOPEN'
+    } );
+    expect( request ).not.toHaveBeenCalled();
+    expect( mf.circuitBreaker.getMetrics() ).toEqual( {
+      'bandsintown.com': {
+        'state': 'open',
+        'consecutiveFailures': 5,
+        'openedAt': '2030-02-01T10:00:00.000Z'
+      }
+    } );
+    expect( mf.logger.warn ).toHaveBeenCalledWith( expect.objectContaining( {
+      'host': 'bandsintown.com',
+      'state': 'open'
+    } ), 'Circuit breaker opened' );
+  } );
+
+  test( 'opens one breaker for failures on all subdomains of a host', async () => {
+    await fail( 3 );
+
+    for ( let i = 0; i < 2; i++ ) {
+      await expect( mf.circuitBreaker.execute( 'https://bandsintown.com/a/2', () => Promise.reject( buildError() ) ) ).rejects.toThrow( 'Request failed' );
+    }
+
+    expect( mf.circuitBreaker.getStates() ).toEqual( { 'bandsintown.com': 'open' } );
+  } );
+
+  test( 'keeps breakers of other hosts closed', async () => {
+    await fail( 5 );
+
+    await expect( mf.circuitBreaker.execute( 'https://musicbrainz.org/ws/2/artist/a', () => Promise.resolve( 'act' ) ) ).resolves.toBe( 'act' );
+  } );
+
+  test.each( [ 403, 429 ] )( 'counts %p as upstream failure', async ( status ) => {
+    await fail( 5, status );
+
+    expect( mf.circuitBreaker.getStates()[ 'bandsintown.com' ] ).toBe( 'open' );
+  } );
+
+  test( 'does not count other client errors and resets the count on success', async () => {
+    await fail( 4 );
+    await fail( 1, 404 );
+    await fail( 4 );
+
+    expect( mf.circuitBreaker.getMetrics()[ 'bandsintown.com' ] ).toMatchObject( {
+      'state': 'closed',
+      'consecutiveFailures': 4
+    } );
+  } );
+
+  test( 'lets one trial request through after the open time and closes on success', async () => {
+    await fail( 5 );
+    jest.advanceTimersByTime( 60 * 1000 );
+
+    let finishTrial;
+    const trial = mf.circuitBreaker.execute( BANDSINTOWN_URL, () => new Promise( ( resolve ) => {
+      finishTrial = resolve;
+    } ) );
+
+    expect( mf.circuitBreaker.getStates()[ 'bandsintown.com' ] ).toBe( 'half-open' );
+    await expect( mf.circuitBreaker.execute( BANDSINTOWN_URL, jest.fn() ) ).rejects.toMatchObject( { 'code': 'ECIRCUITOPEN' } );
+
+    finishTrial( 'page' );
+
+    await expect( trial ).resolves.toBe( 'page' );
+    expect( mf.circuitBreaker.getMetrics()[ 'bandsintown.com' ] ).toEqual( {
+      'state': 'closed',
+      'consecutiveFailures': 0,
+      'openedAt': null
+    } );
+  } );
+
+  test( 'opens again when the trial request fails', async () => {
+    await fail( 5 );
+    jest.advanceTimersByTime( 60 * 1000 );
+
+    await fail( 1 );
+
+    expect( mf.circuitBreaker.getMetrics()[ 'bandsintown.com' ] ).toMatchObject( {
+      'state': 'open',
+      'openedAt': '2030-02-01T10:01:00.000Z'
+    } );
+  } );
+
+  test( 'reads thresholds from the environment', async () => {
+    process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = '2';
+    process.env.CIRCUIT_BREAKER_OPEN_MS = '1000';
+
+    await fail( 2 );
+    expect( mf.circuitBreaker.getStates()[ 'bandsintown.com' ] ).toBe( 'open' );
+
+    jest.advanceTimersByTime( 1000 );
+
+    await expect( mf.circuitBreaker.execute( BANDSINTOWN_URL, () => Promise.resolve( 'page' ) ) ).resolves.toBe( 'page' );
+  } );
+
+  test( 'ignores invalid thresholds in the environment', async () => {
+    process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = 'many';
+
+    await fail( 4 );
+
+    expect( mf.circuitBreaker.getStates()[ 'bandsintown.com' ] ).toBe( 'closed' );
+  } );
+
+  describe( 'callers', () => {
+    let axios;
+
+    beforeEach( () => {
+      // The callers load the mocked breaker, so the real one is loaded again after them
+      jest.resetModules();
+      axios = require( 'axios' );
+      require( '../../../services/ldJsonExtractor' );
+      require( '../../../services/musicbrainz' );
+      jest.requireActual( '../../../services/circuitBreaker' );
+      jest.spyOn( mf.logger, 'error' ).mockImplementation();
+    } );
+
+    test( 'fetchAndExtractLdJson fails without request while the event source breaker is open', async () => {
+      await fail( 5 );
+
+      await expect( mf.ldJsonExtractor.fetchAndExtractLdJson( BANDSINTOWN_URL ) ).rejects.toMatchObject( { 'code': 'ECIRCUITOPEN' } );
+      expect( axios.get ).not.toHaveBeenCalled();
+    } );
+
+    test( 'fetchAct fails with MusicBrainz prefix and without status while the MusicBrainz breaker is open', async () => {
+      axios.get.mockRejectedValue( buildError( 503 ) );
+
+      for ( let i = 0; i < 5; i++ ) {
+        await expect( mf.musicbrainz.fetchAct( '53689c08-f234-4c47-9256-58c8568f06d1' ) ).rejects.toThrow( 'MusicBrainz: Request failed: 503' );
+      }
+
+      await expect( mf.musicbrainz.fetchAct( '53689c08-f234-4c47-9256-58c8568f06d1' ) ).rejects.toMatchObject( {
+        'message': 'MusicBrainz: Circuit breaker open for musicbrainz.org',
+        'statusCode': null
+      } );
+      expect( axios.get ).toHaveBeenCalledTimes( 5 );
+    } );
+  } );
+} );
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for countryCodes module
+ * @module __tests__/unit/services/countryCodes
+ */
+
+require( '../../../services/countryCodes' );
+
+describe( 'countryCodes', () => {
+  describe( 'normalizeName', () => {
+    test( 'lowercases and strips diacritics, spaces and punctuation', () => {
+      expect( mf.testing.countryCodes.normalizeName( 'Côte d’Ivoire' ) ).toBe( 'cotedivoire' );
+    } );
+
+    test( 'spells out ampersands', () => {
+      expect( mf.testing.countryCodes.normalizeName( 'Bosnia & Herzegovina' ) ).toBe( 'bosniaandherzegovina' );
+    } );
+  } );
+
+  describe( 'toCountryCode', () => {
+    test.each( [
+      [ 'United Kingdom', 'GB' ],
+      [ 'Belgium', 'BE' ],
+      [ 'Germany', 'DE' ],
+      [ 'Bosnia and Herzegovina', 'BA' ],
+      [ 'united states', 'US' ]
+    ] )( 'maps country name %s to %s', ( country, expected ) => {
+      expect( mf.countryCodes.toCountryCode( country ) ).toBe( expected );
+    } );
+
+    test.each( [
+      [ 'UK', 'GB' ],
+      [ 'USA', 'US' ],
+      [ 'Czech Republic', 'CZ' ],
+      [ 'The Netherlands', 'NL' ],
+      [ 'Scotland', 'GB' ]
+    ] )( 'maps alias %s to %s', ( country, expected ) => {
+      expect( mf.countryCodes.toCountryCode( country ) ).toBe( expected );
+    } );
+
+    test( 'accepts alpha-2 codes in any case', () => {
+      expect( mf.countryCodes.toCountryCode( 'BE' ) ).toBe( 'BE' );
+      expect( mf.countryCodes.toCountryCode( ' nl ' ) ).toBe( 'NL' );
+    } );
+
+    test( 'rejects codes that are not countries', () => {
+      expect( mf.countryCodes.toCountryCode( 'EU' ) ).toBeNull();
+      expect( mf.countryCodes.toCountryCode( 'QQ' ) ).toBeNull();
+    } );
+
+    test( 'returns null for unknown names and invalid input', () => {
+      expect( mf.countryCodes.toCountryCode( 'Atlantis' ) ).toBeNull();
+      expect( mf.countryCodes.toCountryCode( '' ) ).toBeNull();
+      expect( mf.countryCodes.toCountryCode( null ) ).toBeNull();
+      expect( mf.countryCodes.toCountryCode( 42 ) ).toBeNull();
+    } );
+  } );
+} );
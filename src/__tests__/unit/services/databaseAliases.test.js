@@ -0,0 +1,148 @@
+/**
+ * Unit tests for databaseAliases module
+ * Tests business logic by mocking MongoDB client
+ * @module __tests__/unit/services/databaseAliases
+ */
+
+describe( 'databaseAliases - Unit Tests', () => {
+  let mockCollection;
+  let mockCursor;
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.useFakeTimers( {
+      'now': new Date( '2030-02-01T10:00:00.000Z' )
+    } );
+
+    // Set MONGODB_URI for tests
+    process.env.MONGODB_URI = 'mongodb://test:27017';
+
+    mockCursor = {
+      'toArray': jest.fn().mockResolvedValue( [] )
+    };
+
+    // Create mock collection
+    mockCollection = {
+      'deleteOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'find': jest.fn().mockReturnValue( mockCursor ),
+      'updateOne': jest.fn().mockResolvedValue( { 'acknowledged': true } )
+    };
+
+    // Create mock database
+    const mockDb = {
+      'collection': jest.fn().mockReturnValue( mockCollection ),
+      'command': jest.fn().mockResolvedValue( { 'ok': 1 } )
+    };
+
+    // Mock MongoClient constructor
+    const mongodb = require( 'mongodb' );
+
+    mongodb.MongoClient = jest.fn().mockImplementation( () => ( {
+      'connect': jest.fn().mockResolvedValue(),
+      'close': jest.fn().mockResolvedValue(),
+      'db': jest.fn().mockReturnValue( mockDb )
+    } ) );
+
+    // Require database module AFTER mocking (sets up mf.database and mf.databaseAliases)
+    require( '../../../services/database' );
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    delete process.env.MONGODB_URI;
+  } );
+
+  describe( 'recordAlias', () => {
+    /**
+     * Test throws DB_043 when not connected
+     */
+    test( 'throws DB_043 error when client is null', async () => {
+      await expect( mf.databaseAliases.recordAlias( 'act-old', 'act-new' ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_043)' );
+    } );
+
+    test( 'stores the canonical MBID and removes the act cached under the old MBID', async () => {
+      await mf.database.connect();
+      await mf.databaseAliases.recordAlias( 'act-old', 'act-new' );
+
+      expect( mockCollection.updateOne ).toHaveBeenCalledWith(
+        { '_id': 'act-old' },
+        {
+          '$set': {
+            'canonicalId': 'act-new',
+            'recordedAt': '2030-02-01T10:00:00.000Z'
+          }
+        },
+        { 'upsert': true }
+      );
+      expect( mockCollection.deleteOne ).toHaveBeenCalledWith( { '_id': 'act-old' } );
+    } );
+
+    /**
+     * Test throws DB_044 when update not acknowledged
+     */
+    test( 'throws DB_044 error when update is not acknowledged', async () => {
+      await mf.database.connect();
+      mockCollection.updateOne.mockResolvedValue( { 'acknowledged': false } );
+
+      await expect( mf.databaseAliases.recordAlias( 'act-old', 'act-new' ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_044)' );
+      expect( mockCollection.deleteOne ).not.toHaveBeenCalled();
+    } );
+
+    /**
+     * Test throws DB_069 when the acts collection cannot be reached after the alias was stored
+     */
+    test( 'throws DB_069 error when the cached act cannot be removed', async () => {
+      await mf.database.connect();
+
+      const { getDatabase } = mf.database;
+
+      jest.spyOn( mf.database, 'getDatabase' ).
+        mockImplementationOnce( getDatabase ).
+        mockImplementation( () => {
+          throw new Error( 'Database not connected' );
+        } );
+
+      await expect( mf.databaseAliases.recordAlias( 'act-old', 'act-new' ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_069)' );
+      expect( mockCollection.updateOne ).toHaveBeenCalled();
+    } );
+  } );
+
+  describe( 'getCanonicalIds', () => {
+    /**
+     * Test throws DB_045 when not connected
+     */
+    test( 'throws DB_045 error when client is null', async () => {
+      await expect( mf.databaseAliases.getCanonicalIds( [ 'act-old' ] ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_045)' );
+    } );
+
+    test( 'maps merged MBIDs to their canonical MBIDs', async () => {
+      await mf.database.connect();
+      mockCursor.toArray.mockResolvedValue( [
+        {
+          '_id': 'act-old',
+          'canonicalId': 'act-new',
+          'recordedAt': '2030-01-01T10:00:00.000Z'
+        }
+      ] );
+
+      const result = await mf.databaseAliases.getCanonicalIds( [ 'act-old', 'act-other' ] );
+
+      expect( mockCollection.find ).toHaveBeenCalledWith( { '_id': { '$in': [ 'act-old', 'act-other' ] } } );
+      expect( result ).toEqual( new Map( [ [ 'act-old', 'act-new' ] ] ) );
+    } );
+
+    test( 'does not query without act IDs', async () => {
+      await expect( mf.databaseAliases.getCanonicalIds( [] ) ).resolves.toEqual( new Map() );
+      expect( mockCollection.find ).not.toHaveBeenCalled();
+    } );
+  } );
+} );
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for firstSeenAt tracking in cacheAct
+ * Tests business logic by mocking MongoDB client
+ * @module __tests__/unit/services/databaseFirstSeen
+ */
+
+describe( 'database cacheAct firstSeenAt - Unit Tests', () => {
+  let mockCollection;
+
+  beforeEach( async () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.useFakeTimers( {
+      'now': new Date( '2030-02-01T10:00:00.000Z' )
+    } );
+
+    // Set MONGODB_URI for tests
+    process.env.MONGODB_URI = 'mongodb://test:27017';
+
+    // Create mock collection
+    mockCollection = {
+      'findOne': jest.fn().mockResolvedValue( null ),
+      'updateOne': jest.fn().mockResolvedValue( { 'acknowledged': true } )
+    };
+
+    // Create mock database
+    const mockDb = {
+      'collection': jest.fn().mockReturnValue( mockCollection ),
+      'command': jest.fn().mockResolvedValue( { 'ok': 1 } )
+    };
+
+    // Mock MongoClient constructor
+    const mongodb = require( 'mongodb' );
+
+    mongodb.MongoClient = jest.fn().mockImplementation( () => ( {
+      'connect': jest.fn().mockResolvedValue(),
+      'close': jest.fn().mockResolvedValue(),
+      'db': jest.fn().mockReturnValue( mockDb )
+    } ) );
+
+    // Require database module AFTER mocking (sets up mf.database)
+    require( '../../../services/database' );
+    await mf.database.connect();
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    delete process.env.MONGODB_URI;
+  } );
+
+  /**
+   * Returns the document written by the first updateOne call
+   * @returns {object} Document passed to $set
+   */
+  const getWrittenDocument = () => mockCollection.updateOne.mock.calls[ 0 ][ 1 ].$set;
+
+  test( 'stamps all events of a new act', async () => {
+    await mf.database.cacheAct( {
+      '_id': 'test-id',
+      'events': [
+        {
+          'name': 'Act @ SO36',
+          'date': '2030-05-01'
+        }
+      ]
+    } );
+
+    expect( mockCollection.findOne ).toHaveBeenCalledWith(
+      { '_id': 'test-id' },
+      {
+        'projection': {
+          'events': 1,
+          'status': 1
+        }
+      }
+    );
+    expect( getWrittenDocument().events[ 0 ].firstSeenAt ).toBe( '2030-02-01T10:00:00.000Z' );
+  } );
+
+  test( 'keeps firstSeenAt of events already cached', async () => {
+    mockCollection.findOne.mockResolvedValue( {
+      '_id': 'test-id',
+      'events': [
+        {
+          'name': 'Act @ SO36',
+          'date': '2030-05-01',
+          'firstSeenAt': '2030-01-01T10:00:00.000Z'
+        }
+      ]
+    } );
+
+    await mf.database.cacheAct( {
+      '_id': 'test-id',
+      'events': [
+        {
+          'name': 'Act @ SO36',
+          'date': '2030-05-01'
+        },
+        {
+          'name': 'Act @ Conne Island',
+          'date': '2030-05-02'
+        }
+      ]
+    } );
+
+    expect( getWrittenDocument().events.map( ( event ) => event.firstSeenAt ) ).
+      toEqual( [ '2030-01-01T10:00:00.000Z', '2030-02-01T10:00:00.000Z' ] );
+  } );
+
+  test( 'does not read the cache for act data without events', async () => {
+    await mf.database.cacheAct( {
+      '_id': 'test-id',
+      'name': 'Test Artist'
+    } );
+
+    expect( mockCollection.findOne ).not.toHaveBeenCalled();
+    expect( getWrittenDocument() ).toEqual( {
+      '_id': 'test-id',
+      'name': 'Test Artist'
+    } );
+  } );
+} );
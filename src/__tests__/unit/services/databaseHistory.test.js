@@ -0,0 +1,223 @@
+/**
+ * Unit tests for databaseHistory module and change recording in cacheAct
+ * Tests business logic by mocking MongoDB client
+ * @module __tests__/unit/services/databaseHistory
+ */
+
+describe( 'databaseHistory - Unit Tests', () => {
+  let mockCollection;
+  let mockCursor;
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.useFakeTimers( {
+      'now': new Date( '2030-02-01T10:00:00.000Z' )
+    } );
+
+    // Set MONGODB_URI for tests
+    process.env.MONGODB_URI = 'mongodb://test:27017';
+
+    mockCursor = {
+      'sort': jest.fn().mockReturnThis(),
+      'limit': jest.fn().mockReturnThis(),
+      'toArray': jest.fn().mockResolvedValue( [] )
+    };
+
+    // Create mock collection
+    mockCollection = {
+      'find': jest.fn().mockReturnValue( mockCursor ),
+      'findOne': jest.fn().mockResolvedValue( null ),
+      'insertMany': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'updateOne': jest.fn().mockResolvedValue( { 'acknowledged': true } )
+    };
+
+    // Create mock database
+    const mockDb = {
+      'collection': jest.fn().mockReturnValue( mockCollection ),
+      'command': jest.fn().mockResolvedValue( { 'ok': 1 } )
+    };
+
+    // Mock MongoClient constructor
+    const mongodb = require( 'mongodb' );
+
+    mongodb.MongoClient = jest.fn().mockImplementation( () => ( {
+      'connect': jest.fn().mockResolvedValue(),
+      'close': jest.fn().mockResolvedValue(),
+      'db': jest.fn().mockReturnValue( mockDb )
+    } ) );
+
+    // Require database module AFTER mocking (sets up mf.database and mf.databaseHistory)
+    require( '../../../services/database' );
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    delete process.env.MONGODB_URI;
+  } );
+
+  const change = {
+    'type': 'added',
+    'event': {
+      'date': '2030-05-01'
+    },
+    'previous': null
+  };
+
+  describe( 'recordChanges', () => {
+    /**
+     * Test throws DB_029 when not connected
+     */
+    test( 'throws DB_029 error when client is null', async () => {
+      await expect( mf.databaseHistory.recordChanges( 'act-1', [ change ] ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_029)' );
+    } );
+
+    test( 'stores each change with act ID and detection time', async () => {
+      await mf.database.connect();
+      await mf.databaseHistory.recordChanges( 'act-1', [ change ] );
+
+      expect( mockCollection.insertMany ).toHaveBeenCalledWith( [
+        {
+          'actId': 'act-1',
+          'detectedAt': '2030-02-01T10:00:00.000Z',
+          ...change
+        }
+      ] );
+    } );
+
+    test( 'does not write without changes', async () => {
+      await mf.databaseHistory.recordChanges( 'act-1', [] );
+
+      expect( mockCollection.insertMany ).not.toHaveBeenCalled();
+    } );
+
+    /**
+     * Test throws DB_030 when insert not acknowledged
+     */
+    test( 'throws DB_030 error when insert is not acknowledged', async () => {
+      await mf.database.connect();
+      mockCollection.insertMany.mockResolvedValue( { 'acknowledged': false } );
+
+      await expect( mf.databaseHistory.recordChanges( 'act-1', [ change ] ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_030)' );
+    } );
+  } );
+
+  describe( 'getChanges', () => {
+    /**
+     * Test throws DB_031 when not connected
+     */
+    test( 'throws DB_031 error when client is null', async () => {
+      await expect( mf.databaseHistory.getChanges( 'act-1', null ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_031)' );
+    } );
+
+    test( 'returns changes after since, oldest first', async () => {
+      await mf.database.connect();
+      mockCursor.toArray.mockResolvedValue( [ change ] );
+
+      const result = await mf.databaseHistory.getChanges( 'act-1', '2030-01-01T00:00:00.000Z' );
+
+      expect( result ).toEqual( [ change ] );
+      expect( mockCollection.find ).toHaveBeenCalledWith(
+        {
+          'actId': 'act-1',
+          'detectedAt': { '$gt': '2030-01-01T00:00:00.000Z' }
+        },
+        {
+          'projection': {
+            '_id': 0,
+            'actId': 0
+          }
+        }
+      );
+      expect( mockCursor.sort ).toHaveBeenCalledWith( { 'detectedAt': 1 } );
+      expect( mockCursor.limit ).toHaveBeenCalledWith( 500 );
+    } );
+
+    test( 'returns all changes without since', async () => {
+      await mf.database.connect();
+      await mf.databaseHistory.getChanges( 'act-1', null );
+
+      expect( mockCollection.find.mock.calls[ 0 ][ 0 ] ).toEqual( { 'actId': 'act-1' } );
+    } );
+  } );
+
+  describe( 'cacheAct', () => {
+    const cachedEvent = {
+      'name': 'Act @ SO36',
+      'date': '2030-05-01',
+      'firstSeenAt': '2030-01-01T10:00:00.000Z'
+    };
+
+    test( 'records the event changes of a refreshed act', async () => {
+      await mf.database.connect();
+      mockCollection.findOne.mockResolvedValue( {
+        '_id': 'act-1',
+        'events': [ cachedEvent ]
+      } );
+
+      const refresh = await mf.database.cacheAct( {
+        '_id': 'act-1',
+        'events': []
+      } );
+
+      expect( refresh.changes.map( ( item ) => item.type ) ).toEqual( [ 'removed' ] );
+      expect( mockCollection.insertMany ).toHaveBeenCalledTimes( 1 );
+      expect( mockCollection.insertMany.mock.calls[ 0 ][ 0 ][ 0 ] ).toMatchObject( {
+        'actId': 'act-1',
+        'type': 'removed'
+      } );
+    } );
+
+    test( 'records nothing for a newly cached act', async () => {
+      await mf.database.connect();
+
+      await expect( mf.database.cacheAct( {
+        '_id': 'act-1',
+        'events': [ cachedEvent ]
+      } ) ).resolves.toBeNull();
+
+      expect( mockCollection.insertMany ).not.toHaveBeenCalled();
+    } );
+
+    test( 'returns the previous status of a refreshed act', async () => {
+      await mf.database.connect();
+      mockCollection.findOne.mockResolvedValue( {
+        '_id': 'act-1',
+        'status': 'on tour',
+        'events': [ cachedEvent ]
+      } );
+
+      await expect( mf.database.cacheAct( {
+        '_id': 'act-1',
+        'status': 'active',
+        'events': [ cachedEvent ]
+      } ) ).resolves.toEqual( {
+        'changes': [],
+        'previousStatus': 'on tour'
+      } );
+    } );
+
+    test( 'still caches the act when recording changes fails', async () => {
+      await mf.database.connect();
+      mockCollection.findOne.mockResolvedValue( {
+        '_id': 'act-1'
+      } );
+      mockCollection.insertMany.mockRejectedValue( new Error( 'Insert failed' ) );
+
+      await expect( mf.database.cacheAct( {
+        '_id': 'act-1',
+        'events': [ cachedEvent ]
+      } ) ).resolves.toMatchObject( {
+        'previousStatus': null
+      } );
+
+      expect( mockCollection.updateOne ).toHaveBeenCalledTimes( 2 );
+    } );
+  } );
+} );
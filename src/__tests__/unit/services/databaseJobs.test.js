@@ -0,0 +1,212 @@
+/**
+ * Unit tests for databaseJobs module
+ * Tests business logic by mocking MongoDB client
+ * @module __tests__/unit/services/databaseJobs
+ */
+
+describe( 'databaseJobs - Unit Tests', () => {
+  let mockCollection;
+  let mockCursor;
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+
+    // Set MONGODB_URI for tests
+    process.env.MONGODB_URI = 'mongodb://test:27017';
+
+    mockCursor = {
+      'sort': jest.fn().mockReturnThis(),
+      'toArray': jest.fn().mockResolvedValue( [] )
+    };
+
+    // Create mock collection
+    mockCollection = {
+      'find': jest.fn().mockReturnValue( mockCursor ),
+      'findOne': jest.fn().mockResolvedValue( null ),
+      'insertOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'updateOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'updateMany': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'createIndex': jest.fn().mockResolvedValue( 'index' )
+    };
+
+    // Create mock database
+    const mockDb = {
+      'collection': jest.fn().mockReturnValue( mockCollection ),
+      'command': jest.fn().mockResolvedValue( { 'ok': 1 } )
+    };
+
+    // Mock MongoClient constructor
+    const mongodb = require( 'mongodb' );
+
+    mongodb.MongoClient = jest.fn().mockImplementation( () => ( {
+      'connect': jest.fn().mockResolvedValue(),
+      'close': jest.fn().mockResolvedValue(),
+      'db': jest.fn().mockReturnValue( mockDb )
+    } ) );
+
+    // Require database module AFTER mocking (sets up mf.database and mf.databaseJobs)
+    require( '../../../services/database' );
+  } );
+
+  afterEach( () => {
+    delete process.env.MONGODB_URI;
+    jest.useRealTimers();
+  } );
+
+  const job = {
+    '_id': 'job-1',
+    'createdAt': '2030-01-01T00:00:00.000Z',
+    'completedAt': null,
+    'expiresAt': new Date( '2030-01-08T00:00:00.000Z' ),
+    'acts': [
+      {
+        'musicbrainzId': 'act-1',
+        'status': 'queued'
+      }
+    ]
+  };
+
+  test.each( [
+    [ 'createJob', () => mf.databaseJobs.createJob( job ), 'DB_057' ],
+    [ 'getJob', () => mf.databaseJobs.getJob( 'job-1' ), 'DB_059' ],
+    [ 'recordJobFetch', () => mf.databaseJobs.recordJobFetch( 'act-1', 'fetched', 1000 ), 'DB_060' ],
+    [ 'ensureJobIndexes', () => mf.databaseJobs.ensureJobIndexes(), 'DB_061' ],
+    [ 'recordImportEntry', () => mf.databaseJobs.recordImportEntry( 'job-1', 'missed', {} ), 'DB_062' ],
+    [ 'completeJob', () => mf.databaseJobs.completeJob( 'job-1', 1000 ), 'DB_063' ],
+    [ 'getRunningImports', () => mf.databaseJobs.getRunningImports(), 'DB_064' ]
+  ] )( '%s throws %s when client is null', async ( name, operation, errorCode ) => {
+    await expect( operation() ).
+      rejects.
+      toThrow( `Service temporarily unavailable. Please try again later. (Error: ${errorCode})` );
+  } );
+
+  describe( 'with connection', () => {
+    beforeEach( async () => {
+      await mf.database.connect();
+    } );
+
+    test( 'createJob stores the job', async () => {
+      await mf.databaseJobs.createJob( job );
+
+      expect( mockCollection.insertOne ).toHaveBeenCalledWith( job );
+    } );
+
+    /**
+     * Test throws DB_058 when insert not acknowledged
+     */
+    test( 'createJob throws DB_058 error when insert is not acknowledged', async () => {
+      mockCollection.insertOne.mockResolvedValue( { 'acknowledged': false } );
+
+      await expect( mf.databaseJobs.createJob( job ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_058)' );
+    } );
+
+    test( 'getJob finds a job by ID', async () => {
+      mockCollection.findOne.mockResolvedValue( job );
+
+      await expect( mf.databaseJobs.getJob( 'job-1' ) ).resolves.toEqual( job );
+      expect( mockCollection.findOne ).toHaveBeenCalledWith( { '_id': 'job-1' } );
+    } );
+
+    test( 'recordJobFetch sets the state of the act, then completes jobs without queued acts', async () => {
+      jest.useFakeTimers( {
+        'now': new Date( '2030-01-01T00:01:00.000Z' )
+      } );
+
+      await mf.databaseJobs.recordJobFetch( 'act-1', 'failed', 24 * 60 * 60 * 1000 );
+
+      expect( mockCollection.updateMany ).toHaveBeenNthCalledWith(
+        1,
+        {
+          'acts': {
+            '$elemMatch': {
+              'musicbrainzId': 'act-1',
+              'status': 'queued'
+            }
+          }
+        },
+        { '$set': { 'acts.$[act].status': 'failed' } },
+        {
+          'arrayFilters': [
+            {
+              'act.musicbrainzId': 'act-1',
+              'act.status': 'queued'
+            }
+          ]
+        }
+      );
+      expect( mockCollection.updateMany ).toHaveBeenNthCalledWith(
+        2,
+        {
+          'completedAt': null,
+          'acts.musicbrainzId': 'act-1',
+          'acts.status': { '$ne': 'queued' }
+        },
+        {
+          '$set': {
+            'completedAt': '2030-01-01T00:01:00.000Z',
+            'expiresAt': new Date( '2030-01-02T00:01:00.000Z' )
+          }
+        }
+      );
+    } );
+
+    test( 'recordImportEntry adds the entry to its list and counts it as resolved', async () => {
+      const item = {
+        'input': 'Nobody',
+        'reason': 'noMatch'
+      };
+
+      await mf.databaseJobs.recordImportEntry( 'job-1', 'missed', item );
+
+      expect( mockCollection.updateOne ).toHaveBeenCalledWith(
+        { '_id': 'job-1' },
+        {
+          '$push': { 'missed': item },
+          '$inc': { 'resolvedCount': 1 }
+        }
+      );
+    } );
+
+    test( 'completeJob completes the job and lets it expire after the retention time', async () => {
+      jest.useFakeTimers( {
+        'now': new Date( '2030-01-01T00:01:00.000Z' )
+      } );
+
+      await mf.databaseJobs.completeJob( 'job-1', 24 * 60 * 60 * 1000 );
+
+      expect( mockCollection.updateOne ).toHaveBeenCalledWith(
+        { '_id': 'job-1' },
+        {
+          '$set': {
+            'completedAt': '2030-01-01T00:01:00.000Z',
+            'expiresAt': new Date( '2030-01-02T00:01:00.000Z' )
+          }
+        }
+      );
+    } );
+
+    test( 'getRunningImports returns running import jobs, the oldest first', async () => {
+      mockCursor.toArray.mockResolvedValue( [ job ] );
+
+      await expect( mf.databaseJobs.getRunningImports() ).resolves.toEqual( [ job ] );
+      expect( mockCollection.find ).toHaveBeenCalledWith( {
+        'kind': 'import',
+        'completedAt': null
+      } );
+      expect( mockCursor.sort ).toHaveBeenCalledWith( { 'createdAt': 1 } );
+    } );
+
+    test( 'ensureJobIndexes creates the expiry and act indexes', async () => {
+      jest.spyOn( mf.logger, 'debug' ).mockImplementation();
+
+      await mf.databaseJobs.ensureJobIndexes();
+
+      expect( mockCollection.createIndex ).toHaveBeenCalledWith( { 'expiresAt': 1 }, { 'expireAfterSeconds': 0 } );
+      expect( mockCollection.createIndex ).toHaveBeenCalledWith( { 'acts.musicbrainzId': 1 } );
+      expect( mf.logger.debug ).toHaveBeenCalledWith( 'Ensured job indexes' );
+    } );
+  } );
+} );
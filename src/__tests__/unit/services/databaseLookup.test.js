@@ -0,0 +1,183 @@
+/**
+ * Unit tests for databaseLookup module
+ * Tests business logic by mocking MongoDB client
+ * @module __tests__/unit/services/databaseLookup
+ */
+
+describe( 'databaseLookup - Unit Tests', () => {
+  let mockClient;
+  let mockDb;
+  let mockCollection;
+  let mockToArray;
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+
+    // Set MONGODB_URI for tests
+    process.env.MONGODB_URI = 'mongodb://test:27017';
+
+    mockToArray = jest.fn().mockResolvedValue( [] );
+
+    // Create mock collection
+    mockCollection = {
+      'createIndex': jest.fn().mockResolvedValue( 'index' ),
+      'find': jest.fn().mockReturnValue( { 'toArray': mockToArray } ),
+      'findOne': jest.fn().mockResolvedValue( null )
+    };
+
+    // Create mock database
+    mockDb = {
+      'collection': jest.fn().mockReturnValue( mockCollection ),
+      'command': jest.fn().mockResolvedValue( { 'ok': 1 } )
+    };
+
+    // Create mock client
+    mockClient = {
+      'connect': jest.fn().mockResolvedValue(),
+      'close': jest.fn().mockResolvedValue(),
+      'db': jest.fn().mockReturnValue( mockDb )
+    };
+
+    // Mock MongoClient constructor
+    const mongodb = require( 'mongodb' );
+
+    mongodb.MongoClient = jest.fn().mockImplementation( () => mockClient );
+
+    // Require database module AFTER mocking (sets up mf.database and mf.databaseLookup)
+    require( '../../../services/database' );
+  } );
+
+  afterEach( () => {
+    delete process.env.MONGODB_URI;
+  } );
+
+  describe( 'getActsByNames', () => {
+    /**
+     * Test throws DB_028 when not connected
+     */
+    test( 'throws DB_028 error when client is null', async () => {
+      await expect( mf.databaseLookup.getActsByNames( [ 'Watain' ] ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_028)' );
+    } );
+
+    /**
+     * Test empty input short-circuits
+     */
+    test( 'returns empty array without querying for empty or invalid input', async () => {
+      await mf.database.connect();
+
+      expect( await mf.databaseLookup.getActsByNames( [] ) ).toEqual( [] );
+      expect( await mf.databaseLookup.getActsByNames( null ) ).toEqual( [] );
+      expect( mockCollection.find ).not.toHaveBeenCalled();
+    } );
+
+    /**
+     * Test query uses case-insensitive collation
+     */
+    test( 'queries acts by name with case-insensitive collation', async () => {
+      const acts = [
+        {
+          '_id': 'mbid-1',
+          'name': 'Watain'
+        }
+      ];
+
+      mockToArray.mockResolvedValue( acts );
+      await mf.database.connect();
+
+      const result = await mf.databaseLookup.getActsByNames( [ 'WATAIN', 'Alcest' ] );
+
+      expect( result ).toEqual( acts );
+      expect( mockDb.collection ).toHaveBeenCalledWith( 'acts' );
+      expect( mockCollection.find ).toHaveBeenCalledWith(
+        { 'name': { '$in': [ 'WATAIN', 'Alcest' ] } },
+        expect.objectContaining( {
+          'collation': {
+            'locale': 'en',
+            'strength': 1
+          }
+        } )
+      );
+    } );
+  } );
+
+  describe( 'getCachedActIds', () => {
+    /**
+     * Test throws DB_046 when not connected
+     */
+    test( 'throws DB_046 error when client is null', async () => {
+      await expect( mf.databaseLookup.getCachedActIds( [ 'mbid-1' ] ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_046)' );
+    } );
+
+    test( 'returns empty array without querying for no act IDs', async () => {
+      expect( await mf.databaseLookup.getCachedActIds( [] ) ).toEqual( [] );
+      expect( mockCollection.find ).not.toHaveBeenCalled();
+    } );
+
+    test( 'returns the IDs of the cached acts', async () => {
+      mockToArray.mockResolvedValue( [ { '_id': 'mbid-1' } ] );
+      await mf.database.connect();
+
+      const result = await mf.databaseLookup.getCachedActIds( [ 'mbid-1', 'mbid-2' ] );
+
+      expect( result ).toEqual( [ 'mbid-1' ] );
+      expect( mockCollection.find ).toHaveBeenCalledWith(
+        { '_id': { '$in': [ 'mbid-1', 'mbid-2' ] } },
+        { 'projection': { '_id': 1 } }
+      );
+    } );
+  } );
+
+  describe( 'getActIdByRelation', () => {
+    /**
+     * Test throws DB_047 when not connected
+     */
+    test( 'throws DB_047 error when client is null', async () => {
+      await expect( mf.databaseLookup.getActIdByRelation( 'discogs', 'https://www.discogs.com/artist/1' ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_047)' );
+    } );
+
+    test( 'returns the ID of the act linking to the URL', async () => {
+      mockCollection.findOne.mockResolvedValue( { '_id': 'mbid-1' } );
+      await mf.database.connect();
+
+      const result = await mf.databaseLookup.getActIdByRelation( 'discogs', 'https://www.discogs.com/artist/1' );
+
+      expect( result ).toBe( 'mbid-1' );
+      expect( mockCollection.findOne ).toHaveBeenCalledWith(
+        { 'relations.discogs': 'https://www.discogs.com/artist/1' },
+        { 'projection': { '_id': 1 } }
+      );
+    } );
+
+    test( 'returns null when no act links to the URL', async () => {
+      await mf.database.connect();
+
+      expect( await mf.databaseLookup.getActIdByRelation( 'discogs', 'https://www.discogs.com/artist/1' ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'ensureRelationIndexes', () => {
+    /**
+     * Test throws DB_048 when not connected
+     */
+    test( 'throws DB_048 error when client is null', async () => {
+      await expect( mf.databaseLookup.ensureRelationIndexes( [ 'discogs' ] ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_048)' );
+    } );
+
+    test( 'creates a sparse index per relation', async () => {
+      await mf.database.connect();
+      await mf.databaseLookup.ensureRelationIndexes( [ 'discogs', 'wikidata' ] );
+
+      expect( mockCollection.createIndex ).toHaveBeenCalledWith( { 'relations.discogs': 1 }, { 'sparse': true } );
+      expect( mockCollection.createIndex ).toHaveBeenCalledWith( { 'relations.wikidata': 1 }, { 'sparse': true } );
+    } );
+  } );
+} );
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for databaseNegativeCache module
+ * Tests business logic by mocking MongoDB client
+ * @module __tests__/unit/services/databaseNegativeCache
+ */
+
+describe( 'databaseNegativeCache - Unit Tests', () => {
+  let mockCollection;
+  let mockCursor;
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.useFakeTimers( {
+      'now': new Date( '2030-02-01T10:00:00.000Z' )
+    } );
+
+    // Set MONGODB_URI for tests
+    process.env.MONGODB_URI = 'mongodb://test:27017';
+
+    mockCursor = {
+      'toArray': jest.fn().mockResolvedValue( [] )
+    };
+
+    // Create mock collection
+    mockCollection = {
+      'find': jest.fn().mockReturnValue( mockCursor ),
+      'updateOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'createIndex': jest.fn().mockResolvedValue( 'index' )
+    };
+
+    // Create mock database
+    const mockDb = {
+      'collection': jest.fn().mockReturnValue( mockCollection ),
+      'command': jest.fn().mockResolvedValue( { 'ok': 1 } )
+    };
+
+    // Mock MongoClient constructor
+    const mongodb = require( 'mongodb' );
+
+    mongodb.MongoClient = jest.fn().mockImplementation( () => ( {
+      'connect': jest.fn().mockResolvedValue(),
+      'close': jest.fn().mockResolvedValue(),
+      'db': jest.fn().mockReturnValue( mockDb )
+    } ) );
+
+    // Require database module AFTER mocking (sets up mf.database and mf.databaseNegativeCache)
+    require( '../../../services/database' );
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    delete process.env.MONGODB_URI;
+  } );
+
+  describe( 'cacheNegativeResult', () => {
+    /**
+     * Test throws DB_040 when not connected
+     */
+    test( 'throws DB_040 error when client is null', async () => {
+      await expect( mf.databaseNegativeCache.cacheNegativeResult( 'act-1', 'notFound' ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_040)' );
+    } );
+
+    test.each( [
+      [ 'invalid', new Date( '2030-03-03T10:00:00.000Z' ) ],
+      [ 'notFound', new Date( '2030-02-02T10:00:00.000Z' ) ]
+    ] )( 'stores %s results with their own expiry', async ( reason, expiresAt ) => {
+      await mf.database.connect();
+      await mf.databaseNegativeCache.cacheNegativeResult( 'act-1', reason );
+
+      expect( mockCollection.updateOne ).toHaveBeenCalledWith(
+        { '_id': 'act-1' },
+        {
+          '$set': {
+            reason,
+            'cachedAt': '2030-02-01T10:00:00.000Z',
+            expiresAt
+          }
+        },
+        { 'upsert': true }
+      );
+    } );
+
+    /**
+     * Test throws DB_041 when update not acknowledged
+     */
+    test( 'throws DB_041 error when update is not acknowledged', async () => {
+      await mf.database.connect();
+      mockCollection.updateOne.mockResolvedValue( { 'acknowledged': false } );
+
+      await expect( mf.databaseNegativeCache.cacheNegativeResult( 'act-1', 'notFound' ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_041)' );
+    } );
+  } );
+
+  describe( 'getNegativeResults', () => {
+    /**
+     * Test throws DB_042 when not connected
+     */
+    test( 'throws DB_042 error when client is null', async () => {
+      await expect( mf.databaseNegativeCache.getNegativeResults( [ 'act-1' ] ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_042)' );
+    } );
+
+    test( 'returns unexpired results of the requested act IDs', async () => {
+      await mf.database.connect();
+      mockCursor.toArray.mockResolvedValue( [
+        {
+          '_id': 'act-1',
+          'reason': 'notFound',
+          'cachedAt': '2030-02-01T09:00:00.000Z',
+          'expiresAt': new Date( '2030-02-02T09:00:00.000Z' )
+        }
+      ] );
+
+      const result = await mf.databaseNegativeCache.getNegativeResults( [ 'act-1', 'act-3' ] );
+
+      expect( mockCollection.find ).toHaveBeenCalledWith( {
+        '_id': { '$in': [ 'act-1', 'act-3' ] },
+        'expiresAt': { '$gt': new Date( '2030-02-01T10:00:00.000Z' ) }
+      } );
+      expect( result ).toEqual( [
+        {
+          'musicbrainzId': 'act-1',
+          'reason': 'notFound',
+          'expiresAt': new Date( '2030-02-02T09:00:00.000Z' )
+        }
+      ] );
+    } );
+
+    test( 'does not query without act IDs', async () => {
+      await expect( mf.databaseNegativeCache.getNegativeResults( [] ) ).resolves.toEqual( [] );
+      expect( mockCollection.find ).not.toHaveBeenCalled();
+    } );
+  } );
+
+  describe( 'ensureNegativeCacheIndexes', () => {
+    /**
+     * Test throws DB_065 when not connected
+     */
+    test( 'throws DB_065 error when client is null', async () => {
+      await expect( mf.databaseNegativeCache.ensureNegativeCacheIndexes() ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_065)' );
+    } );
+
+    test( 'lets MongoDB remove expired results', async () => {
+      jest.spyOn( mf.logger, 'debug' ).mockImplementation();
+      await mf.database.connect();
+      await mf.databaseNegativeCache.ensureNegativeCacheIndexes();
+
+      expect( mockCollection.createIndex ).toHaveBeenCalledWith( { 'expiresAt': 1 }, { 'expireAfterSeconds': 0 } );
+      expect( mf.logger.debug ).toHaveBeenCalledWith( 'Ensured negative cache indexes' );
+    } );
+  } );
+} );
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for databaseQueue module
+ * Tests business logic by mocking MongoDB client
+ * @module __tests__/unit/services/databaseQueue
+ */
+
+describe( 'databaseQueue - Unit Tests', () => {
+  let mockCollection;
+  let mockCursor;
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.useFakeTimers( {
+      'now': new Date( '2030-02-01T10:00:00.000Z' )
+    } );
+
+    // Set MONGODB_URI for tests
+    process.env.MONGODB_URI = 'mongodb://test:27017';
+
+    mockCursor = {
+      'sort': jest.fn().mockReturnThis(),
+      'toArray': jest.fn().mockResolvedValue( [] )
+    };
+
+    // Create mock collection
+    mockCollection = {
+      'bulkWrite': jest.fn().mockResolvedValue( { 'ok': 1 } ),
+      'deleteOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'find': jest.fn().mockReturnValue( mockCursor ),
+      'updateOne': jest.fn().mockResolvedValue( { 'acknowledged': true } )
+    };
+
+    // Create mock database
+    const mockDb = {
+      'collection': jest.fn().mockReturnValue( mockCollection ),
+      'command': jest.fn().mockResolvedValue( { 'ok': 1 } )
+    };
+
+    // Mock MongoClient constructor
+    const mongodb = require( 'mongodb' );
+
+    mongodb.MongoClient = jest.fn().mockImplementation( () => ( {
+      'connect': jest.fn().mockResolvedValue(),
+      'close': jest.fn().mockResolvedValue(),
+      'db': jest.fn().mockReturnValue( mockDb )
+    } ) );
+
+    // Require database module AFTER mocking (sets up mf.database and mf.databaseQueue)
+    require( '../../../services/database' );
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    delete process.env.MONGODB_URI;
+  } );
+
+  describe( 'enqueueActs', () => {
+    /**
+     * Test throws DB_049 when not connected
+     */
+    test( 'throws DB_049 error when client is null', async () => {
+      await expect( mf.databaseQueue.enqueueActs( [ 'act-1' ], null, 'refresh' ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_049)' );
+    } );
+
+    test( 'stores new acts, acts queued already keep their enqueue time but get the priority and no attempts', async () => {
+      await mf.database.connect();
+      await mf.databaseQueue.enqueueActs( [ 'act-1', 'act-2' ], 'req-1', 'interactive' );
+
+      const [ [ operations, options ] ] = mockCollection.bulkWrite.mock.calls;
+
+      expect( operations ).toHaveLength( 2 );
+      expect( operations[ 1 ] ).toEqual( {
+        'updateOne': {
+          'filter': { '_id': 'act-2' },
+          'update': {
+            '$setOnInsert': {
+              'enqueuedAt': '2030-02-01T10:00:00.000Z',
+              'correlationId': 'req-1'
+            },
+            '$set': {
+              'attempts': 0,
+              'priority': 'interactive'
+            }
+          },
+          'upsert': true
+        }
+      } );
+      expect( options ).toEqual( { 'ordered': false } );
+    } );
+
+    test( 'does not write without act IDs', async () => {
+      await mf.databaseQueue.enqueueActs( [], null, 'refresh' );
+
+      expect( mockCollection.bulkWrite ).not.toHaveBeenCalled();
+    } );
+  } );
+
+  describe( 'recordAttempt', () => {
+    /**
+     * Test throws DB_050 when not connected
+     */
+    test( 'throws DB_050 error when client is null', async () => {
+      await expect( mf.databaseQueue.recordAttempt( 'act-1' ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_050)' );
+    } );
+
+    test( 'counts the attempt', async () => {
+      await mf.database.connect();
+      await mf.databaseQueue.recordAttempt( 'act-1' );
+
+      expect( mockCollection.updateOne ).toHaveBeenCalledWith(
+        { '_id': 'act-1' },
+        { '$inc': { 'attempts': 1 } }
+      );
+    } );
+
+    /**
+     * Test throws DB_051 when update not acknowledged
+     */
+    test( 'throws DB_051 error when update is not acknowledged', async () => {
+      await mf.database.connect();
+      mockCollection.updateOne.mockResolvedValue( { 'acknowledged': false } );
+
+      await expect( mf.databaseQueue.recordAttempt( 'act-1' ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_051)' );
+    } );
+  } );
+
+  describe( 'dequeueAct', () => {
+    /**
+     * Test throws DB_052 when not connected
+     */
+    test( 'throws DB_052 error when client is null', async () => {
+      await expect( mf.databaseQueue.dequeueAct( 'act-1' ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_052)' );
+    } );
+
+    test( 'removes the act', async () => {
+      await mf.database.connect();
+      await mf.databaseQueue.dequeueAct( 'act-1' );
+
+      expect( mockCollection.deleteOne ).toHaveBeenCalledWith( { '_id': 'act-1' } );
+    } );
+  } );
+
+  describe( 'getQueuedActs', () => {
+    /**
+     * Test throws DB_053 when not connected
+     */
+    test( 'throws DB_053 error when client is null', async () => {
+      await expect( mf.databaseQueue.getQueuedActs() ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_053)' );
+    } );
+
+    test( 'returns the queued acts oldest first', async () => {
+      const entries = [
+        {
+          '_id': 'act-1',
+          'enqueuedAt': '2030-02-01T09:00:00.000Z',
+          'attempts': 1,
+          'correlationId': 'req-1'
+        }
+      ];
+
+      await mf.database.connect();
+      mockCursor.toArray.mockResolvedValue( entries );
+
+      await expect( mf.databaseQueue.getQueuedActs() ).resolves.toEqual( entries );
+      expect( mockCollection.find ).toHaveBeenCalledWith( {} );
+      expect( mockCursor.sort ).toHaveBeenCalledWith( { 'enqueuedAt': 1 } );
+    } );
+  } );
+} );
@@ -0,0 +1,227 @@
+/**
+ * Unit tests for databaseSubscriptions module
+ * Tests business logic by mocking MongoDB client
+ * @module __tests__/unit/services/databaseSubscriptions
+ */
+
+describe( 'databaseSubscriptions - Unit Tests', () => {
+  let mockCollection;
+  let mockCursor;
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+
+    // Set MONGODB_URI for tests
+    process.env.MONGODB_URI = 'mongodb://test:27017';
+
+    mockCursor = {
+      'sort': jest.fn().mockReturnThis(),
+      'limit': jest.fn().mockReturnThis(),
+      'toArray': jest.fn().mockResolvedValue( [] )
+    };
+
+    // Create mock collection
+    mockCollection = {
+      'find': jest.fn().mockReturnValue( mockCursor ),
+      'findOne': jest.fn().mockResolvedValue( null ),
+      'insertOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'replaceOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'deleteOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'deleteMany': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'createIndex': jest.fn().mockResolvedValue( 'index' )
+    };
+
+    // Create mock database
+    const mockDb = {
+      'collection': jest.fn().mockReturnValue( mockCollection ),
+      'command': jest.fn().mockResolvedValue( { 'ok': 1 } )
+    };
+
+    // Mock MongoClient constructor
+    const mongodb = require( 'mongodb' );
+
+    mongodb.MongoClient = jest.fn().mockImplementation( () => ( {
+      'connect': jest.fn().mockResolvedValue(),
+      'close': jest.fn().mockResolvedValue(),
+      'db': jest.fn().mockReturnValue( mockDb )
+    } ) );
+
+    // Require database module AFTER mocking (sets up mf.database and mf.databaseSubscriptions)
+    require( '../../../services/database' );
+  } );
+
+  afterEach( () => {
+    delete process.env.MONGODB_URI;
+  } );
+
+  const subscription = {
+    '_id': 'sub-1',
+    'callbackUrl': 'https://hooks.example.com/music',
+    'actIds': [ 'act-1' ],
+    'secret': 'top-secret',
+    'createdAt': '2030-01-01T00:00:00.000Z'
+  };
+
+  test.each( [
+    [ 'createSubscription', () => mf.databaseSubscriptions.createSubscription( subscription ), 'DB_032' ],
+    [ 'getSubscription', () => mf.databaseSubscriptions.getSubscription( 'sub-1' ), 'DB_034' ],
+    [ 'deleteSubscription', () => mf.databaseSubscriptions.deleteSubscription( 'sub-1' ), 'DB_035' ],
+    [ 'getSubscriptionsForAct', () => mf.databaseSubscriptions.getSubscriptionsForAct( 'act-1' ), 'DB_037' ],
+    [ 'logDelivery', () => mf.databaseSubscriptions.logDelivery( { 'subscriptionId': 'sub-1' } ), 'DB_038' ],
+    [ 'getDeliveries', () => mf.databaseSubscriptions.getDeliveries( 'sub-1' ), 'DB_039' ],
+    [ 'scheduleRetry', () => mf.databaseSubscriptions.scheduleRetry( { '_id': 'delivery-1' } ), 'DB_054' ],
+    [ 'getDueRetries', () => mf.databaseSubscriptions.getDueRetries( '2030-01-01T00:00:00.000Z', 20 ), 'DB_055' ],
+    [ 'deleteRetry', () => mf.databaseSubscriptions.deleteRetry( 'delivery-1' ), 'DB_056' ],
+    [ 'ensureDeliveryIndexes', () => mf.databaseSubscriptions.ensureDeliveryIndexes(), 'DB_068' ]
+  ] )( '%s throws %s when client is null', async ( name, operation, errorCode ) => {
+    await expect( operation() ).
+      rejects.
+      toThrow( `Service temporarily unavailable. Please try again later. (Error: ${errorCode})` );
+  } );
+
+  describe( 'with connection', () => {
+    beforeEach( async () => {
+      await mf.database.connect();
+    } );
+
+    test( 'createSubscription stores the subscription', async () => {
+      await mf.databaseSubscriptions.createSubscription( subscription );
+
+      expect( mockCollection.insertOne ).toHaveBeenCalledWith( subscription );
+    } );
+
+    /**
+     * Test throws DB_033 when insert not acknowledged
+     */
+    test( 'createSubscription throws DB_033 error when insert is not acknowledged', async () => {
+      mockCollection.insertOne.mockResolvedValue( { 'acknowledged': false } );
+
+      await expect( mf.databaseSubscriptions.createSubscription( subscription ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_033)' );
+    } );
+
+    test( 'getSubscription finds a subscription by ID', async () => {
+      mockCollection.findOne.mockResolvedValue( subscription );
+
+      await expect( mf.databaseSubscriptions.getSubscription( 'sub-1' ) ).resolves.toEqual( subscription );
+      expect( mockCollection.findOne ).toHaveBeenCalledWith( { '_id': 'sub-1' } );
+    } );
+
+    test( 'deleteSubscription deletes the subscription, its delivery log and its pending retries', async () => {
+      await mf.databaseSubscriptions.deleteSubscription( 'sub-1' );
+
+      expect( mockCollection.deleteOne ).toHaveBeenCalledWith( { '_id': 'sub-1' } );
+      expect( mockCollection.deleteMany ).toHaveBeenCalledTimes( 2 );
+      expect( mockCollection.deleteMany ).toHaveBeenCalledWith( { 'subscriptionId': 'sub-1' } );
+    } );
+
+    /**
+     * Test throws DB_036 when delete not acknowledged
+     */
+    test( 'deleteSubscription throws DB_036 error when delete is not acknowledged', async () => {
+      mockCollection.deleteOne.mockResolvedValue( { 'acknowledged': false } );
+
+      await expect( mf.databaseSubscriptions.deleteSubscription( 'sub-1' ) ).
+        rejects.
+        toThrow( 'Service temporarily unavailable. Please try again later. (Error: DB_036)' );
+    } );
+
+    test.each( [
+      [ 'DB_066', 'the delivery log', 1 ],
+      [ 'DB_067', 'the pending retries', 2 ]
+    ] )( 'deleteSubscription throws %s error when %s cannot be reached', async ( errorCode, _, reachedCollections ) => {
+      const { getDatabase } = mf.database;
+      let calls = 0;
+
+      jest.spyOn( mf.database, 'getDatabase' ).mockImplementation( ( name ) => {
+        calls++;
+
+        if ( calls > reachedCollections ) {
+          throw new Error( 'Database not connected' );
+        }
+
+        return getDatabase( name );
+      } );
+
+      await expect( mf.databaseSubscriptions.deleteSubscription( 'sub-1' ) ).
+        rejects.
+        toThrow( `Service temporarily unavailable. Please try again later. (Error: ${errorCode})` );
+    } );
+
+    test( 'getSubscriptionsForAct finds subscriptions including the act', async () => {
+      mockCursor.toArray.mockResolvedValue( [ subscription ] );
+
+      await expect( mf.databaseSubscriptions.getSubscriptionsForAct( 'act-1' ) ).resolves.toEqual( [ subscription ] );
+      expect( mockCollection.find ).toHaveBeenCalledWith(
+        { 'actIds': 'act-1' },
+        {
+          'projection': {
+            '_id': 1,
+            'callbackUrl': 1,
+            'secret': 1
+          }
+        }
+      );
+    } );
+
+    test( 'logDelivery stores the delivery attempt with its creation date for expiry', async () => {
+      const entry = {
+        'subscriptionId': 'sub-1',
+        'attempt': 1
+      };
+
+      await mf.databaseSubscriptions.logDelivery( entry );
+
+      expect( mockCollection.insertOne ).toHaveBeenCalledWith( {
+        ...entry,
+        'createdAt': expect.any( Date )
+      } );
+    } );
+
+    test( 'ensureDeliveryIndexes lets MongoDB remove delivery log entries after 7 days', async () => {
+      jest.spyOn( mf.logger, 'debug' ).mockImplementation();
+
+      await mf.databaseSubscriptions.ensureDeliveryIndexes();
+
+      expect( mockCollection.createIndex ).toHaveBeenCalledWith( { 'createdAt': 1 }, { 'expireAfterSeconds': 604800 } );
+      expect( mf.logger.debug ).toHaveBeenCalledWith( 'Ensured delivery indexes' );
+    } );
+
+    test( 'getDeliveries returns the latest attempts first', async () => {
+      await mf.databaseSubscriptions.getDeliveries( 'sub-1' );
+
+      expect( mockCollection.find.mock.calls[ 0 ][ 0 ] ).toEqual( { 'subscriptionId': 'sub-1' } );
+      expect( mockCursor.sort ).toHaveBeenCalledWith( { 'timestamp': -1 } );
+      expect( mockCursor.limit ).toHaveBeenCalledWith( 100 );
+    } );
+
+    test( 'scheduleRetry stores the retry, replacing an earlier one of the delivery', async () => {
+      const retry = {
+        '_id': 'delivery-1',
+        'subscriptionId': 'sub-1',
+        'attempt': 2,
+        'nextAttemptAt': '2030-01-01T00:00:30.000Z'
+      };
+
+      await mf.databaseSubscriptions.scheduleRetry( retry );
+
+      expect( mockCollection.replaceOne ).toHaveBeenCalledWith( { '_id': 'delivery-1' }, retry, { 'upsert': true } );
+    } );
+
+    test( 'getDueRetries returns due retries, the longest overdue first', async () => {
+      await mf.databaseSubscriptions.getDueRetries( '2030-01-01T00:00:00.000Z', 20 );
+
+      expect( mockCollection.find ).toHaveBeenCalledWith( { 'nextAttemptAt': { '$lte': '2030-01-01T00:00:00.000Z' } } );
+      expect( mockCursor.sort ).toHaveBeenCalledWith( { 'nextAttemptAt': 1 } );
+      expect( mockCursor.limit ).toHaveBeenCalledWith( 20 );
+    } );
+
+    test( 'deleteRetry removes the retry of a delivery', async () => {
+      await mf.databaseSubscriptions.deleteRetry( 'delivery-1' );
+
+      expect( mockCollection.deleteOne ).toHaveBeenCalledWith( { '_id': 'delivery-1' } );
+    } );
+  } );
+} );
@@ -0,0 +1,161 @@
+/**
+ * Unit tests for eventDiff module
+ * @module __tests__/unit/services/eventDiff
+ */
+
+require( '../../../services/eventDiff' );
+
+/**
+ * Builds an event in unified schema
+ * @param {string} date - Event date (YYYY-MM-DD)
+ * @param {string} venue - Venue name
+ * @param {string} [status] - Event status
+ * @returns {object} Event
+ */
+const buildEvent = ( date, venue, status = 'scheduled' ) => ( {
+  'name': `Act @ ${venue}`,
+  date,
+  status,
+  'location': {
+    'name': venue,
+    'address': {
+      'locality': 'Berlin'
+    }
+  }
+} );
+
+describe( 'eventDiff', () => {
+  describe( 'summarize', () => {
+    test( 'keeps the fields a change record needs', () => {
+      expect( mf.testing.eventDiff.summarize( {
+        ...buildEvent( '2030-05-01', 'SO36' ),
+        'url': 'https://example.com/1',
+        'offers': []
+      } ) ).toEqual( {
+        'name': 'Act @ SO36',
+        'date': '2030-05-01',
+        'venue': 'SO36',
+        'locality': 'Berlin',
+        'status': 'scheduled',
+        'url': 'https://example.com/1'
+      } );
+    } );
+
+    test( 'uses null for missing fields', () => {
+      expect( mf.testing.eventDiff.summarize( {} ) ).toEqual( {
+        'name': null,
+        'date': null,
+        'venue': null,
+        'locality': null,
+        'status': null,
+        'url': null
+      } );
+    } );
+  } );
+
+  describe( 'pairBy', () => {
+    test( 'pairs events once and removes them from both lists', () => {
+      const before = [ 'a1', 'b1', 'a2' ];
+      const after = [ 'a3', 'c1' ];
+
+      expect( mf.testing.eventDiff.pairBy( before, after, ( item ) => item[ 0 ] ) ).toEqual( [ [ 'a1', 'a3' ] ] );
+      expect( before ).toEqual( [ 'b1', 'a2' ] );
+      expect( after ).toEqual( [ 'c1' ] );
+    } );
+
+    test( 'never pairs events with empty keys', () => {
+      expect( mf.testing.eventDiff.pairBy( [ 'x' ], [ 'y' ], () => '' ) ).toEqual( [] );
+    } );
+  } );
+
+  describe( 'diffEvents', () => {
+    test( 'returns no changes for unchanged events', () => {
+      const events = [ buildEvent( '2030-05-01', 'SO36' ) ];
+
+      expect( mf.eventDiff.diffEvents( events, [ { ...events[ 0 ] } ] ) ).toEqual( [] );
+    } );
+
+    test( 'detects added and removed events', () => {
+      const changes = mf.eventDiff.diffEvents(
+        [ buildEvent( '2030-05-01', 'SO36' ) ],
+        [ buildEvent( '2030-06-01', 'Columbiahalle' ) ]
+      );
+
+      expect( changes.map( ( change ) => change.type ) ).toEqual( [ 'removed', 'added' ] );
+      expect( changes[ 0 ].event.venue ).toBe( 'SO36' );
+      expect( changes[ 0 ].previous ).toBeNull();
+      expect( changes[ 1 ].event.venue ).toBe( 'Columbiahalle' );
+    } );
+
+    test( 'detects rescheduled events at the same venue', () => {
+      const [ change ] = mf.eventDiff.diffEvents(
+        [ buildEvent( '2030-05-01', 'SO36' ) ],
+        [ buildEvent( '2030-05-08', 'SO36' ) ]
+      );
+
+      expect( change.type ).toBe( 'rescheduled' );
+      expect( change.previous.date ).toBe( '2030-05-01' );
+      expect( change.event.date ).toBe( '2030-05-08' );
+    } );
+
+    test( 'detects venue changes on the same date', () => {
+      const [ change ] = mf.eventDiff.diffEvents(
+        [ buildEvent( '2030-05-01', 'SO36' ) ],
+        [ buildEvent( '2030-05-01', 'Columbiahalle' ) ]
+      );
+
+      expect( change.type ).toBe( 'venueChanged' );
+      expect( change.previous.venue ).toBe( 'SO36' );
+      expect( change.event.venue ).toBe( 'Columbiahalle' );
+    } );
+
+    test( 'detects cancellations once', () => {
+      const cancelled = buildEvent( '2030-05-01', 'SO36', 'cancelled' );
+
+      expect( mf.eventDiff.diffEvents( [ buildEvent( '2030-05-01', 'SO36' ) ], [ cancelled ] ).map( ( change ) => change.type ) ).
+        toEqual( [ 'cancelled' ] );
+      expect( mf.eventDiff.diffEvents( [ cancelled ], [ cancelled ] ) ).toEqual( [] );
+    } );
+
+    test( 'reports all events of a new act as added and of a dropped tour as removed', () => {
+      const events = [ buildEvent( '2030-05-01', 'SO36' ), buildEvent( '2030-05-02', 'Columbiahalle' ) ];
+
+      expect( mf.eventDiff.diffEvents( [], events ).map( ( change ) => change.type ) ).toEqual( [ 'added', 'added' ] );
+      expect( mf.eventDiff.diffEvents( events, [] ).map( ( change ) => change.type ) ).toEqual( [ 'removed', 'removed' ] );
+    } );
+
+    test( 'does not report past events that dropped out of the fetch as removed', () => {
+      jest.useFakeTimers( {
+        'now': new Date( '2030-05-10T12:00:00.000Z' )
+      } );
+
+      const changes = mf.eventDiff.diffEvents( [ buildEvent( '2030-05-09', 'SO36' ), buildEvent( '2030-05-20', 'Columbiahalle' ) ], [] );
+
+      jest.useRealTimers();
+
+      expect( changes ).toHaveLength( 1 );
+      expect( changes[ 0 ] ).toMatchObject( {
+        'type': 'removed',
+        'event': {
+          'venue': 'Columbiahalle'
+        }
+      } );
+    } );
+  } );
+
+  describe( 'isPast', () => {
+    const now = Date.parse( '2030-05-10T23:30:00.000Z' );
+
+    test( 'compares with today in the event timezone', () => {
+      expect( mf.testing.eventDiff.isPast( {
+        'date': '2030-05-10',
+        'timeZone': 'Europe/Berlin'
+      }, now ) ).toBe( true );
+      expect( mf.testing.eventDiff.isPast( { 'date': '2030-05-10' }, now ) ).toBe( false );
+    } );
+
+    test( 'never treats events without date as past', () => {
+      expect( mf.testing.eventDiff.isPast( {}, now ) ).toBe( false );
+    } );
+  } );
+} );
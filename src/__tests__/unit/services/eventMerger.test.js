@@ -0,0 +1,356 @@
+/**
+ * Unit tests for eventMerger module
+ * @module __tests__/unit/services/eventMerger
+ */
+
+require( '../../../services/eventMerger' );
+
+/**
+ * Builds an event in unified schema
+ * @param {object} overrides - Fields to override
+ * @returns {object} Event object
+ */
+const buildEvent = ( overrides = {} ) => ( {
+  'name': 'Vulvodynia @ O2 Academy Islington',
+  'date': '2030-05-01',
+  'localTime': '',
+  'location': {
+    'address': 'London, United Kingdom',
+    'geo': {
+      'lat': 51.5343501,
+      'lon': -0.1058837
+    }
+  },
+  ...overrides
+} );
+
+describe( 'eventMerger', () => {
+  describe( 'normalizeText', () => {
+    test( 'lowercases and strips diacritics and punctuation', () => {
+      expect( mf.testing.eventMerger.normalizeText( 'Refshaleøen, Köln-Süd!' ) ).toBe( 'refshaleøenkolnsud' );
+    } );
+
+    test( 'returns empty string for non-string input', () => {
+      expect( mf.testing.eventMerger.normalizeText( null ) ).toBe( '' );
+    } );
+  } );
+
+  describe( 'getVenueKey', () => {
+    test( 'extracts venue from "Act @ Venue" names', () => {
+      expect( mf.testing.eventMerger.getVenueKey( buildEvent() ) ).toBe( 'o2academyislington' );
+    } );
+
+    test( 'returns empty string when name has no venue', () => {
+      expect( mf.testing.eventMerger.getVenueKey( buildEvent( { 'name': 'Summer Festival' } ) ) ).toBe( '' );
+    } );
+
+    test( 'returns empty string when name is missing', () => {
+      expect( mf.testing.eventMerger.getVenueKey( {} ) ).toBe( '' );
+    } );
+
+    test( 'prefers the venue name over the event name', () => {
+      const event = buildEvent( {
+        'location': {
+          'name': 'Islington Academy'
+        }
+      } );
+
+      expect( mf.testing.eventMerger.getVenueKey( event ) ).toBe( 'islingtonacademy' );
+    } );
+  } );
+
+  describe( 'getEventKey', () => {
+    test( 'combines date and venue regardless of provider naming', () => {
+      const songkick = {
+        'name': 'Act @ O2 Academy Islington',
+        'date': '2030-05-01',
+        'location': {
+          'name': 'O2 Academy Islington'
+        }
+      };
+      const bandsintown = {
+        'name': 'Act live at O2 Academy Islington',
+        'date': '2030-05-01',
+        'location': {
+          'name': 'O2 Academy Islington'
+        }
+      };
+
+      expect( mf.eventMerger.getEventKey( songkick ) ).toBe( '2030-05-01|o2academyislington' );
+      expect( mf.eventMerger.getEventKey( bandsintown ) ).toBe( mf.eventMerger.getEventKey( songkick ) );
+    } );
+
+    test( 'falls back to the event name without venue', () => {
+      expect( mf.eventMerger.getEventKey( {
+        'name': 'Secret Show',
+        'date': '2030-05-01'
+      } ) ).toBe( '2030-05-01|secretshow' );
+    } );
+  } );
+
+  describe( 'getEventId', () => {
+    const show = {
+      'name': 'Act @ SO36',
+      'date': '2030-05-01'
+    };
+
+    test( 'returns a stable hex ID per act and show', () => {
+      expect( mf.eventMerger.getEventId( 'id-a', show ) ).toMatch( /^[0-9a-f]{40}$/u );
+      expect( mf.eventMerger.getEventId( 'id-a', { ...show } ) ).toBe( mf.eventMerger.getEventId( 'id-a', show ) );
+      expect( mf.eventMerger.getEventId( 'id-b', show ) ).not.toBe( mf.eventMerger.getEventId( 'id-a', show ) );
+    } );
+  } );
+
+  describe( 'carryFirstSeenAt', () => {
+    const cachedShow = {
+      'name': 'Act @ SO36',
+      'date': '2030-05-01',
+      'firstSeenAt': '2030-01-01T10:00:00.000Z'
+    };
+
+    test( 'keeps firstSeenAt of known shows and stamps new shows', () => {
+      const result = mf.eventMerger.carryFirstSeenAt( [
+        {
+          'name': 'Act @ SO36',
+          'date': '2030-05-01',
+          'url': 'https://example.com/new-url'
+        },
+        {
+          'name': 'Act @ Conne Island',
+          'date': '2030-05-02'
+        }
+      ], [ cachedShow ], '2030-02-01T10:00:00.000Z' );
+
+      expect( result.map( ( event ) => event.firstSeenAt ) ).toEqual( [ '2030-01-01T10:00:00.000Z', '2030-02-01T10:00:00.000Z' ] );
+      expect( result[ 0 ].url ).toBe( 'https://example.com/new-url' );
+    } );
+
+    test( 'stamps cached shows that were never stamped', () => {
+      const unstampedShow = {
+        ...cachedShow,
+        'firstSeenAt': null
+      };
+      const result = mf.eventMerger.carryFirstSeenAt( [ unstampedShow ], [ unstampedShow ], '2030-02-01T10:00:00.000Z' );
+
+      expect( result[ 0 ].firstSeenAt ).toBe( '2030-02-01T10:00:00.000Z' );
+    } );
+  } );
+
+  describe( 'pickStatus', () => {
+    test( 'prefers cancelled and postponed over scheduled', () => {
+      expect( mf.testing.eventMerger.pickStatus( 'scheduled', 'cancelled' ) ).toBe( 'cancelled' );
+      expect( mf.testing.eventMerger.pickStatus( 'postponed', 'scheduled' ) ).toBe( 'postponed' );
+      expect( mf.testing.eventMerger.pickStatus( 'postponed', 'cancelled' ) ).toBe( 'cancelled' );
+    } );
+
+    test( 'ignores unknown statuses', () => {
+      expect( mf.testing.eventMerger.pickStatus( null, 'scheduled' ) ).toBe( 'scheduled' );
+      expect( mf.testing.eventMerger.pickStatus( 'scheduled', 'unknown' ) ).toBe( 'scheduled' );
+    } );
+  } );
+
+  describe( 'isSameEvent', () => {
+    test( 'matches events on the same date within geo radius', () => {
+      const songkickEvent = buildEvent( {
+        'name': 'Vulvodynia @ Islington Academy',
+        'location': {
+          'geo': {
+            'lat': 51.535,
+            'lon': -0.104
+          }
+        }
+      } );
+
+      expect( mf.testing.eventMerger.isSameEvent( buildEvent(), songkickEvent ) ).toBe( true );
+    } );
+
+    test( 'matches events on the same date with same venue but without geo', () => {
+      const withoutGeo = buildEvent( {
+        'name': 'Vulvodynia @ O2 Academy',
+        'location': { 'geo': null }
+      } );
+
+      expect( mf.testing.eventMerger.isSameEvent( buildEvent(), withoutGeo ) ).toBe( true );
+    } );
+
+    test( 'does not match events without geo when a venue is unknown', () => {
+      const withoutVenue = buildEvent( {
+        'name': 'Summer Festival',
+        'location': { 'geo': null }
+      } );
+
+      expect( mf.testing.eventMerger.isSameEvent( buildEvent(), withoutVenue ) ).toBe( false );
+    } );
+
+    test( 'does not match events on different dates', () => {
+      expect( mf.testing.eventMerger.isSameEvent( buildEvent(), buildEvent( { 'date': '2030-05-02' } ) ) ).toBe( false );
+    } );
+
+    test( 'does not match events without date', () => {
+      expect( mf.testing.eventMerger.isSameEvent( buildEvent( { 'date': '' } ), buildEvent( { 'date': '' } ) ) ).toBe( false );
+    } );
+
+    test( 'does not match different venues of the same city', () => {
+      const otherVenue = buildEvent( {
+        'name': 'Vulvodynia @ The Underworld',
+        'location': {
+          'geo': {
+            'lat': 51.5393,
+            'lon': -0.1426
+          }
+        }
+      } );
+
+      expect( mf.testing.eventMerger.isSameEvent( buildEvent(), otherVenue ) ).toBe( false );
+    } );
+
+    test( 'does not match distant events with different venues', () => {
+      const otherCity = buildEvent( {
+        'name': 'Vulvodynia @ Hellraiser',
+        'location': {
+          'geo': {
+            'lat': 51.34,
+            'lon': 12.37
+          }
+        }
+      } );
+
+      expect( mf.testing.eventMerger.isSameEvent( buildEvent(), otherCity ) ).toBe( false );
+    } );
+  } );
+
+  describe( 'pickRicher', () => {
+    test( 'prefers non-empty values', () => {
+      expect( mf.testing.eventMerger.pickRicher( '', '18:00:00' ) ).toBe( '18:00:00' );
+      expect( mf.testing.eventMerger.pickRicher( null, { 'lat': 1 } ) ).toEqual( { 'lat': 1 } );
+      expect( mf.testing.eventMerger.pickRicher( 'a', undefined ) ).toBe( 'a' );
+      expect( mf.testing.eventMerger.pickRicher( [], [ 1 ] ) ).toEqual( [ 1 ] );
+    } );
+
+    test( 'prefers longer strings and arrays', () => {
+      expect( mf.testing.eventMerger.pickRicher( 'London', 'N1 0PS, London' ) ).toBe( 'N1 0PS, London' );
+      expect( mf.testing.eventMerger.pickRicher( [ 1, 2 ], [ 3 ] ) ).toEqual( [ 1, 2 ] );
+    } );
+
+    test( 'keeps first value on a tie or for other types', () => {
+      expect( mf.testing.eventMerger.pickRicher( 'abc', 'xyz' ) ).toBe( 'abc' );
+      expect( mf.testing.eventMerger.pickRicher( 1, 2 ) ).toBe( 1 );
+    } );
+
+    test( 'merges objects field by field', () => {
+      const result = mf.testing.eventMerger.pickRicher(
+        {
+          'address': 'London',
+          'geo': null
+        },
+        {
+          'address': 'N1 0PS, London',
+          'geo': {
+            'lat': 1,
+            'lon': 2
+          },
+          'extra': 'x'
+        }
+      );
+
+      expect( result ).toEqual( {
+        'address': 'N1 0PS, London',
+        'geo': {
+          'lat': 1,
+          'lon': 2
+        },
+        'extra': 'x'
+      } );
+    } );
+  } );
+
+  describe( 'mergeEvents', () => {
+    test( 'merges the same show from two providers into one event', () => {
+      const bandsintownEvent = buildEvent( { 'localTime': '19:00:00' } );
+      const songkickEvent = buildEvent( {
+        'name': 'Vulvodynia @ O2 Academy Islington',
+        'location': {
+          'address': 'N1 Centre 16 Parkfield St, N1 0PS, London, United Kingdom',
+          'geo': {
+            'lat': 51.534,
+            'lon': -0.106
+          }
+        }
+      } );
+
+      const result = mf.eventMerger.mergeEvents( {
+        'bandsintown': [ bandsintownEvent ],
+        'songkick': [ songkickEvent ]
+      } );
+
+      expect( result ).toEqual( [
+        {
+          'name': 'Vulvodynia @ O2 Academy Islington',
+          'date': '2030-05-01',
+          'localTime': '19:00:00',
+          'location': {
+            'address': 'N1 Centre 16 Parkfield St, N1 0PS, London, United Kingdom',
+            'geo': {
+              'lat': 51.5343501,
+              'lon': -0.1058837
+            }
+          },
+          'sources': [ 'bandsintown', 'songkick' ]
+        }
+      ] );
+    } );
+
+    test( 'keeps distinct shows and sorts them by date and time', () => {
+      const later = buildEvent( { 'date': '2030-06-01' } );
+      const earlier = buildEvent( {
+        'date': '2030-04-01',
+        'localTime': '20:00:00'
+      } );
+
+      const result = mf.eventMerger.mergeEvents( {
+        'bandsintown': [ later ],
+        'songkick': [ earlier ]
+      } );
+
+      expect( result.map( ( event ) => event.date ) ).toEqual( [ '2030-04-01', '2030-06-01' ] );
+      expect( result[ 0 ].sources ).toEqual( [ 'songkick' ] );
+      expect( result[ 1 ].sources ).toEqual( [ 'bandsintown' ] );
+    } );
+
+    test( 'keeps two shows a provider reports at the same venue on one day', () => {
+      const matinee = buildEvent( { 'localTime': '14:00:00' } );
+      const evening = buildEvent( { 'localTime': '20:00:00' } );
+
+      const result = mf.eventMerger.mergeEvents( {
+        'songkick': [ evening, matinee ]
+      } );
+
+      expect( result.map( ( event ) => event.localTime ) ).toEqual( [ '14:00:00', '20:00:00' ] );
+      expect( result.map( ( event ) => event.sources ) ).toEqual( [ [ 'songkick' ], [ 'songkick' ] ] );
+    } );
+
+    test( 'merges a show of another provider into one of the shows only', () => {
+      const result = mf.eventMerger.mergeEvents( {
+        'songkick': [ buildEvent( { 'localTime': '14:00:00' } ), buildEvent( { 'localTime': '20:00:00' } ) ],
+        'bandsintown': [ buildEvent() ]
+      } );
+
+      expect( result.map( ( event ) => event.sources ) ).toEqual( [ [ 'songkick', 'bandsintown' ], [ 'songkick' ] ] );
+    } );
+
+    test( 'keeps a cancellation reported by only one provider', () => {
+      const result = mf.eventMerger.mergeEvents( {
+        'bandsintown': [ buildEvent( { 'status': 'cancelled' } ) ],
+        'songkick': [ buildEvent( { 'status': 'scheduled' } ) ]
+      } );
+
+      expect( result ).toHaveLength( 1 );
+      expect( result[ 0 ].status ).toBe( 'cancelled' );
+    } );
+
+    test( 'returns empty array for missing or empty input', () => {
+      expect( mf.eventMerger.mergeEvents( null ) ).toEqual( [] );
+      expect( mf.eventMerger.mergeEvents( { 'bandsintown': null } ) ).toEqual( [] );
+    } );
+  } );
+} );
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for eventQuery module
+ * @module __tests__/unit/services/eventQuery
+ */
+
+require( '../../../services/eventQuery' );
+
+describe( 'eventQuery', () => {
+  describe( 'parsePoint', () => {
+    test( 'parses latitude and longitude', () => {
+      expect( mf.testing.eventQuery.parsePoint( '52.52, 13.40' ) ).toEqual( {
+        'lat': 52.52,
+        'lon': 13.4
+      } );
+      expect( mf.testing.eventQuery.parsePoint( '-33.9,151' ) ).toEqual( {
+        'lat': -33.9,
+        'lon': 151
+      } );
+    } );
+
+    test( 'returns null for malformed or out of range points', () => {
+      expect( mf.testing.eventQuery.parsePoint( 'berlin' ) ).toBeNull();
+      expect( mf.testing.eventQuery.parsePoint( '52.52' ) ).toBeNull();
+      expect( mf.testing.eventQuery.parsePoint( '91,13' ) ).toBeNull();
+      expect( mf.testing.eventQuery.parsePoint( '52,181' ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'isValidDate', () => {
+    test( 'accepts calendar dates', () => {
+      expect( mf.testing.eventQuery.isValidDate( '2030-02-28' ) ).toBe( true );
+    } );
+
+    test( 'rejects other formats and impossible dates', () => {
+      expect( mf.testing.eventQuery.isValidDate( '28.02.2030' ) ).toBe( false );
+      expect( mf.testing.eventQuery.isValidDate( '2030-02-30' ) ).toBe( false );
+      expect( mf.testing.eventQuery.isValidDate( '2030-13-01' ) ).toBe( false );
+    } );
+  } );
+
+  describe( 'parseEventQuery', () => {
+    test( 'returns empty criteria without parameters', () => {
+      expect( mf.eventQuery.parseEventQuery( {} ) ).toEqual( {
+        'criteria': {
+          'near': null,
+          'radiusKm': null,
+          'from': null,
+          'to': null
+        }
+      } );
+    } );
+
+    test( 'uses the default radius when only near is given', () => {
+      const { criteria } = mf.eventQuery.parseEventQuery( { 'near': '52.52,13.40' } );
+
+      expect( criteria.radiusKm ).toBe( 100 );
+    } );
+
+    test( 'parses all parameters', () => {
+      expect( mf.eventQuery.parseEventQuery( {
+        'near': '52.52,13.40',
+        'radiusKm': '150',
+        'from': '2030-01-01',
+        'to': '2030-12-31'
+      } ) ).toEqual( {
+        'criteria': {
+          'near': {
+            'lat': 52.52,
+            'lon': 13.4
+          },
+          'radiusKm': 150,
+          'from': '2030-01-01',
+          'to': '2030-12-31'
+        }
+      } );
+    } );
+
+    test.each( [
+      [ { 'near': 'berlin' }, 'near must be' ],
+      [
+        {
+          'near': '52.52,13.40',
+          'radiusKm': '0'
+        },
+        'radiusKm must be'
+      ],
+      [
+        {
+          'near': '52.52,13.40',
+          'radiusKm': 'far'
+        },
+        'radiusKm must be'
+      ],
+      [ { 'radiusKm': '50' }, 'radiusKm requires near' ],
+      [ { 'from': 'tomorrow' }, 'from must be' ],
+      [ { 'to': '2030-02-30' }, 'to must be' ],
+      [
+        {
+          'from': '2030-02-01',
+          'to': '2030-01-01'
+        },
+        'from must not be after to'
+      ]
+    ] )( 'rejects %o', ( query, details ) => {
+      const result = mf.eventQuery.parseEventQuery( query );
+
+      expect( result.error.message ).toBe( 'Invalid query parameter' );
+      expect( result.error.details ).toContain( details );
+    } );
+  } );
+
+  describe( 'compareByStart', () => {
+    test( 'sorts events without valid start last', () => {
+      const events = [
+        {
+          'date': 'unknown'
+        },
+        {
+          'date': '2030-01-02'
+        },
+        {
+          'date': 'unknown'
+        }
+      ];
+
+      expect( events.sort( mf.testing.eventQuery.compareByStart ).map( ( event ) => event.date ) ).
+        toEqual( [ '2030-01-02', 'unknown', 'unknown' ] );
+    } );
+  } );
+
+  describe( 'findEvents', () => {
+    const acts = [
+      {
+        'musicbrainzId': 'id-a',
+        'name': 'Act A',
+        'events': [
+          {
+            'name': 'Without geo',
+            'date': '2030-01-03',
+            'location': {}
+          },
+          {
+            'name': 'Tokyo late show',
+            'date': '2030-01-02',
+            'localTime': '23:00:00',
+            'timeZone': 'Asia/Tokyo',
+            'location': {
+              'geo': {
+                'lat': 35.68,
+                'lon': 139.69
+              }
+            }
+          }
+        ]
+      },
+      {
+        'musicbrainzId': 'id-b',
+        'name': 'Act B'
+      },
+      {
+        'musicbrainzId': 'id-c',
+        'name': 'Act C',
+        'events': [
+          {
+            'name': 'Berlin early show',
+            'date': '2030-01-02',
+            'localTime': '18:00:00',
+            'timeZone': 'Europe/Berlin',
+            'location': {
+              'geo': {
+                'lat': 52.52,
+                'lon': 13.4
+              }
+            }
+          }
+        ]
+      }
+    ];
+
+    test( 'sorts events of all acts by start instant', () => {
+      const result = mf.eventQuery.findEvents( acts, {
+        'near': null
+      } );
+
+      expect( result.map( ( event ) => event.name ) ).toEqual( [ 'Tokyo late show', 'Berlin early show', 'Without geo' ] );
+      expect( result[ 0 ].act ).toEqual( {
+        'musicbrainzId': 'id-a',
+        'name': 'Act A'
+      } );
+    } );
+
+    test( 'keeps only events with coordinates inside the radius', () => {
+      const result = mf.eventQuery.findEvents( acts, {
+        'near': {
+          'lat': 52.5,
+          'lon': 13.4
+        },
+        'radiusKm': 50
+      } );
+
+      expect( result ).toHaveLength( 1 );
+      expect( result[ 0 ].name ).toBe( 'Berlin early show' );
+      expect( result[ 0 ].distanceKm ).toBe( 2.2 );
+    } );
+  } );
+} );
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for eventSources module
+ * Tests fresh and failed event sources with a mocked cache
+ * @module __tests__/unit/services/eventSources
+ */
+
+require( '../../../services/eventSources' );
+
+const ACT_ID = '53689c08-f234-4c47-9256-58c8568f06d1';
+const FETCHED_AT = '2030-02-01 11:00:00+01:00';
+
+const actData = {
+  '_id': ACT_ID,
+  'relations': {
+    'bandsintown': 'https://www.bandsintown.com/a/1',
+    'songkick': 'https://www.songkick.com/artists/2'
+  }
+};
+
+const bandsintownEvent = {
+  'name': 'Club Show',
+  'date': '2030-03-01'
+};
+
+const songkickEvent = {
+  'name': 'Festival Show',
+  'date': '2030-04-01'
+};
+
+const cachedAct = {
+  'musicbrainzId': ACT_ID,
+  'updatedAt': '2030-01-31 11:00:00+01:00',
+  'eventSources': {
+    'bandsintown': {
+      'stale': false,
+      'fetchedAt': '2030-01-31 10:00:00+01:00'
+    }
+  },
+  'events': [
+    {
+      ...bandsintownEvent,
+      'sources': [ 'bandsintown' ]
+    },
+    {
+      ...songkickEvent,
+      'sources': [ 'songkick' ]
+    }
+  ]
+};
+
+describe( 'eventSources', () => {
+  let fetchers;
+
+  beforeEach( () => {
+    mf.database.getActFromCache = jest.fn().mockResolvedValue( cachedAct );
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+
+    fetchers = {
+      'bandsintown': jest.fn().mockRejectedValue( new Error( 'Bandsintown down' ) ),
+      'songkick': jest.fn().mockResolvedValue( [ songkickEvent ] )
+    };
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  test( 'reports fetched sources as fresh without reading the cache', async () => {
+    fetchers.bandsintown.mockResolvedValue( [] );
+
+    const result = await mf.eventSources.collectEvents( actData, fetchers, FETCHED_AT, true );
+
+    expect( result ).toEqual( {
+      'eventsBySource': {
+        'bandsintown': [],
+        'songkick': [ songkickEvent ]
+      },
+      'eventSources': {
+        'bandsintown': {
+          'stale': false,
+          'fetchedAt': FETCHED_AT
+        },
+        'songkick': {
+          'stale': false,
+          'fetchedAt': FETCHED_AT
+        }
+      }
+    } );
+    expect( fetchers.bandsintown ).toHaveBeenCalledWith( actData, false );
+    expect( mf.database.getActFromCache ).not.toHaveBeenCalled();
+  } );
+
+  test( 'omits sources the act does not link to', async () => {
+    fetchers.bandsintown.mockResolvedValue( [] );
+
+    const { eventSources } = await mf.eventSources.collectEvents( {
+      '_id': ACT_ID,
+      'relations': {
+        'songkick': actData.relations.songkick
+      }
+    }, fetchers, FETCHED_AT, true );
+
+    expect( Object.keys( eventSources ) ).toEqual( [ 'songkick' ] );
+  } );
+
+  test( 'keeps the cached events of a failed source and marks it stale', async () => {
+    const result = await mf.eventSources.collectEvents( actData, fetchers, FETCHED_AT, true );
+
+    expect( result.eventsBySource.bandsintown ).toEqual( [ cachedAct.events[ 0 ] ] );
+    expect( result.eventsBySource.songkick ).toEqual( [ songkickEvent ] );
+    expect( result.eventSources.bandsintown ).toEqual( {
+      'stale': true,
+      'fetchedAt': '2030-01-31 10:00:00+01:00'
+    } );
+    expect( mf.database.getActFromCache ).toHaveBeenCalledWith( ACT_ID );
+    expect( mf.logger.warn ).toHaveBeenCalledWith( expect.objectContaining( {
+      'actId': ACT_ID,
+      'source': 'bandsintown'
+    } ), 'Event source failed, keeping cached events' );
+  } );
+
+  test( 'drops cached events that are past the date window', async () => {
+    jest.useFakeTimers( {
+      'now': new Date( '2030-05-10T12:00:00.000Z' )
+    } );
+
+    const { eventsBySource, eventSources } = await mf.eventSources.collectEvents( actData, fetchers, FETCHED_AT, true );
+
+    // The cached Bandsintown show on 2030-03-01 is long past
+    expect( eventsBySource.bandsintown ).toEqual( [] );
+    expect( eventSources.bandsintown.stale ).toBe( true );
+  } );
+
+  test( 'falls back to updatedAt for acts cached before freshness was tracked', async () => {
+    fetchers.songkick.mockRejectedValue( new Error( 'Songkick down' ) );
+
+    const { eventSources } = await mf.eventSources.collectEvents( actData, fetchers, FETCHED_AT, true );
+
+    expect( eventSources.songkick ).toEqual( {
+      'stale': true,
+      'fetchedAt': cachedAct.updatedAt
+    } );
+  } );
+
+  test.each( [
+    [ 'not cached', () => mf.database.getActFromCache.mockResolvedValue( null ) ],
+    [ 'unreadable', () => mf.database.getActFromCache.mockRejectedValue( new Error( 'DB down' ) ) ]
+  ] )( 'reports a failed source without events when the act is %s', async ( _, arrange ) => {
+    arrange();
+
+    const result = await mf.eventSources.collectEvents( actData, fetchers, FETCHED_AT, true );
+
+    expect( result.eventsBySource.bandsintown ).toEqual( [] );
+    expect( result.eventSources.bandsintown ).toEqual( {
+      'stale': true,
+      'fetchedAt': null
+    } );
+  } );
+
+  test( 'throws the error of a failed source without silentFail', async () => {
+    await expect( mf.eventSources.collectEvents( actData, fetchers, FETCHED_AT, false ) ).rejects.toThrow( 'Bandsintown down' );
+    expect( fetchers.songkick ).not.toHaveBeenCalled();
+  } );
+} );
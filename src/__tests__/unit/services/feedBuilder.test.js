@@ -0,0 +1,157 @@
+/**
+ * Unit tests for feedBuilder module
+ * @module __tests__/unit/services/feedBuilder
+ */
+
+require( '../../../services/feedBuilder' );
+
+const acts = [
+  {
+    'musicbrainzId': 'id-a',
+    'name': 'Act A',
+    'events': [
+      {
+        'name': 'Act A @ SO36',
+        'date': '2030-06-02',
+        'url': 'https://example.com/events?id=1&ref=feed',
+        'firstSeenAt': '2030-01-01T10:00:00.000Z',
+        'location': {
+          'name': 'SO36',
+          'address': {
+            'locality': 'Berlin'
+          }
+        }
+      },
+      {
+        'name': 'Act A @ Cached before tracking',
+        'date': '2030-06-03'
+      }
+    ]
+  },
+  {
+    'musicbrainzId': 'id-b',
+    'name': 'Act B & Friends',
+    'events': [
+      {
+        'date': '2030-05-01',
+        'firstSeenAt': '2030-02-01T10:00:00.000Z'
+      }
+    ]
+  },
+  {
+    'musicbrainzId': 'id-c',
+    'name': 'Act C'
+  }
+];
+
+describe( 'feedBuilder', () => {
+  describe( 'escapeXml', () => {
+    test( 'escapes markup characters', () => {
+      expect( mf.testing.feedBuilder.escapeXml( '<a href="x">Tom & Jerry\'s</a>' ) ).
+        toBe( '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;' );
+    } );
+  } );
+
+  describe( 'collectItems', () => {
+    test( 'orders events by firstSeenAt, newest first, and skips unstamped events', () => {
+      const items = mf.testing.feedBuilder.collectItems( acts );
+
+      expect( items.map( ( item ) => item.act.musicbrainzId ) ).toEqual( [ 'id-b', 'id-a' ] );
+      expect( items[ 0 ].id ).toMatch( /^tag:musicfavorites,2025:events\/[0-9a-f]{40}$/u );
+    } );
+
+    test( 'orders events seen at the same time by date', () => {
+      const items = mf.testing.feedBuilder.collectItems( [
+        {
+          'musicbrainzId': 'id-a',
+          'name': 'Act A',
+          'events': [
+            {
+              'date': '2030-06-02',
+              'firstSeenAt': '2030-01-01T10:00:00.000Z'
+            },
+            {
+              'date': '2030-06-01',
+              'firstSeenAt': '2030-01-01T10:00:00.000Z'
+            }
+          ]
+        }
+      ] );
+
+      expect( items.map( ( item ) => item.event.date ) ).toEqual( [ '2030-06-01', '2030-06-02' ] );
+    } );
+
+    test( 'limits the number of items', () => {
+      const events = Array.from( { 'length': 60 }, ( _, index ) => ( {
+        'date': '2030-06-01',
+        'name': `Show ${index}`,
+        'firstSeenAt': '2030-01-01T10:00:00.000Z'
+      } ) );
+
+      expect( mf.testing.feedBuilder.collectItems( [
+        {
+          'musicbrainzId': 'id-a',
+          'name': 'Act A',
+          events
+        }
+      ] ) ).toHaveLength( 50 );
+    } );
+  } );
+
+  describe( 'buildSummary', () => {
+    test( 'names act, venue, city and date', () => {
+      expect( mf.testing.feedBuilder.buildSummary( {
+        'act': acts[ 0 ],
+        'event': acts[ 0 ].events[ 0 ]
+      } ) ).toBe( 'Act A plays SO36, Berlin on 2030-06-02' );
+    } );
+
+    test( 'leaves out an unknown place', () => {
+      expect( mf.testing.feedBuilder.buildSummary( {
+        'act': acts[ 1 ],
+        'event': acts[ 1 ].events[ 0 ]
+      } ) ).toBe( 'Act B & Friends plays on 2030-05-01' );
+    } );
+  } );
+
+  describe( 'buildAtomFeed', () => {
+    test( 'renders one entry per announced event', () => {
+      const feed = mf.feedBuilder.buildAtomFeed( acts, 'https://api.example.com/acts/id-a/feed.atom' );
+
+      expect( feed ).toContain( '<feed xmlns="http://www.w3.org/2005/Atom">' );
+      expect( feed ).toContain( '<link rel="self" href="https://api.example.com/acts/id-a/feed.atom"/>' );
+      expect( feed ).toContain( '<updated>2030-02-01T10:00:00.000Z</updated>' );
+      expect( feed.match( /<entry>/gu ) ).toHaveLength( 2 );
+      expect( feed ).toContain( '<title>Act A @ SO36</title>' );
+      expect( feed ).toContain( '<title>Act B &amp; Friends</title>' );
+      expect( feed ).toContain( '<link rel="alternate" href="https://example.com/events?id=1&amp;ref=feed"/>' );
+      expect( feed.match( /rel="alternate"/gu ) ).toHaveLength( 1 );
+    } );
+
+    test( 'uses the current time as update time of an empty feed', () => {
+      jest.useFakeTimers( {
+        'now': new Date( '2030-03-01T00:00:00.000Z' )
+      } );
+
+      const feed = mf.feedBuilder.buildAtomFeed( [], 'https://api.example.com/acts/id-c/feed.atom' );
+
+      jest.useRealTimers();
+
+      expect( feed ).toContain( '<updated>2030-03-01T00:00:00.000Z</updated>' );
+      expect( feed ).not.toContain( '<entry>' );
+    } );
+  } );
+
+  describe( 'buildRssFeed', () => {
+    test( 'renders one item per announced event', () => {
+      const feed = mf.feedBuilder.buildRssFeed( acts, 'https://api.example.com/acts/id-a/feed.rss' );
+
+      expect( feed ).toContain( '<rss version="2.0"' );
+      expect( feed.match( /<item>/gu ) ).toHaveLength( 2 );
+      expect( feed ).toContain( '<pubDate>Fri, 01 Feb 2030 10:00:00 GMT</pubDate>' );
+      expect( feed ).toContain( '<link>https://example.com/events?id=1&amp;ref=feed</link>' );
+      expect( feed ).toContain( '<description>Act A plays SO36, Berlin on 2030-06-02</description>' );
+      expect( feed.match( /<link>/gu ) ).toHaveLength( 2 );
+    } );
+  } );
+} );
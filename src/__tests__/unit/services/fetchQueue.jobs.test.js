@@ -0,0 +1,214 @@
+/**
+ * Unit tests for fetchQueue jobs
+ * Tests job creation, progress and completion estimates using fake timers and mocks
+ * @module __tests__/unit/services/fetchQueue.jobs
+ */
+
+describe( 'fetchQueue - Jobs', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.useFakeTimers( {
+      'now': new Date( '2030-01-01T00:00:00.000Z' )
+    } );
+
+    require( '../../../services/database' );
+    require( '../../../services/actService' );
+    require( '../../../services/fetchQueue' );
+
+    jest.spyOn( mf.database, 'cacheAct' ).mockResolvedValue( null );
+    jest.spyOn( mf.actService, 'fetchAndEnrichActData' ).mockResolvedValue( {
+      '_id': 'test',
+      'name': 'Test'
+    } );
+    jest.spyOn( mf.databaseJobs, 'createJob' ).mockResolvedValue();
+    jest.spyOn( mf.databaseJobs, 'getJob' ).mockResolvedValue( null );
+    jest.spyOn( mf.databaseJobs, 'recordJobFetch' ).mockResolvedValue();
+    jest.spyOn( mf.logger, 'info' ).mockImplementation();
+    jest.spyOn( mf.logger, 'debug' ).mockImplementation();
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+    jest.spyOn( mf.logger, 'error' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  const storedJob = {
+    '_id': 'job-1',
+    'createdAt': '2030-01-01T00:00:00.000Z',
+    'completedAt': null,
+    'expiresAt': new Date( '2030-01-08T00:00:00.000Z' ),
+    'acts': [
+      {
+        'musicbrainzId': 'id1',
+        'status': 'fetched'
+      },
+      {
+        'musicbrainzId': 'id2',
+        'status': 'queued'
+      }
+    ]
+  };
+
+  describe( 'createJob', () => {
+    test( 'stores a running job with every act queued once, expiring after 7 days', async () => {
+      const job = await mf.fetchQueue.createJob( [ 'id1', 'id2', 'id1' ] );
+
+      expect( mf.databaseJobs.createJob ).toHaveBeenCalledWith( {
+        '_id': job.id,
+        'createdAt': '2030-01-01T00:00:00.000Z',
+        'completedAt': null,
+        'expiresAt': new Date( '2030-01-08T00:00:00.000Z' ),
+        'acts': [
+          {
+            'musicbrainzId': 'id1',
+            'status': 'queued'
+          },
+          {
+            'musicbrainzId': 'id2',
+            'status': 'queued'
+          }
+        ]
+      } );
+      expect( job ).toEqual( {
+        'id': expect.stringMatching( /^[0-9a-f-]{36}$/u ),
+        'status': 'running',
+        'createdAt': '2030-01-01T00:00:00.000Z',
+        'completedAt': null,
+        'estimatedCompletionAt': '2030-01-01T00:00:05.000Z',
+        'counts': {
+          'queued': 2,
+          'fetched': 0,
+          'failed': 0
+        },
+        'acts': [
+          {
+            'musicbrainzId': 'id1',
+            'status': 'queued'
+          },
+          {
+            'musicbrainzId': 'id2',
+            'status': 'queued'
+          }
+        ]
+      } );
+    } );
+
+    test( 'fails when the job cannot be stored', async () => {
+      mf.databaseJobs.createJob.mockRejectedValue( new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_057)' ) );
+
+      await expect( mf.fetchQueue.createJob( [ 'id1', 'id2' ] ) ).rejects.toThrow( 'DB_057' );
+    } );
+  } );
+
+  describe( 'getJob', () => {
+    test( 'returns null for unknown or expired jobs', async () => {
+      await expect( mf.fetchQueue.getJob( 'unknown' ) ).resolves.toBeNull();
+      expect( mf.databaseJobs.getJob ).toHaveBeenCalledWith( 'unknown' );
+    } );
+
+    test( 'estimates completion from the position of the last queued act', async () => {
+      mf.databaseJobs.getJob.mockResolvedValue( storedJob );
+      mf.testing.fetchQueue.fetchQueue.add( 'other' ).add( 'id2' );
+      mf.testing.fetchQueue.fetchDurations.count = 2;
+      mf.testing.fetchQueue.fetchDurations.totalMs = 4000;
+
+      // Current fetch (2s) plus two queued acts with 30s delay and 2s fetch each
+      await expect( mf.fetchQueue.getJob( 'job-1' ) ).resolves.toEqual( {
+        'id': 'job-1',
+        'status': 'running',
+        'createdAt': '2030-01-01T00:00:00.000Z',
+        'completedAt': null,
+        'estimatedCompletionAt': '2030-01-01T00:01:06.000Z',
+        'counts': {
+          'queued': 1,
+          'fetched': 1,
+          'failed': 0
+        },
+        'acts': storedJob.acts
+      } );
+    } );
+
+    test( 'reports import jobs as built by actImport', async () => {
+      const importJob = {
+        '_id': 'job-2',
+        'kind': 'import',
+        'createdAt': '2030-01-01T00:00:00.000Z',
+        'completedAt': null,
+        'format': 'text',
+        'entries': [ { 'name': 'Watain' } ],
+        'resolvedCount': 0,
+        'matched': [],
+        'ambiguous': [],
+        'missed': []
+      };
+
+      mf.databaseJobs.getJob.mockResolvedValue( importJob );
+
+      await expect( mf.fetchQueue.getJob( 'job-2' ) ).resolves.toEqual( mf.actImport.toJobView( importJob ) );
+    } );
+
+    test( 'reports completed jobs without estimate', async () => {
+      mf.databaseJobs.getJob.mockResolvedValue( {
+        ...storedJob,
+        'completedAt': '2030-01-01T00:00:30.000Z',
+        'acts': [
+          {
+            'musicbrainzId': 'id1',
+            'status': 'fetched'
+          },
+          {
+            'musicbrainzId': 'id2',
+            'status': 'failed'
+          }
+        ]
+      } );
+
+      await expect( mf.fetchQueue.getJob( 'job-1' ) ).resolves.toMatchObject( {
+        'status': 'completed',
+        'completedAt': '2030-01-01T00:00:30.000Z',
+        'estimatedCompletionAt': null,
+        'counts': {
+          'queued': 0,
+          'fetched': 1,
+          'failed': 1
+        }
+      } );
+    } );
+  } );
+
+  describe( 'job progress', () => {
+    test( 'records fetched and failed acts in the jobs, completed jobs stay 24 hours', async () => {
+      mf.actService.fetchAndEnrichActData.
+        mockResolvedValueOnce( {
+          '_id': 'id1',
+          'name': 'Act 1'
+        } ).
+        mockRejectedValueOnce( new Error( 'Upstream down' ) );
+
+      mf.fetchQueue.triggerBackgroundFetch( [ 'id1', 'id2' ] );
+      await jest.runAllTimersAsync();
+
+      expect( mf.databaseJobs.recordJobFetch ).toHaveBeenCalledTimes( 2 );
+      expect( mf.databaseJobs.recordJobFetch ).toHaveBeenCalledWith( 'id1', 'fetched', 24 * 60 * 60 * 1000 );
+      expect( mf.databaseJobs.recordJobFetch ).toHaveBeenCalledWith( 'id2', 'failed', 24 * 60 * 60 * 1000 );
+    } );
+
+    test( 'keeps fetching when the jobs cannot be updated', async () => {
+      const error = new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_060)' );
+
+      mf.databaseJobs.recordJobFetch.mockRejectedValue( error );
+
+      mf.fetchQueue.triggerBackgroundFetch( [ 'id1', 'id2' ] );
+      await jest.runAllTimersAsync();
+
+      expect( mf.actService.fetchAndEnrichActData ).toHaveBeenCalledTimes( 2 );
+      expect( mf.logger.warn ).toHaveBeenCalledWith( {
+        'actId': 'id1',
+        'err': error
+      }, 'Failed to record fetch in jobs' );
+    } );
+  } );
+} );
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for fetchQueue act listeners
+ * Tests that listeners learn about every act the queue finishes
+ * @module __tests__/unit/services/fetchQueue.listeners
+ */
+
+describe( 'fetchQueue - Act Listeners', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.useFakeTimers();
+
+    require( '../../../services/database' );
+    require( '../../../services/actService' );
+    require( '../../../services/fetchQueue' );
+
+    jest.spyOn( mf.database, 'cacheAct' ).mockResolvedValue( null );
+    jest.spyOn( mf.actService, 'fetchAndEnrichActData' ).mockResolvedValue( {
+      '_id': 'id1',
+      'name': 'Act 1'
+    } );
+    jest.spyOn( mf.logger, 'info' ).mockImplementation();
+    jest.spyOn( mf.logger, 'debug' ).mockImplementation();
+    jest.spyOn( mf.logger, 'error' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  test( 'passes fetched act data and errors to listeners', async () => {
+    const error = new Error( 'Upstream down' );
+    const listener = jest.fn();
+
+    mf.actService.fetchAndEnrichActData.mockResolvedValueOnce( {
+      '_id': 'id1',
+      'name': 'Act 1'
+    } ).mockRejectedValueOnce( error );
+    mf.fetchQueue.onActProcessed( listener );
+
+    mf.fetchQueue.triggerBackgroundFetch( [ 'id1', 'id2' ] );
+    await jest.runAllTimersAsync();
+
+    expect( listener.mock.calls ).toEqual( [
+      [
+        'id1',
+        {
+          '_id': 'id1',
+          'name': 'Act 1'
+        },
+        null
+      ],
+      [ 'id2', null, error ]
+    ] );
+  } );
+
+  test( 'stops notifying removed listeners', async () => {
+    const listener = jest.fn();
+    const unsubscribe = mf.fetchQueue.onActProcessed( listener );
+
+    unsubscribe();
+    mf.fetchQueue.triggerBackgroundFetch( [ 'id1' ] );
+    await jest.runAllTimersAsync();
+
+    expect( listener ).not.toHaveBeenCalled();
+  } );
+
+  test( 'keeps processing when a listener throws', async () => {
+    const listener = jest.fn();
+
+    mf.fetchQueue.onActProcessed( () => {
+      throw new Error( 'Listener bug' );
+    } );
+    mf.fetchQueue.onActProcessed( listener );
+
+    mf.fetchQueue.triggerBackgroundFetch( [ 'id1' ] );
+    await jest.runAllTimersAsync();
+
+    expect( listener ).toHaveBeenCalledWith( 'id1', expect.any( Object ), null );
+    expect( mf.logger.error ).toHaveBeenCalledWith( expect.objectContaining( { 'actId': 'id1' } ), 'Act listener failed' );
+  } );
+} );
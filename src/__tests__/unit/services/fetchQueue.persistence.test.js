@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the persisted fetch queue
+ * Tests that queue changes reach MongoDB and that a restart resumes queued acts
+ * @module __tests__/unit/services/fetchQueue.persistence
+ */
+
+describe( 'fetchQueue - Persistence', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.useFakeTimers();
+
+    require( '../../../services/database' );
+    require( '../../../services/actService' );
+    require( '../../../services/fetchQueue' );
+
+    jest.spyOn( mf.database, 'cacheAct' ).mockResolvedValue( null );
+    jest.spyOn( mf.actService, 'fetchAndEnrichActData' ).mockResolvedValue( {
+      '_id': 'id1',
+      'name': 'Act 1'
+    } );
+    jest.spyOn( mf.databaseQueue, 'enqueueActs' ).mockResolvedValue();
+    jest.spyOn( mf.databaseQueue, 'recordAttempt' ).mockResolvedValue();
+    jest.spyOn( mf.databaseQueue, 'dequeueAct' ).mockResolvedValue();
+    jest.spyOn( mf.databaseQueue, 'getQueuedActs' ).mockResolvedValue( [] );
+    jest.spyOn( mf.logger, 'info' ).mockImplementation();
+    jest.spyOn( mf.logger, 'debug' ).mockImplementation();
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+    jest.spyOn( mf.logger, 'error' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  test( 'persists newly queued and raised acts with the correlation ID of the request and their priority', async () => {
+    mf.asyncLocalStorage.run( { 'correlationId': 'req-1' }, () => {
+      mf.fetchQueue.triggerBackgroundFetch( [ 'id1', 'id2', 'id1' ] );
+      mf.fetchQueue.triggerBackgroundFetch( [ 'id2', 'id3' ], 'interactive' );
+    } );
+    await jest.runAllTimersAsync();
+
+    expect( mf.databaseQueue.enqueueActs.mock.calls ).toEqual( [
+      [ [ 'id1', 'id2' ], 'req-1', 'refresh' ],
+      [ [ 'id2', 'id3' ], 'req-1', 'interactive' ]
+    ] );
+  } );
+
+  test( 'counts the attempt before and removes the act after each fetch', async () => {
+    mf.actService.fetchAndEnrichActData.mockRejectedValueOnce( new Error( 'Upstream down' ) );
+
+    mf.fetchQueue.triggerBackgroundFetch( [ 'id1', 'id2' ] );
+    await jest.runAllTimersAsync();
+
+    expect( mf.databaseQueue.recordAttempt.mock.calls ).toEqual( [ [ 'id1' ], [ 'id2' ] ] );
+    expect( mf.databaseQueue.dequeueAct.mock.calls ).toEqual( [ [ 'id1' ], [ 'id2' ] ] );
+    expect( mf.databaseQueue.recordAttempt.mock.invocationCallOrder[ 0 ] ).
+      toBeLessThan( mf.databaseQueue.dequeueAct.mock.invocationCallOrder[ 0 ] );
+  } );
+
+  test( 'keeps an act persisted that was queued again during its fetch', async () => {
+    mf.actService.fetchAndEnrichActData.mockImplementationOnce( () => {
+      mf.fetchQueue.triggerBackgroundFetch( [ 'id1' ] );
+
+      return Promise.resolve( { '_id': 'id1' } );
+    } );
+
+    mf.fetchQueue.triggerBackgroundFetch( [ 'id1' ] );
+    await jest.runAllTimersAsync();
+
+    expect( mf.actService.fetchAndEnrichActData ).toHaveBeenCalledTimes( 2 );
+    expect( mf.databaseQueue.dequeueAct ).toHaveBeenCalledTimes( 1 );
+  } );
+
+  test( 'keeps fetching when the persisted queue cannot be written', async () => {
+    mf.databaseQueue.enqueueActs.mockRejectedValue( new Error( 'DB down' ) );
+    mf.databaseQueue.recordAttempt.mockRejectedValue( new Error( 'DB down' ) );
+
+    mf.fetchQueue.triggerBackgroundFetch( [ 'id1' ] );
+    await jest.runAllTimersAsync();
+
+    expect( mf.actService.fetchAndEnrichActData ).toHaveBeenCalledWith( 'id1', true );
+    expect( mf.databaseQueue.dequeueAct ).toHaveBeenCalledWith( 'id1' );
+    expect( mf.logger.warn ).toHaveBeenCalledWith( expect.objectContaining( {
+      'actId': 'id1'
+    } ), 'Failed to persist fetch queue change' );
+  } );
+
+  describe( 'resumeQueue', () => {
+    test( 'fetches the acts a previous process left queued', async () => {
+      mf.databaseQueue.getQueuedActs.mockResolvedValue( [
+        {
+          '_id': 'id1',
+          'enqueuedAt': '2030-01-01T00:00:00.000Z',
+          'attempts': 0,
+          'correlationId': 'req-1'
+        },
+        {
+          '_id': 'id2',
+          'enqueuedAt': '2030-01-01T00:01:00.000Z',
+          'attempts': 2,
+          'correlationId': null
+        }
+      ] );
+
+      await expect( mf.fetchQueue.resumeQueue() ).resolves.toBe( 2 );
+      await jest.runAllTimersAsync();
+
+      expect( mf.actService.fetchAndEnrichActData.mock.calls ).toEqual( [ [ 'id1', true ], [ 'id2', true ] ] );
+      expect( mf.logger.info ).toHaveBeenCalledWith( {
+        'queueDepth': 2,
+        'oldestEnqueuedAt': '2030-01-01T00:00:00.000Z'
+      }, 'Resuming persisted fetch queue' );
+    } );
+
+    test( 'drops acts that were attempted too often', async () => {
+      mf.databaseQueue.getQueuedActs.mockResolvedValue( [
+        {
+          '_id': 'id1',
+          'enqueuedAt': '2030-01-01T00:00:00.000Z',
+          'attempts': 3,
+          'correlationId': 'req-1'
+        }
+      ] );
+
+      await expect( mf.fetchQueue.resumeQueue() ).resolves.toBe( 0 );
+      await jest.runAllTimersAsync();
+
+      expect( mf.actService.fetchAndEnrichActData ).not.toHaveBeenCalled();
+      expect( mf.databaseQueue.dequeueAct ).toHaveBeenCalledWith( 'id1' );
+      expect( mf.logger.warn ).toHaveBeenCalledWith( {
+        'actId': 'id1',
+        'attempts': 3,
+        'correlationId': 'req-1'
+      }, 'Dropping queued act after too many attempts' );
+    } );
+
+    test( 'resumes nothing from an empty queue', async () => {
+      await expect( mf.fetchQueue.resumeQueue() ).resolves.toBe( 0 );
+
+      expect( mf.databaseQueue.enqueueActs ).not.toHaveBeenCalled();
+    } );
+  } );
+} );
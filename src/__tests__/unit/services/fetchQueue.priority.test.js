@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the priority-aware fetch queue
+ * Tests that urgent acts overtake queued refreshes and that resumed acts keep their priority
+ * @module __tests__/unit/services/fetchQueue.priority
+ */
+
+describe( 'fetchQueue - Priorities', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+    jest.useFakeTimers( {
+      'now': new Date( '2030-01-01T00:00:00.000Z' )
+    } );
+
+    require( '../../../services/database' );
+    require( '../../../services/actService' );
+    require( '../../../services/fetchQueue' );
+
+    jest.spyOn( mf.database, 'cacheAct' ).mockResolvedValue( null );
+    jest.spyOn( mf.actService, 'fetchAndEnrichActData' ).mockImplementation( ( actId ) => Promise.resolve( { '_id': actId } ) );
+    jest.spyOn( mf.databaseQueue, 'enqueueActs' ).mockResolvedValue();
+    jest.spyOn( mf.databaseQueue, 'recordAttempt' ).mockResolvedValue();
+    jest.spyOn( mf.databaseQueue, 'dequeueAct' ).mockResolvedValue();
+    jest.spyOn( mf.logger, 'info' ).mockImplementation();
+    jest.spyOn( mf.logger, 'debug' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  /**
+   * Gets the act IDs in the order they were fetched
+   * @returns {Array<string>} Fetched act IDs
+   */
+  const fetchOrder = () => mf.actService.fetchAndEnrichActData.mock.calls.map( ( [ actId ] ) => actId );
+
+  test( 'fetches interactive acts before acts on tour before queued refreshes', async () => {
+    mf.fetchQueue.triggerBackgroundFetch( [ 'refresh-1', 'refresh-2' ], 'refresh' );
+    mf.fetchQueue.triggerBackgroundFetch( [ 'tour-1' ], 'onTour' );
+    mf.fetchQueue.triggerBackgroundFetch( [ 'user-1' ], 'interactive' );
+    await jest.runAllTimersAsync();
+
+    // The first refresh started before the others were queued
+    expect( fetchOrder() ).toEqual( [ 'refresh-1', 'user-1', 'tour-1', 'refresh-2' ] );
+  } );
+
+  test( 'fetches an interactive act shortly after the current fetch instead of waiting 30 seconds', async () => {
+    mf.fetchQueue.triggerBackgroundFetch( [ 'refresh-1', 'refresh-2' ], 'refresh' );
+    await jest.advanceTimersByTimeAsync( 5000 );
+
+    mf.fetchQueue.triggerBackgroundFetch( [ 'user-1' ], 'interactive' );
+    await jest.advanceTimersByTimeAsync( 0 );
+
+    expect( fetchOrder() ).toEqual( [ 'refresh-1', 'user-1' ] );
+  } );
+
+  test( 'raises the priority of a queued act that a user asks for', async () => {
+    mf.fetchQueue.triggerBackgroundFetch( [ 'refresh-1', 'refresh-2', 'refresh-3' ], 'refresh' );
+    mf.fetchQueue.triggerBackgroundFetch( [ 'refresh-3' ], 'interactive' );
+    await jest.runAllTimersAsync();
+
+    expect( fetchOrder() ).toEqual( [ 'refresh-1', 'refresh-3', 'refresh-2' ] );
+    expect( mf.databaseQueue.enqueueActs ).toHaveBeenLastCalledWith( [ 'refresh-3' ], null, 'interactive' );
+  } );
+
+  test( 'persists nothing for acts queued again without a higher priority', async () => {
+    mf.fetchQueue.triggerBackgroundFetch( [ 'tour-1', 'tour-2' ], 'onTour' );
+    mf.fetchQueue.triggerBackgroundFetch( [ 'tour-2' ], 'refresh' );
+    mf.fetchQueue.triggerBackgroundFetch( [ 'tour-2' ], 'onTour' );
+    await jest.runAllTimersAsync();
+
+    expect( mf.databaseQueue.enqueueActs ).toHaveBeenCalledTimes( 1 );
+  } );
+
+  test( 'ignores empty act lists', () => {
+    mf.fetchQueue.triggerBackgroundFetch( [], 'onTour' );
+
+    expect( mf.logger.info ).not.toHaveBeenCalled();
+    expect( mf.databaseQueue.enqueueActs ).not.toHaveBeenCalled();
+  } );
+
+  test( 'resumes persisted acts with their priority and enqueue time', async () => {
+    jest.spyOn( mf.databaseQueue, 'getQueuedActs' ).mockResolvedValue( [
+      {
+        '_id': 'old-refresh',
+        'enqueuedAt': '2029-12-31T23:40:00.000Z',
+        'attempts': 0,
+        'correlationId': null,
+        'priority': 'refresh'
+      },
+      {
+        '_id': 'legacy',
+        'enqueuedAt': '2029-12-31T23:58:00.000Z',
+        'attempts': 0,
+        'correlationId': null
+      },
+      {
+        '_id': 'tour-1',
+        'enqueuedAt': '2029-12-31T23:59:00.000Z',
+        'attempts': 1,
+        'correlationId': null,
+        'priority': 'onTour'
+      }
+    ] );
+
+    await mf.fetchQueue.resumeQueue();
+    await jest.runAllTimersAsync();
+
+    // The refresh waited 20 minutes and overtook the act on tour, the act queued before priorities counts as refresh
+    expect( fetchOrder() ).toEqual( [ 'old-refresh', 'tour-1', 'legacy' ] );
+    expect( mf.databaseQueue.enqueueActs ).not.toHaveBeenCalled();
+  } );
+
+  test( 'estimates job completion with the delay of each priority class', async () => {
+    jest.spyOn( mf.databaseJobs, 'getJob' ).mockResolvedValue( {
+      '_id': 'job-1',
+      'createdAt': '2030-01-01T00:00:00.000Z',
+      'completedAt': null,
+      'acts': [
+        {
+          'musicbrainzId': 'refresh-1',
+          'status': 'queued'
+        }
+      ]
+    } );
+
+    mf.fetchQueue.triggerBackgroundFetch( [ 'current' ], 'refresh' );
+    mf.fetchQueue.triggerBackgroundFetch( [ 'refresh-1' ], 'refresh' );
+    mf.fetchQueue.triggerBackgroundFetch( [ 'user-1' ], 'interactive' );
+    mf.testing.fetchQueue.fetchDurations.count = 1;
+    mf.testing.fetchQueue.fetchDurations.totalMs = 1000;
+
+    // Current fetch (1s), then the interactive act (2s delay, 1s fetch) and the refresh (30s delay, 1s fetch)
+    expect( ( await mf.fetchQueue.getJob( 'job-1' ) ).estimatedCompletionAt ).toBe( '2030-01-01T00:00:35.000Z' );
+  } );
+} );
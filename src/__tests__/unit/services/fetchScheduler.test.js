@@ -0,0 +1,127 @@
+/**
+ * Unit tests for fetchScheduler module
+ * Tests priority order, aging and the delays between fetches with fake timers
+ * @module __tests__/unit/services/fetchScheduler
+ */
+
+const NOW = Date.parse( '2030-02-01T10:00:00.000Z' );
+const MINUTE_MS = 60 * 1000;
+
+describe( 'fetchScheduler', () => {
+  beforeEach( () => {
+    jest.resetModules();
+    jest.useFakeTimers( {
+      'now': NOW
+    } );
+    require( '../../../services/fetchScheduler' );
+    jest.spyOn( mf.logger, 'debug' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  describe( 'orderQueue', () => {
+    test( 'puts interactive acts before acts on tour before ordinary refreshes', () => {
+      mf.fetchScheduler.schedule( 'refresh-1', 'refresh', NOW );
+      mf.fetchScheduler.schedule( 'tour-1', 'onTour', NOW );
+      mf.fetchScheduler.schedule( 'user-1', 'interactive', NOW );
+      mf.fetchScheduler.schedule( 'refresh-2', 'refresh', NOW );
+
+      expect( mf.fetchScheduler.orderQueue( new Set( [ 'refresh-1', 'tour-1', 'user-1', 'refresh-2' ] ), NOW ) ).
+        toEqual( [ 'user-1', 'tour-1', 'refresh-1', 'refresh-2' ] );
+    } );
+
+    test( 'moves acts up one class per five minutes of waiting', () => {
+      mf.fetchScheduler.schedule( 'refresh-1', 'refresh', NOW - ( 11 * MINUTE_MS ) );
+      mf.fetchScheduler.schedule( 'tour-1', 'onTour', NOW - ( 4 * MINUTE_MS ) );
+      mf.fetchScheduler.schedule( 'user-1', 'interactive', NOW );
+
+      expect( mf.fetchScheduler.orderQueue( new Set( [ 'user-1', 'tour-1', 'refresh-1' ] ), NOW ) ).
+        toEqual( [ 'refresh-1', 'user-1', 'tour-1' ] );
+    } );
+
+    test( 'treats acts without or with unknown priority as ordinary refresh', () => {
+      mf.fetchScheduler.schedule( 'unknown-1', 'whenever', NOW );
+      mf.fetchScheduler.schedule( 'tour-1', 'onTour', NOW );
+
+      expect( mf.fetchScheduler.orderQueue( new Set( [ 'unknown-1', 'unscheduled-1', 'tour-1' ] ), NOW ) ).
+        toEqual( [ 'tour-1', 'unknown-1', 'unscheduled-1' ] );
+      expect( mf.fetchScheduler.getDelayMs( 'unscheduled-1' ) ).toBe( 30 * 1000 );
+    } );
+  } );
+
+  describe( 'schedule', () => {
+    test( 'keeps the enqueue time and raises the priority of acts scheduled again', () => {
+      expect( mf.fetchScheduler.schedule( 'act-1', 'refresh', NOW - MINUTE_MS ) ).toBe( true );
+      expect( mf.fetchScheduler.schedule( 'act-1', 'interactive', NOW ) ).toBe( true );
+      expect( mf.fetchScheduler.schedule( 'act-1', 'onTour', NOW ) ).toBe( false );
+
+      expect( mf.testing.fetchScheduler.entries.get( 'act-1' ) ).toEqual( {
+        'priority': 'interactive',
+        'enqueuedAt': NOW - MINUTE_MS
+      } );
+      expect( mf.fetchScheduler.getDelayMs( 'act-1' ) ).toBe( 2 * 1000 );
+    } );
+
+    test( 'release forgets the priority', () => {
+      mf.fetchScheduler.schedule( 'act-1', 'interactive', NOW );
+      mf.fetchScheduler.release( 'act-1' );
+
+      expect( mf.testing.fetchScheduler.entries.has( 'act-1' ) ).toBe( false );
+    } );
+  } );
+
+  describe( 'waitForNextFetch', () => {
+    test( 'waits the delay of the priority class of the next act', async () => {
+      const resolved = jest.fn();
+
+      mf.fetchScheduler.schedule( 'tour-1', 'onTour', NOW );
+      mf.fetchScheduler.waitForNextFetch( new Set( [ 'tour-1' ] ) ).then( resolved );
+
+      await jest.advanceTimersByTimeAsync( ( 10 * 1000 ) - 1 );
+      expect( resolved ).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync( 1 );
+      expect( resolved ).toHaveBeenCalled();
+      expect( mf.logger.debug ).toHaveBeenCalledWith( {
+        'delayMs': 10 * 1000
+      }, 'Waiting before next fetch' );
+    } );
+
+    test( 'shortens the wait when an interactive act is scheduled meanwhile', async () => {
+      const queue = new Set( [ 'refresh-1' ] );
+      const resolved = jest.fn();
+
+      mf.fetchScheduler.schedule( 'refresh-1', 'refresh', NOW );
+      mf.fetchScheduler.waitForNextFetch( queue ).then( resolved );
+
+      await jest.advanceTimersByTimeAsync( 1000 );
+      queue.add( 'user-1' );
+      mf.fetchScheduler.schedule( 'user-1', 'interactive', Date.now() );
+
+      await jest.advanceTimersByTimeAsync( 1000 );
+      expect( resolved ).toHaveBeenCalled();
+      expect( jest.getTimerCount() ).toBe( 0 );
+    } );
+
+    test( 'keeps waiting when a less urgent act is scheduled meanwhile', async () => {
+      const queue = new Set( [ 'user-1' ] );
+      const resolved = jest.fn();
+
+      mf.fetchScheduler.schedule( 'user-1', 'interactive', NOW );
+      mf.fetchScheduler.waitForNextFetch( queue ).then( resolved );
+
+      await jest.advanceTimersByTimeAsync( 500 );
+      queue.add( 'refresh-1' );
+      mf.fetchScheduler.schedule( 'refresh-1', 'refresh', Date.now() );
+
+      await jest.advanceTimersByTimeAsync( 1000 );
+      expect( resolved ).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync( 500 );
+      expect( resolved ).toHaveBeenCalled();
+    } );
+  } );
+} );
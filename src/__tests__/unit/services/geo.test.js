@@ -0,0 +1,79 @@
+/**
+ * Unit tests for geo helper module
+ * @module __tests__/unit/services/geo
+ */
+
+require( '../../../services/geo' );
+
+describe( 'geo', () => {
+  describe( 'distanceKm', () => {
+    test( 'returns 0 for identical points', () => {
+      const point = {
+        'lat': 52.52,
+        'lon': 13.40
+      };
+
+      expect( mf.geo.distanceKm( point, point ) ).toBe( 0 );
+    } );
+
+    test( 'calculates distance between Berlin and Paris', () => {
+      const berlin = {
+        'lat': 52.5200,
+        'lon': 13.4050
+      };
+      const paris = {
+        'lat': 48.8566,
+        'lon': 2.3522
+      };
+
+      expect( mf.geo.distanceKm( berlin, paris ) ).toBeCloseTo( 877.5, 0 );
+    } );
+
+    test( 'is symmetric', () => {
+      const london = {
+        'lat': 51.5343501,
+        'lon': -0.1058837
+      };
+      const kortrijk = {
+        'lat': 50.80754,
+        'lon': 3.30117
+      };
+
+      expect( mf.geo.distanceKm( london, kortrijk ) ).toBeCloseTo( mf.geo.distanceKm( kortrijk, london ), 10 );
+    } );
+
+    test( 'returns null when a point is missing', () => {
+      expect( mf.geo.distanceKm( null, {
+        'lat': 1,
+        'lon': 1
+      } ) ).toBeNull();
+    } );
+
+    test( 'returns null when coordinates are not numbers', () => {
+      expect( mf.geo.distanceKm( {
+        'lat': '52.52',
+        'lon': 13.40
+      }, {
+        'lat': 1,
+        'lon': 1
+      } ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'isValidPoint', () => {
+    test( 'accepts finite coordinates', () => {
+      expect( mf.geo.isValidPoint( {
+        'lat': 0,
+        'lon': 0
+      } ) ).toBe( true );
+    } );
+
+    test( 'rejects undefined and NaN coordinates', () => {
+      expect( mf.geo.isValidPoint( undefined ) ).toBe( false );
+      expect( mf.geo.isValidPoint( {
+        'lat': NaN,
+        'lon': 0
+      } ) ).toBe( false );
+    } );
+  } );
+} );
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for icsBuilder module
+ * @module __tests__/unit/services/icsBuilder
+ */
+
+require( '../../../services/icsBuilder' );
+
+/**
+ * Splits a calendar into unfolded content lines
+ * @param {string} calendar - Calendar text with CRLF line endings
+ * @returns {Array<string>} Content lines
+ */
+const unfold = ( calendar ) => calendar.replace( /\r\n /gu, '' ).split( '\r\n' );
+
+const timedShow = {
+  'name': 'Act A @ SO36',
+  'date': '2030-06-02',
+  'localTime': '20:00:00',
+  'startsAt': '2030-06-02T20:00:00+02:00',
+  'url': 'https://example.com/events/1',
+  'status': 'scheduled',
+  'location': {
+    'name': 'SO36',
+    'address': {
+      'street': 'Oranienstraße 190',
+      'postalCode': '10999',
+      'locality': 'Berlin',
+      'country': 'Germany'
+    },
+    'geo': {
+      'lat': 52.5,
+      'lon': 13.42
+    }
+  }
+};
+
+const festival = {
+  'name': 'Summer Festival',
+  'date': '2030-07-10',
+  'endDate': '2030-07-12',
+  'localTime': '',
+  'startsAt': null,
+  'status': 'cancelled',
+  'location': {
+    'name': null,
+    'address': null,
+    'geo': null
+  }
+};
+
+describe( 'icsBuilder', () => {
+  describe( 'escapeText', () => {
+    test( 'escapes backslashes, semicolons, commas and newlines', () => {
+      expect( mf.testing.icsBuilder.escapeText( 'a\\b;c,d\ne' ) ).toBe( 'a\\\\b\\;c\\,d\\ne' );
+    } );
+  } );
+
+  describe( 'foldLine', () => {
+    test( 'keeps short lines unchanged', () => {
+      expect( mf.testing.icsBuilder.foldLine( 'SUMMARY:Show' ) ).toBe( 'SUMMARY:Show' );
+    } );
+
+    test( 'folds long lines at 75 octets without splitting characters', () => {
+      const folded = mf.testing.icsBuilder.foldLine( `SUMMARY:${'ä'.repeat( 80 )}` );
+      const lines = folded.split( '\r\n' );
+
+      expect( lines.length ).toBeGreaterThan( 1 );
+      lines.forEach( ( line ) => expect( Buffer.byteLength( line ) ).toBeLessThanOrEqual( 75 ) );
+      expect( lines.slice( 1 ).every( ( line ) => line.startsWith( ' ' ) ) ).toBe( true );
+      expect( folded.replace( /\r\n /gu, '' ) ).toBe( `SUMMARY:${'ä'.repeat( 80 )}` );
+    } );
+  } );
+
+  describe( 'buildDateLines', () => {
+    test( 'uses UTC for events with an absolute start', () => {
+      expect( mf.testing.icsBuilder.buildDateLines( timedShow ) ).toEqual( [ 'DTSTART:20300602T180000Z' ] );
+    } );
+
+    test( 'uses floating time for events with local time only', () => {
+      expect( mf.testing.icsBuilder.buildDateLines( {
+        'date': '2030-06-02',
+        'localTime': '19:30:00',
+        'startsAt': 'soon'
+      } ) ).toEqual( [ 'DTSTART:20300602T193000' ] );
+    } );
+
+    test( 'falls back to all-day events ending after the end date', () => {
+      expect( mf.testing.icsBuilder.buildDateLines( festival ) ).toEqual( [
+        'DTSTART;VALUE=DATE:20300710',
+        'DTEND;VALUE=DATE:20300713'
+      ] );
+      expect( mf.testing.icsBuilder.buildDateLines( {
+        'date': '2030-12-31'
+      } ) ).toEqual( [
+        'DTSTART;VALUE=DATE:20301231',
+        'DTEND;VALUE=DATE:20310101'
+      ] );
+    } );
+  } );
+
+  describe( 'buildLocationText', () => {
+    test( 'joins venue and address', () => {
+      expect( mf.testing.icsBuilder.buildLocationText( timedShow.location ) ).toBe( 'SO36, Oranienstraße 190, 10999 Berlin, Germany' );
+    } );
+
+    test( 'returns empty text for unknown locations', () => {
+      expect( mf.testing.icsBuilder.buildLocationText( festival.location ) ).toBe( '' );
+      expect( mf.testing.icsBuilder.buildLocationText( null ) ).toBe( '' );
+    } );
+  } );
+
+  describe( 'buildUid', () => {
+    test( 'stays the same for the same show of an act', () => {
+      const refreshed = {
+        ...timedShow,
+        'url': 'https://example.com/events/2'
+      };
+
+      expect( mf.testing.icsBuilder.buildUid( 'id-a', timedShow ) ).toBe( mf.testing.icsBuilder.buildUid( 'id-a', refreshed ) );
+      expect( mf.testing.icsBuilder.buildUid( 'id-a', timedShow ) ).toMatch( /^[0-9a-f]{40}@musicfavorites$/u );
+    } );
+
+    test( 'differs between acts playing the same show', () => {
+      expect( mf.testing.icsBuilder.buildUid( 'id-a', timedShow ) ).not.toBe( mf.testing.icsBuilder.buildUid( 'id-b', timedShow ) );
+    } );
+  } );
+
+  describe( 'buildCalendar', () => {
+    test( 'renders one VEVENT per event', () => {
+      const calendar = mf.icsBuilder.buildCalendar( [
+        {
+          'musicbrainzId': 'id-a',
+          'name': 'Act A',
+          'events': [ timedShow, festival ]
+        },
+        {
+          'musicbrainzId': 'id-b',
+          'name': 'Act B'
+        }
+      ] );
+      const lines = unfold( calendar );
+
+      expect( calendar.endsWith( '\r\n' ) ).toBe( true );
+      expect( lines[ 0 ] ).toBe( 'BEGIN:VCALENDAR' );
+      expect( lines ).toContain( 'VERSION:2.0' );
+      expect( lines.filter( ( line ) => line === 'BEGIN:VEVENT' ) ).toHaveLength( 2 );
+      expect( lines ).toContain( 'SUMMARY:Act A @ SO36' );
+      expect( lines ).toContain( 'LOCATION:SO36\\, Oranienstraße 190\\, 10999 Berlin\\, Germany' );
+      expect( lines ).toContain( 'GEO:52.5;13.42' );
+      expect( lines ).toContain( 'URL:https://example.com/events/1' );
+      expect( lines ).toContain( 'STATUS:CONFIRMED' );
+      expect( lines ).toContain( 'STATUS:CANCELLED' );
+      expect( lines.filter( ( line ) => line.startsWith( 'LOCATION:' ) ) ).toHaveLength( 1 );
+      expect( lines.filter( ( line ) => line.startsWith( 'GEO:' ) ) ).toHaveLength( 1 );
+      expect( lines.filter( ( line ) => line.startsWith( 'URL:' ) ) ).toHaveLength( 1 );
+      expect( lines[ lines.length - 2 ] ).toBe( 'END:VCALENDAR' );
+    } );
+
+    test( 'uses the act name for events without name and skips events without date', () => {
+      const lines = unfold( mf.icsBuilder.buildCalendar( [
+        {
+          'musicbrainzId': 'id-a',
+          'name': 'Act A',
+          'events': [
+            {
+              'date': '2030-06-02',
+              'status': 'postponed'
+            },
+            {
+              'name': 'Date unknown',
+              'date': ''
+            }
+          ]
+        }
+      ] ) );
+
+      expect( lines.filter( ( line ) => line === 'BEGIN:VEVENT' ) ).toHaveLength( 1 );
+      expect( lines ).toContain( 'SUMMARY:Act A' );
+      expect( lines ).toContain( 'STATUS:TENTATIVE' );
+    } );
+
+    test( 'renders an empty calendar without events', () => {
+      const lines = unfold( mf.icsBuilder.buildCalendar( [] ) );
+
+      expect( lines ).not.toContain( 'BEGIN:VEVENT' );
+      expect( lines ).toContain( 'END:VCALENDAR' );
+    } );
+  } );
+} );
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for importParsers module
+ * Tests reading Spotify, Last.fm and plain list exports
+ * @module __tests__/unit/services/importParsers
+ */
+
+require( '../../../services/importParsers' );
+
+const SPOTIFY_ID = '1lYT0A0LV5DUfxr6doRP3d';
+const OVERSIZED_LIST = Array.from( { 'length': 5001 }, ( _, index ) => `Act ${index}` ).join( '\n' );
+
+describe( 'importParsers', () => {
+  describe( 'extractSpotifyId', () => {
+    test.each( [
+      [ SPOTIFY_ID, SPOTIFY_ID ],
+      [ `spotify:artist:${SPOTIFY_ID}`, SPOTIFY_ID ],
+      [ `https://open.spotify.com/artist/${SPOTIFY_ID}?si=abc`, SPOTIFY_ID ],
+      [ 'https://open.spotify.com/track/1lYT0A0LV5DUfxr6doRP3d1', null ],
+      [ undefined, null ]
+    ] )( 'reads %p as %p', ( value, expected ) => {
+      expect( mf.testing.importParsers.extractSpotifyId( value ) ).toBe( expected );
+    } );
+  } );
+
+  describe( 'parseSpotify', () => {
+    const artist = {
+      'name': 'Watain',
+      'uri': `spotify:artist:${SPOTIFY_ID}`
+    };
+
+    test.each( [
+      [ 'Web API response', { 'artists': { 'items': [ artist ] } } ],
+      [ 'paging object', { 'items': [ artist ] } ],
+      [ 'artist array', [ artist ] ]
+    ] )( 'reads a %s', ( _, data ) => {
+      expect( mf.testing.importParsers.parseSpotify( JSON.stringify( data ) ) ).toEqual( [
+        {
+          'name': 'Watain',
+          'spotifyId': SPOTIFY_ID
+        }
+      ] );
+    } );
+
+    test( 'falls back to the Spotify URL and skips items without name', () => {
+      const body = JSON.stringify( [
+        {
+          'name': 'Alcest',
+          'external_urls': { 'spotify': `https://open.spotify.com/artist/${SPOTIFY_ID}` }
+        },
+        { 'id': SPOTIFY_ID },
+        { 'name': 'Unlinked' }
+      ] );
+
+      expect( mf.testing.importParsers.parseSpotify( body ) ).toEqual( [
+        {
+          'name': 'Alcest',
+          'spotifyId': SPOTIFY_ID
+        },
+        {
+          'name': 'Unlinked',
+          'spotifyId': null
+        }
+      ] );
+    } );
+
+    test.each( [ 'not json', '{"artists":{}}' ] )( 'returns null for %p', ( body ) => {
+      expect( mf.testing.importParsers.parseSpotify( body ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'readFirstCsvField', () => {
+    test.each( [
+      [ 'Watain,Lawless Darkness,Malfeitor,01 Jan 2030 10:00', 'Watain' ],
+      [ '"Earth, Wind & Fire",September,September,', 'Earth, Wind & Fire' ],
+      [ '"The ""Band""",A,B,C', 'The "Band"' ],
+      [ '"Unclosed', 'Unclosed' ]
+    ] )( 'reads the artist of %p', ( line, expected ) => {
+      expect( mf.testing.importParsers.readFirstCsvField( line ) ).toBe( expected );
+    } );
+  } );
+
+  describe( 'parseImport', () => {
+    test( 'reads a Last.fm export without header and duplicate scrobbles', () => {
+      const body = 'artist,album,track,date\r\nWatain,A,B,C\r\nwatain,A,D,E\r\n"Alcest",F,G,H\r\n';
+
+      expect( mf.importParsers.parseImport( 'lastfm', body ) ).toEqual( {
+        'entries': [
+          { 'name': 'Watain' },
+          { 'name': 'Alcest' }
+        ]
+      } );
+    } );
+
+    test( 'keeps a Last.fm first line that is no header', () => {
+      expect( mf.importParsers.parseImport( 'lastfm', 'Artistic,A,B,C' ).entries ).toEqual( [ { 'name': 'Artistic' } ] );
+    } );
+
+    test( 'reads a plain list with one name per line', () => {
+      expect( mf.importParsers.parseImport( 'text', ' Watain \n\nAlcest' ) ).toEqual( {
+        'entries': [
+          { 'name': 'Watain' },
+          { 'name': 'Alcest' }
+        ]
+      } );
+    } );
+
+    test( 'reads a Spotify export', () => {
+      const body = JSON.stringify( [ { 'name': 'Watain' } ] );
+
+      expect( mf.importParsers.parseImport( 'spotify', body ) ).toEqual( {
+        'entries': [
+          {
+            'name': 'Watain',
+            'spotifyId': null
+          }
+        ]
+      } );
+    } );
+
+    test.each( [
+      [ 'unknown formats', 'itunes', 'Watain', 'Unknown format itunes, use one of spotify, lastfm, text' ],
+      [ 'inherited object keys', 'constructor', 'Watain', 'Unknown format constructor, use one of spotify, lastfm, text' ],
+      [ 'missing bodies', 'text', {}, 'Request body is no text export' ],
+      [ 'unreadable files', 'spotify', 'nope', 'Request body is no spotify export' ],
+      [ 'empty files', 'text', '\n', 'Import must contain 1 to 5000 artists, found 0' ],
+      [ 'oversized files', 'text', OVERSIZED_LIST, 'Import must contain 1 to 5000 artists, found 5001' ]
+    ] )( 'rejects %s', ( _, format, body, details ) => {
+      expect( mf.importParsers.parseImport( format, body ) ).toEqual( {
+        'error': {
+          'message': 'Invalid import file',
+          details
+        }
+      } );
+    } );
+  } );
+} );
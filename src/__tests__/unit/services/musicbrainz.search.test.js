@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the MusicBrainz artist search
+ * Tests HTTP client wrapper by mocking axios
+ * @module __tests__/unit/services/musicbrainz.search
+ */
+
+describe( 'musicbrainz - searchActs', () => {
+  let axios;
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+
+    axios = require( 'axios' );
+    require( '../../../services/musicbrainz' );
+
+    jest.spyOn( mf.logger, 'info' ).mockImplementation();
+    jest.spyOn( mf.logger, 'error' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  test( 'queries the artist search with User-Agent and timeout', async () => {
+    const artists = [
+      {
+        'id': '1cdc8e8b-2b7a-4b42-9a47-4b6e6d2e5ad1',
+        'name': 'Watain',
+        'score': 100
+      }
+    ];
+
+    axios.get.mockResolvedValue( {
+      'status': 200,
+      'data': { artists }
+    } );
+
+    await expect( mf.musicbrainz.searchActs( 'watain & co', 25 ) ).resolves.toEqual( artists );
+    expect( mf.rateLimiter.acquire ).toHaveBeenCalledWith( 'https://musicbrainz.org/ws/2/artist?query=watain%20%5C%26%20co&limit=25&fmt=json' );
+    expect( axios.get ).toHaveBeenCalledWith( 'https://musicbrainz.org/ws/2/artist?query=watain%20%5C%26%20co&limit=25&fmt=json', {
+      'headers': {
+        'User-Agent': mf.constants.USER_AGENT
+      },
+      'timeout': mf.constants.HTTP_TIMEOUT
+    } );
+  } );
+
+  test.each( [
+    [ 'AC/DC', 'AC\\/DC' ],
+    [ '!!!', '\\!\\!\\!' ],
+    [ 'Sunn O)))', 'Sunn O\\)\\)\\)' ],
+    [ 'Mr. Bungle [live] {x} ^2 ~ * ? : + - "q" \\', 'Mr. Bungle \\[live\\] \\{x\\} \\^2 \\~ \\* \\? \\: \\+ \\- \\"q\\" \\\\' ]
+  ] )( 'escapes the Lucene syntax in %s', async ( name, query ) => {
+    axios.get.mockResolvedValue( {
+      'status': 200,
+      'data': { 'artists': [] }
+    } );
+
+    await mf.musicbrainz.searchActs( name, 25 );
+
+    expect( axios.get.mock.calls[ 0 ][ 0 ] ).toBe( `https://musicbrainz.org/ws/2/artist?query=${encodeURIComponent( query )}&limit=25&fmt=json` );
+  } );
+
+  test( 'returns no artists when MusicBrainz lists none', async () => {
+    axios.get.mockResolvedValue( {
+      'status': 200,
+      'data': {}
+    } );
+
+    await expect( mf.musicbrainz.searchActs( 'nothing', 25 ) ).resolves.toEqual( [] );
+  } );
+
+  test( 'wraps errors with the HTTP status code', async () => {
+    const error = new Error( 'Request failed with status code 503' );
+
+    error.response = { 'status': 503 };
+    axios.get.mockRejectedValue( error );
+
+    await expect( mf.musicbrainz.searchActs( 'watain', 25 ) ).rejects.toMatchObject( {
+      'message': 'MusicBrainz: Request failed with status code 503',
+      'statusCode': 503
+    } );
+    expect( mf.logger.error ).toHaveBeenCalledWith( expect.objectContaining( { 'query': 'watain' } ), 'MusicBrainz search error' );
+  } );
+} );
@@ -90,6 +90,20 @@ describe( 'musicbrainz', () => {
         toThrow( 'MusicBrainz: Network error' );
     } );
 
+    /**
+     * Test HTTP status of failed requests is kept
+     */
+    test( 'keeps the HTTP status code of failed requests', async () => {
+      const validMbid = 'a74b1b7f-71a5-4011-9441-d0b5e4122711';
+      const notFoundError = new Error( 'Request failed with status code 404' );
+
+      notFoundError.response = { 'status': 404 };
+      axios.get.mockRejectedValueOnce( notFoundError ).mockRejectedValueOnce( new Error( 'Network error' ) );
+
+      await expect( mf.musicbrainz.fetchAct( validMbid ) ).rejects.toMatchObject( { 'statusCode': 404 } );
+      await expect( mf.musicbrainz.fetchAct( validMbid ) ).rejects.toMatchObject( { 'statusCode': null } );
+    } );
+
     /**
      * Test includes correct User-Agent
      */
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for the MusicBrainz URL lookup
+ * Tests HTTP client wrapper by mocking axios
+ * @module __tests__/unit/services/musicbrainz.urlLookup
+ */
+
+describe( 'musicbrainz - lookupUrl', () => {
+  const resource = 'https://open.spotify.com/artist/1lYT0A0LV5DUfxr6doRP3d';
+  let axios;
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+
+    axios = require( 'axios' );
+    require( '../../../services/musicbrainz' );
+
+    jest.spyOn( mf.logger, 'error' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  test( 'returns the artists linked to the URL', async () => {
+    const artist = {
+      'id': '1cdc8e8b-2b7a-4b42-9a47-4b6e6d2e5ad1',
+      'name': 'Watain'
+    };
+
+    axios.get.mockResolvedValue( {
+      'status': 200,
+      'data': {
+        resource,
+        'relations': [ { artist }, { 'label': { 'id': 'label-1' } } ]
+      }
+    } );
+
+    await expect( mf.musicbrainz.lookupUrl( resource ) ).resolves.toEqual( [ artist ] );
+    expect( axios.get ).toHaveBeenCalledWith(
+      `https://musicbrainz.org/ws/2/url?resource=${encodeURIComponent( resource )}&inc=artist-rels&fmt=json`,
+      {
+        'headers': {
+          'User-Agent': mf.constants.USER_AGENT
+        },
+        'timeout': mf.constants.HTTP_TIMEOUT
+      }
+    );
+  } );
+
+  test( 'returns no artists for URLs without relations', async () => {
+    axios.get.mockResolvedValue( {
+      'status': 200,
+      'data': { resource }
+    } );
+
+    await expect( mf.musicbrainz.lookupUrl( resource ) ).resolves.toEqual( [] );
+  } );
+
+  test( 'returns no artists for URLs MusicBrainz does not know', async () => {
+    const error = new Error( 'Request failed with status code 404' );
+
+    error.response = { 'status': 404 };
+    axios.get.mockRejectedValue( error );
+
+    await expect( mf.musicbrainz.lookupUrl( resource ) ).resolves.toEqual( [] );
+    expect( mf.logger.error ).not.toHaveBeenCalled();
+  } );
+
+  test( 'wraps other errors', async () => {
+    axios.get.mockRejectedValue( new Error( 'timeout of 5000ms exceeded' ) );
+
+    await expect( mf.musicbrainz.lookupUrl( resource ) ).rejects.toMatchObject( {
+      'message': 'MusicBrainz: timeout of 5000ms exceeded',
+      'statusCode': null
+    } );
+    expect( mf.logger.error ).toHaveBeenCalledWith( expect.objectContaining( { resource } ), 'MusicBrainz URL lookup error' );
+  } );
+} );
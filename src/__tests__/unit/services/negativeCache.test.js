@@ -0,0 +1,173 @@
+/**
+ * Unit tests for negativeCache module
+ * Tests which MusicBrainz failures are remembered, with mocked musicbrainz and database
+ * @module __tests__/unit/services/negativeCache
+ */
+
+require( '../../../services/negativeCache' );
+
+const VALID_ID = '53b106e7-0cc6-42cc-ac95-ed8d30a3a98e';
+const CANONICAL_ID = 'f4abc0b5-3f7a-4eff-8f78-ac078dbce533';
+
+/**
+ * Builds an error as thrown by musicbrainz.fetchAct
+ * @param {number|null} statusCode - HTTP status of the failed request
+ * @returns {Error} Error with statusCode
+ */
+const buildError = ( statusCode ) => {
+  const error = new Error( `MusicBrainz: Request failed with status code ${statusCode}` );
+
+  error.statusCode = statusCode;
+
+  return error;
+};
+
+describe( 'negativeCache', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mf.musicbrainz.fetchAct = jest.fn().mockResolvedValue( { 'id': VALID_ID } );
+    mf.databaseNegativeCache.cacheNegativeResult = jest.fn().mockResolvedValue();
+    mf.databaseNegativeCache.getNegativeResults = jest.fn().mockResolvedValue( [] );
+    mf.databaseAliases.recordAlias = jest.fn().mockResolvedValue();
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.restoreAllMocks();
+  } );
+
+  describe( 'getFailureReason', () => {
+    test.each( [
+      [ 'not-an-mbid', null, 'invalid' ],
+      [ VALID_ID, 404, 'notFound' ],
+      [ VALID_ID, 503, null ],
+      [ VALID_ID, null, null ]
+    ] )( 'returns the reason for %s failing with %s', ( actId, statusCode, reason ) => {
+      expect( mf.testing.negativeCache.getFailureReason( actId, buildError( statusCode ) ) ).toBe( reason );
+    } );
+  } );
+
+  describe( 'fetchMusicBrainzAct', () => {
+    test( 'returns act data without storing anything for the requested MBID', async () => {
+      await expect( mf.negativeCache.fetchMusicBrainzAct( VALID_ID.toUpperCase() ) ).resolves.toEqual( { 'id': VALID_ID } );
+
+      expect( mf.databaseNegativeCache.cacheNegativeResult ).not.toHaveBeenCalled();
+      expect( mf.databaseAliases.recordAlias ).not.toHaveBeenCalled();
+    } );
+
+    test( 'records MBIDs that MusicBrainz merged into another as aliases', async () => {
+      mf.musicbrainz.fetchAct.mockResolvedValue( { 'id': CANONICAL_ID } );
+
+      await mf.negativeCache.fetchMusicBrainzAct( VALID_ID );
+
+      expect( mf.databaseAliases.recordAlias ).toHaveBeenCalledWith( VALID_ID, CANONICAL_ID );
+      expect( mf.databaseNegativeCache.cacheNegativeResult ).not.toHaveBeenCalled();
+    } );
+
+    test( 'logs when the alias cannot be recorded', async () => {
+      mf.musicbrainz.fetchAct.mockResolvedValue( { 'id': CANONICAL_ID } );
+      mf.databaseAliases.recordAlias.mockRejectedValue( new Error( 'DB down' ) );
+
+      await mf.negativeCache.fetchMusicBrainzAct( VALID_ID );
+      await Promise.resolve();
+
+      expect( mf.logger.warn ).toHaveBeenCalledWith( expect.objectContaining( {
+        'aliasId': VALID_ID,
+        'canonicalId': CANONICAL_ID
+      } ), 'Failed to record act alias' );
+    } );
+
+    test( 'remembers unknown MBIDs and rethrows the error', async () => {
+      const error = buildError( 404 );
+
+      mf.musicbrainz.fetchAct.mockRejectedValue( error );
+
+      await expect( mf.negativeCache.fetchMusicBrainzAct( VALID_ID ) ).rejects.toBe( error );
+      expect( mf.databaseNegativeCache.cacheNegativeResult ).toHaveBeenCalledWith( VALID_ID, 'notFound' );
+    } );
+
+    test( 'does not remember errors that may go away', async () => {
+      mf.musicbrainz.fetchAct.mockRejectedValue( buildError( 503 ) );
+
+      await expect( mf.negativeCache.fetchMusicBrainzAct( VALID_ID ) ).rejects.toThrow( 'status code 503' );
+      expect( mf.databaseNegativeCache.cacheNegativeResult ).not.toHaveBeenCalled();
+    } );
+
+    test( 'logs when the negative result cannot be stored', async () => {
+      mf.musicbrainz.fetchAct.mockRejectedValue( buildError( 404 ) );
+      mf.databaseNegativeCache.cacheNegativeResult.mockRejectedValue( new Error( 'DB down' ) );
+
+      await expect( mf.negativeCache.fetchMusicBrainzAct( 'nope' ) ).rejects.toThrow();
+      await Promise.resolve();
+
+      expect( mf.logger.warn ).toHaveBeenCalledWith( expect.objectContaining( {
+        'actId': 'nope',
+        'reason': 'invalid'
+      } ), 'Failed to cache negative result' );
+    } );
+  } );
+
+  describe( 'findNegativeResults', () => {
+    test( 'returns stored negative results', async () => {
+      const results = [
+        {
+          'musicbrainzId': VALID_ID,
+          'reason': 'notFound'
+        }
+      ];
+
+      mf.databaseNegativeCache.getNegativeResults.mockResolvedValue( results );
+
+      await expect( mf.negativeCache.findNegativeResults( [ VALID_ID ] ) ).resolves.toBe( results );
+    } );
+
+    test( 'returns nothing when the lookup fails', async () => {
+      mf.databaseNegativeCache.getNegativeResults.mockRejectedValue( new Error( 'DB down' ) );
+
+      await expect( mf.negativeCache.findNegativeResults( [ VALID_ID ] ) ).resolves.toEqual( [] );
+      expect( mf.logger.warn ).toHaveBeenCalled();
+    } );
+  } );
+
+  describe( 'reportNotFound', () => {
+    const notFound = [
+      {
+        'musicbrainzId': VALID_ID,
+        'reason': 'notFound'
+      }
+    ];
+
+    test( 'keeps results without negatively cached acts', () => {
+      const result = { 'acts': [] };
+
+      expect( mf.negativeCache.reportNotFound( result, [] ) ).toBe( result );
+    } );
+
+    test( 'lists negatively cached acts next to the acts', () => {
+      expect( mf.negativeCache.reportNotFound( { 'acts': [ { 'name': 'Act' } ] }, notFound ) ).toEqual( {
+        'acts': [ { 'name': 'Act' } ],
+        notFound
+      } );
+    } );
+
+    test( 'lists negatively cached acts in the job', () => {
+      expect( mf.negativeCache.reportNotFound( { 'job': { 'id': 'job-1' } }, notFound ) ).toEqual( {
+        'job': {
+          'id': 'job-1',
+          notFound
+        }
+      } );
+    } );
+
+    test( 'fails with 404 when nothing but negatively cached acts was requested', () => {
+      expect( mf.negativeCache.reportNotFound( { 'acts': [] }, notFound ) ).toEqual( {
+        'status': 404,
+        'error': {
+          'message': '1 acts cannot be fetched from MusicBrainz',
+          'acts': notFound
+        }
+      } );
+    } );
+  } );
+} );
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for rateLimiter module
+ * Uses the real module (jest.setup.js mocks it for all other tests) with fake timers
+ * @module __tests__/unit/services/rateLimiter
+ */
+
+describe( 'rateLimiter', () => {
+  beforeEach( () => {
+    jest.useFakeTimers( {
+      'now': new Date( '2030-02-01T10:00:00.000Z' )
+    } );
+    jest.resetModules();
+    jest.requireActual( '../../../services/rateLimiter' );
+    jest.spyOn( mf.logger, 'debug' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  /**
+   * Starts requests and records which of them have been let through
+   * @param {Array<string>} urls - URLs to request in this order
+   * @returns {Array<string>} URLs let through so far, filled in as tokens are handed out
+   */
+  const startRequests = ( urls ) => {
+    const passed = [];
+
+    urls.forEach( ( url ) => {
+      mf.rateLimiter.acquire( url ).then( () => passed.push( url ) );
+    } );
+
+    return passed;
+  };
+
+  test( 'lets one MusicBrainz request through per second in order', async () => {
+    const passed = startRequests( [
+      'https://musicbrainz.org/ws/2/artist/a',
+      'https://musicbrainz.org/ws/2/artist/b',
+      'https://musicbrainz.org/ws/2/artist/c'
+    ] );
+
+    await jest.advanceTimersByTimeAsync( 0 );
+    expect( passed ).toEqual( [ 'https://musicbrainz.org/ws/2/artist/a' ] );
+
+    await jest.advanceTimersByTimeAsync( 999 );
+    expect( passed ).toHaveLength( 1 );
+
+    await jest.advanceTimersByTimeAsync( 1 );
+    expect( passed ).toEqual( [ 'https://musicbrainz.org/ws/2/artist/a', 'https://musicbrainz.org/ws/2/artist/b' ] );
+
+    await jest.advanceTimersByTimeAsync( 1000 );
+    expect( passed ).toHaveLength( 3 );
+  } );
+
+  test( 'limits every host on its own', async () => {
+    const passed = startRequests( [
+      'https://musicbrainz.org/ws/2/artist/a',
+      'https://musicbrainz.org/ws/2/artist/b',
+      'https://www.bandsintown.com/a/1',
+      'https://www.bandsintown.com/a/2',
+      'https://hooks.example.com/1'
+    ] );
+
+    await jest.advanceTimersByTimeAsync( 0 );
+
+    expect( passed ).toEqual( [
+      'https://musicbrainz.org/ws/2/artist/a',
+      'https://www.bandsintown.com/a/1',
+      'https://www.bandsintown.com/a/2',
+      'https://hooks.example.com/1'
+    ] );
+  } );
+
+  test( 'limits all subdomains of a provider together', async () => {
+    const passed = startRequests( [
+      'https://www.bandsintown.com/a/1',
+      'https://bandsintown.com/a/2',
+      'https://m.bandsintown.com/a/3',
+      'https://api.songkick.com/a/1',
+      'https://www.songkick.com/a/2',
+      'https://songkick.com/a/3'
+    ] );
+
+    await jest.advanceTimersByTimeAsync( 0 );
+
+    expect( passed ).toEqual( [
+      'https://www.bandsintown.com/a/1',
+      'https://bandsintown.com/a/2',
+      'https://api.songkick.com/a/1',
+      'https://www.songkick.com/a/2'
+    ] );
+    expect( Object.keys( mf.rateLimiter.getMetrics() ) ).toEqual( [ 'bandsintown.com', 'songkick.com' ] );
+  } );
+
+  test( 'refills tokens while idle, up to the burst size', async () => {
+    startRequests( [ 'https://www.songkick.com/artists/1' ] );
+    await jest.advanceTimersByTimeAsync( 60000 );
+
+    const passed = startRequests( [
+      'https://www.songkick.com/artists/2',
+      'https://www.songkick.com/artists/3',
+      'https://www.songkick.com/artists/4'
+    ] );
+
+    await jest.advanceTimersByTimeAsync( 0 );
+    expect( passed ).toHaveLength( 2 );
+
+    await jest.advanceTimersByTimeAsync( 500 );
+    expect( passed ).toHaveLength( 3 );
+  } );
+
+  test( 'publishes queue depth and wait times per host', async () => {
+    startRequests( [
+      'https://musicbrainz.org/ws/2/artist/a',
+      'https://musicbrainz.org/ws/2/artist/b',
+      'https://musicbrainz.org/ws/2/artist/c'
+    ] );
+    await jest.advanceTimersByTimeAsync( 0 );
+
+    expect( mf.rateLimiter.getMetrics() ).toEqual( {
+      'musicbrainz.org': {
+        'requestsPerSecond': 1,
+        'queueDepth': 2,
+        'requests': 1,
+        'delayedRequests': 0,
+        'averageWaitMs': 0,
+        'maxWaitMs': 0
+      }
+    } );
+    expect( mf.logger.debug ).toHaveBeenCalledWith( {
+      'host': 'musicbrainz.org',
+      'queueDepth': 2
+    }, 'Upstream request waiting for rate limit' );
+
+    await jest.advanceTimersByTimeAsync( 2000 );
+
+    expect( mf.rateLimiter.getMetrics()[ 'musicbrainz.org' ] ).toEqual( {
+      'requestsPerSecond': 1,
+      'queueDepth': 0,
+      'requests': 3,
+      'delayedRequests': 2,
+      'averageWaitMs': 1000,
+      'maxWaitMs': 2000
+    } );
+  } );
+
+  test( 'publishes no metrics before the first request', () => {
+    expect( mf.rateLimiter.getMetrics() ).toEqual( {} );
+  } );
+
+  test( 'rejects invalid URLs', async () => {
+    await expect( mf.rateLimiter.acquire( 'not a url' ) ).rejects.toThrow( 'Invalid URL' );
+  } );
+} );
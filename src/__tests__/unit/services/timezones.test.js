@@ -0,0 +1,205 @@
+/**
+ * Unit tests for timezones module
+ * @module __tests__/unit/services/timezones
+ */
+
+require( '../../../services/timezones' );
+
+describe( 'timezones', () => {
+  describe( 'findTimeZone', () => {
+    test( 'uses the only timezone of single-zone countries', () => {
+      expect( mf.timezones.findTimeZone( null, { 'countryCode': 'DE' } ) ).toBe( 'Europe/Berlin' );
+      expect( mf.timezones.findTimeZone( {
+        'lat': 48.14,
+        'lon': 11.58
+      }, { 'countryCode': 'DE' } ) ).toBe( 'Europe/Berlin' );
+    } );
+
+    test.each( [
+      [ 'Atlanta', 'US', 'GA', [ 33.75, -84.39 ], 'America/New_York' ],
+      [ 'Indianapolis', 'US', 'Indiana', [ 39.77, -86.16 ], 'America/Indiana/Indianapolis' ],
+      [ 'El Paso', 'US', 'TX', [ 31.76, -106.49 ], 'America/Denver' ],
+      [ 'Houston', 'US', 'Texas', [ 29.76, -95.37 ], 'America/Chicago' ],
+      [ 'Québec', 'CA', 'Québec', [ 46.81, -71.21 ], 'America/Toronto' ],
+      [ 'Broken Hill', 'AU', 'NSW', [ -31.95, 141.47 ], 'Australia/Broken_Hill' ]
+    ] )( 'uses the timezone of the region of %s', ( locality, countryCode, region, [ lat, lon ], zone ) => {
+      const address = {
+        countryCode,
+        region,
+        locality
+      };
+
+      expect( mf.timezones.findTimeZone( null, address ) ).toBe( zone );
+      expect( mf.timezones.findTimeZone( {
+        lat,
+        lon
+      }, address ) ).toBe( zone );
+    } );
+
+    test.each( [
+      [ 'Atlanta', 33.75, -84.39, 'America/New_York' ],
+      [ 'Indianapolis', 39.77, -86.16, 'America/Indiana/Indianapolis' ],
+      [ 'El Paso', 31.76, -106.49, 'America/Denver' ],
+      [ 'Chicago', 41.88, -87.63, 'America/Chicago' ],
+      [ 'Seattle', 47.61, -122.33, 'America/Los_Angeles' ]
+    ] )( 'finds the region of %s by its coordinates without region', ( locality, lat, lon, zone ) => {
+      expect( mf.timezones.findTimeZone( {
+        lat,
+        lon
+      }, {
+        'countryCode': 'US',
+        'region': null,
+        locality
+      } ) ).toBe( zone );
+    } );
+
+    test( 'finds the region by coordinates when the region name is unknown', () => {
+      expect( mf.timezones.findTimeZone( {
+        'lat': -31.95,
+        'lon': 115.86
+      }, {
+        'countryCode': 'AU',
+        'region': 'Somewhere'
+      } ) ).toBe( 'Australia/Perth' );
+    } );
+
+    test( 'uses the nearest timezone of multi-zone countries without regions', () => {
+      expect( mf.timezones.findTimeZone( {
+        'lat': 32.65,
+        'lon': -16.91
+      }, { 'countryCode': 'PT' } ) ).toBe( 'Atlantic/Madeira' );
+      expect( mf.timezones.findTimeZone( {
+        'lat': 28.12,
+        'lon': -15.43
+      }, { 'countryCode': 'ES' } ) ).toBe( 'Atlantic/Canary' );
+    } );
+
+    test( 'uses the main timezone of multi-zone countries without region and coordinates', () => {
+      expect( mf.timezones.findTimeZone( null, { 'countryCode': 'US' } ) ).toBe( 'America/New_York' );
+      expect( mf.timezones.findTimeZone( null, {
+        'countryCode': 'US',
+        'region': 'Somewhere'
+      } ) ).toBe( 'America/New_York' );
+    } );
+
+    test( 'uses the nearest timezone of all countries without a known country', () => {
+      expect( mf.timezones.findTimeZone( {
+        'lat': 50.08,
+        'lon': 14.42
+      }, null ) ).toBe( 'Europe/Prague' );
+    } );
+
+    test( 'returns null without country and coordinates', () => {
+      expect( mf.timezones.findTimeZone( null, { 'countryCode': 'XX' } ) ).toBeNull();
+      expect( mf.timezones.findTimeZone( null, null ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'getOffsetMinutes', () => {
+    test( 'returns offsets east and west of UTC', () => {
+      const summer = Date.parse( '2030-07-01T12:00:00Z' );
+
+      expect( mf.testing.timezones.getOffsetMinutes( 'Europe/Berlin', summer ) ).toBe( 120 );
+      expect( mf.testing.timezones.getOffsetMinutes( 'America/St_Johns', summer ) ).toBe( -150 );
+      expect( mf.testing.timezones.getOffsetMinutes( 'UTC', summer ) ).toBe( 0 );
+    } );
+  } );
+
+  describe( 'toInstant', () => {
+    test( 'converts local venue time to an instant', () => {
+      expect( mf.timezones.toInstant( '2030-01-15', '20:00:00', 'Europe/Berlin' ).toISOString() ).toBe( '2030-01-15T19:00:00.000Z' );
+      expect( mf.timezones.toInstant( '2030-07-15', '20:00:00', 'America/New_York' ).toISOString() ).toBe( '2030-07-16T00:00:00.000Z' );
+    } );
+
+    test( 'handles times right after a daylight saving change', () => {
+      expect( mf.timezones.toInstant( '2030-03-31', '03:30:00', 'Europe/Berlin' ).toISOString() ).toBe( '2030-03-31T01:30:00.000Z' );
+    } );
+
+    test( 'uses start of day without time and UTC without timezone', () => {
+      expect( mf.timezones.toInstant( '2030-01-15', '', null ).toISOString() ).toBe( '2030-01-15T00:00:00.000Z' );
+    } );
+
+    test( 'returns null for invalid dates', () => {
+      expect( mf.timezones.toInstant( 'someday', '', 'Europe/Berlin' ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'getEventInstant', () => {
+    test( 'prefers startsAt', () => {
+      expect( mf.timezones.getEventInstant( {
+        'date': '2030-01-15',
+        'startsAt': '2030-01-15T20:00:00+01:00'
+      } ).toISOString() ).toBe( '2030-01-15T19:00:00.000Z' );
+    } );
+
+    test( 'falls back to date and local time in the event timezone', () => {
+      expect( mf.timezones.getEventInstant( {
+        'date': '2030-01-15',
+        'localTime': '20:00:00',
+        'timeZone': 'Asia/Tokyo'
+      } ).toISOString() ).toBe( '2030-01-15T11:00:00.000Z' );
+    } );
+
+    test( 'returns null for invalid start', () => {
+      expect( mf.timezones.getEventInstant( {
+        'date': '2030-01-15',
+        'startsAt': 'soon'
+      } ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'resolveInstant', () => {
+    test( 'keeps explicit offsets', () => {
+      expect( mf.timezones.resolveInstant( '2030-01-15T20:00:00+01:00', 'Asia/Tokyo' ).toISOString() ).toBe( '2030-01-15T19:00:00.000Z' );
+      expect( mf.timezones.resolveInstant( '2030-01-15T20:00:00Z', 'Asia/Tokyo' ).toISOString() ).toBe( '2030-01-15T20:00:00.000Z' );
+    } );
+
+    test( 'resolves local datetimes and dates in the venue timezone', () => {
+      expect( mf.timezones.resolveInstant( '2030-01-15T20:00', 'Asia/Tokyo' ).toISOString() ).toBe( '2030-01-15T11:00:00.000Z' );
+      expect( mf.timezones.resolveInstant( '2030-01-15T20:00:00.000', 'Asia/Tokyo' ).toISOString() ).toBe( '2030-01-15T11:00:00.000Z' );
+      expect( mf.timezones.resolveInstant( '2030-01-15', 'Asia/Tokyo' ).toISOString() ).toBe( '2030-01-14T15:00:00.000Z' );
+    } );
+
+    test( 'returns null for missing and invalid start dates', () => {
+      expect( mf.timezones.resolveInstant( null, 'Asia/Tokyo' ) ).toBeNull();
+      expect( mf.timezones.resolveInstant( '15.01.2030', 'Asia/Tokyo' ) ).toBeNull();
+      expect( mf.timezones.resolveInstant( '2030-13-45T20:00:00Z', 'Asia/Tokyo' ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'buildStartsAt', () => {
+    test( 'adds the venue offset to local start times', () => {
+      expect( mf.timezones.buildStartsAt( '2030-01-15T20:00:00', 'Europe/London' ) ).toBe( '2030-01-15T20:00:00+00:00' );
+      expect( mf.timezones.buildStartsAt( '2030-07-15T20:00:00', 'America/Los_Angeles' ) ).toBe( '2030-07-15T20:00:00-07:00' );
+      expect( mf.timezones.buildStartsAt( '2030-07-15T20:00:00', 'Asia/Kolkata' ) ).toBe( '2030-07-15T20:00:00+05:30' );
+    } );
+
+    test( 'converts absolute start times to the venue offset', () => {
+      expect( mf.timezones.buildStartsAt( '2030-01-15T19:00:00Z', 'Europe/Berlin' ) ).toBe( '2030-01-15T20:00:00+01:00' );
+      expect( mf.timezones.buildStartsAt( '2030-01-15T19:00:00Z', null ) ).toBe( '2030-01-15T19:00:00+00:00' );
+    } );
+
+    test( 'returns null without time or timezone', () => {
+      expect( mf.timezones.buildStartsAt( '2030-01-15', 'Europe/Berlin' ) ).toBeNull();
+      expect( mf.timezones.buildStartsAt( '2030-01-15T20:00:00', null ) ).toBeNull();
+      expect( mf.timezones.buildStartsAt( null, 'Europe/Berlin' ) ).toBeNull();
+      expect( mf.timezones.buildStartsAt( '2030-01-15Tlate', 'Europe/Berlin' ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'getLocalDate', () => {
+    test( 'returns the calendar date in the timezone', () => {
+      const timestamp = Date.parse( '2030-01-15T23:30:00Z' );
+
+      expect( mf.timezones.getLocalDate( timestamp, 'Europe/Berlin' ) ).toBe( '2030-01-16' );
+      expect( mf.timezones.getLocalDate( timestamp, 'America/New_York' ) ).toBe( '2030-01-15' );
+      expect( mf.timezones.getLocalDate( timestamp, null ) ).toBe( '2030-01-15' );
+    } );
+  } );
+
+  describe( 'formatWithOffset', () => {
+    test( 'formats negative offsets with minutes', () => {
+      expect( mf.testing.timezones.formatWithOffset( new Date( '2030-01-15T12:00:00Z' ), 'America/St_Johns' ) ).toBe( '2030-01-15T08:30:00-03:30' );
+    } );
+  } );
+} );
@@ -0,0 +1,28 @@
+/**
+ * Unit tests for upstreamHost module
+ * @module __tests__/unit/services/upstreamHost
+ */
+
+require( '../../../services/upstreamHost' );
+
+describe( 'upstreamHost', () => {
+  describe( 'getHostKey', () => {
+    test.each( [
+      [ 'https://www.bandsintown.com/a/1', 'bandsintown.com' ],
+      [ 'https://m.bandsintown.com/a/1', 'bandsintown.com' ],
+      [ 'https://api.songkick.com/a/1', 'songkick.com' ],
+      [ 'https://musicbrainz.org/ws/2/artist/a', 'musicbrainz.org' ],
+      [ 'https://hooks.example.com/1', 'hooks.example.com' ]
+    ] )( 'names the host of %s %s', ( url, host ) => {
+      expect( mf.upstreamHost.getHostKey( url ) ).toBe( host );
+    } );
+
+    test( 'strips only one leading prefix', () => {
+      expect( mf.upstreamHost.getHostKey( 'https://www.m.example.com/' ) ).toBe( 'm.example.com' );
+    } );
+
+    test( 'rejects invalid URLs', () => {
+      expect( () => mf.upstreamHost.getHostKey( 'not a url' ) ).toThrow( 'Invalid URL' );
+    } );
+  } );
+} );
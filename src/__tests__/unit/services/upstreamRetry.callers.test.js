@@ -0,0 +1,83 @@
+/**
+ * Unit tests for retries of MusicBrainz and event page requests
+ * Uses the real upstreamRetry module with mocked axios and fake timers
+ * @module __tests__/unit/services/upstreamRetry.callers
+ */
+
+describe( 'upstreamRetry - callers', () => {
+  let axios;
+
+  beforeEach( () => {
+    jest.useFakeTimers();
+    jest.resetModules();
+
+    axios = require( 'axios' );
+    require( '../../../services/musicbrainz' );
+    require( '../../../services/ldJsonExtractor' );
+    jest.requireActual( '../../../services/upstreamRetry' );
+
+    jest.spyOn( mf.logger, 'info' ).mockImplementation();
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  /**
+   * Builds a 503 error as thrown by axios
+   * @returns {Error} Axios-like error with response
+   */
+  const buildUnavailableError = () => {
+    const error = new Error( 'Request failed with status code 503' );
+
+    error.response = {
+      'status': 503,
+      'headers': { 'retry-after': '2' }
+    };
+
+    return error;
+  };
+
+  test( 'fetchAct retries a MusicBrainz 503 after Retry-After', async () => {
+    const mbid = '53689c08-f234-4c47-9256-58c8568f06d1';
+
+    axios.get.
+      mockRejectedValueOnce( buildUnavailableError() ).
+      mockResolvedValueOnce( {
+        'status': 200,
+        'data': { 'id': mbid }
+      } );
+
+    const promise = mf.musicbrainz.fetchAct( mbid );
+
+    await jest.advanceTimersByTimeAsync( 2000 );
+
+    await expect( promise ).resolves.toEqual( { 'id': mbid } );
+    expect( axios.get ).toHaveBeenCalledTimes( 2 );
+    expect( mf.rateLimiter.acquire ).toHaveBeenCalledTimes( 2 );
+  } );
+
+  test( 'fetchAndExtractLdJson retries a Bandsintown 503 instead of returning no events', async () => {
+    const html = '<script type="application/ld+json">{"@type":"MusicEvent","name":"Show"}</script>';
+
+    axios.get.
+      mockRejectedValueOnce( buildUnavailableError() ).
+      mockResolvedValueOnce( {
+        'status': 200,
+        'data': html
+      } );
+
+    const promise = mf.ldJsonExtractor.fetchAndExtractLdJson( 'https://www.bandsintown.com/a/1' );
+
+    await jest.advanceTimersByTimeAsync( 2000 );
+
+    await expect( promise ).resolves.toEqual( [
+      {
+        '@type': 'MusicEvent',
+        'name': 'Show'
+      }
+    ] );
+  } );
+} );
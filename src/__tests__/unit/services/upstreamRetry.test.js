@@ -0,0 +1,139 @@
+/**
+ * Unit tests for upstreamRetry module
+ * Uses the real module (jest.setup.js mocks it for all other tests) with fake timers
+ * @module __tests__/unit/services/upstreamRetry
+ */
+
+/**
+ * Builds an error as thrown by axios
+ * @param {object} options - Error details
+ * @param {number} [options.status] - HTTP status of the response
+ * @param {string} [options.code] - Error code of requests without response
+ * @param {object} [options.headers] - Response headers
+ * @returns {Error} Axios-like error
+ */
+const buildError = ( { status, code, headers = {} } ) => {
+  const error = new Error( `Request failed: ${status || code}` );
+
+  error.code = code;
+  if ( status ) {
+    error.response = {
+      status,
+      headers
+    };
+  }
+
+  return error;
+};
+
+describe( 'upstreamRetry', () => {
+  beforeEach( () => {
+    jest.useFakeTimers( {
+      'now': new Date( '2030-02-01T10:00:00.000Z' )
+    } );
+    jest.resetModules();
+    jest.requireActual( '../../../services/upstreamRetry' );
+    jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+    jest.spyOn( Math, 'random' ).mockReturnValue( 0.5 );
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  describe( 'parseRetryAfter', () => {
+    test.each( [
+      [ '120', 120000 ],
+      [ 'Fri, 01 Feb 2030 10:00:30 GMT', 30000 ],
+      [ 'Fri, 01 Feb 2030 09:00:00 GMT', 0 ],
+      [ 'soon', null ],
+      [ undefined, null ]
+    ] )( 'reads %p as %p ms', ( value, expected ) => {
+      expect( mf.testing.upstreamRetry.parseRetryAfter( value ) ).toBe( expected );
+    } );
+  } );
+
+  describe( 'getRetryDelay', () => {
+    test.each( [
+      [ '503', { 'status': 503 }, 1, 750 ],
+      [ '500 on the second attempt', { 'status': 500 }, 2, 1500 ],
+      [ 'a timeout', { 'code': 'ECONNABORTED' }, 1, 750 ],
+      [ 'a reset connection', { 'code': 'ECONNRESET' }, 1, 750 ],
+      [
+        'Retry-After',
+        {
+          'status': 503,
+          'headers': { 'retry-after': '5' }
+        },
+        1,
+        5000
+      ]
+    ] )( 'retries %s', ( _, details, attempt, delayMs ) => {
+      expect( mf.testing.upstreamRetry.getRetryDelay( buildError( details ), attempt ) ).toBe( delayMs );
+    } );
+
+    test.each( [
+      [ '404', { 'status': 404 }, 1 ],
+      [ '429', { 'status': 429 }, 1 ],
+      [ '501', { 'status': 501 }, 1 ],
+      [ 'certificate errors', { 'code': 'CERT_HAS_EXPIRED' }, 1 ],
+      [ 'unknown hosts', { 'code': 'ENOTFOUND' }, 1 ],
+      [ 'the third attempt', { 'status': 503 }, 3 ],
+      [
+        'Retry-After above 30 seconds',
+        {
+          'status': 503,
+          'headers': { 'retry-after': '31' }
+        },
+        1
+      ]
+    ] )( 'does not retry %s', ( _, details, attempt ) => {
+      expect( mf.testing.upstreamRetry.getRetryDelay( buildError( details ), attempt ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'withRetries', () => {
+    test( 'returns the response of the first successful attempt', async () => {
+      const request = jest.fn().
+        mockRejectedValueOnce( buildError( { 'status': 503 } ) ).
+        mockResolvedValueOnce( { 'status': 200 } );
+
+      const promise = mf.upstreamRetry.withRetries( request, { 'url': 'https://musicbrainz.org/ws/2/artist/a' } );
+
+      await jest.advanceTimersByTimeAsync( 749 );
+      expect( request ).toHaveBeenCalledTimes( 1 );
+
+      await jest.advanceTimersByTimeAsync( 1 );
+      await expect( promise ).resolves.toEqual( { 'status': 200 } );
+      expect( request ).toHaveBeenCalledTimes( 2 );
+      expect( mf.logger.warn ).toHaveBeenCalledWith( expect.objectContaining( {
+        'url': 'https://musicbrainz.org/ws/2/artist/a',
+        'attempt': 1,
+        'delayMs': 750,
+        'status': 503
+      } ), 'Retrying upstream request' );
+    } );
+
+    test( 'throws the last error after three attempts', async () => {
+      const error = buildError( { 'code': 'ETIMEDOUT' } );
+      const request = jest.fn().mockRejectedValue( error );
+
+      const promise = mf.upstreamRetry.withRetries( request, {} );
+      const assertion = expect( promise ).rejects.toBe( error );
+
+      await jest.advanceTimersByTimeAsync( 3000 );
+      await assertion;
+      expect( request ).toHaveBeenCalledTimes( 3 );
+    } );
+
+    test( 'throws client errors at once', async () => {
+      const error = buildError( { 'status': 404 } );
+      const request = jest.fn().mockRejectedValue( error );
+
+      await expect( mf.upstreamRetry.withRetries( request, {} ) ).rejects.toBe( error );
+      expect( request ).toHaveBeenCalledTimes( 1 );
+      expect( mf.logger.warn ).not.toHaveBeenCalled();
+    } );
+  } );
+} );
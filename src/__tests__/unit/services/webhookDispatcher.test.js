@@ -0,0 +1,341 @@
+/**
+ * Unit tests for webhookDispatcher module
+ * Tests signing, persisted retries and delivery logging with mocked axios and database
+ * @module __tests__/unit/services/webhookDispatcher
+ */
+
+const axios = require( 'axios' );
+const crypto = require( 'crypto' );
+const dns = require( 'dns' );
+require( '../../../services/webhookDispatcher' );
+
+const subscription = {
+  '_id': 'sub-1',
+  'callbackUrl': 'https://hooks.example.com/music',
+  'secret': 'top-secret'
+};
+
+const payload = {
+  'id': 'delivery-1',
+  'act': {
+    'musicbrainzId': 'act-1'
+  }
+};
+
+describe( 'webhookDispatcher', () => {
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    axios.post = jest.fn().mockResolvedValue( { 'status': 200 } );
+    jest.spyOn( dns.promises, 'lookup' ).mockResolvedValue( [
+      {
+        'address': '93.184.215.14',
+        'family': 4
+      }
+    ] );
+    mf.databaseSubscriptions.logDelivery = jest.fn().mockResolvedValue();
+    mf.databaseSubscriptions.scheduleRetry = jest.fn().mockResolvedValue();
+    mf.databaseSubscriptions.getSubscriptionsForAct = jest.fn().mockResolvedValue( [ subscription ] );
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  describe( 'sign', () => {
+    test( 'signs timestamp and body with HMAC-SHA256', () => {
+      const expected = crypto.createHmac( 'sha256', 'top-secret' ).update( '1700000000.{"a":1}' ).digest( 'hex' );
+
+      expect( mf.testing.webhookDispatcher.sign( 'top-secret', 1700000000, '{"a":1}' ) ).toBe( `sha256=${expected}` );
+    } );
+  } );
+
+  describe( 'getRetryDelay', () => {
+    test( 'doubles the delay for every retry', () => {
+      expect( [ 1, 2, 3, 4 ].map( mf.testing.webhookDispatcher.getRetryDelay ) ).toEqual( [ 30000, 60000, 120000, 240000 ] );
+    } );
+  } );
+
+  describe( 'getStatusChange', () => {
+    test( 'reports changes between touring statuses', () => {
+      expect( mf.testing.webhookDispatcher.getStatusChange( 'active', 'tour planned' ) ).toEqual( {
+        'from': 'active',
+        'to': 'tour planned'
+      } );
+    } );
+
+    test( 'ignores unchanged and other statuses', () => {
+      expect( mf.testing.webhookDispatcher.getStatusChange( 'on tour', 'on tour' ) ).toBeNull();
+      expect( mf.testing.webhookDispatcher.getStatusChange( 'on tour', 'disbanded' ) ).toBeNull();
+      expect( mf.testing.webhookDispatcher.getStatusChange( null, 'on tour' ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'postWebhook', () => {
+    test( 'posts the body with signature headers', async () => {
+      jest.useFakeTimers( {
+        'now': new Date( '2030-01-01T00:00:00.000Z' )
+      } );
+
+      const result = await mf.testing.webhookDispatcher.postWebhook( subscription, 'delivery-1', '{"a":1}' );
+      const [ [ url, body, options ] ] = axios.post.mock.calls;
+
+      expect( result ).toEqual( {
+        'success': true,
+        'statusCode': 200,
+        'error': null
+      } );
+      expect( url ).toBe( 'https://hooks.example.com/music' );
+      expect( body ).toBe( '{"a":1}' );
+      expect( options.headers[ 'Content-Type' ] ).toBe( 'application/json' );
+      expect( options.headers[ 'X-MusicFavorites-Delivery' ] ).toBe( 'delivery-1' );
+      expect( options.headers[ 'X-MusicFavorites-Timestamp' ] ).toBe( '1893456000' );
+      expect( options.headers[ 'X-MusicFavorites-Signature' ] ).toBe( mf.testing.webhookDispatcher.sign( 'top-secret', 1893456000, '{"a":1}' ) );
+      expect( options.maxRedirects ).toBe( 0 );
+      expect( options.lookup ).toBe( mf.callbackGuard.resolvePublicAddresses );
+    } );
+
+    test( 'fails without request when the callback host resolves to a private address', async () => {
+      dns.promises.lookup.mockResolvedValue( [
+        {
+          'address': '10.0.0.5',
+          'family': 4
+        }
+      ] );
+
+      await expect( mf.testing.webhookDispatcher.postWebhook( subscription, 'delivery-1', '{}' ) ).resolves.toEqual( {
+        'success': false,
+        'statusCode': null,
+        'error': 'hooks.example.com does not resolve to a public address'
+      } );
+      expect( axios.post ).not.toHaveBeenCalled();
+    } );
+
+    test( 'reports HTTP errors and network errors', async () => {
+      const httpError = new Error( 'Request failed with status code 503' );
+
+      httpError.response = { 'status': 503 };
+      axios.post.mockRejectedValueOnce( httpError ).mockRejectedValueOnce( new Error( 'ECONNREFUSED' ) );
+
+      await expect( mf.testing.webhookDispatcher.postWebhook( subscription, 'delivery-1', '{}' ) ).resolves.toEqual( {
+        'success': false,
+        'statusCode': 503,
+        'error': 'Request failed with status code 503'
+      } );
+      await expect( mf.testing.webhookDispatcher.postWebhook( subscription, 'delivery-1', '{}' ) ).resolves.toEqual( {
+        'success': false,
+        'statusCode': null,
+        'error': 'ECONNREFUSED'
+      } );
+    } );
+  } );
+
+  describe( 'deliver', () => {
+    test( 'logs a successful first attempt', async () => {
+      await expect( mf.testing.webhookDispatcher.deliver( subscription, payload ) ).resolves.toBe( true );
+
+      expect( axios.post ).toHaveBeenCalledTimes( 1 );
+      expect( mf.databaseSubscriptions.logDelivery ).toHaveBeenCalledWith( expect.objectContaining( {
+        'subscriptionId': 'sub-1',
+        'deliveryId': 'delivery-1',
+        'actId': 'act-1',
+        'attempt': 1,
+        'success': true,
+        'statusCode': 200
+      } ) );
+    } );
+
+    test( 'stores a retry with backoff when the subscriber fails', async () => {
+      jest.useFakeTimers( {
+        'now': new Date( '2030-01-01T00:00:00.000Z' )
+      } );
+      axios.post.mockRejectedValue( new Error( 'timeout' ) );
+
+      await expect( mf.testing.webhookDispatcher.deliver( subscription, payload, 2 ) ).resolves.toBe( false );
+
+      expect( jest.getTimerCount() ).toBe( 0 );
+      expect( mf.databaseSubscriptions.logDelivery ).toHaveBeenCalledWith( expect.objectContaining( {
+        'attempt': 2,
+        'success': false
+      } ) );
+      expect( mf.databaseSubscriptions.scheduleRetry ).toHaveBeenCalledWith( {
+        '_id': 'delivery-1',
+        'subscriptionId': 'sub-1',
+        payload,
+        'attempt': 3,
+        'nextAttemptAt': '2030-01-01T00:01:00.000Z'
+      } );
+    } );
+
+    test( 'gives up after five attempts', async () => {
+      jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+      axios.post.mockRejectedValue( new Error( 'timeout' ) );
+
+      await expect( mf.testing.webhookDispatcher.deliver( subscription, payload, 5 ) ).resolves.toBe( false );
+
+      expect( mf.databaseSubscriptions.scheduleRetry ).not.toHaveBeenCalled();
+      expect( mf.logger.warn ).toHaveBeenCalledWith( {
+        'subscriptionId': 'sub-1',
+        'deliveryId': 'delivery-1'
+      }, 'Webhook delivery failed after all attempts' );
+    } );
+
+    test( 'logs retries that cannot be stored', async () => {
+      jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+      axios.post.mockRejectedValue( new Error( 'timeout' ) );
+      mf.databaseSubscriptions.scheduleRetry.mockRejectedValue( new Error( 'DB down' ) );
+
+      await expect( mf.testing.webhookDispatcher.deliver( subscription, payload ) ).resolves.toBe( false );
+
+      expect( mf.logger.warn ).toHaveBeenCalledWith( expect.objectContaining( {
+        'deliveryId': 'delivery-1'
+      } ), 'Failed to schedule webhook retry' );
+    } );
+
+    test( 'delivers even when the delivery log is unavailable', async () => {
+      mf.databaseSubscriptions.logDelivery.mockRejectedValue( new Error( 'DB down' ) );
+
+      await expect( mf.testing.webhookDispatcher.deliver( subscription, payload ) ).resolves.toBe( true );
+    } );
+  } );
+
+  describe( 'processDueRetries', () => {
+    const retry = {
+      '_id': 'delivery-1',
+      'subscriptionId': 'sub-1',
+      payload,
+      'attempt': 3
+    };
+
+    beforeEach( () => {
+      mf.databaseSubscriptions.getDueRetries = jest.fn().mockResolvedValue( [ retry ] );
+      mf.databaseSubscriptions.deleteRetry = jest.fn().mockResolvedValue();
+      mf.databaseSubscriptions.getSubscription = jest.fn().mockResolvedValue( subscription );
+    } );
+
+    test( 'removes and attempts due retries with their attempt number', async () => {
+      await expect( mf.testing.webhookDispatcher.processDueRetries() ).resolves.toBe( 1 );
+
+      expect( mf.databaseSubscriptions.getDueRetries ).toHaveBeenCalledWith( expect.any( String ), 20 );
+      expect( mf.databaseSubscriptions.deleteRetry ).toHaveBeenCalledWith( 'delivery-1' );
+      expect( axios.post ).toHaveBeenCalledWith( subscription.callbackUrl, JSON.stringify( payload ), expect.any( Object ) );
+      expect( mf.databaseSubscriptions.logDelivery ).toHaveBeenCalledWith( expect.objectContaining( {
+        'attempt': 3,
+        'success': true
+      } ) );
+    } );
+
+    test( 'drops retries of deleted subscriptions', async () => {
+      mf.databaseSubscriptions.getSubscription.mockResolvedValue( null );
+
+      await mf.testing.webhookDispatcher.processDueRetries();
+
+      expect( mf.databaseSubscriptions.deleteRetry ).toHaveBeenCalledWith( 'delivery-1' );
+      expect( axios.post ).not.toHaveBeenCalled();
+    } );
+  } );
+
+  describe( 'startRetries', () => {
+    test( 'checks for due retries every 15 seconds and survives database errors', async () => {
+      jest.useFakeTimers();
+      jest.spyOn( mf.logger, 'warn' ).mockImplementation();
+      mf.databaseSubscriptions.getDueRetries = jest.fn().
+        mockRejectedValueOnce( new Error( 'DB down' ) ).
+        mockResolvedValue( [] );
+
+      mf.webhookDispatcher.startRetries();
+      await jest.advanceTimersByTimeAsync( 0 );
+
+      expect( mf.logger.warn ).toHaveBeenCalledWith( expect.any( Object ), 'Failed to process webhook retries' );
+
+      await jest.advanceTimersByTimeAsync( 15000 );
+
+      expect( mf.databaseSubscriptions.getDueRetries ).toHaveBeenCalledTimes( 2 );
+    } );
+  } );
+
+  describe( 'notifyActUpdate', () => {
+    const actData = {
+      '_id': 'act-1',
+      'name': 'Act A',
+      'status': 'on tour'
+    };
+    const changes = [
+      {
+        'type': 'added'
+      }
+    ];
+
+    test( 'sends event changes to all subscribers of the act', async () => {
+      await mf.webhookDispatcher.notifyActUpdate( actData, {
+        changes,
+        'previousStatus': 'on tour'
+      } );
+
+      expect( mf.databaseSubscriptions.getSubscriptionsForAct ).toHaveBeenCalledWith( 'act-1' );
+
+      const body = JSON.parse( axios.post.mock.calls[ 0 ][ 1 ] );
+
+      expect( body ).toMatchObject( {
+        'type': 'act.updated',
+        'act': {
+          'musicbrainzId': 'act-1',
+          'name': 'Act A',
+          'status': 'on tour'
+        },
+        'statusChange': null,
+        changes
+      } );
+      expect( body.id ).toBe( axios.post.mock.calls[ 0 ][ 2 ].headers[ 'X-MusicFavorites-Delivery' ] );
+    } );
+
+    test( 'sends status changes without event changes', async () => {
+      await mf.webhookDispatcher.notifyActUpdate( actData, {
+        'changes': [],
+        'previousStatus': 'tour planned'
+      } );
+
+      expect( JSON.parse( axios.post.mock.calls[ 0 ][ 1 ] ).statusChange ).toEqual( {
+        'from': 'tour planned',
+        'to': 'on tour'
+      } );
+    } );
+
+    test( 'sends nothing for new acts and refreshes without changes', async () => {
+      await mf.webhookDispatcher.notifyActUpdate( actData, null );
+      await mf.webhookDispatcher.notifyActUpdate( actData, {
+        'changes': [],
+        'previousStatus': 'on tour'
+      } );
+
+      expect( mf.databaseSubscriptions.getSubscriptionsForAct ).not.toHaveBeenCalled();
+      expect( axios.post ).not.toHaveBeenCalled();
+    } );
+
+    test( 'sends nothing when a show only expired', async () => {
+      jest.useFakeTimers( {
+        'now': new Date( '2030-05-10T12:00:00.000Z' )
+      } );
+
+      const refresh = await mf.databaseHistory.recordRefresh( {
+        'events': [
+          {
+            'name': 'Act A @ SO36',
+            'date': '2030-05-09',
+            'timeZone': 'Europe/Berlin'
+          }
+        ],
+        'status': 'on tour'
+      }, {
+        ...actData,
+        'events': []
+      } );
+
+      await mf.webhookDispatcher.notifyActUpdate( actData, refresh );
+
+      expect( refresh.changes ).toEqual( [] );
+      expect( axios.post ).not.toHaveBeenCalled();
+    } );
+  } );
+} );
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for webhook notifications after cache refreshes
+ * Tests that cacheUpdater and fetchQueue hand refresh results to the webhook dispatcher
+ * @module __tests__/unit/services/webhookTriggers
+ */
+
+describe( 'webhook triggers - Unit Tests', () => {
+  const actData = {
+    '_id': 'act-1',
+    'name': 'Act A'
+  };
+  const refresh = {
+    'changes': [ { 'type': 'added' } ],
+    'previousStatus': 'active'
+  };
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.resetModules();
+
+    require( '../../../services/database' );
+    require( '../../../services/actService' );
+    require( '../../../services/cacheUpdater' );
+    require( '../../../services/fetchQueue' );
+
+    jest.spyOn( mf.database, 'cacheAct' ).mockResolvedValue( refresh );
+    jest.spyOn( mf.actService, 'fetchAndEnrichActData' ).mockResolvedValue( actData );
+    jest.spyOn( mf.webhookDispatcher, 'notifyActUpdate' ).mockResolvedValue();
+    jest.spyOn( mf.logger, 'error' ).mockImplementation( () => {
+      // Silence expected error logs
+    } );
+  } );
+
+  afterEach( () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  } );
+
+  test( 'cacheUpdater.updateAct notifies subscribers about the refresh', async () => {
+    await mf.cacheUpdater.updateAct( 'act-1' );
+
+    expect( mf.webhookDispatcher.notifyActUpdate ).toHaveBeenCalledWith( actData, refresh );
+  } );
+
+  test( 'fetchQueue notifies subscribers about the refresh', async () => {
+    jest.useFakeTimers();
+
+    const promise = mf.testing.fetchQueue.processFetchQueue( new Set( [ 'act-1' ] ) );
+
+    await jest.runAllTimersAsync();
+    await promise;
+
+    expect( mf.webhookDispatcher.notifyActUpdate ).toHaveBeenCalledWith( actData, refresh );
+  } );
+
+  test( 'notification failures are logged and do not fail the update', async () => {
+    mf.webhookDispatcher.notifyActUpdate.mockRejectedValue( new Error( 'DB down' ) );
+
+    await mf.cacheUpdater.updateAct( 'act-1' );
+    await new Promise( process.nextTick );
+
+    expect( mf.logger.error ).toHaveBeenCalledWith( expect.objectContaining( {
+      'actId': 'act-1'
+    } ), 'Failed to notify subscribers' );
+  } );
+
+  test( 'notification failures in the fetch queue are logged', async () => {
+    jest.useFakeTimers();
+    mf.webhookDispatcher.notifyActUpdate.mockRejectedValue( new Error( 'DB down' ) );
+
+    const promise = mf.testing.fetchQueue.processFetchQueue( new Set( [ 'act-1' ] ) );
+
+    await jest.runAllTimersAsync();
+    await promise;
+
+    expect( mf.logger.error ).toHaveBeenCalledWith( expect.objectContaining( {
+      'actId': 'act-1'
+    } ), 'Failed to notify subscribers' );
+  } );
+} );
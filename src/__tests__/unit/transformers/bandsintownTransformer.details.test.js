@@ -0,0 +1,324 @@
+/**
+ * Tests for event details extracted by the Bandsintown event transformer
+ * @module __tests__/unit/transformers/bandsintownTransformer.details
+ */
+
+require( '../../../services/bandsintownTransformer' );
+require( '../../../testHelpers/fixtureHelpers' );
+const fixtureVulvodyniaRaw = require( '../../fixtures/ldjson/bandsintown-vulvodynia.json' );
+
+// Normalize fixture dates to be 30 days in the future to prevent test expiration
+const fixtureVulvodynia = mf.testing.fixtureHelpers.normalizeDates( fixtureVulvodyniaRaw, 30 );
+
+describe( 'Bandsintown Transformer - event details', () => {
+  describe( 'extractEventStatus', () => {
+    test.each( [
+      [ 'https://schema.org/EventScheduled', 'scheduled' ],
+      [ 'http://schema.org/EventCancelled', 'cancelled' ],
+      [ 'https://schema.org/EventPostponed', 'postponed' ],
+      [ 'https://schema.org/EventRescheduled', 'rescheduled' ],
+      [ 'https://schema.org/EventMovedOnline', 'movedOnline' ],
+      [ 'EventCancelled', 'cancelled' ]
+    ] )( 'maps %s to %s', ( eventStatus, expected ) => {
+      expect( mf.testing.bandsintownTransformer.extractEventStatus( eventStatus ) ).toBe( expected );
+    } );
+
+    test( 'defaults to scheduled for missing or unknown status', () => {
+      expect( mf.testing.bandsintownTransformer.extractEventStatus( null ) ).toBe( 'scheduled' );
+      expect( mf.testing.bandsintownTransformer.extractEventStatus( 42 ) ).toBe( 'scheduled' );
+      expect( mf.testing.bandsintownTransformer.extractEventStatus( 'https://schema.org/Unknown' ) ).toBe( 'scheduled' );
+    } );
+  } );
+
+  describe( 'extractAttendanceMode', () => {
+    test.each( [
+      [ 'http://schema.org/OfflineEventAttendanceMode', 'offline' ],
+      [ 'https://schema.org/OnlineEventAttendanceMode', 'online' ],
+      [ 'https://schema.org/MixedEventAttendanceMode', 'mixed' ]
+    ] )( 'maps %s to %s', ( attendanceMode, expected ) => {
+      expect( mf.testing.bandsintownTransformer.extractAttendanceMode( attendanceMode ) ).toBe( expected );
+    } );
+
+    test( 'returns null for missing or unknown attendance mode', () => {
+      expect( mf.testing.bandsintownTransformer.extractAttendanceMode( null ) ).toBeNull();
+      expect( mf.testing.bandsintownTransformer.extractAttendanceMode( 'https://schema.org/Somewhere' ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'extractImage', () => {
+    test( 'returns URL strings as they are', () => {
+      expect( mf.testing.bandsintownTransformer.extractImage( 'https://example.com/a.jpg' ) ).toBe( 'https://example.com/a.jpg' );
+    } );
+
+    test( 'returns url of an ImageObject', () => {
+      expect( mf.testing.bandsintownTransformer.extractImage( {
+        '@type': 'ImageObject',
+        'url': 'https://example.com/b.jpg'
+      } ) ).toBe( 'https://example.com/b.jpg' );
+    } );
+
+    test( 'returns first entry of an image array', () => {
+      expect( mf.testing.bandsintownTransformer.extractImage( [
+        {
+          'url': 'https://example.com/c.jpg'
+        },
+        'https://example.com/d.jpg'
+      ] ) ).toBe( 'https://example.com/c.jpg' );
+    } );
+
+    test( 'returns null for missing or empty images', () => {
+      expect( mf.testing.bandsintownTransformer.extractImage( null ) ).toBeNull();
+      expect( mf.testing.bandsintownTransformer.extractImage( '' ) ).toBeNull();
+      expect( mf.testing.bandsintownTransformer.extractImage( [] ) ).toBeNull();
+      expect( mf.testing.bandsintownTransformer.extractImage( {} ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'extractOffers', () => {
+    test( 'returns empty array for missing offers', () => {
+      expect( mf.testing.bandsintownTransformer.extractOffers( null ) ).toEqual( [] );
+    } );
+
+    test( 'wraps a single offer in an array', () => {
+      const result = mf.testing.bandsintownTransformer.extractOffers( {
+        '@type': 'Offer',
+        'url': 'https://tickets.example.com/1',
+        'price': '25.50',
+        'priceCurrency': 'EUR',
+        'availability': 'https://schema.org/InStock'
+      } );
+
+      expect( result ).toEqual( [
+        {
+          'url': 'https://tickets.example.com/1',
+          'price': 25.5,
+          'currency': 'EUR',
+          'availability': 'inStock'
+        }
+      ] );
+    } );
+
+    test( 'transforms every offer and skips invalid entries', () => {
+      const result = mf.testing.bandsintownTransformer.extractOffers( [
+        {
+          'price': 30,
+          'availability': 'SoldOut'
+        },
+        null,
+        'not an offer',
+        {
+          'price': 'free'
+        }
+      ] );
+
+      expect( result ).toEqual( [
+        {
+          'url': null,
+          'price': 30,
+          'currency': null,
+          'availability': 'soldOut'
+        },
+        {
+          'url': null,
+          'price': null,
+          'currency': null,
+          'availability': null
+        }
+      ] );
+    } );
+  } );
+
+  describe( 'buildAddress', () => {
+    test( 'returns structured address with country code', () => {
+      const result = mf.testing.bandsintownTransformer.buildAddress( {
+        '@type': 'PostalAddress',
+        'streetAddress': ' Gerbergasse 8 ',
+        'postalCode': '4001',
+        'addressLocality': 'Basel',
+        'addressRegion': 'Basel-Stadt',
+        'addressCountry': 'CH'
+      } );
+
+      expect( result ).toEqual( {
+        'street': 'Gerbergasse 8',
+        'postalCode': '4001',
+        'locality': 'Basel',
+        'region': 'Basel-Stadt',
+        'country': 'CH',
+        'countryCode': 'CH'
+      } );
+    } );
+
+    test( 'reads the name of a Country object', () => {
+      const result = mf.testing.bandsintownTransformer.buildAddress( {
+        'addressCountry': {
+          '@type': 'Country',
+          'name': 'Belgium'
+        }
+      } );
+
+      expect( result.country ).toBe( 'Belgium' );
+      expect( result.countryCode ).toBe( 'BE' );
+    } );
+
+    test( 'uses null country code for unknown countries', () => {
+      const result = mf.testing.bandsintownTransformer.buildAddress( {
+        'addressLocality': 'Springfield'
+      } );
+
+      expect( result.country ).toBeNull();
+      expect( result.countryCode ).toBeNull();
+    } );
+
+    test( 'returns null when no field is set', () => {
+      expect( mf.testing.bandsintownTransformer.buildAddress( null ) ).toBeNull();
+      expect( mf.testing.bandsintownTransformer.buildAddress( {
+        'streetAddress': '  ',
+        'addressCountry': {}
+      } ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'extractTimeZone', () => {
+    test( 'uses country and coordinates of the venue', () => {
+      expect( mf.bandsintownTransformer.extractTimeZone( {
+        'address': {
+          'addressCountry': 'United States'
+        },
+        'geo': {
+          'latitude': 47.61,
+          'longitude': -122.33
+        }
+      } ) ).toBe( 'America/Los_Angeles' );
+    } );
+
+    test( 'uses region and locality of the venue', () => {
+      expect( mf.bandsintownTransformer.extractTimeZone( {
+        'address': {
+          'addressLocality': 'El Paso',
+          'addressRegion': 'TX',
+          'addressCountry': 'United States'
+        },
+        'geo': {
+          'latitude': 31.76,
+          'longitude': -106.49
+        }
+      } ) ).toBe( 'America/Denver' );
+    } );
+
+    test( 'returns null for unknown venues', () => {
+      expect( mf.bandsintownTransformer.extractTimeZone( null ) ).toBeNull();
+    } );
+  } );
+
+  describe( 'isEventWithinRange', () => {
+    afterEach( () => {
+      jest.useRealTimers();
+    } );
+
+    test( 'keeps events from the day before yesterday at the venue on', () => {
+      jest.useFakeTimers( {
+        'now': new Date( '2030-05-10T12:00:00.000Z' )
+      } );
+
+      // 00:30 in Berlin is still the previous day in UTC
+      expect( mf.bandsintownTransformer.isEventWithinRange( '2030-05-08T00:30:00', 'Europe/Berlin' ) ).toBe( true );
+      expect( mf.bandsintownTransformer.isEventWithinRange( '2030-05-08', 'Europe/Berlin' ) ).toBe( true );
+      expect( mf.bandsintownTransformer.isEventWithinRange( '2030-05-07T23:30:00', 'Europe/Berlin' ) ).toBe( false );
+      expect( mf.bandsintownTransformer.isEventWithinRange( '2030-05-08T00:30:00' ) ).toBe( true );
+      expect( mf.bandsintownTransformer.isEventWithinRange( '2030-05-07T23:30:00' ) ).toBe( false );
+    } );
+
+    test( 'counts the days from today at venues behind UTC', () => {
+      // Still May 9 in Los Angeles
+      jest.useFakeTimers( {
+        'now': new Date( '2030-05-10T05:00:00.000Z' )
+      } );
+
+      expect( mf.bandsintownTransformer.isEventWithinRange( '2030-05-07T20:00:00', 'America/Los_Angeles' ) ).toBe( true );
+      expect( mf.bandsintownTransformer.isEventWithinRange( '2030-05-07T20:00:00' ) ).toBe( false );
+    } );
+
+    test( 'counts the days from today at venues ahead of UTC', () => {
+      // Already May 11 in Tokyo
+      jest.useFakeTimers( {
+        'now': new Date( '2030-05-10T16:00:00.000Z' )
+      } );
+
+      expect( mf.bandsintownTransformer.isEventWithinRange( '2030-05-08T20:00:00', 'Asia/Tokyo' ) ).toBe( false );
+      expect( mf.bandsintownTransformer.isEventWithinRange( '2030-05-09T20:00:00+09:00', 'Asia/Tokyo' ) ).toBe( true );
+      expect( mf.bandsintownTransformer.isEventWithinRange( '2030-05-08T20:00:00' ) ).toBe( true );
+    } );
+
+    test( 'rejects missing and invalid start dates', () => {
+      expect( mf.bandsintownTransformer.isEventWithinRange( null ) ).toBe( false );
+      expect( mf.bandsintownTransformer.isEventWithinRange( 'soon', 'Europe/Berlin' ) ).toBe( false );
+    } );
+  } );
+
+  describe( 'transformEvent', () => {
+    test( 'carries venue name, end date, URL, status, attendance mode, image and offers', () => {
+      const result = mf.bandsintownTransformer.transformEvent( fixtureVulvodynia[ 3 ] );
+
+      expect( result.location.name ).toBe( 'Rock Café' );
+      expect( result.endDate ).toMatch( /^\d{4}-\d{2}-\d{2}$/u );
+      expect( result.url ).toBe( 'https://www.bandsintown.com/e/1035107455-vulvodynia-at-rock-cafe?came_from=209' );
+      expect( result.status ).toBe( 'scheduled' );
+      expect( result.attendanceMode ).toBe( 'offline' );
+      expect( result.image ).toBe( 'https://photos.bandsintown.com/thumb/11258982.jpeg' );
+      expect( result.offers ).toEqual( [
+        {
+          'url': 'https://www.bandsintown.com/e/1035107455-vulvodynia-at-rock-cafe?came_from=209',
+          'price': null,
+          'currency': null,
+          'availability': 'inStock'
+        }
+      ] );
+    } );
+
+    test( 'marks cancelled events', () => {
+      const result = mf.bandsintownTransformer.transformEvent( {
+        ...fixtureVulvodynia[ 3 ],
+        'eventStatus': 'https://schema.org/EventCancelled'
+      } );
+
+      expect( result.status ).toBe( 'cancelled' );
+    } );
+
+    test( 'adds venue timezone and start instant', () => {
+      const result = mf.bandsintownTransformer.transformEvent( {
+        ...fixtureVulvodynia[ 3 ],
+        'startDate': '2030-07-01T19:00:00'
+      } );
+
+      expect( result.timeZone ).toBe( 'Europe/Prague' );
+      expect( result.startsAt ).toBe( '2030-07-01T19:00:00+02:00' );
+    } );
+
+    test( 'uses null for missing details', () => {
+      const result = mf.bandsintownTransformer.transformEvent( {
+        'name': 'Minimal Show',
+        'startDate': '2030-01-01T20:00:00'
+      } );
+
+      expect( result ).toEqual( {
+        'name': 'Minimal Show',
+        'date': '2030-01-01',
+        'localTime': '20:00:00',
+        'startsAt': null,
+        'timeZone': null,
+        'endDate': null,
+        'status': 'scheduled',
+        'attendanceMode': null,
+        'url': null,
+        'image': null,
+        'offers': [],
+        'location': {
+          'name': null,
+          'address': null,
+          'geo': null
+        }
+      } );
+    } );
+  } );
+} );
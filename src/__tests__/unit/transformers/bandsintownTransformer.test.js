@@ -109,7 +109,14 @@ describe( 'Bandsintown Transformer', () => {
 
       expect( firstEvent.location ).toHaveProperty( 'address' );
       expect( firstEvent.location ).toHaveProperty( 'geo' );
-      expect( firstEvent.location.address ).toBe( 'N1 Centre 16 Parkfield St, N1 0PS, London, United Kingdom' );
+      expect( firstEvent.location.address ).toEqual( {
+        'street': 'N1 Centre 16 Parkfield St',
+        'postalCode': 'N1 0PS',
+        'locality': 'London',
+        'region': null,
+        'country': 'United Kingdom',
+        'countryCode': 'GB'
+      } );
       expect( firstEvent.location.geo ).toEqual( {
         'lat': 51.5343501,
         'lon': -0.1058837
@@ -180,7 +187,7 @@ describe( 'Bandsintown Transformer', () => {
 
       expect( result[ 0 ].name ).toBe( 'Vulvodynia @ O2 Academy Islington' );
       expect( result[ 0 ].location.geo ).toBeNull();
-      expect( result[ 0 ].location.address ).toBe( 'N1 Centre 16 Parkfield St, N1 0PS, London, United Kingdom' );
+      expect( result[ 0 ].location.address.street ).toBe( 'N1 Centre 16 Parkfield St' );
     } );
 
     /**
@@ -198,7 +205,7 @@ describe( 'Bandsintown Transformer', () => {
 
       expect( result[ 0 ].name ).toBe( 'Vulvodynia @ O2 Academy Islington' );
       expect( result[ 0 ].location.geo ).toBeNull();
-      expect( result[ 0 ].location.address ).toBe( 'N1 Centre 16 Parkfield St, N1 0PS, London, United Kingdom' );
+      expect( result[ 0 ].location.address.street ).toBe( 'N1 Centre 16 Parkfield St' );
     } );
 
     /**
@@ -231,19 +238,27 @@ describe( 'Bandsintown Transformer', () => {
       expect( result[ 0 ].date ).toMatch( /^\d{4}-\d{2}-\d{2}$/u );
       expect( result[ 0 ].localTime ).toBe( '19:00:00' );
       expect( result[ 0 ].location ).toEqual( {
+        'name': null,
         'address': null,
         'geo': null
       } );
     } );
 
     /**
-     * Test address concatenation
+     * Test structured address fields
      */
-    test( 'concatenates address fields correctly', () => {
+    test( 'splits address into structured fields', () => {
       const result = mf.bandsintownTransformer.transformEvents( fixtureVulvodynia );
       const [ , secondEvent ] = result;
 
-      expect( secondEvent.location.address ).toBe( 'Leeds University Union,, Lifton Pl, LS2 9JT, Leeds, United Kingdom' );
+      expect( secondEvent.location.address ).toEqual( {
+        'street': 'Leeds University Union,, Lifton Pl',
+        'postalCode': 'LS2 9JT',
+        'locality': 'Leeds',
+        'region': null,
+        'country': 'United Kingdom',
+        'countryCode': 'GB'
+      } );
     } );
 
     /**
@@ -262,7 +277,14 @@ describe( 'Bandsintown Transformer', () => {
 
       expect( result[ 0 ].name ).toBe( 'Vulvodynia @ Legend Club' );
       expect( result[ 0 ].date ).toMatch( /^\d{4}-\d{2}-\d{2}$/u );
-      expect( result[ 0 ].location.address ).toBe( 'Milano, Italy' );
+      expect( result[ 0 ].location.address ).toEqual( {
+        'street': null,
+        'postalCode': null,
+        'locality': 'Milano',
+        'region': null,
+        'country': 'Italy',
+        'countryCode': 'IT'
+      } );
       expect( result[ 0 ].location.geo ).toEqual( {
         'lat': 45.516177,
         'lon': 9.1795117
@@ -329,7 +351,14 @@ describe( 'Bandsintown Transformer', () => {
       expect( result[ 0 ].name ).toBe( 'Vulvodynia @ Rock Café' );
       expect( result[ 0 ].date ).toBe( futureDateStr );
       expect( result[ 0 ].localTime ).toBe( '' );
-      expect( result[ 0 ].location.address ).toBe( 'Národní 20, 11000, Praha 1, Czech Republic' );
+      expect( result[ 0 ].location.address ).toEqual( {
+        'street': 'Národní 20',
+        'postalCode': '11000',
+        'locality': 'Praha 1',
+        'region': null,
+        'country': 'Czech Republic',
+        'countryCode': 'CZ'
+      } );
     } );
 
     /**
@@ -0,0 +1,311 @@
+/**
+ * Tests for festival event transformer
+ * @module __tests__/services/festivalTransformer
+ */
+
+require( '../../../services/festivalTransformer' );
+require( '../../../testHelpers/fixtureHelpers' );
+const fixtureAlcatrazRaw = require( '../../fixtures/ldjson/festivalsunited-alcatraz.json' );
+
+// Normalize fixture dates to be 30 days in the future to prevent test expiration
+const fixtureAlcatraz = mf.testing.fixtureHelpers.normalizeDates( fixtureAlcatrazRaw, 30 );
+
+describe( 'Festival Transformer', () => {
+  describe( 'extractLineup', () => {
+    /**
+     * Test lineup extraction from performer array
+     */
+    test( 'extracts names from performer array', () => {
+      const result = mf.testing.festivalTransformer.extractLineup( [
+        {
+          '@type': 'MusicGroup',
+          'name': ' Alcest '
+        },
+        {
+          '@type': 'MusicGroup',
+          'name': 'Amorphis'
+        }
+      ] );
+
+      expect( result ).toEqual( [
+        {
+          'name': 'Alcest',
+          'musicbrainzId': null
+        },
+        {
+          'name': 'Amorphis',
+          'musicbrainzId': null
+        }
+      ] );
+    } );
+
+    /**
+     * Test lineup extraction from a single performer object
+     */
+    test( 'accepts a single performer object', () => {
+      const result = mf.testing.festivalTransformer.extractLineup( { 'name': 'Deicide' } );
+
+      expect( result ).toEqual( [
+        {
+          'name': 'Deicide',
+          'musicbrainzId': null
+        }
+      ] );
+    } );
+
+    /**
+     * Test that performers without name are skipped
+     */
+    test( 'skips performers without usable name', () => {
+      const result = mf.testing.festivalTransformer.extractLineup( [ null, { 'name': '' }, { 'name': 42 } ] );
+
+      expect( result ).toEqual( [] );
+    } );
+
+    /**
+     * Test missing performer
+     */
+    test( 'returns empty array when performer is missing', () => {
+      expect( mf.testing.festivalTransformer.extractLineup( undefined ) ).toEqual( [] );
+    } );
+  } );
+
+  describe( 'transformFestivals', () => {
+    /**
+     * Test transformation of the real Festivals United fixture
+     */
+    test( 'transforms Festival LD+JSON to festival event with date range and lineup', () => {
+      const result = mf.festivalTransformer.transformFestivals( fixtureAlcatraz );
+
+      expect( result ).toHaveLength( 1 );
+
+      const [ festival ] = result;
+
+      expect( festival.name ).toBe( 'Alcatraz Metal Festival 2026' );
+      expect( festival.type ).toBe( 'festival' );
+      expect( festival.date ).toMatch( /^\d{4}-\d{2}-\d{2}$/u );
+      expect( festival.endDate ).toMatch( /^\d{4}-\d{2}-\d{2}$/u );
+      expect( festival.lineup ).toHaveLength( 21 );
+      expect( festival.lineup ).toContainEqual( {
+        'name': 'Anaal Nathrakh',
+        'musicbrainzId': null
+      } );
+      expect( festival.location.geo ).toEqual( {
+        'lat': 50.8194776,
+        'lon': 3.2577263000000585
+      } );
+    } );
+
+    /**
+     * Test that a festival still running is kept
+     */
+    test( 'keeps festival that started in the past but ends in the future', () => {
+      const future = new Date( Date.now() + ( 5 * 24 * 60 * 60 * 1000 ) ).toISOString().slice( 0, 10 );
+      const result = mf.festivalTransformer.transformFestivals( [
+        {
+          ...fixtureAlcatrazRaw[ 0 ],
+          'startDate': '2001-01-01',
+          'endDate': future
+        }
+      ] );
+
+      expect( result ).toHaveLength( 1 );
+      expect( result[ 0 ].endDate ).toBe( future );
+    } );
+
+    /**
+     * Test that finished festivals are dropped
+     */
+    test( 'filters out festivals that are over', () => {
+      const result = mf.festivalTransformer.transformFestivals( fixtureAlcatrazRaw.map( ( item ) => ( {
+        ...item,
+        'startDate': '2001-01-01',
+        'endDate': '2001-01-03'
+      } ) ) );
+
+      expect( result ).toEqual( [] );
+    } );
+
+    /**
+     * Test that non-Festival objects are ignored
+     */
+    test( 'ignores MusicEvent and other objects', () => {
+      const result = mf.festivalTransformer.transformFestivals( fixtureAlcatraz.map( ( item ) => ( {
+        ...item,
+        '@type': 'MusicEvent'
+      } ) ) );
+
+      expect( result ).toEqual( [] );
+    } );
+
+    /**
+     * Test that festivals without name are dropped
+     */
+    test( 'filters out festivals without name', () => {
+      const result = mf.festivalTransformer.transformFestivals( fixtureAlcatraz.map( ( item ) => ( {
+        ...item,
+        'name': ''
+      } ) ) );
+
+      expect( result ).toEqual( [] );
+    } );
+
+    /**
+     * Test invalid input
+     */
+    test( 'returns empty array for non-array input', () => {
+      expect( mf.festivalTransformer.transformFestivals( null ) ).toEqual( [] );
+      expect( mf.festivalTransformer.transformFestivals( {} ) ).toEqual( [] );
+    } );
+  } );
+
+  describe( 'collectLineupNames', () => {
+    /**
+     * Test unique names across festivals
+     */
+    test( 'returns unique lineup names of festival events only', () => {
+      const result = mf.festivalTransformer.collectLineupNames( [
+        {
+          'type': 'festival',
+          'lineup': [ { 'name': 'Alcest' }, { 'name': 'Amorphis' } ]
+        },
+        {
+          'type': 'festival',
+          'lineup': [ { 'name': 'Alcest' } ]
+        },
+        { 'type': 'festival' },
+        {
+          'name': 'Concert',
+          'lineup': [ { 'name': 'Ignored' } ]
+        }
+      ] );
+
+      expect( result ).toEqual( [ 'Alcest', 'Amorphis' ] );
+    } );
+
+    /**
+     * Test missing events
+     */
+    test( 'returns empty array for missing events', () => {
+      expect( mf.festivalTransformer.collectLineupNames( null ) ).toEqual( [] );
+    } );
+  } );
+
+  describe( 'applyLineupMatches', () => {
+    /**
+     * Test matching of lineup names against cached acts
+     */
+    test( 'assigns MusicBrainz IDs case- and accent-insensitively', () => {
+      const concert = { 'name': 'Concert' };
+      const result = mf.festivalTransformer.applyLineupMatches( [
+        concert,
+        { 'type': 'festival' },
+        {
+          'type': 'festival',
+          'lineup': [
+            {
+              'name': 'MOTÖRHEAD',
+              'musicbrainzId': null
+            },
+            {
+              'name': 'Unknown Band',
+              'musicbrainzId': null
+            }
+          ]
+        }
+      ], [
+        {
+          '_id': 'mbid-1',
+          'name': 'Motörhead'
+        }
+      ] );
+
+      expect( result[ 0 ] ).toBe( concert );
+      expect( result[ 1 ] ).toEqual( { 'type': 'festival' } );
+      expect( result[ 2 ].lineup ).toEqual( [
+        {
+          'name': 'MOTÖRHEAD',
+          'musicbrainzId': 'mbid-1'
+        },
+        {
+          'name': 'Unknown Band',
+          'musicbrainzId': null
+        }
+      ] );
+    } );
+  } );
+
+  describe( 'markFavorites', () => {
+    /**
+     * Test annotation of festival events with requested acts
+     */
+    test( 'lists requested acts that play a festival', () => {
+      const festival = {
+        'type': 'festival',
+        'lineup': [
+          {
+            'name': 'A',
+            'musicbrainzId': 'id-a'
+          },
+          {
+            'name': 'B',
+            'musicbrainzId': 'id-b'
+          },
+          {
+            'name': 'C',
+            'musicbrainzId': 'id-other'
+          },
+          {
+            'name': 'D',
+            'musicbrainzId': null
+          }
+        ]
+      };
+      const concert = { 'name': 'Concert' };
+      const acts = [
+        {
+          'musicbrainzId': 'id-a',
+          'events': [ festival, concert ]
+        },
+        {
+          'musicbrainzId': 'id-b',
+          'events': [ { 'type': 'festival' } ]
+        },
+        {
+          'musicbrainzId': 'id-c',
+          'events': [ concert ]
+        },
+        { 'musicbrainzId': 'id-d' }
+      ];
+
+      const result = mf.festivalTransformer.markFavorites( acts );
+
+      expect( result[ 0 ].events[ 0 ].favoritesInLineup ).toEqual( [ 'id-a', 'id-b' ] );
+      expect( result[ 0 ].events[ 1 ] ).toBe( concert );
+      expect( result[ 1 ].events[ 0 ].favoritesInLineup ).toEqual( [] );
+      expect( result[ 2 ] ).toBe( acts[ 2 ] );
+      expect( result[ 3 ] ).toBe( acts[ 3 ] );
+    } );
+
+    /**
+     * Test annotation of a single streamed act with all requested acts
+     */
+    test( 'uses requested IDs when given', () => {
+      const acts = [
+        {
+          'musicbrainzId': 'id-a',
+          'events': [
+            {
+              'type': 'festival',
+              'lineup': [ { 'musicbrainzId': 'id-b' } ]
+            }
+          ]
+        }
+      ];
+
+      const result = mf.festivalTransformer.markFavorites( acts, [ 'id-a', 'id-b' ] );
+
+      expect( result[ 0 ].events[ 0 ].favoritesInLineup ).toEqual( [ 'id-b' ] );
+    } );
+  } );
+} );
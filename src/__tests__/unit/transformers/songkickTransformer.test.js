@@ -0,0 +1,121 @@
+/**
+ * Tests for Songkick event transformer
+ * @module __tests__/services/songkickTransformer
+ */
+
+require( '../../../services/songkickTransformer' );
+require( '../../../testHelpers/fixtureHelpers' );
+const fixtureAnaalNathrakhRaw = require( '../../fixtures/ldjson/songkick-anaal-nathrakh.json' );
+
+// Normalize fixture dates to be 30 days in the future to prevent test expiration
+const fixtureAnaalNathrakh = mf.testing.fixtureHelpers.normalizeDates( fixtureAnaalNathrakhRaw, 30 );
+
+describe( 'Songkick Transformer', () => {
+  describe( 'removeDuplicateEvents', () => {
+    /**
+     * Test that repeated MusicEvents are collapsed into one
+     */
+    test( 'removes MusicEvents with identical url, startDate and name', () => {
+      const event = {
+        '@type': 'MusicEvent',
+        'name': 'Band @ Venue',
+        'url': 'https://www.songkick.com/concerts/1',
+        'startDate': '2030-01-01'
+      };
+
+      const result = mf.testing.songkickTransformer.removeDuplicateEvents( [ event, { ...event } ] );
+
+      expect( result ).toEqual( [ event ] );
+    } );
+
+    /**
+     * Test that distinct MusicEvents are kept
+     */
+    test( 'keeps MusicEvents that differ in startDate', () => {
+      const event = {
+        '@type': 'MusicEvent',
+        'name': 'Band @ Venue',
+        'url': 'https://www.songkick.com/concerts/1',
+        'startDate': '2030-01-01'
+      };
+      const otherEvent = {
+        ...event,
+        'startDate': '2030-01-02'
+      };
+
+      const result = mf.testing.songkickTransformer.removeDuplicateEvents( [ event, otherEvent ] );
+
+      expect( result ).toEqual( [ event, otherEvent ] );
+    } );
+
+    /**
+     * Test that non-event objects are passed through untouched
+     */
+    test( 'keeps all non-MusicEvent objects', () => {
+      const group = {
+        '@type': 'MusicGroup',
+        'name': 'Band'
+      };
+
+      const result = mf.testing.songkickTransformer.removeDuplicateEvents( [ group, { ...group } ] );
+
+      expect( result ).toHaveLength( 2 );
+    } );
+  } );
+
+  describe( 'transformEvents', () => {
+    /**
+     * Test transformation of the real Songkick fixture
+     */
+    test( 'transforms Songkick LD+JSON MusicEvent to event schema', () => {
+      const result = mf.songkickTransformer.transformEvents( fixtureAnaalNathrakh );
+
+      // Fixture has 5 MusicEvents, two of which are the same Alcatraz event
+      expect( result ).toHaveLength( 4 );
+
+      const [ firstEvent ] = result;
+
+      expect( firstEvent.name ).toBe( 'Anaal Nathrakh @ Sportcampus Lange Munte' );
+      expect( firstEvent.date ).toMatch( /^\d{4}-\d{2}-\d{2}$/u );
+      expect( firstEvent.localTime ).toBe( '' );
+      expect( firstEvent.location.address ).toEqual( {
+        'street': 'Bad Godesberglaan 22',
+        'postalCode': '8500',
+        'locality': 'Kortrijk',
+        'region': null,
+        'country': 'Belgium',
+        'countryCode': 'BE'
+      } );
+      expect( firstEvent.location.geo ).toEqual( {
+        'lat': 50.80754,
+        'lon': 3.30117
+      } );
+    } );
+
+    /**
+     * Test that past events are filtered out
+     */
+    test( 'filters out events in the past', () => {
+      const result = mf.songkickTransformer.transformEvents( fixtureAnaalNathrakhRaw.map( ( item ) => ( {
+        ...item,
+        'startDate': '2001-01-01'
+      } ) ) );
+
+      expect( result ).toEqual( [] );
+    } );
+
+    /**
+     * Test handling of invalid input
+     */
+    test( 'returns empty array for null input', () => {
+      expect( mf.songkickTransformer.transformEvents( null ) ).toEqual( [] );
+    } );
+
+    /**
+     * Test handling of non-array input
+     */
+    test( 'returns empty array for non-array input', () => {
+      expect( mf.songkickTransformer.transformEvents( { '@type': 'MusicEvent' } ) ).toEqual( [] );
+    } );
+  } );
+} );
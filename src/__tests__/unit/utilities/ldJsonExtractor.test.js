@@ -180,17 +180,15 @@ describe( 'LD+JSON Extractor', () => {
     } );
 
     /**
-     * Test that network errors are caught and return empty array
+     * Test that network errors are thrown so callers can tell a failed source from one without events
      */
-    test( 'returns empty array for unreachable URL (network error)', async () => {
+    test( 'throws for unreachable URL (network error)', async () => {
       const url = 'https://bandsintown.com/test';
 
       // Mock axios to throw network error
       axios.get.mockRejectedValue( new Error( 'getaddrinfo ENOTFOUND' ) );
 
-      const result = await mf.ldJsonExtractor.fetchAndExtractLdJson( url );
-
-      expect( result ).toEqual( [] );
+      await expect( mf.ldJsonExtractor.fetchAndExtractLdJson( url ) ).rejects.toThrow( 'getaddrinfo ENOTFOUND' );
       expect( axios.get ).toHaveBeenCalledWith(
         url,
         expect.objectContaining( {
@@ -254,9 +252,9 @@ describe( 'LD+JSON Extractor', () => {
     } );
 
     /**
-     * Test that 404 responses are caught and return empty array
+     * Test that 404 responses are thrown
      */
-    test( 'returns empty array for 404 response', async () => {
+    test( 'throws for 404 response', async () => {
       const url = 'https://www.bandsintown.com/nonexistent-page-12345';
 
       // Mock axios to throw 404 error
@@ -268,9 +266,7 @@ describe( 'LD+JSON Extractor', () => {
       };
       axios.get.mockRejectedValue( error404 );
 
-      const result = await mf.ldJsonExtractor.fetchAndExtractLdJson( url );
-
-      expect( result ).toEqual( [] );
+      await expect( mf.ldJsonExtractor.fetchAndExtractLdJson( url ) ).rejects.toBe( error404 );
       expect( axios.get ).toHaveBeenCalledWith(
         url,
         expect.objectContaining( {
@@ -310,6 +306,23 @@ describe( 'LD+JSON Extractor', () => {
       );
     } );
 
+    /**
+     * Test that Songkick artist pages are whitelisted
+     */
+    test( 'fetches whitelisted Songkick URL', async () => {
+      const url = 'https://www.songkick.com/artists/277414-anaal-nathrakh';
+
+      axios.get.mockResolvedValue( {
+        'data': loadFixture( 'songkick-anaal-nathrakh.html' ),
+        'status': 200
+      } );
+
+      const result = await mf.ldJsonExtractor.fetchAndExtractLdJson( url );
+
+      expect( result ).toEqual( JSON.parse( loadFixture( 'songkick-anaal-nathrakh.json' ) ) );
+      expect( axios.get ).toHaveBeenCalledWith( url, expect.any( Object ) );
+    } );
+
     /**
      * Test that timeout errors are caught and return empty array
      */
@@ -343,7 +356,7 @@ describe( 'LD+JSON Extractor', () => {
 
       expect( debugSpy ).toHaveBeenCalledWith(
         { url },
-        'Fetching Bandsintown HTML'
+        'Fetching event page HTML'
       );
     } );
 
@@ -366,7 +379,7 @@ describe( 'LD+JSON Extractor', () => {
           url,
           'eventCount': 1
         } ),
-        'Parsed Bandsintown events'
+        'Parsed LD+JSON from event page'
       );
     } );
 
@@ -379,7 +392,7 @@ describe( 'LD+JSON Extractor', () => {
 
       axios.get.mockRejectedValue( error );
 
-      await mf.ldJsonExtractor.fetchAndExtractLdJson( url );
+      await expect( mf.ldJsonExtractor.fetchAndExtractLdJson( url ) ).rejects.toBe( error );
 
       expect( warnSpy ).toHaveBeenCalledWith(
         expect.objectContaining( {
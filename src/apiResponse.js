@@ -0,0 +1,151 @@
+/**
+ * Shared helpers for building API responses
+ * @module apiResponse
+ */
+
+( () => {
+  'use strict';
+
+  require( './logger' );
+  require( './services/icsBuilder' );
+
+  /**
+   * Standard meta object for all API responses
+   * @type {object}
+   */
+  const META = {
+    'attribution': {
+      'sources': [ 'MusicBrainz', 'Bandsintown', 'Songkick' ],
+      'notice': 'Data from third-party sources subject to their respective terms.\n' +
+        'See https://github.com/b-uwe/musicFavorites/blob/main/DATA_NOTICE.md for details.'
+    },
+    'license': 'AGPL-3.0',
+    'repository': 'https://github.com/b-uwe/musicFavorites'
+  };
+
+  /**
+   * Sets response headers for cache control and robots
+   * @param {object} res - Express response object
+   * @returns {void}
+   */
+  const setResponseHeaders = ( res ) => {
+    // TODO: Remove robots blocking once caching layer is in place to protect upstream providers
+    res.set( 'X-Robots-Tag', 'noindex, nofollow, noarchive, nosnippet' );
+
+    /*
+     * TODO: Implement proper caching strategy with ETags and Cache-Control max-age
+     * For now, disable all caching
+     */
+    res.set( 'Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate' );
+    res.set( 'Pragma', 'no-cache' );
+    res.set( 'Expires', '0' );
+  };
+
+  /**
+   * Enables pretty-printed JSON if the ?pretty query parameter is present
+   * @param {object} req - Express request object
+   * @returns {void}
+   */
+  const applyPrettyPrint = ( req ) => {
+    req.app.set( 'json spaces', 'pretty' in req.query ? 2 : 0 );
+  };
+
+  /**
+   * Deduplicate an array of act IDs while preserving order of first occurrence
+   * @param {Array<string>} actIds - Array of act IDs that may contain duplicates
+   * @returns {Array<string>} Array of unique act IDs in order of first occurrence
+   */
+  const deduplicateActIds = ( actIds ) => [ ...new Set( actIds ) ];
+
+  /**
+   * Parses a comma-separated list of act IDs
+   * @param {string} ids - Comma-separated act IDs
+   * @returns {Array<string>} Trimmed, deduplicated act IDs
+   */
+  const parseActIds = ( ids ) => deduplicateActIds( ids.split( ',' ).map( ( actId ) => actId.trim() ) );
+
+  /**
+   * Get correlation ID from async context
+   * @returns {string|undefined} Correlation ID if in async context
+   */
+  const getCorrelationId = () => {
+    const store = mf.asyncLocalStorage.getStore();
+
+    return store?.correlationId;
+  };
+
+  /**
+   * Build META object with correlation ID
+   * @returns {object} META object with correlationId
+   */
+  const buildMetaWithCorrelation = () => ( {
+    ...META,
+    'correlationId': getCorrelationId()
+  } );
+
+  /**
+   * Build minimal META object with only correlation ID
+   * @returns {object} Minimal META object
+   */
+  const buildMinimalMeta = () => ( { 'correlationId': getCorrelationId() } );
+
+  /**
+   * Sends an error response with full META
+   * @param {object} res - Express response object
+   * @param {number} status - HTTP status code
+   * @param {object} error - Error with message and optional details
+   * @returns {object} Express response
+   */
+  const sendError = ( res, status, error ) => res.status( status ).json( {
+    'meta': buildMetaWithCorrelation(),
+    'type': 'error',
+    error
+  } );
+
+  /**
+   * Checks whether the client asked for iCalendar instead of JSON via the Accept header
+   * @param {object} req - Express request object
+   * @returns {boolean} True if text/calendar is preferred
+   */
+  const wantsCalendar = ( req ) => req.accepts( [ 'json', 'text/calendar' ] ) === 'text/calendar';
+
+  /**
+   * Sends the events of acts as iCalendar
+   * @param {object} res - Express response object
+   * @param {Array<object>} acts - Acts with musicbrainzId, name and events
+   * @returns {object} Express response
+   */
+  const sendCalendar = ( res, acts ) => res.
+    type( 'text/calendar; charset=utf-8' ).
+    send( mf.icsBuilder.buildCalendar( acts ) );
+
+  /**
+   * Sends 202 Accepted for acts that are fetched in a background job
+   * @param {object} res - Express response object
+   * @param {object} job - Job as returned by the fetch queue
+   * @returns {object} Express response pointing to the job via Location header
+   */
+  const sendJobAccepted = ( res, job ) => res.
+    status( 202 ).
+    location( `/jobs/${job.id}` ).
+    json( {
+      'meta': buildMetaWithCorrelation(),
+      'type': 'job',
+      job
+    } );
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.apiResponse = {
+    applyPrettyPrint,
+    buildMetaWithCorrelation,
+    buildMinimalMeta,
+    getCorrelationId,
+    parseActIds,
+    sendCalendar,
+    sendError,
+    sendJobAccepted,
+    setResponseHeaders,
+    wantsCalendar
+  };
+} )();
@@ -11,7 +11,18 @@
   const path = require( 'path' );
   const speakeasy = require( 'speakeasy' );
   require( './logger' );
+  require( './apiResponse' );
+  require( './routes/changeRoutes' );
+  require( './routes/eventRoutes' );
+  require( './routes/importRoutes' );
+  require( './routes/jobRoutes' );
+  require( './routes/searchRoutes' );
+  require( './routes/streamRoutes' );
+  require( './routes/subscriptionRoutes' );
+  require( './services/actIdentifiers' );
   require( './services/actService' );
+  require( './services/circuitBreaker' );
+  require( './services/rateLimiter' );
 
   // Initialize global namespace
   globalThis.mf = globalThis.mf || {};
@@ -64,27 +75,11 @@
     next();
   } );
 
-  // Parse plain text request bodies
-  app.use( express.text() );
   const usageStats = {
     'requests': 0,
     'actsQueried': 0
   };
 
-  /**
-   * Standard meta object for all API responses
-   * @type {object}
-   */
-  const META = {
-    'attribution': {
-      'sources': [ 'MusicBrainz', 'Bandsintown', 'Songkick' ],
-      'notice': 'Data from third-party sources subject to their respective terms.\n' +
-        'See https://github.com/b-uwe/musicFavorites/blob/main/DATA_NOTICE.md for details.'
-    },
-    'license': 'AGPL-3.0',
-    'repository': 'https://github.com/b-uwe/musicFavorites'
-  };
-
   /**
    * Validate Authentication for the Admin route
    * @param {object} req - Express request object
@@ -140,58 +135,9 @@
     return { 'status': 200 };
   };
 
-  /**
-   * Sets response headers for cache control and robots
-   * @param {object} res - Express response object
-   * @returns {void}
-   */
-  const setResponseHeaders = ( res ) => {
-    // TODO: Remove robots blocking once caching layer is in place to protect upstream providers
-    res.set( 'X-Robots-Tag', 'noindex, nofollow, noarchive, nosnippet' );
-
-    /*
-     * TODO: Implement proper caching strategy with ETags and Cache-Control max-age
-     * For now, disable all caching
-     */
-    res.set( 'Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate' );
-    res.set( 'Pragma', 'no-cache' );
-    res.set( 'Expires', '0' );
-  };
-
-  /**
-   * Deduplicate an array of act IDs while preserving order of first occurrence
-   * @param {Array<string>} actIds - Array of act IDs that may contain duplicates
-   * @returns {Array<string>} Array of unique act IDs in order of first occurrence
-   */
-  const deduplicateActIds = ( actIds ) => [ ...new Set( actIds ) ];
-
-  /**
-   * Get correlation ID from async context
-   * @returns {string|undefined} Correlation ID if in async context
-   */
-  const getCorrelationId = () => {
-    const store = mf.asyncLocalStorage.getStore();
-
-    return store?.correlationId;
-  };
-
-  /**
-   * Build META object with correlation ID
-   * @returns {object} META object with correlationId
-   */
-  const buildMetaWithCorrelation = () => ( {
-    ...META,
-    'correlationId': getCorrelationId()
-  } );
-
-  /**
-   * Build minimal META object with only correlation ID
-   * @returns {object} Minimal META object
-   */
-  const buildMinimalMeta = () => ( { 'correlationId': getCorrelationId() } );
-
   /**
    * Handle act data fetching for both GET and POST routes
+   * With partial=true the cached acts are returned along with pending, invalid and notFound act IDs
    * @param {Array} actIds - Array of act IDs to fetch
    * @param {object} req - Express request object
    * @param {object} res - Express response object
@@ -200,41 +146,40 @@
   const handleActsRequest = async ( actIds, req, res ) => {
     usageStats.requests++;
 
-    // Enable pretty-printing if ?pretty query parameter is present
-    if ( 'pretty' in req.query ) {
-      app.set( 'json spaces', 2 );
-    } else {
-      app.set( 'json spaces', 0 );
-    }
-
-    setResponseHeaders( res );
+    mf.apiResponse.applyPrettyPrint( req );
+    mf.apiResponse.setResponseHeaders( res );
 
     try {
       usageStats.actsQueried += actIds.length;
 
-      const result = await mf.actService.fetchMultipleActs( actIds );
+      const fetchActs = req.query.partial === 'true' ? mf.actService.fetchAvailableActs : mf.actService.fetchMultipleActs;
+      const result = await fetchActs( actIds );
+
+      if ( result.job ) {
+        return mf.apiResponse.sendJobAccepted( res, result.job );
+      }
 
       if ( result.error ) {
-        return res.status( 503 ).json( {
-          'meta': buildMetaWithCorrelation(),
-          'type': 'error',
-          'error': result.error
-        } );
+        return mf.apiResponse.sendError( res, result.status || 503, result.error );
       }
 
       // Track request timestamp and reset update counter (non-blocking)
-      mf.databaseAdmin.updateLastRequestedAt( actIds ).catch( () => {
+      mf.databaseAdmin.updateLastRequestedAt( mf.actAliases.getTrackedIds( result.acts, result.pending ) ).catch( () => {
         // Silent fail - don't block response
       } );
 
+      if ( mf.apiResponse.wantsCalendar( req ) ) {
+        return mf.apiResponse.sendCalendar( res, result.acts );
+      }
+
       return res.json( {
-        'meta': buildMetaWithCorrelation(),
+        'meta': mf.apiResponse.buildMetaWithCorrelation(),
         'type': 'acts',
-        'acts': result.acts
+        ...result
       } );
     } catch ( error ) {
       return res.status( 500 ).json( {
-        'meta': buildMetaWithCorrelation(),
+        'meta': mf.apiResponse.buildMetaWithCorrelation(),
         'type': 'error',
         'error': {
           'message': 'Failed to fetch act data',
@@ -253,25 +198,60 @@
    */
   app.get( '/acts/:id', ( req, res ) => {
     const { id } = req.params;
-    const actIds = deduplicateActIds( id.split( ',' ).map( ( actId ) => actId.trim() ) );
+    const actIds = mf.apiResponse.parseActIds( id );
 
     return handleActsRequest( actIds, req, res );
   } );
 
+  /**
+   * Get information about a music act by the ID another service uses for it
+   * e.g. /acts/by/discogs/12345 or /acts/by/spotify/1lYT0A0LV5DUfxr6doRP3d
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} Act information with attribution and metadata, or error if the ID cannot be resolved
+   */
+  app.get( '/acts/by/:provider/:externalId', async ( req, res ) => {
+    const { provider, externalId } = req.params;
+    let resolved;
+
+    try {
+      resolved = await mf.actIdentifiers.resolveExternalId( provider, externalId );
+    } catch ( error ) {
+      resolved = {
+        'status': 500,
+        'error': {
+          'message': 'Failed to fetch act data',
+          'details': error.message
+        }
+      };
+    }
+
+    if ( resolved.error ) {
+      usageStats.requests++;
+      mf.apiResponse.applyPrettyPrint( req );
+      mf.apiResponse.setResponseHeaders( res );
+
+      return mf.apiResponse.sendError( res, resolved.status, resolved.error );
+    }
+
+    return handleActsRequest( [ resolved.musicbrainzId ], req, res );
+  } );
+
   /**
    * Post information about one or more music acts
    * Accepts comma-separated MusicBrainz IDs as plain text in request body for handling large lists
+   * The text body is parsed here only, so routes with their own body parser keep their limits
    * @param {object} req - Express request object
    * @param {object} res - Express response object
    * @returns {Promise<object>} Acts information with attribution and metadata
    */
-  app.post( '/acts', ( req, res ) => {
+  app.post( '/acts', express.text(), ( req, res ) => {
     const ids = req.body;
 
     // Validate request body
     if ( !ids || typeof ids !== 'string' || ids.trim().length === 0 ) {
       return res.status( 400 ).json( {
-        'meta': buildMetaWithCorrelation(),
+        'meta': mf.apiResponse.buildMetaWithCorrelation(),
         'type': 'error',
         'error': {
           'message': 'Invalid request body',
@@ -281,7 +261,7 @@
     }
 
     // Parse comma-separated IDs and deduplicate
-    const actIds = deduplicateActIds( ids.split( ',' ).map( ( actId ) => actId.trim() ) );
+    const actIds = mf.apiResponse.parseActIds( ids );
 
     return handleActsRequest( actIds, req, res );
   } );
@@ -316,17 +296,19 @@
       await mf.database.testCacheHealth();
 
       return res.status( 200 ).json( {
-        'meta': buildMinimalMeta(),
+        'meta': mf.apiResponse.buildMinimalMeta(),
         'status': 'healthy',
         'timestamp': new Date().toISOString(),
-        'uptime': process.uptime()
+        'uptime': process.uptime(),
+        'upstreams': mf.circuitBreaker.getStates()
       } );
     } catch ( error ) {
       return res.status( 503 ).json( {
-        'meta': buildMinimalMeta(),
+        'meta': mf.apiResponse.buildMinimalMeta(),
         'status': 'unhealthy',
         'reason': 'database_unavailable',
-        'timestamp': new Date().toISOString()
+        'timestamp': new Date().toISOString(),
+        'upstreams': mf.circuitBreaker.getStates()
       } );
     }
   } );
@@ -357,13 +339,13 @@
   app.get( '/admin/health', async ( req, res ) => {
     app.set( 'json spaces', 2 );
 
-    setResponseHeaders( res );
+    mf.apiResponse.setResponseHeaders( res );
 
     // Validate authentication first
     const adminAuth = validateAdminAuth( req );
     if ( adminAuth?.status !== 200 ) {
       return res.status( adminAuth.status ).json( {
-        'meta': buildMinimalMeta(),
+        'meta': mf.apiResponse.buildMinimalMeta(),
         'error': adminAuth.error
       } );
     }
@@ -384,18 +366,20 @@
       const dataUpdateErrors = await mf.databaseAdmin.getRecentUpdateErrors();
 
       return res.json( {
-        'meta': buildMinimalMeta(),
+        'meta': mf.apiResponse.buildMinimalMeta(),
         'status': 'ok',
         cacheSize,
         lastCacheUpdate,
         artistsWithoutBandsintown,
         dataUpdateErrors,
         'uptime': process.uptime(),
-        usageStats
+        usageStats,
+        'upstreamRateLimits': mf.rateLimiter.getMetrics(),
+        'upstreamCircuitBreakers': mf.circuitBreaker.getMetrics()
       } );
     } catch ( error ) {
       return res.status( 500 ).json( {
-        'meta': buildMinimalMeta(),
+        'meta': mf.apiResponse.buildMinimalMeta(),
         'error': 'Failed to fetch health data',
         'details': error.message
       } );
@@ -411,13 +395,13 @@
   app.delete( '/admin/health/cache', async ( req, res ) => {
     app.set( 'json spaces', 2 );
 
-    setResponseHeaders( res );
+    mf.apiResponse.setResponseHeaders( res );
 
     // Validate authentication first
     const adminAuth = validateAdminAuth( req );
     if ( adminAuth?.status !== 200 ) {
       return res.status( adminAuth.status ).json( {
-        'meta': buildMinimalMeta(),
+        'meta': mf.apiResponse.buildMinimalMeta(),
         'error': adminAuth.error
       } );
     }
@@ -426,19 +410,27 @@
       await mf.databaseAdmin.clearCache();
 
       return res.json( {
-        'meta': buildMinimalMeta(),
+        'meta': mf.apiResponse.buildMinimalMeta(),
         'status': 'ok',
         'message': 'Cache cleared successfully'
       } );
     } catch ( error ) {
       return res.status( 500 ).json( {
-        'meta': buildMinimalMeta(),
+        'meta': mf.apiResponse.buildMinimalMeta(),
         'error': 'Failed to clear cache',
         'details': error.message
       } );
     }
   } );
 
+  mf.changeRoutes.register( app, usageStats );
+  mf.eventRoutes.register( app, usageStats );
+  mf.importRoutes.register( app, usageStats );
+  mf.jobRoutes.register( app, usageStats );
+  mf.searchRoutes.register( app, usageStats );
+  mf.streamRoutes.register( app, usageStats );
+  mf.subscriptionRoutes.register( app );
+
   /**
    * Handle 404 errors with JSON response
    * @param {object} req - Express request object
@@ -446,7 +438,7 @@
    * @returns {object} JSON error response
    */
   app.use( ( req, res ) => res.status( 404 ).json( {
-    'meta': buildMinimalMeta(),
+    'meta': mf.apiResponse.buildMinimalMeta(),
     'error': 'Not found',
     'status': 404
   } ) );
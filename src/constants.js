@@ -8,6 +8,12 @@
 
   const { version } = require( '../package.json' );
 
+  /**
+   * Application version from package.json
+   * @constant {string}
+   */
+  const VERSION = version;
+
   /**
    * User-Agent string for HTTP requests
    * Identifies the application to external services
@@ -28,11 +34,26 @@
    */
   const SLOW_QUERY_THRESHOLD_MS = 250;
 
+  /**
+   * How long finished jobs stay available
+   * @constant {number}
+   */
+  const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * How long a job stays available while it is running, ends jobs that never finish
+   * @constant {number}
+   */
+  const RUNNING_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
   // Initialize global namespace
   globalThis.mf = globalThis.mf || {};
   globalThis.mf.constants = {
+    VERSION,
     USER_AGENT,
     HTTP_TIMEOUT,
-    SLOW_QUERY_THRESHOLD_MS
+    SLOW_QUERY_THRESHOLD_MS,
+    JOB_RETENTION_MS,
+    RUNNING_JOB_RETENTION_MS
   };
 } )();
@@ -10,9 +10,78 @@
   require( './app' );
   require( './services/database' );
   require( './services/cacheUpdater' );
+  require( './services/actImport' );
+  require( './services/fetchQueue' );
+  require( './services/webhookDispatcher' );
 
   const PORT = process.env.PORT || 3000;
 
+  /**
+   * Creates the indexes of the database modules (fire-and-forget)
+   * @returns {void}
+   */
+  const ensureIndexes = () => {
+    // Index the relations external IDs are resolved by (fire-and-forget)
+    mf.databaseLookup.ensureRelationIndexes( mf.actIdentifiers.RELATION_KEYS ).catch( ( error ) => {
+      mf.logger.warn( {
+        'err': error
+      }, 'Failed to ensure relation indexes' );
+    } );
+
+    // Index jobs by their acts and let MongoDB remove expired jobs (fire-and-forget)
+    mf.databaseJobs.ensureJobIndexes().catch( ( error ) => {
+      mf.logger.warn( {
+        'err': error
+      }, 'Failed to ensure job indexes' );
+    } );
+
+    // Let MongoDB remove expired negative results (fire-and-forget)
+    mf.databaseNegativeCache.ensureNegativeCacheIndexes().catch( ( error ) => {
+      mf.logger.warn( {
+        'err': error
+      }, 'Failed to ensure negative cache indexes' );
+    } );
+
+    // Let MongoDB remove webhook delivery log entries after 7 days (fire-and-forget)
+    mf.databaseSubscriptions.ensureDeliveryIndexes().catch( ( error ) => {
+      mf.logger.warn( {
+        'err': error
+      }, 'Failed to ensure delivery indexes' );
+    } );
+  };
+
+  /**
+   * Starts the work that needs the database (fire-and-forget)
+   * @returns {void}
+   */
+  const startBackgroundTasks = () => {
+    ensureIndexes();
+
+    // Resume the acts queued before the last shutdown (fire-and-forget)
+    mf.fetchQueue.resumeQueue().catch( ( error ) => {
+      mf.logger.warn( {
+        'err': error
+      }, 'Failed to resume fetch queue' );
+    } );
+
+    // Continue the imports running before the last shutdown (fire-and-forget)
+    mf.actImport.resumeImports().catch( ( error ) => {
+      mf.logger.warn( {
+        'err': error
+      }, 'Failed to resume imports' );
+    } );
+
+    // Retry failed webhook deliveries, including those pending before the last shutdown (fire-and-forget)
+    mf.webhookDispatcher.startRetries();
+
+    // Start background cache update cycle (fire-and-forget)
+    mf.cacheUpdater.start().catch( ( error ) => {
+      mf.logger.error( {
+        'err': error
+      }, 'Cache updater crashed' );
+    } );
+  };
+
   /**
    * Starts the server and attempts to connect to MongoDB
    * Server starts regardless of database connection status
@@ -46,12 +115,7 @@
       await mf.database.connect();
       mf.logger.info( 'Connected to MongoDB successfully' );
 
-      // Start background cache update cycle (fire-and-forget)
-      mf.cacheUpdater.start().catch( ( error ) => {
-        mf.logger.error( {
-          'err': error
-        }, 'Cache updater crashed' );
-      } );
+      startBackgroundTasks();
     } catch ( error ) {
       mf.logger.error( {
         'err': error
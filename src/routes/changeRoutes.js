@@ -0,0 +1,96 @@
+/**
+ * Routes for the event change history of an act
+ * @module routes/changeRoutes
+ */
+
+( () => {
+  'use strict';
+
+  require( '../apiResponse' );
+  require( '../services/database' );
+
+  /**
+   * Parses the since query parameter
+   * @param {string} [since] - Date (YYYY-MM-DD) or ISO date-time
+   * @returns {object} Object with since as ISO timestamp (null if absent) or error
+   */
+  const parseSince = ( since ) => {
+    if ( typeof since === 'undefined' ) {
+      return { 'since': null };
+    }
+
+    const parsed = /^\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:\d{2}))?$/u.test( since ) ? new Date( since ) : null;
+
+    if ( !parsed || isNaN( parsed ) ) {
+      return {
+        'error': {
+          'message': 'Invalid query parameter',
+          'details': 'since must be a date (YYYY-MM-DD) or ISO date-time with offset'
+        }
+      };
+    }
+
+    return { 'since': parsed.toISOString() };
+  };
+
+  /**
+   * Get the event changes detected for an act, oldest first
+   * @param {object} usageStats - Shared request counters of the app
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} Changes with attribution and metadata
+   */
+  const handleChangesRequest = async ( usageStats, req, res ) => {
+    usageStats.requests++;
+
+    mf.apiResponse.applyPrettyPrint( req );
+    mf.apiResponse.setResponseHeaders( res );
+
+    const { since, error } = parseSince( req.query.since );
+
+    if ( error ) {
+      return mf.apiResponse.sendError( res, 400, error );
+    }
+
+    try {
+      const changes = await mf.databaseHistory.getChanges( req.params.id, since );
+
+      return res.json( {
+        'meta': mf.apiResponse.buildMetaWithCorrelation(),
+        'type': 'changes',
+        'musicbrainzId': req.params.id,
+        since,
+        changes
+      } );
+    } catch ( err ) {
+      return mf.apiResponse.sendError( res, 500, {
+        'message': 'Failed to fetch change history',
+        'details': err.message
+      } );
+    }
+  };
+
+  /**
+   * Registers the change history routes on an Express app
+   * @param {object} app - Express application
+   * @param {object} usageStats - Shared request counters of the app
+   * @returns {void}
+   */
+  const register = ( app, usageStats ) => {
+    app.get( '/acts/:id/changes', ( req, res ) => handleChangesRequest( usageStats, req, res ) );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.changeRoutes = {
+    register
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.changeRoutes = {
+      parseSince
+    };
+  }
+} )();
@@ -0,0 +1,170 @@
+/**
+ * Routes for querying the events of several acts
+ * @module routes/eventRoutes
+ */
+
+( () => {
+  'use strict';
+
+  require( '../apiResponse' );
+  require( '../services/actService' );
+  require( '../services/eventQuery' );
+  require( '../services/feedBuilder' );
+
+  /**
+   * Feed formats by file extension
+   * @constant {object}
+   */
+  const FEED_FORMATS = {
+    'atom': {
+      'builder': 'buildAtomFeed',
+      'type': 'application/atom+xml; charset=utf-8'
+    },
+    'rss': {
+      'builder': 'buildRssFeed',
+      'type': 'application/rss+xml; charset=utf-8'
+    }
+  };
+
+  /**
+   * Loads the acts named in the :ids route parameter
+   * Sends an error or job response if the acts cannot be loaded yet
+   * @param {object} usageStats - Shared request counters of the app
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @returns {Promise<Array<object>|null>} Acts, or null if another response was sent
+   */
+  const loadActs = async ( usageStats, req, res ) => {
+    const actIds = mf.apiResponse.parseActIds( req.params.ids );
+
+    try {
+      usageStats.actsQueried += actIds.length;
+
+      const result = await mf.actService.fetchMultipleActs( actIds );
+
+      if ( result.job ) {
+        mf.apiResponse.sendJobAccepted( res, result.job );
+
+        return null;
+      }
+
+      if ( result.error ) {
+        mf.apiResponse.sendError( res, result.status || 503, result.error );
+
+        return null;
+      }
+
+      // Track request timestamp and reset update counter (non-blocking)
+      mf.databaseAdmin.updateLastRequestedAt( mf.actAliases.getTrackedIds( result.acts ) ).catch( () => {
+        // Silent fail - don't block response
+      } );
+
+      return result.acts;
+    } catch ( error ) {
+      mf.apiResponse.sendError( res, 500, {
+        'message': 'Failed to fetch act data',
+        'details': error.message
+      } );
+
+      return null;
+    }
+  };
+
+  /**
+   * Get the events of one or more acts as one chronological list
+   * Supports near=lat,lon with radiusKm as well as from and to dates (YYYY-MM-DD)
+   * @param {object} usageStats - Shared request counters of the app
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} Events with attribution and metadata
+   */
+  const handleEventsRequest = async ( usageStats, req, res ) => {
+    usageStats.requests++;
+
+    mf.apiResponse.applyPrettyPrint( req );
+    mf.apiResponse.setResponseHeaders( res );
+
+    const { criteria, error } = mf.eventQuery.parseEventQuery( req.query );
+
+    if ( error ) {
+      return mf.apiResponse.sendError( res, 400, error );
+    }
+
+    const acts = await loadActs( usageStats, req, res );
+
+    if ( !acts ) {
+      return res;
+    }
+
+    return res.json( {
+      'meta': mf.apiResponse.buildMetaWithCorrelation(),
+      'type': 'events',
+      'query': criteria,
+      'events': mf.eventQuery.findEvents( acts, criteria )
+    } );
+  };
+
+  /**
+   * Get the events of one or more acts as iCalendar for calendar subscriptions
+   * @param {object} usageStats - Shared request counters of the app
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} Calendar with one VEVENT per event
+   */
+  const handleCalendarRequest = async ( usageStats, req, res ) => {
+    usageStats.requests++;
+
+    mf.apiResponse.setResponseHeaders( res );
+
+    const acts = await loadActs( usageStats, req, res );
+
+    if ( !acts ) {
+      return res;
+    }
+
+    return mf.apiResponse.sendCalendar( res, acts );
+  };
+
+  /**
+   * Get newly announced events of one or more acts as Atom or RSS feed
+   * Entries are ordered by when the service first saw an event, not by concert date
+   * @param {object} usageStats - Shared request counters of the app
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} Feed in the format of the :format route parameter
+   */
+  const handleFeedRequest = async ( usageStats, req, res ) => {
+    usageStats.requests++;
+
+    mf.apiResponse.setResponseHeaders( res );
+
+    const acts = await loadActs( usageStats, req, res );
+
+    if ( !acts ) {
+      return res;
+    }
+
+    const format = FEED_FORMATS[ req.params.format ];
+    const feedUrl = `${req.protocol}://${req.get( 'host' )}${req.originalUrl}`;
+
+    return res.type( format.type ).send( mf.feedBuilder[ format.builder ]( acts, feedUrl ) );
+  };
+
+  /**
+   * Registers the event routes on an Express app
+   * @param {object} app - Express application
+   * @param {object} usageStats - Shared request counters of the app
+   * @returns {void}
+   */
+  const register = ( app, usageStats ) => {
+    app.get( '/acts/:ids/events', ( req, res ) => handleEventsRequest( usageStats, req, res ) );
+    app.get( '/acts/:ids/calendar.ics', ( req, res ) => handleCalendarRequest( usageStats, req, res ) );
+    app.get( '/acts/:ids/feed.:format(atom|rss)', ( req, res ) => handleFeedRequest( usageStats, req, res ) );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.eventRoutes = {
+    register
+  };
+} )();
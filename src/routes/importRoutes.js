@@ -0,0 +1,65 @@
+/**
+ * Routes for importing favorites from streaming service exports
+ * @module routes/importRoutes
+ */
+
+( () => {
+  'use strict';
+
+  const express = require( 'express' );
+  require( '../apiResponse' );
+  require( '../services/actImport' );
+
+  /**
+   * Start resolving the artists of an export file to MusicBrainz IDs
+   * @param {object} usageStats - Shared request counters of the app
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} 202 with the import job, 400 for unreadable files, or 503 if the job cannot be stored
+   */
+  const handleImportRequest = async ( usageStats, req, res ) => {
+    usageStats.requests++;
+
+    mf.apiResponse.applyPrettyPrint( req );
+    mf.apiResponse.setResponseHeaders( res );
+
+    try {
+      const result = await mf.actImport.importActs( req.params.format, req.body );
+
+      if ( result.error ) {
+        return mf.apiResponse.sendError( res, 400, result.error );
+      }
+
+      return mf.apiResponse.sendJobAccepted( res, result.job );
+    } catch ( error ) {
+      return mf.apiResponse.sendError( res, 503, {
+        'message': 'Failed to start import',
+        'details': error.message
+      } );
+    }
+  };
+
+  /**
+   * Registers the import routes on an Express app
+   * Export files are read as text whatever their content type
+   * @param {object} app - Express application
+   * @param {object} usageStats - Shared request counters of the app
+   * @returns {void}
+   */
+  const register = ( app, usageStats ) => {
+    app.post(
+      '/import/:format',
+      express.text( {
+        'type': '*/*',
+        'limit': '1mb'
+      } ),
+      ( req, res ) => handleImportRequest( usageStats, req, res )
+    );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.importRoutes = {
+    register
+  };
+} )();
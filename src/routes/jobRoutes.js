@@ -0,0 +1,63 @@
+/**
+ * Routes for following the progress of background fetch jobs
+ * @module routes/jobRoutes
+ */
+
+( () => {
+  'use strict';
+
+  require( '../apiResponse' );
+  require( '../services/fetchQueue' );
+
+  /**
+   * Get the progress of a background fetch job
+   * @param {object} usageStats - Shared request counters of the app
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} Job with counts and state per act, 404 if unknown or expired, or 503 if jobs cannot be read
+   */
+  const handleJobRequest = async ( usageStats, req, res ) => {
+    usageStats.requests++;
+
+    mf.apiResponse.applyPrettyPrint( req );
+    mf.apiResponse.setResponseHeaders( res );
+
+    try {
+      const job = await mf.fetchQueue.getJob( req.params.id );
+
+      if ( !job ) {
+        return mf.apiResponse.sendError( res, 404, {
+          'message': 'Job not found',
+          'details': `No job with ID ${req.params.id}, finished jobs expire after 24 hours`
+        } );
+      }
+
+      return res.json( {
+        'meta': mf.apiResponse.buildMetaWithCorrelation(),
+        'type': 'job',
+        job
+      } );
+    } catch ( error ) {
+      return mf.apiResponse.sendError( res, 503, {
+        'message': 'Failed to read job',
+        'details': error.message
+      } );
+    }
+  };
+
+  /**
+   * Registers the job routes on an Express app
+   * @param {object} app - Express application
+   * @param {object} usageStats - Shared request counters of the app
+   * @returns {void}
+   */
+  const register = ( app, usageStats ) => {
+    app.get( '/jobs/:id', ( req, res ) => handleJobRequest( usageStats, req, res ) );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.jobRoutes = {
+    register
+  };
+} )();
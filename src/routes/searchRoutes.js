@@ -0,0 +1,60 @@
+/**
+ * Routes for finding acts by name
+ * @module routes/searchRoutes
+ */
+
+( () => {
+  'use strict';
+
+  require( '../apiResponse' );
+  require( '../services/actSearch' );
+
+  /**
+   * Search acts by name on MusicBrainz
+   * @param {object} usageStats - Shared request counters of the app
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} Candidates with MusicBrainz ID, details, score and cached flag
+   */
+  const handleSearchRequest = async ( usageStats, req, res ) => {
+    usageStats.requests++;
+
+    mf.apiResponse.applyPrettyPrint( req );
+    mf.apiResponse.setResponseHeaders( res );
+
+    try {
+      const result = await mf.actSearch.searchActs( req.query.q );
+
+      if ( result.error ) {
+        return mf.apiResponse.sendError( res, 400, result.error );
+      }
+
+      return res.json( {
+        'meta': mf.apiResponse.buildMetaWithCorrelation(),
+        'type': 'search',
+        ...result
+      } );
+    } catch ( error ) {
+      return mf.apiResponse.sendError( res, 503, {
+        'message': 'Act search is temporarily unavailable',
+        'details': error.message
+      } );
+    }
+  };
+
+  /**
+   * Registers the search routes on an Express app
+   * @param {object} app - Express application
+   * @param {object} usageStats - Shared request counters of the app
+   * @returns {void}
+   */
+  const register = ( app, usageStats ) => {
+    app.get( '/search/acts', ( req, res ) => handleSearchRequest( usageStats, req, res ) );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.searchRoutes = {
+    register
+  };
+} )();
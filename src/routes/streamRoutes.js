@@ -0,0 +1,172 @@
+/**
+ * Routes for streaming acts as Server-Sent Events while missing acts are fetched
+ * @module routes/streamRoutes
+ */
+
+( () => {
+  'use strict';
+
+  require( '../apiResponse' );
+  require( '../services/actAliases' );
+  require( '../services/actService' );
+  require( '../services/festivalTransformer' );
+  require( '../services/fetchQueue' );
+  require( '../services/negativeCache' );
+
+  /**
+   * Interval of keep-alive comments so proxies do not close idle streams
+   * Missing acts can arrive far apart, they wait in the fetch queue behind acts queued before them
+   * @constant {number}
+   */
+  const HEARTBEAT_MS = 15 * 1000;
+
+  /**
+   * Writes one Server-Sent Event
+   * @param {object} res - Express response object
+   * @param {string} event - Event name
+   * @param {object} data - Event data, sent as JSON
+   * @returns {void}
+   */
+  const writeEvent = ( res, event, data ) => {
+    res.write( `event: ${event}\ndata: ${JSON.stringify( data )}\n\n` );
+  };
+
+  /**
+   * Pushes the missing acts to the stream as the fetch queue finishes them
+   * Ends the stream once every missing act was sent or failed
+   * @param {object} res - Express response object
+   * @param {Array<string>} actIds - All requested act IDs
+   * @param {Array<string>} missingIds - Act IDs not in the cache
+   * @returns {void}
+   */
+  const streamMissingActs = ( res, actIds, missingIds ) => {
+    const pending = new Set( missingIds );
+    const heartbeat = globalThis.setInterval( () => res.write( ': keep-alive\n\n' ), HEARTBEAT_MS );
+    let unsubscribe = null;
+
+    /**
+     * Stops listening to the fetch queue
+     * @returns {void}
+     */
+    const close = () => {
+      globalThis.clearInterval( heartbeat );
+      unsubscribe();
+    };
+
+    unsubscribe = mf.fetchQueue.onActProcessed( ( actId, actData, error ) => {
+      if ( !pending.delete( actId ) ) {
+        return;
+      }
+
+      if ( error ) {
+        writeEvent( res, 'error', {
+          'musicbrainzId': actId,
+          'message': error.message
+        } );
+      } else {
+        writeEvent( res, 'act', mf.festivalTransformer.markFavorites( [ mf.actAliases.formatFetchedAct( actData, actId ) ], actIds )[ 0 ] );
+      }
+
+      if ( pending.size === 0 ) {
+        close();
+        writeEvent( res, 'done', {} );
+        res.end();
+      }
+    } );
+
+    // Stop listening when the client disconnects
+    res.on( 'close', close );
+    mf.fetchQueue.triggerBackgroundFetch( missingIds, 'interactive' );
+  };
+
+  /**
+   * Sends an error event for each negatively cached act, so it is not fetched from MusicBrainz again
+   * @param {object} res - Express response object
+   * @param {Array<string>} missingIds - Act IDs not in the cache
+   * @returns {Promise<Array<string>>} Missing act IDs to fetch
+   */
+  const streamNegativeResults = async ( res, missingIds ) => {
+    const notFound = await mf.negativeCache.findNegativeResults( missingIds );
+
+    for ( const { musicbrainzId, reason } of notFound ) {
+      writeEvent( res, 'error', {
+        musicbrainzId,
+        reason,
+        'message': 'Act cannot be fetched from MusicBrainz'
+      } );
+    }
+
+    return missingIds.filter( ( actId ) => !notFound.some( ( result ) => result.musicbrainzId === actId ) );
+  };
+
+  /**
+   * Stream one or more acts as Server-Sent Events
+   * Sends cached acts at once, then each missing act (or an error event) when the fetch queue finishes it
+   * @param {object} usageStats - Shared request counters of the app
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} Event stream, or JSON error if the cache is unavailable
+   */
+  const handleStreamRequest = async ( usageStats, req, res ) => {
+    usageStats.requests++;
+
+    mf.apiResponse.setResponseHeaders( res );
+
+    const actIds = mf.apiResponse.parseActIds( req.params.ids );
+    let lookup = null;
+
+    try {
+      usageStats.actsQueried += actIds.length;
+      lookup = await mf.actService.lookupCachedActs( actIds );
+    } catch ( error ) {
+      return mf.apiResponse.sendError( res, 500, {
+        'message': 'Failed to fetch act data',
+        'details': error.message
+      } );
+    }
+
+    res.set( 'Content-Type', 'text/event-stream; charset=utf-8' );
+    res.set( 'X-Accel-Buffering', 'no' );
+    res.flushHeaders();
+
+    for ( const act of mf.festivalTransformer.markFavorites( lookup.cachedActs, actIds ) ) {
+      writeEvent( res, 'act', act );
+    }
+
+    const fetchIds = await streamNegativeResults( res, lookup.missingIds );
+
+    // Track request timestamp and reset update counter (non-blocking)
+    mf.databaseAdmin.updateLastRequestedAt( mf.actAliases.getTrackedIds( lookup.cachedActs, fetchIds ) ).catch( () => {
+      // Silent fail - don't block response
+    } );
+
+    if ( fetchIds.length === 0 ) {
+      writeEvent( res, 'done', {} );
+
+      return res.end();
+    }
+
+    writeEvent( res, 'pending', {
+      'musicbrainzIds': fetchIds
+    } );
+    streamMissingActs( res, actIds, fetchIds );
+
+    return res;
+  };
+
+  /**
+   * Registers the stream routes on an Express app
+   * @param {object} app - Express application
+   * @param {object} usageStats - Shared request counters of the app
+   * @returns {void}
+   */
+  const register = ( app, usageStats ) => {
+    app.get( '/acts/:ids/stream', ( req, res ) => handleStreamRequest( usageStats, req, res ) );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.streamRoutes = {
+    register
+  };
+} )();
@@ -0,0 +1,230 @@
+/**
+ * Routes for managing webhook subscriptions
+ * @module routes/subscriptionRoutes
+ */
+
+( () => {
+  'use strict';
+
+  const crypto = require( 'crypto' );
+  const express = require( 'express' );
+  require( '../apiResponse' );
+  require( '../services/callbackGuard' );
+  require( '../services/database' );
+  require( '../services/musicbrainz' );
+
+  /**
+   * Maximum number of acts per subscription
+   * @constant {number}
+   */
+  const MAX_SUBSCRIBED_ACTS = 500;
+
+  /**
+   * Builds the error of an invalid subscription request
+   * @param {string} details - What is wrong with the request
+   * @returns {object} Object with error
+   */
+  const invalid = ( details ) => ( {
+    'error': {
+      'message': 'Invalid request body',
+      details
+    }
+  } );
+
+  /**
+   * Checks whether a callback URL is an absolute HTTPS URL
+   * @param {string} callbackUrl - Callback URL from the request
+   * @returns {boolean} True if webhooks may be sent to the URL
+   */
+  const isValidCallbackUrl = ( callbackUrl ) => {
+    try {
+      return new globalThis.URL( callbackUrl ).protocol === 'https:';
+    } catch {
+      return false;
+    }
+  };
+
+  /**
+   * Validates the body of a subscription request
+   * @param {object} body - Parsed JSON body with callbackUrl and actIds
+   * @returns {object} Object with callbackUrl and deduplicated actIds, or error
+   */
+  const parseSubscription = ( body ) => {
+    const { callbackUrl, actIds } = body || {};
+
+    if ( !isValidCallbackUrl( callbackUrl ) ) {
+      return invalid( 'callbackUrl must be an absolute https URL' );
+    }
+
+    if ( !Array.isArray( actIds ) || actIds.length === 0 || actIds.length > MAX_SUBSCRIBED_ACTS ) {
+      return invalid( `actIds must be a list of 1 to ${MAX_SUBSCRIBED_ACTS} MusicBrainz IDs` );
+    }
+
+    const invalidIds = actIds.filter( ( actId ) => !mf.musicbrainz.validateMbid( actId ) );
+
+    if ( invalidIds.length > 0 ) {
+      return invalid( `Invalid MusicBrainz IDs: ${invalidIds.join( ', ' )}` );
+    }
+
+    return {
+      callbackUrl,
+      'actIds': [ ...new Set( actIds.map( ( actId ) => actId.toLowerCase() ) ) ]
+    };
+  };
+
+  /**
+   * Loads a subscription and checks the secret from the Authorization header
+   * Sends an error response if the subscription is unknown or the secret is wrong
+   * @param {object} req - Express request object with :id route parameter
+   * @param {object} res - Express response object
+   * @returns {Promise<object|null>} Subscription, or null if an error response was sent
+   */
+  const authorize = async ( req, res ) => {
+    const subscription = await mf.databaseSubscriptions.getSubscription( req.params.id );
+
+    if ( !subscription ) {
+      mf.apiResponse.sendError( res, 404, { 'message': 'Subscription not found' } );
+
+      return null;
+    }
+
+    const given = Buffer.from( req.get( 'Authorization' ) || '' );
+    const expected = Buffer.from( `Bearer ${subscription.secret}` );
+
+    if ( given.length !== expected.length || !crypto.timingSafeEqual( given, expected ) ) {
+      mf.apiResponse.sendError( res, 401, { 'message': 'Unauthorized' } );
+
+      return null;
+    }
+
+    return subscription;
+  };
+
+  /**
+   * Creates a subscription
+   * Callback URLs must resolve to public addresses only
+   * The secret for verifying webhook signatures is only returned here
+   * @param {object} req - Express request object with JSON body
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} Created subscription with secret
+   */
+  const handleCreate = async ( req, res ) => {
+    const { callbackUrl, actIds, error } = parseSubscription( req.body );
+
+    if ( error ) {
+      return mf.apiResponse.sendError( res, 400, error );
+    }
+
+    try {
+      await mf.callbackGuard.assertPublicUrl( callbackUrl );
+    } catch {
+      return mf.apiResponse.sendError( res, 400, invalid( 'callbackUrl must resolve to public addresses only' ).error );
+    }
+
+    const subscription = {
+      '_id': crypto.randomUUID(),
+      callbackUrl,
+      actIds,
+      'secret': crypto.randomBytes( 32 ).toString( 'hex' ),
+      'createdAt': new Date().toISOString()
+    };
+
+    await mf.databaseSubscriptions.createSubscription( subscription );
+
+    return res.status( 201 ).json( {
+      'meta': mf.apiResponse.buildMetaWithCorrelation(),
+      'type': 'subscription',
+      'subscription': {
+        'id': subscription._id,
+        callbackUrl,
+        actIds,
+        'createdAt': subscription.createdAt
+      },
+      'secret': subscription.secret
+    } );
+  };
+
+  /**
+   * Lists the latest delivery attempts of a subscription
+   * @param {object} req - Express request object with :id route parameter
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} Delivery log, newest first
+   */
+  const handleDeliveries = async ( req, res ) => {
+    const subscription = await authorize( req, res );
+
+    if ( !subscription ) {
+      return res;
+    }
+
+    return res.json( {
+      'meta': mf.apiResponse.buildMetaWithCorrelation(),
+      'type': 'deliveries',
+      'subscriptionId': subscription._id,
+      'deliveries': await mf.databaseSubscriptions.getDeliveries( subscription._id )
+    } );
+  };
+
+  /**
+   * Deletes a subscription
+   * @param {object} req - Express request object with :id route parameter
+   * @param {object} res - Express response object
+   * @returns {Promise<object>} Empty 204 response
+   */
+  const handleDelete = async ( req, res ) => {
+    const subscription = await authorize( req, res );
+
+    if ( !subscription ) {
+      return res;
+    }
+
+    await mf.databaseSubscriptions.deleteSubscription( subscription._id );
+
+    return res.status( 204 ).end();
+  };
+
+  /**
+   * Wraps a handler with headers, pretty printing and a 500 response for database failures
+   * @param {Function} handler - Async route handler
+   * @returns {Function} Express route handler
+   */
+  const withErrorHandling = ( handler ) => async ( req, res ) => {
+    mf.apiResponse.applyPrettyPrint( req );
+    mf.apiResponse.setResponseHeaders( res );
+
+    try {
+      return await handler( req, res );
+    } catch ( error ) {
+      return mf.apiResponse.sendError( res, 500, {
+        'message': 'Failed to process subscription',
+        'details': error.message
+      } );
+    }
+  };
+
+  /**
+   * Registers the subscription routes on an Express app
+   * @param {object} app - Express application
+   * @returns {void}
+   */
+  const register = ( app ) => {
+    app.post( '/subscriptions', express.json(), withErrorHandling( handleCreate ) );
+    app.get( '/subscriptions/:id/deliveries', withErrorHandling( handleDeliveries ) );
+    app.delete( '/subscriptions/:id', withErrorHandling( handleDelete ) );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.subscriptionRoutes = {
+    register
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.subscriptionRoutes = {
+      isValidCallbackUrl,
+      parseSubscription
+    };
+  }
+} )();
@@ -0,0 +1,80 @@
+( () => {
+  'use strict';
+
+  /**
+   * Act alias module
+   * Answers requests for merged MBIDs with the canonical act and tells clients where it was redirected from
+   * @module services/actAliases
+   */
+
+  require( './database' );
+  require( './databaseAliases' );
+
+  /**
+   * Marks an act that was requested under another MBID
+   * @param {object} act - Act with musicbrainzId
+   * @param {string} requestedId - MBID the client asked for
+   * @returns {object} Act with redirectedFrom if the MBIDs differ, otherwise the act itself
+   */
+  const markRedirect = ( act, requestedId ) => {
+    if ( !requestedId || requestedId.toLowerCase() === act.musicbrainzId.toLowerCase() ) {
+      return act;
+    }
+
+    return {
+      ...act,
+      'redirectedFrom': requestedId
+    };
+  };
+
+  /**
+   * Maps the _id of freshly fetched act data to musicbrainzId as in cached acts
+   * @param {object} actData - Act data as returned by fetchAndEnrichActData
+   * @param {string} [requestedId] - MBID the client asked for, adds redirectedFrom if MusicBrainz answered with another
+   * @returns {object} Act with musicbrainzId
+   */
+  const formatFetchedAct = ( actData, requestedId ) => {
+    const { _id, ...data } = actData;
+
+    return markRedirect( {
+      'musicbrainzId': _id,
+      ...data
+    }, requestedId );
+  };
+
+  /**
+   * Replaces merged MBIDs by their canonical MBIDs
+   * Fails open: if the lookup fails, the MBIDs are used as requested
+   * @param {Array<string>} actIds - Requested MBIDs
+   * @returns {Promise<Array<string>>} Canonical MBIDs in the same order
+   */
+  const resolveCanonicalIds = async ( actIds ) => {
+    try {
+      const canonicalIds = await mf.databaseAliases.getCanonicalIds( actIds );
+
+      return actIds.map( ( actId ) => canonicalIds.get( actId ) || actId );
+    } catch ( error ) {
+      mf.logger.warn( { 'err': error }, 'Failed to resolve act aliases' );
+
+      return actIds;
+    }
+  };
+
+  /**
+   * Gets the MBIDs whose requests are tracked: the canonical MBIDs of the answered acts plus the acts being fetched
+   * Invalid and unknown MBIDs are left out, tracking would store metadata for acts that do not exist
+   * @param {Array<object>} acts - Answered acts, redirected ones carry the canonical musicbrainzId
+   * @param {Array<string>} [pendingIds] - MBIDs queued for background fetch
+   * @returns {Array<string>} MBIDs without duplicates
+   */
+  const getTrackedIds = ( acts, pendingIds = [] ) => [ ...new Set( [ ...acts.map( ( act ) => act.musicbrainzId ), ...pendingIds ] ) ];
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.actAliases = {
+    formatFetchedAct,
+    getTrackedIds,
+    markRedirect,
+    resolveCanonicalIds
+  };
+} )();
@@ -0,0 +1,157 @@
+( () => {
+  'use strict';
+
+  /**
+   * Act identifier module
+   * Resolves the IDs other services use for an act (Spotify, Discogs, ...) to its MusicBrainz ID
+   * @module services/actIdentifiers
+   */
+
+  require( './database' );
+  require( './databaseLookup' );
+  require( './musicbrainz' );
+
+  /**
+   * Supported providers with their ID format, the URL prefix MusicBrainz stores for them
+   * and the relation key cached acts keep that URL under (null if musicbrainzTransformer drops the relation)
+   * @constant {object}
+   */
+  const PROVIDERS = {
+    'bandsintown': {
+      'pattern': /^\d+$/u,
+      'urlPrefix': 'https://www.bandsintown.com/a/',
+      'relationKey': 'bandsintown'
+    },
+    'discogs': {
+      'pattern': /^\d+$/u,
+      'urlPrefix': 'https://www.discogs.com/artist/',
+      'relationKey': 'discogs'
+    },
+    'songkick': {
+      'pattern': /^\d+$/u,
+      'urlPrefix': 'https://www.songkick.com/artists/',
+      'relationKey': 'songkick'
+    },
+    'spotify': {
+      'pattern': /^[0-9A-Za-z]{22}$/u,
+      'urlPrefix': 'https://open.spotify.com/artist/',
+      'relationKey': null
+    },
+    'wikidata': {
+      'pattern': /^Q\d+$/u,
+      'urlPrefix': 'https://www.wikidata.org/wiki/',
+      'relationKey': 'wikidata'
+    }
+  };
+
+  /**
+   * Relation keys of cached acts that external IDs are looked up by
+   * @constant {Array<string>}
+   */
+  const RELATION_KEYS = Object.values( PROVIDERS ).
+    map( ( provider ) => provider.relationKey ).
+    filter( Boolean );
+
+  /**
+   * Builds the error result of a failed resolution
+   * @param {number} status - HTTP status to answer with
+   * @param {string} message - Error message
+   * @param {string} details - Description of the problem
+   * @returns {object} Result with status and error
+   */
+  const failure = ( status, message, details ) => ( {
+    status,
+    'error': {
+      message,
+      details
+    }
+  } );
+
+  /**
+   * Looks up the cached act linking to a URL
+   * Fails open: if the lookup fails, MusicBrainz is asked instead
+   * @param {string|null} relationKey - Relation key of the provider
+   * @param {string} url - External URL
+   * @returns {Promise<string|null>} MusicBrainz ID, or null if no cached act links to the URL
+   */
+  const findCachedActId = async ( relationKey, url ) => {
+    if ( !relationKey ) {
+      return null;
+    }
+
+    try {
+      return await mf.databaseLookup.getActIdByRelation( relationKey, url );
+    } catch ( error ) {
+      mf.logger.warn( {
+        url,
+        'err': error
+      }, 'Failed to look up act by relation' );
+
+      return null;
+    }
+  };
+
+  /**
+   * Resolves the act MusicBrainz links to a URL
+   * @param {string} url - External URL
+   * @returns {Promise<object>} Result with musicbrainzId, or status and error if none, several or MusicBrainz fails
+   */
+  const findLinkedActId = async ( url ) => {
+    let artists;
+
+    try {
+      artists = await mf.musicbrainz.lookupUrl( url );
+    } catch ( error ) {
+      return failure( 503, 'External ID lookup is temporarily unavailable', error.message );
+    }
+
+    if ( artists.length === 0 ) {
+      return failure( 404, 'Act not found', `MusicBrainz links no act to ${url}` );
+    }
+
+    if ( artists.length > 1 ) {
+      return failure( 409, 'External ID is ambiguous', `MusicBrainz links ${artists.map( ( artist ) => artist.id ).join( ', ' )} to ${url}` );
+    }
+
+    return {
+      'musicbrainzId': artists[ 0 ].id
+    };
+  };
+
+  /**
+   * Resolves an external act ID to the MusicBrainz ID
+   * Cached acts are found without upstream call, all others through a MusicBrainz URL lookup
+   * @param {string} providerName - "bandsintown", "discogs", "songkick", "spotify" or "wikidata"
+   * @param {string} externalId - ID of the act at the provider
+   * @returns {Promise<object>} Result with musicbrainzId, or status and error
+   */
+  const resolveExternalId = async ( providerName, externalId ) => {
+    const provider = Object.hasOwn( PROVIDERS, providerName ) && PROVIDERS[ providerName ];
+
+    if ( !provider ) {
+      return failure( 404, 'Unknown provider', `Use one of ${Object.keys( PROVIDERS ).join( ', ' )}` );
+    }
+
+    if ( !provider.pattern.test( externalId ) ) {
+      return failure( 400, 'Invalid external ID', `${externalId} is no ${providerName} ID` );
+    }
+
+    const url = `${provider.urlPrefix}${externalId}`;
+    const cachedId = await findCachedActId( provider.relationKey, url );
+
+    if ( cachedId ) {
+      return {
+        'musicbrainzId': cachedId
+      };
+    }
+
+    return findLinkedActId( url );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.actIdentifiers = {
+    RELATION_KEYS,
+    resolveExternalId
+  };
+} )();
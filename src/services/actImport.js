@@ -0,0 +1,288 @@
+( () => {
+  'use strict';
+
+  /**
+   * Act import module
+   * Resolves the artists of streaming service exports to MusicBrainz IDs in background jobs
+   * @module services/actImport
+   */
+
+  const crypto = require( 'crypto' );
+  require( './actSearch' );
+  require( './database' );
+  require( './importParsers' );
+  require( './musicbrainz' );
+
+  /**
+   * Lowest MusicBrainz search score a name match is trusted with
+   * @constant {number}
+   */
+  const CONFIDENT_SCORE = 90;
+
+  /**
+   * Most candidates listed for an ambiguous artist
+   * @constant {number}
+   */
+  const MAX_CANDIDATES = 5;
+
+  // Running and scheduled imports, chained so they run one after another
+  let importRuns = Promise.resolve();
+
+  /**
+   * Compares artist names case- and accent-insensitively
+   * @param {string} a - First name
+   * @param {string} b - Second name
+   * @returns {boolean} True if the names are the same
+   */
+  const isSameName = ( a, b ) => a.localeCompare( b, 'en', { 'sensitivity': 'base' } ) === 0;
+
+  /**
+   * Finds the one act MusicBrainz links to the Spotify artist of an entry
+   * @param {object} entry - Import entry with optional spotifyId
+   * @returns {Promise<object|null>} Linked artist with id and name, or null if there is none or several
+   * @throws {Error} When the MusicBrainz request fails
+   */
+  const findLinkedAct = async ( entry ) => {
+    if ( !entry.spotifyId ) {
+      return null;
+    }
+
+    const artists = await mf.musicbrainz.lookupUrl( `https://open.spotify.com/artist/${entry.spotifyId}` );
+
+    return artists.length === 1 ? artists[ 0 ] : null;
+  };
+
+  /**
+   * Resolves one import entry, by its Spotify URL first and by name second
+   * @param {object} entry - Import entry with name and optional spotifyId
+   * @returns {Promise<object>} Outcome with status "matched", "ambiguous" or "missed" and the item to report
+   * @throws {Error} When a MusicBrainz request fails
+   */
+  const resolveEntry = async ( entry ) => {
+    const input = entry.name;
+    const linked = await findLinkedAct( entry );
+
+    if ( linked ) {
+      return {
+        'status': 'matched',
+        'item': {
+          input,
+          'musicbrainzId': linked.id,
+          'name': linked.name,
+          'matchedBy': 'url'
+        }
+      };
+    }
+
+    const candidates = ( await mf.actSearch.searchActs( input ) ).candidates || [];
+    const confident = candidates.filter( ( candidate ) => candidate.score >= CONFIDENT_SCORE && isSameName( candidate.name, input ) );
+
+    if ( confident.length === 1 ) {
+      return {
+        'status': 'matched',
+        'item': {
+          input,
+          ...confident[ 0 ],
+          'matchedBy': 'search'
+        }
+      };
+    }
+
+    if ( candidates.length === 0 ) {
+      return {
+        'status': 'missed',
+        'item': {
+          input,
+          'reason': 'noMatch'
+        }
+      };
+    }
+
+    return {
+      'status': 'ambiguous',
+      'item': {
+        input,
+        'candidates': candidates.slice( 0, MAX_CANDIDATES )
+      }
+    };
+  };
+
+  /**
+   * Resolves an import entry, reporting it as missed when MusicBrainz cannot be reached
+   * @param {object} entry - Import entry with name and optional spotifyId
+   * @returns {Promise<object>} Outcome with status and item
+   */
+  const resolveEntrySafely = async ( entry ) => {
+    try {
+      return await resolveEntry( entry );
+    } catch ( error ) {
+      mf.logger.warn( {
+        'input': entry.name,
+        'err': error
+      }, 'Failed to resolve imported act' );
+
+      return {
+        'status': 'missed',
+        'item': {
+          'input': entry.name,
+          'reason': 'lookupFailed'
+        }
+      };
+    }
+  };
+
+  /**
+   * Builds the public view of a stored import job
+   * @param {object} job - Stored import job
+   * @returns {object} Job with status, counts and the matched, ambiguous and missed artists resolved so far
+   */
+  const toJobView = ( job ) => ( {
+    'id': job._id,
+    'kind': 'import',
+    'status': job.completedAt ? 'completed' : 'running',
+    'createdAt': job.createdAt,
+    'completedAt': job.completedAt,
+    'format': job.format,
+    'counts': {
+      'total': job.entries.length,
+      'resolved': job.resolvedCount,
+      'matched': job.matched.length,
+      'ambiguous': job.ambiguous.length,
+      'missed': job.missed.length
+    },
+    'matched': job.matched,
+    'ambiguous': job.ambiguous,
+    'missed': job.missed
+  } );
+
+  /**
+   * Resolves the entries of an import job that are not resolved yet and completes the job
+   * Artists are resolved one after another to keep the load on MusicBrainz low
+   * @param {object} job - Stored import job
+   * @returns {Promise<object>} Result with matched, ambiguous and missed artists
+   * @throws {Error} When the job cannot be updated
+   */
+  const runImport = async ( job ) => {
+    const result = {
+      'matched': [ ...job.matched ],
+      'ambiguous': [ ...job.ambiguous ],
+      'missed': [ ...job.missed ]
+    };
+
+    for ( const entry of job.entries.slice( job.resolvedCount ) ) {
+      const { status, item } = await resolveEntrySafely( entry );
+
+      await mf.databaseJobs.recordImportEntry( job._id, status, item );
+      result[ status ].push( item );
+    }
+
+    await mf.databaseJobs.completeJob( job._id, mf.constants.JOB_RETENTION_MS );
+
+    mf.logger.info( {
+      'jobId': job._id,
+      'format': job.format,
+      'matchedCount': result.matched.length,
+      'ambiguousCount': result.ambiguous.length,
+      'missedCount': result.missed.length
+    }, 'Import resolved' );
+
+    return result;
+  };
+
+  /**
+   * Runs an import job after all earlier ones, so several imports do not crowd out other MusicBrainz requests
+   * A failed import stays running and is resumed after the next restart
+   * @param {object} job - Stored import job
+   * @returns {void}
+   */
+  const scheduleImport = ( job ) => {
+    importRuns = importRuns.
+      then( () => runImport( job ) ).
+      catch( ( error ) => {
+        mf.logger.error( {
+          'jobId': job._id,
+          'err': error
+        }, 'Import failed' );
+      } );
+  };
+
+  /**
+   * Starts resolving the artists of an export file to MusicBrainz IDs in the background
+   * Progress and result are stored in a job the client can poll at GET /jobs/:id
+   * @param {string} format - "spotify", "lastfm" or "text"
+   * @param {string} body - File content
+   * @returns {Promise<object>} Job view as built by toJobView, or error for unreadable files
+   * @throws {Error} When the job cannot be stored
+   */
+  const importActs = async ( format, body ) => {
+    const parsed = mf.importParsers.parseImport( format, body );
+
+    if ( parsed.error ) {
+      return parsed;
+    }
+
+    const now = new Date();
+    const job = {
+      '_id': crypto.randomUUID(),
+      'kind': 'import',
+      'createdAt': now.toISOString(),
+      'completedAt': null,
+      'expiresAt': new Date( now.getTime() + mf.constants.RUNNING_JOB_RETENTION_MS ),
+      format,
+      'entries': parsed.entries,
+      'resolvedCount': 0,
+      'matched': [],
+      'ambiguous': [],
+      'missed': []
+    };
+
+    await mf.databaseJobs.createJob( job );
+    scheduleImport( job );
+
+    return {
+      'job': toJobView( job )
+    };
+  };
+
+  /**
+   * Continues the imports a previous process left running
+   * @returns {Promise<number>} Number of resumed imports
+   * @throws {Error} When the running imports cannot be read
+   */
+  const resumeImports = async () => {
+    const jobs = await mf.databaseJobs.getRunningImports();
+
+    if ( jobs.length > 0 ) {
+      mf.logger.info( {
+        'importCount': jobs.length
+      }, 'Resuming imports' );
+    }
+
+    for ( const job of jobs ) {
+      scheduleImport( job );
+    }
+
+    return jobs.length;
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.actImport = {
+    importActs,
+    resumeImports,
+    toJobView
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.actImport = {
+      runImport,
+      /**
+       * Waits until all scheduled imports are done
+       * @returns {Promise<void>} Resolves when the imports are done or failed
+       */
+      'waitForImports': () => importRuns
+    };
+  }
+} )();
@@ -0,0 +1,164 @@
+( () => {
+  'use strict';
+
+  /**
+   * Act search module
+   * Finds acts by name on MusicBrainz, so clients never have to call MusicBrainz themselves
+   * @module services/actSearch
+   */
+
+  require( './database' );
+  require( './databaseLookup' );
+  require( './musicbrainz' );
+
+  /**
+   * How long search results are reused for the same query
+   * @constant {number}
+   */
+  const SEARCH_CACHE_TTL_MS = 10 * 60 * 1000;
+
+  /**
+   * Most queries kept in the search cache, the oldest is dropped first
+   * @constant {number}
+   */
+  const MAX_CACHED_SEARCHES = 1000;
+
+  /**
+   * Number of candidates requested from MusicBrainz
+   * @constant {number}
+   */
+  const SEARCH_LIMIT = 25;
+
+  /**
+   * Longest accepted search query
+   * @constant {number}
+   */
+  const MAX_QUERY_LENGTH = 200;
+
+  /**
+   * Candidates of recent searches by normalized query
+   * @type {Map<string, object>}
+   */
+  const searchCache = new Map();
+
+  /**
+   * Removes search results older than SEARCH_CACHE_TTL_MS
+   * @returns {void}
+   */
+  const pruneSearchCache = () => {
+    const cutoff = Date.now() - SEARCH_CACHE_TTL_MS;
+
+    for ( const [ key, entry ] of searchCache ) {
+      if ( entry.cachedAt < cutoff ) {
+        searchCache.delete( key );
+      }
+    }
+  };
+
+  /**
+   * Maps a MusicBrainz artist to a search candidate
+   * @param {object} artist - Artist as returned by the MusicBrainz search API
+   * @returns {object} Candidate with musicbrainzId, name, disambiguation, country, type and score
+   */
+  const toCandidate = ( artist ) => ( {
+    'musicbrainzId': artist.id,
+    'name': artist.name,
+    'disambiguation': artist.disambiguation || null,
+    'country': artist.country || null,
+    'type': artist.type || null,
+    'score': artist.score ?? null
+  } );
+
+  /**
+   * Gets the candidates of a query from the search cache or MusicBrainz
+   * @param {string} query - Trimmed search query
+   * @returns {Promise<Array<object>>} Candidates, best match first
+   * @throws {Error} When the MusicBrainz request fails
+   */
+  const findCandidates = async ( query ) => {
+    pruneSearchCache();
+
+    const key = query.toLowerCase();
+    const cached = searchCache.get( key );
+
+    if ( cached ) {
+      return cached.candidates;
+    }
+
+    const artists = await mf.musicbrainz.searchActs( query, SEARCH_LIMIT );
+    const candidates = artists.map( toCandidate );
+
+    if ( searchCache.size >= MAX_CACHED_SEARCHES ) {
+      searchCache.delete( searchCache.keys().next().value );
+    }
+
+    searchCache.set( key, {
+      candidates,
+      'cachedAt': Date.now()
+    } );
+
+    return candidates;
+  };
+
+  /**
+   * Adds whether each candidate is in our cache
+   * Fails open: if the lookup fails, every candidate is reported as not cached
+   * @param {Array<object>} candidates - Search candidates
+   * @returns {Promise<Array<object>>} Candidates with cached flag
+   */
+  const markCachedCandidates = async ( candidates ) => {
+    let cachedIds = [];
+
+    try {
+      cachedIds = await mf.databaseLookup.getCachedActIds( candidates.map( ( candidate ) => candidate.musicbrainzId ) );
+    } catch ( error ) {
+      mf.logger.warn( { 'err': error }, 'Failed to look up cached search candidates' );
+    }
+
+    return candidates.map( ( candidate ) => ( {
+      ...candidate,
+      'cached': cachedIds.includes( candidate.musicbrainzId )
+    } ) );
+  };
+
+  /**
+   * Searches acts by name
+   * @param {string} query - Search text as typed by the user
+   * @returns {Promise<object>} Result with query and candidates, or error for an invalid query
+   * @throws {Error} When the MusicBrainz request fails
+   */
+  const searchActs = async ( query ) => {
+    const trimmed = typeof query === 'string' ? query.trim() : '';
+
+    if ( trimmed.length === 0 || trimmed.length > MAX_QUERY_LENGTH ) {
+      return {
+        'error': {
+          'message': 'Invalid query parameter',
+          'details': `q must be a search text of 1 to ${MAX_QUERY_LENGTH} characters`
+        }
+      };
+    }
+
+    const candidates = await findCandidates( trimmed );
+
+    return {
+      'query': trimmed,
+      'candidates': await markCachedCandidates( candidates )
+    };
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.actSearch = {
+    searchActs
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.actSearch = {
+      searchCache,
+      toCandidate
+    };
+  }
+} )();
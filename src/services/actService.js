@@ -6,16 +6,24 @@
    * @module services/actService
    */
 
+  require( './actAliases' );
   require( './bandsintownTransformer' );
   require( './cacheUpdater' );
   require( './database' );
+  require( './eventMerger' );
+  require( './eventSources' );
+  require( './festivalTransformer' );
   require( './fetchQueue' );
   require( './ldJsonExtractor' );
   require( './musicbrainz' );
   require( './musicbrainzTransformer' );
+  require( './negativeCache' );
+  require( './songkickTransformer' );
+  require( './timezones' );
 
   let cacheHealthy = true;
   const DB_TIMEOUT_MS = 500;
+  const INACTIVE_EVENT_STATUSES = [ 'cancelled', 'postponed' ];
 
   /**
    * Wraps a promise with a timeout to prevent hanging
@@ -76,6 +84,7 @@
 
   /**
    * Determines act status based on upcoming events
+   * Events are compared by their start instant at the venue, falling back to UTC midnight of their date
    * @param {Array} events - Array of event objects with date field
    * @param {string} musicbrainzStatus - Original status from MusicBrainz
    * @returns {string} Determined status: "on tour", "tour planned", or original MusicBrainz status
@@ -86,9 +95,6 @@
     }
 
     const now = new Date();
-
-    now.setUTCHours( 0, 0, 0, 0 );
-
     const threeMonthsFromNow = new Date( now );
 
     threeMonthsFromNow.setUTCDate( threeMonthsFromNow.getUTCDate() + 90 );
@@ -97,14 +103,15 @@
 
     nineMonthsFromNow.setUTCDate( nineMonthsFromNow.getUTCDate() + 270 );
 
-    // Find the nearest valid event
+    // Find the nearest valid event, cancelled and postponed shows and shows of past days do not count
     let nearestEventDate = null;
 
     for ( const event of events ) {
-      if ( event.date && typeof event.date === 'string' ) {
-        const eventDate = new Date( `${event.date}T00:00:00Z` );
+      if ( event.date && typeof event.date === 'string' && !INACTIVE_EVENT_STATUSES.includes( event.status ) &&
+        event.date >= mf.timezones.getLocalDate( now.getTime(), event.timeZone ) ) {
+        const eventDate = mf.timezones.getEventInstant( event );
 
-        if ( !isNaN( eventDate.getTime() ) ) {
+        if ( eventDate ) {
           if ( !nearestEventDate || eventDate < nearestEventDate ) {
             nearestEventDate = eventDate;
           }
@@ -148,7 +155,43 @@
     try {
       const ldJsonData = await mf.ldJsonExtractor.fetchAndExtractLdJson( bandsintownUrl );
 
-      return mf.bandsintownTransformer.transformEvents( ldJsonData );
+      return [
+        ...mf.bandsintownTransformer.transformEvents( ldJsonData ),
+        ...mf.festivalTransformer.transformFestivals( ldJsonData )
+      ];
+    } catch ( error ) {
+      if ( silentFail ) {
+        return [];
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Fetches Songkick events for an act
+   * @param {object} actData - Transformed act data with relations
+   * @param {boolean} silentFail - If true, returns empty array on error instead of throwing
+   * @returns {Promise<Array>} Array of transformed events or empty array
+   */
+  const fetchSongkickEvents = async ( actData, silentFail = false ) => {
+    if ( !actData.relations?.songkick ) {
+      return [];
+    }
+
+    const songkickUrl = actData.relations.songkick;
+
+    // Validate Songkick URL format
+    if ( songkickUrl.match( /^https?:\/\/(?:www\.)?songkick\.com\/artists\/(?:\d+)(?:-[\w-]+)?\/?$/u )?.length !== 1 ) {
+      return [];
+    }
+
+    try {
+      const ldJsonData = await mf.ldJsonExtractor.fetchAndExtractLdJson( songkickUrl );
+
+      return [
+        ...mf.songkickTransformer.transformEvents( ldJsonData ),
+        ...mf.festivalTransformer.transformFestivals( ldJsonData )
+      ];
     } catch ( error ) {
       if ( silentFail ) {
         return [];
@@ -157,19 +200,48 @@
     }
   };
 
+  /**
+   * Links festival lineup entries to acts in our cache
+   * Lineup matching is best effort, events are returned unmatched if the lookup fails
+   * @param {Array<object>} events - Merged events in unified schema
+   * @returns {Promise<Array<object>>} Events with matched festival lineups
+   */
+  const matchFestivalLineups = async ( events ) => {
+    const names = mf.festivalTransformer.collectLineupNames( events );
+
+    if ( names.length === 0 ) {
+      return events;
+    }
+
+    try {
+      const cachedActs = await withTimeout( mf.databaseLookup.getActsByNames( names ), DB_TIMEOUT_MS );
+
+      return mf.festivalTransformer.applyLineupMatches( events, cachedActs );
+    } catch ( error ) {
+      mf.logger.debug( { 'err': error }, 'Festival lineup matching skipped' );
+
+      return events;
+    }
+  };
+
   /**
    * Fetches and enriches act data from MusicBrainz with events and computed status
    * @param {string} actId - The MusicBrainz act ID
-   * @param {boolean} silentEventFail - If true, event fetch errors return empty array instead of throwing
-   * @returns {Promise<object>} Complete act data with events, status, and timestamp
+   * @param {boolean} silentEventFail - If true, failing event sources keep their cached events and are marked stale instead of throwing
+   * @returns {Promise<object>} Complete act data with events, freshness per event source, status, and timestamp
    */
   const fetchAndEnrichActData = async ( actId, silentEventFail = false ) => {
     // Fetch fresh data from MusicBrainz
-    const mbData = await mf.musicbrainz.fetchAct( actId );
+    const mbData = await mf.negativeCache.fetchMusicBrainzAct( actId );
     const transformedData = mf.musicbrainzTransformer.transformActData( mbData );
+    const updatedAt = getBerlinTimestamp();
 
-    // Fetch Bandsintown events if available
-    const events = await fetchBandsintownEvents( transformedData, silentEventFail );
+    // Fetch events from all event sources the act is linked to
+    const { eventsBySource, eventSources } = await mf.eventSources.collectEvents( transformedData, {
+      'bandsintown': fetchBandsintownEvents,
+      'songkick': fetchSongkickEvents
+    }, updatedAt, silentEventFail );
+    const events = await matchFestivalLineups( mf.eventMerger.mergeEvents( eventsBySource ) );
 
     // Determine status based on events
     const finalStatus = determineStatus( events, transformedData.status );
@@ -177,6 +249,7 @@
     mf.logger.info( {
       actId,
       'hasBandsintown': Boolean( transformedData.relations?.bandsintown ),
+      'hasSongkick': Boolean( transformedData.relations?.songkick ),
       'eventCount': events.length,
       finalStatus
     }, 'Act enrichment completed' );
@@ -184,7 +257,8 @@
     return {
       ...transformedData,
       'status': finalStatus,
-      'updatedAt': getBerlinTimestamp(),
+      updatedAt,
+      eventSources,
       events
     };
   };
@@ -223,16 +297,18 @@
       return;
     }
 
-    const staleActIds = cachedActs.
-      filter( ( act ) => mf.cacheUpdater.isActStale( act ) ).
-      map( ( act ) => act.musicbrainzId );
+    const staleActs = cachedActs.filter( ( act ) => mf.cacheUpdater.isActStale( act ) );
 
-    if ( staleActIds.length > 0 ) {
+    if ( staleActs.length > 0 ) {
       mf.logger.debug( {
-        'staleCount': staleActIds.length,
+        'staleCount': staleActs.length,
         'cachedCount': cachedActs.length
       }, 'Triggering background refresh for stale acts' );
-      mf.fetchQueue.triggerBackgroundFetch( staleActIds );
+      // Acts on tour change most, so they are refreshed before the others
+      const onTour = staleActs.filter( ( act ) => act.status === 'on tour' );
+
+      mf.fetchQueue.triggerBackgroundFetch( onTour.map( ( act ) => act.musicbrainzId ), 'onTour' );
+      mf.fetchQueue.triggerBackgroundFetch( staleActs.filter( ( act ) => !onTour.includes( act ) ).map( ( act ) => act.musicbrainzId ), 'refresh' );
     }
   };
 
@@ -255,6 +331,26 @@
     }
   };
 
+  /**
+   * Reads the requested acts from the cache without fetching missing ones
+   * Merged MBIDs are answered with the canonical act, stale cached acts are refreshed in the background
+   * @param {Array<string>} actIds - Array of MusicBrainz act IDs
+   * @returns {Promise<object>} Object with cachedActs and missingIds arrays
+   * @throws {Error} When cache is unhealthy or unavailable
+   */
+  const lookupCachedActs = async ( actIds ) => {
+    await ensureCacheHealthy();
+
+    const canonicalIds = await mf.actAliases.resolveCanonicalIds( actIds );
+    const cacheResults = await fetchCachedActs( canonicalIds );
+    const redirectedFrom = actIds.map( ( actId, index ) => canonicalIds[ index ] !== actId && actId );
+    const categorized = categorizeActs( actIds, cacheResults.map( ( act, index ) => act && mf.actAliases.markRedirect( act, redirectedFrom[ index ] ) ) );
+
+    checkAndRefreshStaleActs( categorized.cachedActs );
+
+    return categorized;
+  };
+
   /**
    * Handles case where exactly 1 act is missing
    * @param {string} missingId - The missing act ID
@@ -262,22 +358,15 @@
    * @returns {Promise<object>} Result with all acts
    */
   const handleSingleMissingAct = async ( missingId, cachedActs ) => {
-    const freshData = await fetchAndEnrichActData( missingId );
+    const freshData = await fetchAndEnrichActData( missingId, true );
 
     // Cache asynchronously (fire-and-forget)
     mf.database.cacheAct( freshData ).catch( () => {
       cacheHealthy = false;
     } );
 
-    // Map _id to musicbrainzId for the freshly fetched act
-    const { _id, ...freshActData } = freshData;
-    const formattedFreshAct = {
-      'musicbrainzId': _id,
-      ...freshActData
-    };
-
     return {
-      'acts': [ ...cachedActs, formattedFreshAct ]
+      'acts': mf.festivalTransformer.markFavorites( [ ...cachedActs, mf.actAliases.formatFetchedAct( freshData, missingId ) ] )
     };
   };
 
@@ -285,16 +374,18 @@
    * Handles case where 2+ acts are missing
    * @param {Array<string>} missingIds - Array of missing act IDs
    * @param {number} cachedCount - Number of cached acts
-   * @returns {object} Error response with background fetch notification
+   * @returns {Promise<object>} Job response the client can poll at GET /jobs/:id
+   * @throws {Error} When the job cannot be stored
    */
-  const handleMultipleMissingActs = ( missingIds, cachedCount ) => {
-    // Trigger background sequential fetch (adds to queue, prevents duplicates)
-    mf.fetchQueue.triggerBackgroundFetch( missingIds );
+  const handleMultipleMissingActs = async ( missingIds, cachedCount ) => {
+    // Track progress in a job, then trigger background sequential fetch (adds to queue, prevents duplicates)
+    const job = await mf.fetchQueue.createJob( missingIds );
+
+    mf.fetchQueue.triggerBackgroundFetch( missingIds, 'interactive' );
 
     return {
-      'error': {
-        'message': `${missingIds.length} acts not cached. ` +
-          'Background fetch initiated. Please try again in a few minutes.',
+      'job': {
+        ...job,
         'missingCount': missingIds.length,
         cachedCount
       }
@@ -302,31 +393,16 @@
   };
 
   /**
-   * Fetches multiple acts with smart caching strategy
-   * Protects upstream services by failing fast when cache is unhealthy
-   * @param {Array<string>} actIds - Array of MusicBrainz act IDs
-   * @returns {Promise<object>} Result object with acts array or error
-   * @throws {Error} When cache is unhealthy or unavailable
+   * Answers with the cached acts, fetching missing acts synchronously (one act) or in a job (2+ acts)
+   * @param {Array<string>} actIds - Array of requested MusicBrainz act IDs
+   * @param {Array<object>} cachedActs - Already cached acts
+   * @param {Array<string>} missingIds - Act IDs to fetch
+   * @returns {object|Promise<object>} Result object with acts array or job
    */
-  const fetchMultipleActs = async ( actIds ) => {
-    if ( !Array.isArray( actIds ) || actIds.length === 0 ) {
-      return {
-        'error': {
-          'message': 'Invalid input: actIds must be a non-empty array'
-        }
-      };
-    }
-
-    await ensureCacheHealthy();
-
-    const cacheResults = await fetchCachedActs( actIds );
-    const { cachedActs, missingIds } = categorizeActs( actIds, cacheResults );
-
-    checkAndRefreshStaleActs( cachedActs );
-
+  const fetchMissingActs = ( actIds, cachedActs, missingIds ) => {
     if ( missingIds.length === 0 ) {
       return {
-        'acts': cachedActs
+        'acts': mf.festivalTransformer.markFavorites( cachedActs )
       };
     }
 
@@ -346,14 +422,66 @@
     return handleMultipleMissingActs( missingIds, cachedActs.length );
   };
 
+  /**
+   * Fetches multiple acts with smart caching strategy
+   * Protects upstream services by failing fast when cache is unhealthy
+   * Negatively cached acts are not fetched but listed in notFound
+   * @param {Array<string>} actIds - Array of MusicBrainz act IDs
+   * @returns {Promise<object>} Result object with acts array or job plus notFound, or error (with HTTP status if not 503)
+   * @throws {Error} When cache is unhealthy or unavailable
+   */
+  const fetchMultipleActs = async ( actIds ) => {
+    if ( !Array.isArray( actIds ) || actIds.length === 0 ) {
+      return {
+        'error': {
+          'message': 'Invalid input: actIds must be a non-empty array'
+        }
+      };
+    }
+
+    const { cachedActs, missingIds } = await lookupCachedActs( actIds );
+    const notFound = await mf.negativeCache.findNegativeResults( missingIds );
+    const fetchIds = missingIds.filter( ( actId ) => !notFound.some( ( result ) => result.musicbrainzId === actId ) );
+
+    return mf.negativeCache.reportNotFound( await fetchMissingActs( actIds, cachedActs, fetchIds ), notFound );
+  };
+
+  /**
+   * Returns the cached acts of a request and reports every other act ID by its state
+   * Never fetches synchronously: missing acts are queued for background fetch and reported as pending
+   * @param {Array<string>} actIds - Array of act IDs, may contain invalid ones
+   * @returns {Promise<object>} Object with acts plus pending, invalid and notFound act IDs
+   * @throws {Error} When cache is unhealthy or unavailable
+   */
+  const fetchAvailableActs = async ( actIds ) => {
+    const validIds = actIds.filter( ( actId ) => mf.musicbrainz.validateMbid( actId ) );
+    const { cachedActs, missingIds } = await lookupCachedActs( validIds );
+    const notFound = ( await mf.negativeCache.findNegativeResults( missingIds ) ).map( ( result ) => result.musicbrainzId );
+    const pending = missingIds.filter( ( actId ) => !notFound.includes( actId ) );
+
+    if ( pending.length > 0 ) {
+      mf.fetchQueue.triggerBackgroundFetch( pending, 'interactive' );
+    }
+
+    return {
+      'acts': mf.festivalTransformer.markFavorites( cachedActs, validIds ),
+      pending,
+      'invalid': actIds.filter( ( actId ) => !validIds.includes( actId ) ),
+      notFound
+    };
+  };
+
   // Initialize global namespace
   globalThis.mf = globalThis.mf || {};
   globalThis.mf.actService = {
     determineStatus,
     fetchAndEnrichActData,
+    fetchAvailableActs,
     fetchBandsintownEvents,
     fetchMultipleActs,
-    getBerlinTimestamp
+    fetchSongkickEvents,
+    getBerlinTimestamp,
+    lookupCachedActs
   };
 
   // Expose private functions for unit testing when running under Jest
@@ -7,6 +7,9 @@
    * @module services/bandsintownTransformer
    */
 
+  require( './countryCodes' );
+  require( './timezones' );
+
   /**
    * Extracts date from ISO 8601 datetime string
    * @param {string} startDate - ISO 8601 datetime string (e.g., "2025-11-25T18:00:00")
@@ -38,23 +41,42 @@
   };
 
   /**
-   * Builds address string from PostalAddress components
+   * Reads a PostalAddress text field
+   * @param {string|object} value - Field value, addressCountry may also be a Country object
+   * @returns {string|null} Trimmed text, or null if empty
+   */
+  const readAddressField = ( value ) => {
+    const text = typeof value === 'string' ? value : value?.name;
+
+    return typeof text === 'string' && text.trim().length > 0 ? text.trim() : null;
+  };
+
+  /**
+   * Builds structured address from PostalAddress components
    * @param {object} address - PostalAddress schema.org object
-   * @returns {string|null} Concatenated address or null if no address
+   * @returns {object|null} Address with street, postalCode, locality, region, country and countryCode, or null if no address
    */
   const buildAddress = ( address ) => {
     if ( !address ) {
       return null;
     }
 
-    const parts = [
-      address.streetAddress,
-      address.postalCode,
-      address.addressLocality,
-      address.addressCountry
-    ].filter( ( part ) => part );
+    const structured = {
+      'street': readAddressField( address.streetAddress ),
+      'postalCode': readAddressField( address.postalCode ),
+      'locality': readAddressField( address.addressLocality ),
+      'region': readAddressField( address.addressRegion ),
+      'country': readAddressField( address.addressCountry )
+    };
 
-    return parts.length > 0 ? parts.join( ', ' ) : null;
+    if ( Object.values( structured ).every( ( part ) => part === null ) ) {
+      return null;
+    }
+
+    return {
+      ...structured,
+      'countryCode': mf.countryCodes.toCountryCode( structured.country )
+    };
   };
 
   /**
@@ -80,52 +102,161 @@
   };
 
   /**
-   * Transforms a single MusicEvent to our event schema
-   * @param {object} event - LD+JSON MusicEvent object
-   * @returns {object} Transformed event object
+   * Strips the schema.org prefix from an enumeration value
+   * @param {string} value - Enumeration URL (e.g., "https://schema.org/EventCancelled")
+   * @returns {string|null} Enumeration member name (e.g., "EventCancelled"), or null if missing
    */
-  const transformEvent = ( event ) => ( {
-    'name': event.name,
-    'date': extractDate( event.startDate ),
-    'localTime': extractLocalTime( event.startDate ),
-    'location': {
-      'address': buildAddress( event.location?.address ),
-      'geo': extractGeo( event.location )
+  const stripSchemaPrefix = ( value ) => {
+    if ( !value || typeof value !== 'string' ) {
+      return null;
     }
-  } );
+
+    return value.replace( /^https?:\/\/schema\.org\//u, '' );
+  };
 
   /**
-   * Checks if an event date is within the allowed range (2 days ago or newer in UTC)
-   * @param {string} startDate - ISO 8601 datetime string
-   * @returns {boolean} True if event is within range, false otherwise
+   * Maps schema.org EventStatusType to our event status
+   * @param {string} eventStatus - schema.org eventStatus value
+   * @returns {string} One of "scheduled", "cancelled", "postponed", "rescheduled" or "movedOnline"
    */
-  const isEventWithinRange = ( startDate ) => {
-    if ( !startDate || typeof startDate !== 'string' ) {
-      return false;
+  const extractEventStatus = ( eventStatus ) => {
+    const statusMap = {
+      'EventCancelled': 'cancelled',
+      'EventPostponed': 'postponed',
+      'EventRescheduled': 'rescheduled',
+      'EventMovedOnline': 'movedOnline'
+    };
+
+    return statusMap[ stripSchemaPrefix( eventStatus ) ] || 'scheduled';
+  };
+
+  /**
+   * Maps schema.org EventAttendanceModeEnumeration to our attendance mode
+   * @param {string} attendanceMode - schema.org eventAttendanceMode value
+   * @returns {string|null} One of "offline", "online" or "mixed", or null if unknown
+   */
+  const extractAttendanceMode = ( attendanceMode ) => {
+    const modeMap = {
+      'OfflineEventAttendanceMode': 'offline',
+      'OnlineEventAttendanceMode': 'online',
+      'MixedEventAttendanceMode': 'mixed'
+    };
+
+    return modeMap[ stripSchemaPrefix( attendanceMode ) ] || null;
+  };
+
+  /**
+   * Extracts the image URL from a schema.org image value
+   * @param {string|object|Array} image - URL string, ImageObject or array of either
+   * @returns {string|null} Image URL or null if none
+   */
+  const extractImage = ( image ) => {
+    const [ first ] = Array.isArray( image ) ? image : [ image ];
+
+    if ( typeof first === 'string' && first.length > 0 ) {
+      return first;
     }
 
-    const eventDate = new Date( startDate );
+    return first?.url || null;
+  };
 
-    if ( isNaN( eventDate.getTime() ) ) {
-      return false;
+  /**
+   * Parses an offer price
+   * @param {string|number} price - Price as number or numeric string
+   * @returns {number|null} Price or null if missing or not numeric
+   */
+  const extractPrice = ( price ) => {
+    const parsed = typeof price === 'number' ? price : parseFloat( price );
+
+    return Number.isFinite( parsed ) ? parsed : null;
+  };
+
+  /**
+   * Transforms schema.org offers to ticket offers
+   * @param {object|Array<object>} offers - Single Offer or array of Offers
+   * @returns {Array<object>} Offers with url, price, currency and availability
+   */
+  const extractOffers = ( offers ) => {
+    if ( !offers ) {
+      return [];
     }
 
-    const cutoffDate = new Date();
+    return ( Array.isArray( offers ) ? offers : [ offers ] ).
+      filter( ( offer ) => offer && typeof offer === 'object' ).
+      map( ( offer ) => {
+        const availability = stripSchemaPrefix( offer.availability );
 
-    cutoffDate.setUTCHours( 0, 0, 0, 0 );
-    cutoffDate.setUTCDate( cutoffDate.getUTCDate() - 2 );
+        return {
+          'url': offer.url || null,
+          'price': extractPrice( offer.price ),
+          'currency': offer.priceCurrency || null,
+          'availability': availability ? `${availability.charAt( 0 ).toLowerCase()}${availability.slice( 1 )}` : null
+        };
+      } );
+  };
 
-    const eventUtcMidnight = new Date( eventDate );
+  /**
+   * Finds the IANA timezone of an event venue
+   * @param {object} location - Place schema.org object
+   * @returns {string|null} IANA timezone, or null if unknown
+   */
+  const extractTimeZone = ( location ) => mf.timezones.findTimeZone(
+    extractGeo( location ),
+    buildAddress( location?.address )
+  );
 
-    eventUtcMidnight.setUTCHours( 0, 0, 0, 0 );
+  /**
+   * Transforms a single MusicEvent to our event schema
+   * @param {object} event - LD+JSON MusicEvent object
+   * @returns {object} Transformed event object
+   */
+  const transformEvent = ( event ) => {
+    const timeZone = extractTimeZone( event.location );
+
+    return {
+      'name': event.name,
+      'date': extractDate( event.startDate ),
+      'localTime': extractLocalTime( event.startDate ),
+      'startsAt': mf.timezones.buildStartsAt( event.startDate, timeZone ),
+      timeZone,
+      'endDate': extractDate( event.endDate ) || null,
+      'status': extractEventStatus( event.eventStatus ),
+      'attendanceMode': extractAttendanceMode( event.eventAttendanceMode ),
+      'url': event.url || null,
+      'image': extractImage( event.image ),
+      'offers': extractOffers( event.offers ),
+      'location': {
+        'name': event.location?.name || null,
+        'address': buildAddress( event.location?.address ),
+        'geo': extractGeo( event.location )
+      }
+    };
+  };
+
+  /**
+   * Checks if an event is within the allowed range (on the day before yesterday at the venue or later)
+   * Compares the event date with today at the venue, so the time of day and the venue offset do not matter
+   * @param {string} startDate - ISO 8601 date or datetime string
+   * @param {string} [timeZone] - IANA timezone of the venue, UTC if unknown
+   * @returns {boolean} True if event is within range, false otherwise
+   */
+  const isEventWithinRange = ( startDate, timeZone = null ) => {
+    if ( !mf.timezones.resolveInstant( startDate, timeZone ) ) {
+      return false;
+    }
+
+    const cutoffDate = new Date( `${mf.timezones.getLocalDate( Date.now(), timeZone )}T00:00:00Z` );
+
+    cutoffDate.setUTCDate( cutoffDate.getUTCDate() - 2 );
 
-    return eventUtcMidnight >= cutoffDate;
+    // The event date is the date part of the start date, like extractDate
+    return startDate.slice( 0, 10 ) >= cutoffDate.toISOString().slice( 0, 10 );
   };
 
   /**
    * Transforms array of LD+JSON objects to event schema
    * Filters to include only MusicEvent type objects
-   * Filters out events older than 2 calendar days (UTC)
+   * Filters out events dated before the day before yesterday at the venue
    * Filters out events without a name
    * @param {Array<object>} ldJsonData - Array of LD+JSON objects
    * @returns {Array<object>} Array of transformed event objects
@@ -137,7 +268,7 @@
 
     return ldJsonData.
       filter( ( item ) => item[ '@type' ] === 'MusicEvent' ).
-      filter( ( item ) => isEventWithinRange( item.startDate ) ).
+      filter( ( item ) => isEventWithinRange( item.startDate, extractTimeZone( item.location ) ) ).
       filter( ( item ) => item.name ).
       map( transformEvent );
   };
@@ -145,6 +276,9 @@
   // Initialize global namespace
   globalThis.mf = globalThis.mf || {};
   globalThis.mf.bandsintownTransformer = {
+    extractTimeZone,
+    isEventWithinRange,
+    transformEvent,
     transformEvents
   };
 
@@ -152,8 +286,13 @@
   if ( process.env.JEST_WORKER_ID ) {
     globalThis.mf.testing = globalThis.mf.testing || {};
     globalThis.mf.testing.bandsintownTransformer = {
+      buildAddress,
+      extractAttendanceMode,
       extractDate,
-      extractLocalTime
+      extractEventStatus,
+      extractImage,
+      extractLocalTime,
+      extractOffers
     };
   }
 } )();
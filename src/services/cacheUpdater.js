@@ -8,6 +8,7 @@
    */
 
   require( './database' );
+  require( './webhookDispatcher' );
 
   const TWENTY_FOUR_HOURS_MS = 24 * 60 * 60 * 1000;
   const TWELVE_HOURS_MS = 12 * 60 * 60 * 1000;
@@ -65,7 +66,15 @@
       const dataToCache = await mf.actService.fetchAndEnrichActData( actId, true );
 
       // Replace cache entry
-      await mf.database.cacheAct( dataToCache );
+      const refresh = await mf.database.cacheAct( dataToCache );
+
+      // Notify subscribers in the background, retries can take several minutes
+      mf.webhookDispatcher.notifyActUpdate( dataToCache, refresh ).catch( ( error ) => {
+        mf.logger.error( {
+          actId,
+          'err': error
+        }, 'Failed to notify subscribers' );
+      } );
     } catch ( error ) {
       mf.logger.error( {
         actId,
@@ -0,0 +1,99 @@
+( () => {
+  'use strict';
+
+  /**
+   * Callback guard module
+   * Keeps webhooks away from loopback, private, link-local and unique-local addresses,
+   * so subscriptions cannot make the server send requests into its own network
+   * @module services/callbackGuard
+   */
+
+  const dns = require( 'dns' );
+  const net = require( 'net' );
+
+  /**
+   * Address ranges webhooks are never sent to, also matches IPv4-mapped IPv6 addresses
+   * @constant {object}
+   */
+  const BLOCKED_RANGES = new net.BlockList();
+
+  for ( const range of [
+    '0.0.0.0/8',
+    '10.0.0.0/8',
+    '100.64.0.0/10',
+    '127.0.0.0/8',
+    '169.254.0.0/16',
+    '172.16.0.0/12',
+    '192.0.0.0/24',
+    '192.168.0.0/16',
+    '198.18.0.0/15',
+    '224.0.0.0/3',
+    '::/127',
+    'fc00::/7',
+    'fe80::/10',
+    'ff00::/8'
+  ] ) {
+    const [ network, prefix ] = range.split( '/' );
+
+    BLOCKED_RANGES.addSubnet( network, Number( prefix ), net.isIPv6( network ) ? 'ipv6' : 'ipv4' );
+  }
+
+  /**
+   * Checks whether an IP address is reachable from the public internet
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean} True for public addresses, false for blocked ranges and invalid addresses
+   */
+  const isPublicAddress = ( address ) => {
+    const family = net.isIP( address );
+
+    return family !== 0 && !BLOCKED_RANGES.check( address, family === 6 ? 'ipv6' : 'ipv4' );
+  };
+
+  /**
+   * Resolves a host name, failing if any of its addresses is not public
+   * Also used as DNS lookup of webhook requests, so the checked address is the one connected to
+   * @param {string} hostname - Host name or IP address
+   * @returns {Promise<Array<object>>} Addresses with address and family
+   * @throws {Error} With code EBLOCKEDADDRESS for non-public addresses, or the DNS error
+   */
+  const resolvePublicAddresses = async ( hostname ) => {
+    const addresses = await dns.promises.lookup( hostname, {
+      'all': true
+    } );
+
+    if ( addresses.length === 0 || !addresses.every( ( { address } ) => isPublicAddress( address ) ) ) {
+      const error = new Error( `${hostname} does not resolve to a public address` );
+
+      error.code = 'EBLOCKEDADDRESS';
+      throw error;
+    }
+
+    return addresses;
+  };
+
+  /**
+   * Checks that a callback URL points to a public host
+   * @param {string} callbackUrl - Absolute URL
+   * @returns {Promise<void>} Resolves if webhooks may be sent to the URL
+   * @throws {Error} With code EBLOCKEDADDRESS for non-public addresses, or the DNS error
+   */
+  const assertPublicUrl = async ( callbackUrl ) => {
+    // IPv6 host names come in brackets
+    await resolvePublicAddresses( new globalThis.URL( callbackUrl ).hostname.replace( /^\[(?<address>.*)\]$/u, '$<address>' ) );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.callbackGuard = {
+    assertPublicUrl,
+    resolvePublicAddresses
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.callbackGuard = {
+      isPublicAddress
+    };
+  }
+} )();
@@ -0,0 +1,221 @@
+( () => {
+  'use strict';
+
+  /**
+   * Upstream circuit breaker module
+   * One breaker per upstream host: after repeated failures requests fail at once instead of waiting for timeouts
+   * @module services/circuitBreaker
+   */
+
+  require( '../logger' );
+  require( './upstreamHost' );
+
+  /**
+   * Consecutive failures that open a breaker, unless CIRCUIT_BREAKER_FAILURE_THRESHOLD is set
+   * @constant {number}
+   */
+  const DEFAULT_FAILURE_THRESHOLD = 5;
+
+  /**
+   * Time an open breaker rejects requests before letting a trial request through,
+   * unless CIRCUIT_BREAKER_OPEN_MS is set
+   * @constant {number}
+   */
+  const DEFAULT_OPEN_MS = 60 * 1000;
+
+  /**
+   * Breakers by normalized host, all subdomains of a provider share one breaker
+   * @type {Map<string, object>}
+   */
+  const breakers = new Map();
+
+  /**
+   * Reads a positive integer setting from the environment
+   * @param {string} name - Environment variable name
+   * @param {number} fallback - Value to use if the variable is missing or invalid
+   * @returns {number} Setting value
+   */
+  const readSetting = ( name, fallback ) => {
+    const value = Number( process.env[ name ] );
+
+    return Number.isInteger( value ) && value > 0 ? value : fallback;
+  };
+
+  /**
+   * Gets the breaker of a host, creating a closed one on first use
+   * @param {string} host - Normalized upstream host name
+   * @returns {object} Breaker with state, failure count and timestamps
+   */
+  const getBreaker = ( host ) => {
+    if ( !breakers.has( host ) ) {
+      breakers.set( host, {
+        host,
+        'state': 'closed',
+        'consecutiveFailures': 0,
+        'openedAt': null,
+        'trialInFlight': false
+      } );
+    }
+
+    return breakers.get( host );
+  };
+
+  /**
+   * Tells whether a failed request points at a broken or blocking upstream
+   * Other client errors (e.g. 404 for an unknown act) prove the upstream answers fine
+   * @param {Error} error - Error thrown by the request
+   * @returns {boolean} True for errors without response, 5xx, 403 and 429
+   */
+  const isUpstreamFailure = ( error ) => {
+    const status = error.response?.status;
+
+    return !status || status >= 500 || status === 403 || status === 429;
+  };
+
+  /**
+   * Moves a breaker to another state and logs the transition
+   * @param {object} breaker - Circuit breaker
+   * @param {string} state - "closed", "open" or "half-open"
+   * @returns {void}
+   */
+  const transition = ( breaker, state ) => {
+    const details = {
+      'host': breaker.host,
+      state,
+      'consecutiveFailures': breaker.consecutiveFailures
+    };
+
+    breaker.state = state;
+
+    if ( state === 'open' ) {
+      breaker.openedAt = Date.now();
+      mf.logger.warn( details, 'Circuit breaker opened' );
+
+      return;
+    }
+
+    if ( state === 'closed' ) {
+      breaker.consecutiveFailures = 0;
+      breaker.openedAt = null;
+    }
+
+    mf.logger.info( details, 'Circuit breaker state changed' );
+  };
+
+  /**
+   * Decides whether a request may be sent, letting one trial request through once the open time is over
+   * @param {object} breaker - Circuit breaker
+   * @returns {boolean} True if the request may be sent
+   */
+  const allowRequest = ( breaker ) => {
+    if ( breaker.state === 'open' && Date.now() - breaker.openedAt >= readSetting( 'CIRCUIT_BREAKER_OPEN_MS', DEFAULT_OPEN_MS ) ) {
+      transition( breaker, 'half-open' );
+    }
+
+    if ( breaker.state === 'closed' ) {
+      return true;
+    }
+
+    if ( breaker.state === 'half-open' && !breaker.trialInFlight ) {
+      breaker.trialInFlight = true;
+
+      return true;
+    }
+
+    return false;
+  };
+
+  /**
+   * Records the outcome of a request, opening the breaker on too many failures or a failed trial
+   * @param {object} breaker - Circuit breaker
+   * @param {boolean} failed - Whether the request failed because of the upstream
+   * @returns {void}
+   */
+  const recordOutcome = ( breaker, failed ) => {
+    const wasTrial = breaker.trialInFlight;
+
+    breaker.trialInFlight = false;
+
+    if ( !failed ) {
+      breaker.consecutiveFailures = 0;
+
+      if ( breaker.state !== 'closed' ) {
+        transition( breaker, 'closed' );
+      }
+
+      return;
+    }
+
+    breaker.consecutiveFailures++;
+
+    const threshold = readSetting( 'CIRCUIT_BREAKER_FAILURE_THRESHOLD', DEFAULT_FAILURE_THRESHOLD );
+
+    if ( wasTrial || ( breaker.state === 'closed' && breaker.consecutiveFailures >= threshold ) ) {
+      transition( breaker, 'open' );
+    }
+  };
+
+  /**
+   * Sends a request through the breaker of its host
+   * @param {string} url - URL about to be requested
+   * @param {Function} request - Sends the request, returns a promise
+   * @returns {Promise<*>} Result of the request
+   * @throws {Error} Error of the request, or an error with code ECIRCUITOPEN without sending it while the breaker is open
+   */
+  const execute = async ( url, request ) => {
+    const breaker = getBreaker( mf.upstreamHost.getHostKey( url ) );
+
+    if ( !allowRequest( breaker ) ) {
+      const error = new Error( `Circuit breaker open for ${breaker.host}` );
+
+      error.code = 'ECIRCUITOPEN';
+      throw error;
+    }
+
+    try {
+      const result = await request();
+
+      recordOutcome( breaker, false );
+
+      return result;
+    } catch ( error ) {
+      recordOutcome( breaker, isUpstreamFailure( error ) );
+      throw error;
+    }
+  };
+
+  /**
+   * Gets the breaker state per upstream host
+   * @returns {object} State ("closed", "open" or "half-open") by normalized host name
+   */
+  const getStates = () => Object.fromEntries( [ ...breakers.values() ].map( ( breaker ) => [ breaker.host, breaker.state ] ) );
+
+  /**
+   * Gets state, failure count and open time per upstream host
+   * @returns {object} Breaker details by normalized host name
+   */
+  const getMetrics = () => Object.fromEntries( [ ...breakers.values() ].map( ( breaker ) => [
+    breaker.host,
+    {
+      'state': breaker.state,
+      'consecutiveFailures': breaker.consecutiveFailures,
+      'openedAt': breaker.openedAt && new Date( breaker.openedAt ).toISOString()
+    }
+  ] ) );
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.circuitBreaker = {
+    execute,
+    getMetrics,
+    getStates
+  };
+
+  // Expose private state for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.circuitBreaker = {
+      breakers
+    };
+  }
+} )();
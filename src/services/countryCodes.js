@@ -0,0 +1,140 @@
+( () => {
+  'use strict';
+
+  /**
+   * Country code module
+   * Normalizes free-text country names used by event sources to ISO 3166-1 alpha-2 codes
+   * @module services/countryCodes
+   */
+
+  /**
+   * Region codes known to Intl.DisplayNames that are not countries
+   * @constant {Array<string>}
+   */
+  const NON_COUNTRY_CODES = [ 'EU', 'EZ', 'QO', 'UN', 'XA', 'XB', 'ZZ' ];
+
+  /**
+   * Country names used by event sources that differ from the names Intl.DisplayNames knows
+   * @constant {object}
+   */
+  const COUNTRY_ALIASES = {
+    'Czech Republic': 'CZ',
+    'England': 'GB',
+    'Great Britain': 'GB',
+    'Holland': 'NL',
+    'Ivory Coast': 'CI',
+    'Macedonia': 'MK',
+    'Northern Ireland': 'GB',
+    'Republic of Korea': 'KR',
+    'Russian Federation': 'RU',
+    'Scotland': 'GB',
+    'The Netherlands': 'NL',
+    'Turkey': 'TR',
+    'United States of America': 'US',
+    'USA': 'US',
+    'Wales': 'GB'
+  };
+
+  let countryCodeByName = null;
+
+  /**
+   * Normalizes a country name for lookup
+   * Lowercases, strips diacritics and removes everything that is not a letter
+   * @param {string} name - Country name
+   * @returns {string} Normalized lookup key
+   */
+  const normalizeName = ( name ) => name.
+    replace( /&/gu, 'and' ).
+    normalize( 'NFKD' ).
+    replace( /\p{Diacritic}/gu, '' ).
+    toLowerCase().
+    replace( /[^\p{L}]/gu, '' );
+
+  /**
+   * Checks whether an alpha-2 code is a current country code
+   * Deprecated codes ("UK", "YU") canonicalize to their successor
+   * @param {string} code - Uppercase alpha-2 code
+   * @returns {boolean} True if code is its own canonical form and names a country
+   */
+  const isCountryCode = ( code ) => !NON_COUNTRY_CODES.includes( code ) &&
+    Intl.getCanonicalLocales( `und-${code}` )[ 0 ] === `und-${code}`;
+
+  /**
+   * Builds the lookup table from English region names and aliases
+   * Covers long ("United Kingdom") and short ("UK") region names of every alpha-2 code
+   * @returns {Map<string, string>} Normalized country name to alpha-2 code
+   */
+  const buildLookup = () => {
+    const lookup = new Map();
+    const displayNames = [ 'long', 'short' ].map( ( style ) => new Intl.DisplayNames( 'en', {
+      'type': 'region',
+      style
+    } ) );
+    const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    for ( const first of letters ) {
+      for ( const second of letters ) {
+        const code = `${first}${second}`;
+
+        displayNames.
+          map( ( names ) => names.of( code ) ).
+          filter( ( name ) => name !== code && isCountryCode( code ) ).
+          forEach( ( name ) => lookup.set( normalizeName( name ), code ) );
+      }
+    }
+
+    for ( const [ name, code ] of Object.entries( COUNTRY_ALIASES ) ) {
+      lookup.set( normalizeName( name ), code );
+    }
+
+    return lookup;
+  };
+
+  /**
+   * Gets the lookup table, building it on first use
+   * @returns {Map<string, string>} Normalized country name to alpha-2 code
+   */
+  const getLookup = () => {
+    if ( !countryCodeByName ) {
+      countryCodeByName = buildLookup();
+    }
+
+    return countryCodeByName;
+  };
+
+  /**
+   * Converts a country name or code to an ISO 3166-1 alpha-2 code
+   * Accepts alpha-2 codes in any case ("be"), names ("Belgium") and common aliases ("UK")
+   * @param {string} country - Country name or code
+   * @returns {string|null} Uppercase alpha-2 code, or null if unknown
+   */
+  const toCountryCode = ( country ) => {
+    if ( !country || typeof country !== 'string' ) {
+      return null;
+    }
+
+    const trimmed = country.trim();
+    const code = trimmed.toUpperCase();
+    const lookup = getLookup();
+
+    if ( /^[A-Z]{2}$/u.test( code ) && [ ...lookup.values() ].includes( code ) ) {
+      return code;
+    }
+
+    return lookup.get( normalizeName( trimmed ) ) || null;
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.countryCodes = {
+    toCountryCode
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.countryCodes = {
+      normalizeName
+    };
+  }
+} )();
@@ -186,7 +186,7 @@
   /**
    * Caches act data in database
    * @param {object} actData - Transformed act data to cache
-   * @returns {Promise<void>} Resolves when act is cached
+   * @returns {Promise<object|null>} Event changes and previous status of a refreshed act, null for new acts
    * @throws {Error} When not connected, actData missing _id, or write not acknowledged
    */
   const cacheAct = ( actData ) => logSlowOperation(
@@ -206,11 +206,13 @@
       const db = client.db( 'musicfavorites' );
       const actsCollection = db.collection( 'acts' );
       const metadataCollection = db.collection( 'actMetadata' );
+      const cached = await mf.databaseHistory.findPreviousState( actsCollection, actData );
+      const document = mf.databaseHistory.withFirstSeenAt( actData, cached );
 
       // Store public act data
       const result = await actsCollection.updateOne(
         { '_id': actData._id },
-        { '$set': actData },
+        { '$set': document },
         { 'upsert': true }
       );
 
@@ -224,6 +226,8 @@
         { '$inc': { 'updatesSinceLastRequest': 1 } },
         { 'upsert': true }
       );
+
+      return mf.databaseHistory.recordRefresh( cached, document );
     },
     'cacheAct',
     {
@@ -424,6 +428,13 @@
     };
   }
 
-  // Load databaseAdmin module to extend mf namespace
+  // Load the database extension modules, each adds its own namespace to mf (e.g. mf.databaseJobs)
   require( './databaseAdmin' );
+  require( './databaseAliases' );
+  require( './databaseLookup' );
+  require( './databaseHistory' );
+  require( './databaseJobs' );
+  require( './databaseNegativeCache' );
+  require( './databaseQueue' );
+  require( './databaseSubscriptions' );
 } )();
@@ -0,0 +1,98 @@
+/**
+ * MongoDB act alias module
+ * Maps MBIDs that MusicBrainz merged into another artist to the surviving (canonical) MBID
+ * @module services/databaseAliases
+ */
+
+( () => {
+  'use strict';
+
+  // Require database module for shared client access
+  require( './database' );
+
+  // Constants and logSlowOperation are already loaded by database.js
+
+  /**
+   * Gets a collection of the musicfavorites database
+   * @param {string} name - Collection name
+   * @param {string} errorCode - Error code to report when not connected
+   * @returns {object} MongoDB collection
+   * @throws {Error} When not connected to database
+   */
+  const getCollection = ( name, errorCode ) => {
+    try {
+      return mf.database.getDatabase( 'musicfavorites' ).collection( name );
+    } catch {
+      throw new Error( `Service temporarily unavailable. Please try again later. (Error: ${errorCode})` );
+    }
+  };
+
+  /**
+   * Records that an MBID was merged into another one
+   * Removes the act cached under the old MBID, the canonical act replaces it
+   * @param {string} aliasId - Merged (old) MBID
+   * @param {string} canonicalId - Surviving MBID
+   * @returns {Promise<void>} Resolves when the alias is stored
+   * @throws {Error} When not connected or update not acknowledged
+   */
+  const recordAlias = ( aliasId, canonicalId ) => mf.database.logSlowOperation(
+    async () => {
+      const result = await getCollection( 'actAliases', 'DB_043' ).updateOne(
+        { '_id': aliasId },
+        {
+          '$set': {
+            canonicalId,
+            'recordedAt': new Date().toISOString()
+          }
+        },
+        { 'upsert': true }
+      );
+
+      if ( !result.acknowledged ) {
+        throw new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_044)' );
+      }
+
+      await getCollection( 'acts', 'DB_069' ).deleteOne( { '_id': aliasId } );
+
+      mf.logger.info( {
+        aliasId,
+        canonicalId
+      }, 'Recorded act alias' );
+    },
+    'recordAlias',
+    {
+      aliasId
+    }
+  );
+
+  /**
+   * Gets the canonical MBIDs of merged MBIDs
+   * @param {Array<string>} actIds - MBIDs to look up
+   * @returns {Promise<Map<string, string>>} Canonical MBID by merged MBID, MBIDs without alias are left out
+   * @throws {Error} When not connected to database
+   */
+  const getCanonicalIds = ( actIds ) => mf.database.logSlowOperation(
+    async () => {
+      if ( actIds.length === 0 ) {
+        return new Map();
+      }
+
+      const documents = await getCollection( 'actAliases', 'DB_045' ).
+        find( { '_id': { '$in': actIds } } ).
+        toArray();
+
+      return new Map( documents.map( ( document ) => [ document._id, document.canonicalId ] ) );
+    },
+    'getCanonicalIds',
+    {
+      'count': actIds.length
+    }
+  );
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.databaseAliases = {
+    getCanonicalIds,
+    recordAlias
+  };
+} )();
@@ -0,0 +1,178 @@
+/**
+ * MongoDB event history module
+ * Stores the changes detected between cache refreshes of an act
+ * @module services/databaseHistory
+ */
+
+( () => {
+  'use strict';
+
+  // Require database module for shared client access
+  require( './database' );
+  require( './eventDiff' );
+  require( './eventMerger' );
+
+  // Constants and logSlowOperation are already loaded by database.js
+
+  /**
+   * Maximum number of changes returned per query
+   * @constant {number}
+   */
+  const MAX_CHANGES = 500;
+
+  /**
+   * Gets the event history collection
+   * @param {string} errorCode - Error code to report when not connected
+   * @returns {object} MongoDB collection
+   * @throws {Error} When not connected to database
+   */
+  const getHistoryCollection = ( errorCode ) => {
+    try {
+      return mf.database.getDatabase( 'musicfavorites' ).collection( 'eventHistory' );
+    } catch {
+      throw new Error( `Service temporarily unavailable. Please try again later. (Error: ${errorCode})` );
+    }
+  };
+
+  /**
+   * Stores the event changes of an act
+   * @param {string} actId - MusicBrainz ID of the act
+   * @param {Array<object>} changes - Changes from eventDiff.diffEvents
+   * @returns {Promise<void>} Resolves when changes are stored
+   * @throws {Error} When not connected or insert not acknowledged
+   */
+  const recordChanges = ( actId, changes ) => mf.database.logSlowOperation(
+    async () => {
+      if ( changes.length === 0 ) {
+        return;
+      }
+
+      const detectedAt = new Date().toISOString();
+      const result = await getHistoryCollection( 'DB_029' ).insertMany( changes.map( ( change ) => ( {
+        actId,
+        detectedAt,
+        ...change
+      } ) ) );
+
+      if ( !result.acknowledged ) {
+        throw new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_030)' );
+      }
+
+      mf.logger.debug( {
+        actId,
+        'count': changes.length
+      }, 'Recorded event changes' );
+    },
+    'recordChanges',
+    {
+      actId
+    }
+  );
+
+  /**
+   * Gets the event changes of an act, oldest first
+   * @param {string} actId - MusicBrainz ID of the act
+   * @param {string|null} since - ISO timestamp; only changes detected after it are returned
+   * @returns {Promise<Array<object>>} Changes with detectedAt, type, event and previous
+   * @throws {Error} When not connected to database
+   */
+  const getChanges = ( actId, since ) => mf.database.logSlowOperation(
+    () => getHistoryCollection( 'DB_031' ).find(
+      {
+        actId,
+        ...since ? { 'detectedAt': { '$gt': since } } : {}
+      },
+      {
+        'projection': {
+          '_id': 0,
+          'actId': 0
+        }
+      }
+    ).
+      sort( { 'detectedAt': 1 } ).
+      limit( MAX_CHANGES ).
+      toArray(),
+    'getChanges',
+    {
+      actId
+    }
+  );
+
+  /**
+   * Reads events and status of an act before a refresh replaces them
+   * @param {object} actsCollection - MongoDB acts collection
+   * @param {object} actData - Transformed act data about to be cached
+   * @returns {Promise<object|null>} Cached events and status, null for new acts or act data without events
+   */
+  const findPreviousState = ( actsCollection, actData ) => {
+    if ( !Array.isArray( actData.events ) ) {
+      return Promise.resolve( null );
+    }
+
+    return actsCollection.findOne(
+      { '_id': actData._id },
+      {
+        'projection': {
+          'events': 1,
+          'status': 1
+        }
+      }
+    );
+  };
+
+  /**
+   * Carries firstSeenAt of already cached events over to the fresh act data
+   * Needed because the upsert replaces the whole events array
+   * @param {object} actData - Transformed act data to cache
+   * @param {object|null} cached - Cached act document with events, null for new acts
+   * @returns {object} Act data with firstSeenAt on every event
+   */
+  const withFirstSeenAt = ( actData, cached ) => {
+    if ( !Array.isArray( actData.events ) ) {
+      return actData;
+    }
+
+    return {
+      ...actData,
+      'events': mf.eventMerger.carryFirstSeenAt( actData.events, cached?.events || [], new Date().toISOString() )
+    };
+  };
+
+  /**
+   * Records how the events of a cached act changed with a refresh
+   * Failures are logged only, the history must never block caching
+   * @param {object|null} cached - Cached events and status from findPreviousState
+   * @param {object} actData - Act data that replaced the cached document
+   * @returns {Promise<object|null>} Detected changes and previous status, null for new acts
+   */
+  const recordRefresh = async ( cached, actData ) => {
+    if ( !cached ) {
+      return null;
+    }
+
+    const changes = mf.eventDiff.diffEvents( cached.events || [], actData.events );
+
+    try {
+      await recordChanges( actData._id, changes );
+    } catch ( error ) {
+      mf.logger.warn( {
+        'actId': actData._id,
+        'err': error
+      }, 'Failed to record event changes' );
+    }
+
+    return {
+      changes,
+      'previousStatus': cached.status || null
+    };
+  };
+
+  // Extend global namespace (mf is already initialized by database.js)
+  globalThis.mf.databaseHistory = {
+    findPreviousState,
+    getChanges,
+    recordChanges,
+    recordRefresh,
+    withFirstSeenAt
+  };
+} )();
@@ -0,0 +1,207 @@
+/**
+ * MongoDB job module
+ * Persists the jobs clients follow background fetches and imports with, MongoDB removes them once they expire
+ * @module services/databaseJobs
+ */
+
+( () => {
+  'use strict';
+
+  // Require database module for shared client access
+  require( './database' );
+
+  // Constants and logSlowOperation are already loaded by database.js
+
+  /**
+   * Gets the job collection
+   * @param {string} errorCode - Error code to report when not connected
+   * @returns {object} MongoDB collection
+   * @throws {Error} When not connected to database
+   */
+  const getJobCollection = ( errorCode ) => {
+    try {
+      return mf.database.getDatabase( 'musicfavorites' ).collection( 'jobs' );
+    } catch {
+      throw new Error( `Service temporarily unavailable. Please try again later. (Error: ${errorCode})` );
+    }
+  };
+
+  /**
+   * Stores a new job
+   * @param {object} job - Job with _id, createdAt, completedAt, expiresAt and acts
+   * @returns {Promise<void>} Resolves when the job is stored
+   * @throws {Error} When not connected or insert not acknowledged
+   */
+  const createJob = ( job ) => mf.database.logSlowOperation(
+    async () => {
+      const result = await getJobCollection( 'DB_057' ).insertOne( job );
+
+      if ( !result.acknowledged ) {
+        throw new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_058)' );
+      }
+    },
+    'createJob',
+    {
+      'jobId': job._id
+    }
+  );
+
+  /**
+   * Gets a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object|null>} Job, or null if unknown or expired
+   * @throws {Error} When not connected to database
+   */
+  const getJob = ( jobId ) => mf.database.logSlowOperation(
+    () => getJobCollection( 'DB_059' ).findOne( { '_id': jobId } ),
+    'getJob',
+    {
+      jobId
+    }
+  );
+
+  /**
+   * Records the outcome of a fetch in every job waiting for the act
+   * Jobs without queued acts left are completed and expire after the retention time
+   * @param {string} actId - MusicBrainz ID of the fetched act
+   * @param {string} status - "fetched" or "failed"
+   * @param {number} retentionMs - How long completed jobs stay available
+   * @returns {Promise<void>} Resolves when the jobs are updated
+   * @throws {Error} When not connected to database
+   */
+  const recordJobFetch = ( actId, status, retentionMs ) => mf.database.logSlowOperation(
+    async () => {
+      const collection = getJobCollection( 'DB_060' );
+      const now = new Date();
+
+      await collection.updateMany(
+        {
+          'acts': {
+            '$elemMatch': {
+              'musicbrainzId': actId,
+              'status': 'queued'
+            }
+          }
+        },
+        { '$set': { 'acts.$[act].status': status } },
+        {
+          'arrayFilters': [
+            {
+              'act.musicbrainzId': actId,
+              'act.status': 'queued'
+            }
+          ]
+        }
+      );
+      await collection.updateMany(
+        {
+          'completedAt': null,
+          'acts.musicbrainzId': actId,
+          'acts.status': { '$ne': 'queued' }
+        },
+        {
+          '$set': {
+            'completedAt': now.toISOString(),
+            'expiresAt': new Date( now.getTime() + retentionMs )
+          }
+        }
+      );
+    },
+    'recordJobFetch',
+    {
+      actId
+    }
+  );
+
+  /**
+   * Adds a resolved entry to an import job
+   * @param {string} jobId - Job ID
+   * @param {string} status - "matched", "ambiguous" or "missed"
+   * @param {object} item - Resolved entry as reported to the client
+   * @returns {Promise<void>} Resolves when the job is updated
+   * @throws {Error} When not connected to database
+   */
+  const recordImportEntry = ( jobId, status, item ) => mf.database.logSlowOperation(
+    async () => {
+      await getJobCollection( 'DB_062' ).updateOne(
+        { '_id': jobId },
+        {
+          '$push': { [ status ]: item },
+          '$inc': { 'resolvedCount': 1 }
+        }
+      );
+    },
+    'recordImportEntry',
+    {
+      jobId
+    }
+  );
+
+  /**
+   * Completes a job, it expires after the retention time
+   * @param {string} jobId - Job ID
+   * @param {number} retentionMs - How long the completed job stays available
+   * @returns {Promise<void>} Resolves when the job is updated
+   * @throws {Error} When not connected to database
+   */
+  const completeJob = ( jobId, retentionMs ) => mf.database.logSlowOperation(
+    async () => {
+      const now = new Date();
+
+      await getJobCollection( 'DB_063' ).updateOne(
+        { '_id': jobId },
+        {
+          '$set': {
+            'completedAt': now.toISOString(),
+            'expiresAt': new Date( now.getTime() + retentionMs )
+          }
+        }
+      );
+    },
+    'completeJob',
+    {
+      jobId
+    }
+  );
+
+  /**
+   * Gets the import jobs that are still running, e.g. because the process stopped during the import
+   * @returns {Promise<Array<object>>} Running import jobs, oldest first
+   * @throws {Error} When not connected to database
+   */
+  const getRunningImports = () => mf.database.logSlowOperation(
+    () => getJobCollection( 'DB_064' ).
+      find( {
+        'kind': 'import',
+        'completedAt': null
+      } ).
+      sort( { 'createdAt': 1 } ).
+      toArray(),
+    'getRunningImports'
+  );
+
+  /**
+   * Ensures jobs are found by their acts and removed by MongoDB once they expire
+   * @returns {Promise<void>} Resolves when the indexes are created or already exist
+   * @throws {Error} When not connected to database
+   */
+  const ensureJobIndexes = async () => {
+    const collection = getJobCollection( 'DB_061' );
+
+    await collection.createIndex( { 'expiresAt': 1 }, { 'expireAfterSeconds': 0 } );
+    await collection.createIndex( { 'acts.musicbrainzId': 1 } );
+
+    mf.logger.debug( 'Ensured job indexes' );
+  };
+
+  // Extend global namespace (mf is already initialized by database.js)
+  globalThis.mf.databaseJobs = {
+    completeJob,
+    createJob,
+    ensureJobIndexes,
+    getJob,
+    getRunningImports,
+    recordImportEntry,
+    recordJobFetch
+  };
+} )();
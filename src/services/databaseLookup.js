@@ -0,0 +1,174 @@
+/**
+ * MongoDB act lookup module
+ * Finds cached acts by attributes other than their MusicBrainz ID
+ * @module services/databaseLookup
+ */
+
+( () => {
+  'use strict';
+
+  // Require database module for shared client access
+  require( './database' );
+
+  // Constants and logSlowOperation are already loaded by database.js
+
+  /**
+   * Finds cached acts by name
+   * Uses a strength 1 collation so names match case- and accent-insensitively
+   * @param {Array<string>} names - Act names to look up
+   * @returns {Promise<Array<object>>} Matching acts with _id and name
+   * @throws {Error} When not connected to database
+   */
+  const getActsByNames = ( names ) => mf.database.logSlowOperation(
+    async () => {
+      if ( !Array.isArray( names ) || names.length === 0 ) {
+        return [];
+      }
+
+      let db;
+
+      try {
+        db = mf.database.getDatabase( 'musicfavorites' );
+      } catch {
+        throw new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_028)' );
+      }
+
+      const results = await db.collection( 'acts' ).find(
+        {
+          'name': { '$in': names }
+        },
+        {
+          'projection': {
+            '_id': 1,
+            'name': 1
+          },
+          'collation': {
+            'locale': 'en',
+            'strength': 1
+          }
+        }
+      ).toArray();
+
+      mf.logger.debug( {
+        'nameCount': names.length,
+        'matchCount': results.length
+      }, 'Looked up acts by name' );
+
+      return results;
+    },
+    'getActsByNames',
+    {
+      'count': names?.length
+    }
+  );
+
+  /**
+   * Finds which of the given act IDs are cached
+   * @param {Array<string>} actIds - MusicBrainz IDs to look up
+   * @returns {Promise<Array<string>>} IDs of the cached acts
+   * @throws {Error} When not connected to database
+   */
+  const getCachedActIds = ( actIds ) => mf.database.logSlowOperation(
+    async () => {
+      if ( actIds.length === 0 ) {
+        return [];
+      }
+
+      let db;
+
+      try {
+        db = mf.database.getDatabase( 'musicfavorites' );
+      } catch {
+        throw new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_046)' );
+      }
+
+      const results = await db.collection( 'acts' ).find(
+        {
+          '_id': { '$in': actIds }
+        },
+        {
+          'projection': {
+            '_id': 1
+          }
+        }
+      ).toArray();
+
+      return results.map( ( act ) => act._id );
+    },
+    'getCachedActIds',
+    {
+      'count': actIds.length
+    }
+  );
+
+  /**
+   * Finds the cached act that links to an external URL
+   * @param {string} relationKey - Relation key as produced by musicbrainzTransformer, e.g. "discogs"
+   * @param {string} url - External URL, e.g. "https://www.discogs.com/artist/12345"
+   * @returns {Promise<string|null>} MusicBrainz ID of the act, or null if no cached act links to the URL
+   * @throws {Error} When not connected to database
+   */
+  const getActIdByRelation = ( relationKey, url ) => mf.database.logSlowOperation(
+    async () => {
+      let db;
+
+      try {
+        db = mf.database.getDatabase( 'musicfavorites' );
+      } catch {
+        throw new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_047)' );
+      }
+
+      const act = await db.collection( 'acts' ).findOne(
+        {
+          [ `relations.${relationKey}` ]: url
+        },
+        {
+          'projection': {
+            '_id': 1
+          }
+        }
+      );
+
+      return act?._id || null;
+    },
+    'getActIdByRelation',
+    {
+      relationKey
+    }
+  );
+
+  /**
+   * Ensures the relations acts are looked up by are indexed
+   * @param {Array<string>} relationKeys - Relation keys, e.g. [ "discogs", "wikidata" ]
+   * @returns {Promise<void>} Resolves when the indexes are created or already exist
+   * @throws {Error} When not connected to database
+   */
+  const ensureRelationIndexes = async ( relationKeys ) => {
+    let db;
+
+    try {
+      db = mf.database.getDatabase( 'musicfavorites' );
+    } catch {
+      throw new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_048)' );
+    }
+
+    const collection = db.collection( 'acts' );
+
+    for ( const relationKey of relationKeys ) {
+      await collection.createIndex(
+        { [ `relations.${relationKey}` ]: 1 },
+        { 'sparse': true }
+      );
+    }
+
+    mf.logger.debug( { relationKeys }, 'Ensured relation indexes' );
+  };
+
+  // Extend global namespace (mf is already initialized by database.js)
+  globalThis.mf.databaseLookup = {
+    ensureRelationIndexes,
+    getActIdByRelation,
+    getActsByNames,
+    getCachedActIds
+  };
+} )();
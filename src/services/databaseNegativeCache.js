@@ -0,0 +1,124 @@
+/**
+ * MongoDB negative cache module
+ * Remembers act IDs MusicBrainz cannot deliver so they are not fetched again and again
+ * @module services/databaseNegativeCache
+ */
+
+( () => {
+  'use strict';
+
+  // Require database module for shared client access
+  require( './database' );
+
+  // Constants and logSlowOperation are already loaded by database.js
+
+  /**
+   * How long a negative result is kept, by reason
+   * Invalid IDs never become valid, unknown IDs may be created on MusicBrainz soon
+   * @constant {object}
+   */
+  const NEGATIVE_TTL_MS = {
+    'invalid': 30 * 24 * 60 * 60 * 1000,
+    'notFound': 24 * 60 * 60 * 1000
+  };
+
+  /**
+   * Gets the negative cache collection
+   * @param {string} errorCode - Error code to report when not connected
+   * @returns {object} MongoDB collection
+   * @throws {Error} When not connected to database
+   */
+  const getNegativeCollection = ( errorCode ) => {
+    try {
+      return mf.database.getDatabase( 'musicfavorites' ).collection( 'negativeCache' );
+    } catch {
+      throw new Error( `Service temporarily unavailable. Please try again later. (Error: ${errorCode})` );
+    }
+  };
+
+  /**
+   * Stores why an act ID cannot be fetched
+   * @param {string} actId - Requested MusicBrainz ID
+   * @param {string} reason - "invalid" (not an MBID) or "notFound" (MusicBrainz 404)
+   * @returns {Promise<void>} Resolves when the result is stored
+   * @throws {Error} When not connected or update not acknowledged
+   */
+  const cacheNegativeResult = ( actId, reason ) => mf.database.logSlowOperation(
+    async () => {
+      const now = Date.now();
+      const result = await getNegativeCollection( 'DB_040' ).updateOne(
+        { '_id': actId },
+        {
+          '$set': {
+            reason,
+            'cachedAt': new Date( now ).toISOString(),
+            'expiresAt': new Date( now + NEGATIVE_TTL_MS[ reason ] )
+          }
+        },
+        { 'upsert': true }
+      );
+
+      if ( !result.acknowledged ) {
+        throw new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_041)' );
+      }
+
+      mf.logger.debug( {
+        actId,
+        reason
+      }, 'Cached negative result' );
+    },
+    'cacheNegativeResult',
+    {
+      actId
+    }
+  );
+
+  /**
+   * Gets the unexpired negative results of act IDs
+   * @param {Array<string>} actIds - MusicBrainz IDs to look up
+   * @returns {Promise<Array<object>>} Results with musicbrainzId, reason and expiresAt
+   * @throws {Error} When not connected to database
+   */
+  const getNegativeResults = ( actIds ) => mf.database.logSlowOperation(
+    async () => {
+      if ( actIds.length === 0 ) {
+        return [];
+      }
+
+      const documents = await getNegativeCollection( 'DB_042' ).find( {
+        '_id': { '$in': actIds },
+        'expiresAt': { '$gt': new Date() }
+      } ).toArray();
+
+      return documents.map( ( { _id, reason, expiresAt } ) => ( {
+        'musicbrainzId': _id,
+        reason,
+        expiresAt
+      } ) );
+    },
+    'getNegativeResults',
+    {
+      'count': actIds.length
+    }
+  );
+
+  /**
+   * Ensures MongoDB removes negative results once they expire
+   * Read skips expired results already, the index keeps the collection from growing with every unknown ID
+   * @returns {Promise<void>} Resolves when the index is created or already exists
+   * @throws {Error} When not connected to database
+   */
+  const ensureNegativeCacheIndexes = async () => {
+    await getNegativeCollection( 'DB_065' ).createIndex( { 'expiresAt': 1 }, { 'expireAfterSeconds': 0 } );
+
+    mf.logger.debug( 'Ensured negative cache indexes' );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.databaseNegativeCache = {
+    cacheNegativeResult,
+    ensureNegativeCacheIndexes,
+    getNegativeResults
+  };
+} )();
@@ -0,0 +1,130 @@
+/**
+ * MongoDB fetch queue module
+ * Persists the acts waiting for a background fetch, so a restart does not lose them
+ * @module services/databaseQueue
+ */
+
+( () => {
+  'use strict';
+
+  // Require database module for shared client access
+  require( './database' );
+
+  // Constants and logSlowOperation are already loaded by database.js
+
+  /**
+   * Gets the fetch queue collection
+   * @param {string} errorCode - Error code to report when not connected
+   * @returns {object} MongoDB collection
+   * @throws {Error} When not connected to database
+   */
+  const getQueueCollection = ( errorCode ) => {
+    try {
+      return mf.database.getDatabase( 'musicfavorites' ).collection( 'fetchQueue' );
+    } catch {
+      throw new Error( `Service temporarily unavailable. Please try again later. (Error: ${errorCode})` );
+    }
+  };
+
+  /**
+   * Stores acts as queued
+   * Acts that are queued already keep their enqueue time and correlation ID, but get the given priority
+   * Queuing an act again resets its attempts, only fetches that never finished count towards dropping it on resume
+   * @param {Array<string>} actIds - MusicBrainz IDs of the queued acts
+   * @param {string|null} correlationId - Correlation ID of the request that queued the acts
+   * @param {string} priority - Priority class of the acts ("interactive", "onTour" or "refresh")
+   * @returns {Promise<void>} Resolves when the acts are stored
+   * @throws {Error} When not connected to database
+   */
+  const enqueueActs = ( actIds, correlationId, priority ) => mf.database.logSlowOperation(
+    async () => {
+      if ( actIds.length === 0 ) {
+        return;
+      }
+
+      const enqueuedAt = new Date().toISOString();
+
+      await getQueueCollection( 'DB_049' ).bulkWrite( actIds.map( ( actId ) => ( {
+        'updateOne': {
+          'filter': { '_id': actId },
+          'update': {
+            '$setOnInsert': {
+              enqueuedAt,
+              correlationId
+            },
+            '$set': {
+              'attempts': 0,
+              priority
+            }
+          },
+          'upsert': true
+        }
+      } ) ), { 'ordered': false } );
+    },
+    'enqueueActs',
+    {
+      'count': actIds.length
+    }
+  );
+
+  /**
+   * Counts a fetch attempt of a queued act
+   * @param {string} actId - MusicBrainz ID of the act
+   * @returns {Promise<void>} Resolves when the attempt is counted
+   * @throws {Error} When not connected or update not acknowledged
+   */
+  const recordAttempt = ( actId ) => mf.database.logSlowOperation(
+    async () => {
+      const result = await getQueueCollection( 'DB_050' ).updateOne(
+        { '_id': actId },
+        { '$inc': { 'attempts': 1 } }
+      );
+
+      if ( !result.acknowledged ) {
+        throw new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_051)' );
+      }
+    },
+    'recordAttempt',
+    {
+      actId
+    }
+  );
+
+  /**
+   * Removes an act from the queue once it was processed
+   * @param {string} actId - MusicBrainz ID of the act
+   * @returns {Promise<void>} Resolves when the act is removed
+   * @throws {Error} When not connected to database
+   */
+  const dequeueAct = ( actId ) => mf.database.logSlowOperation(
+    async () => {
+      await getQueueCollection( 'DB_052' ).deleteOne( { '_id': actId } );
+    },
+    'dequeueAct',
+    {
+      actId
+    }
+  );
+
+  /**
+   * Gets all queued acts, oldest first
+   * @returns {Promise<Array<object>>} Queued acts with _id, enqueuedAt, attempts, correlationId and priority
+   * @throws {Error} When not connected to database
+   */
+  const getQueuedActs = () => mf.database.logSlowOperation(
+    () => getQueueCollection( 'DB_053' ).
+      find( {} ).
+      sort( { 'enqueuedAt': 1 } ).
+      toArray(),
+    'getQueuedActs',
+    {}
+  );
+
+  // Extend global namespace (mf is already initialized by database.js)
+  globalThis.mf.databaseQueue = {
+    dequeueAct,
+    enqueueActs,
+    getQueuedActs,
+    recordAttempt
+  };
+} )();
@@ -0,0 +1,250 @@
+/**
+ * MongoDB webhook subscription module
+ * Stores webhook subscriptions, the log of their deliveries and pending delivery retries
+ * @module services/databaseSubscriptions
+ */
+
+( () => {
+  'use strict';
+
+  // Require database module for shared client access
+  require( './database' );
+
+  // Constants and logSlowOperation are already loaded by database.js
+
+  /**
+   * Maximum number of delivery log entries returned per query
+   * @constant {number}
+   */
+  const MAX_DELIVERIES = 100;
+
+  /**
+   * Time after which MongoDB removes a delivery log entry (7 days)
+   * @constant {number}
+   */
+  const DELIVERY_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+  /**
+   * Gets a collection of the musicfavorites database
+   * @param {string} name - Collection name
+   * @param {string} errorCode - Error code to report when not connected
+   * @returns {object} MongoDB collection
+   * @throws {Error} When not connected to database
+   */
+  const getCollection = ( name, errorCode ) => {
+    try {
+      return mf.database.getDatabase( 'musicfavorites' ).collection( name );
+    } catch {
+      throw new Error( `Service temporarily unavailable. Please try again later. (Error: ${errorCode})` );
+    }
+  };
+
+  /**
+   * Stores a new subscription
+   * @param {object} subscription - Subscription with _id, callbackUrl, actIds, secret and createdAt
+   * @returns {Promise<void>} Resolves when subscription is stored
+   * @throws {Error} When not connected or insert not acknowledged
+   */
+  const createSubscription = ( subscription ) => mf.database.logSlowOperation(
+    async () => {
+      const result = await getCollection( 'subscriptions', 'DB_032' ).insertOne( subscription );
+
+      if ( !result.acknowledged ) {
+        throw new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_033)' );
+      }
+
+      mf.logger.debug( {
+        'subscriptionId': subscription._id,
+        'actCount': subscription.actIds.length
+      }, 'Created subscription' );
+    },
+    'createSubscription',
+    {
+      'subscriptionId': subscription._id
+    }
+  );
+
+  /**
+   * Gets a subscription by ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<object|null>} Subscription, or null if unknown
+   * @throws {Error} When not connected to database
+   */
+  const getSubscription = ( subscriptionId ) => mf.database.logSlowOperation(
+    () => getCollection( 'subscriptions', 'DB_034' ).findOne( { '_id': subscriptionId } ),
+    'getSubscription',
+    {
+      subscriptionId
+    }
+  );
+
+  /**
+   * Deletes a subscription, its delivery log and its pending retries
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<void>} Resolves when subscription is deleted
+   * @throws {Error} When not connected or delete not acknowledged
+   */
+  const deleteSubscription = ( subscriptionId ) => mf.database.logSlowOperation(
+    async () => {
+      const result = await getCollection( 'subscriptions', 'DB_035' ).deleteOne( { '_id': subscriptionId } );
+
+      if ( !result.acknowledged ) {
+        throw new Error( 'Service temporarily unavailable. Please try again later. (Error: DB_036)' );
+      }
+
+      await getCollection( 'webhookDeliveries', 'DB_066' ).deleteMany( { subscriptionId } );
+      await getCollection( 'webhookRetries', 'DB_067' ).deleteMany( { subscriptionId } );
+    },
+    'deleteSubscription',
+    {
+      subscriptionId
+    }
+  );
+
+  /**
+   * Gets all subscriptions that include an act
+   * @param {string} actId - MusicBrainz ID of the act
+   * @returns {Promise<Array<object>>} Subscriptions with _id, callbackUrl and secret
+   * @throws {Error} When not connected to database
+   */
+  const getSubscriptionsForAct = ( actId ) => mf.database.logSlowOperation(
+    () => getCollection( 'subscriptions', 'DB_037' ).find(
+      { 'actIds': actId },
+      {
+        'projection': {
+          '_id': 1,
+          'callbackUrl': 1,
+          'secret': 1
+        }
+      }
+    ).toArray(),
+    'getSubscriptionsForAct',
+    {
+      actId
+    }
+  );
+
+  /**
+   * Logs one delivery attempt of a webhook
+   * Adds createdAt as a date, MongoDB removes the entry after DELIVERY_RETENTION_SECONDS
+   * @param {object} entry - Delivery attempt with subscriptionId, deliveryId, actId, attempt, success, statusCode, error and timestamp
+   * @returns {Promise<void>} Resolves when the attempt is logged
+   * @throws {Error} When not connected to database
+   */
+  const logDelivery = ( entry ) => mf.database.logSlowOperation(
+    async () => {
+      await getCollection( 'webhookDeliveries', 'DB_038' ).insertOne( {
+        ...entry,
+        'createdAt': new Date()
+      } );
+    },
+    'logDelivery',
+    {
+      'subscriptionId': entry.subscriptionId
+    }
+  );
+
+  /**
+   * Gets the latest delivery attempts of a subscription, newest first
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Array<object>>} Delivery attempts
+   * @throws {Error} When not connected to database
+   */
+  const getDeliveries = ( subscriptionId ) => mf.database.logSlowOperation(
+    () => getCollection( 'webhookDeliveries', 'DB_039' ).find(
+      { subscriptionId },
+      {
+        'projection': {
+          '_id': 0,
+          'subscriptionId': 0,
+          'createdAt': 0
+        }
+      }
+    ).
+      sort( { 'timestamp': -1 } ).
+      limit( MAX_DELIVERIES ).
+      toArray(),
+    'getDeliveries',
+    {
+      subscriptionId
+    }
+  );
+
+  /**
+   * Stores the next attempt of a failed webhook delivery
+   * A retry stored for the same delivery already is replaced
+   * @param {object} retry - Retry with _id (the delivery ID), subscriptionId, payload, attempt and nextAttemptAt
+   * @returns {Promise<void>} Resolves when the retry is stored
+   * @throws {Error} When not connected to database
+   */
+  const scheduleRetry = ( retry ) => mf.database.logSlowOperation(
+    async () => {
+      await getCollection( 'webhookRetries', 'DB_054' ).replaceOne( { '_id': retry._id }, retry, { 'upsert': true } );
+    },
+    'scheduleRetry',
+    {
+      'subscriptionId': retry.subscriptionId
+    }
+  );
+
+  /**
+   * Gets the webhook retries that are due, the longest overdue first
+   * @param {string} now - Current time as ISO string
+   * @param {number} limit - Maximum number of retries to return
+   * @returns {Promise<Array<object>>} Retries with _id, subscriptionId, payload, attempt and nextAttemptAt
+   * @throws {Error} When not connected to database
+   */
+  const getDueRetries = ( now, limit ) => mf.database.logSlowOperation(
+    () => getCollection( 'webhookRetries', 'DB_055' ).
+      find( { 'nextAttemptAt': { '$lte': now } } ).
+      sort( { 'nextAttemptAt': 1 } ).
+      limit( limit ).
+      toArray(),
+    'getDueRetries',
+    {}
+  );
+
+  /**
+   * Removes a webhook retry before it is attempted
+   * @param {string} deliveryId - Delivery ID of the retry
+   * @returns {Promise<void>} Resolves when the retry is removed
+   * @throws {Error} When not connected to database
+   */
+  const deleteRetry = ( deliveryId ) => mf.database.logSlowOperation(
+    async () => {
+      await getCollection( 'webhookRetries', 'DB_056' ).deleteOne( { '_id': deliveryId } );
+    },
+    'deleteRetry',
+    {
+      deliveryId
+    }
+  );
+
+  /**
+   * Ensures TTL index exists on webhookDeliveries collection, so the delivery log does not grow forever
+   * @returns {Promise<void>} Resolves when index is created or already exists
+   * @throws {Error} When not connected to database
+   */
+  const ensureDeliveryIndexes = async () => {
+    await getCollection( 'webhookDeliveries', 'DB_068' ).createIndex(
+      { 'createdAt': 1 },
+      { 'expireAfterSeconds': DELIVERY_RETENTION_SECONDS }
+    );
+
+    mf.logger.debug( 'Ensured delivery indexes' );
+  };
+
+  // Extend global namespace (mf is already initialized by database.js)
+  globalThis.mf.databaseSubscriptions = {
+    createSubscription,
+    deleteRetry,
+    deleteSubscription,
+    ensureDeliveryIndexes,
+    getDeliveries,
+    getDueRetries,
+    getSubscription,
+    getSubscriptionsForAct,
+    logDelivery,
+    scheduleRetry
+  };
+} )();
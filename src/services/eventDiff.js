@@ -0,0 +1,126 @@
+( () => {
+  'use strict';
+
+  /**
+   * Event diff module
+   * Compares the cached events of an act with freshly fetched ones
+   * @module services/eventDiff
+   */
+
+  require( './eventMerger' );
+  require( './timezones' );
+
+  /**
+   * Reduces an event to the fields a change record needs
+   * @param {object} event - Event in unified schema
+   * @returns {object} Event summary with name, date, venue, locality, status and URL
+   */
+  const summarize = ( event ) => ( {
+    'name': event.name || null,
+    'date': event.date || null,
+    'venue': event.location?.name || null,
+    'locality': event.location?.address?.locality || null,
+    'status': event.status || null,
+    'url': event.url || null
+  } );
+
+  /**
+   * Builds a change record
+   * @param {string} type - Change type
+   * @param {object} event - Event after the change, or the removed event
+   * @param {object|null} previous - Event before the change
+   * @returns {object} Change with type, event and previous
+   */
+  const buildChange = ( type, event, previous ) => ( {
+    type,
+    'event': summarize( event ),
+    'previous': previous ? summarize( previous ) : null
+  } );
+
+  /**
+   * Checks if an event took place before today in its timezone
+   * Past events drop out of the fetched date window, which does not mean they were removed
+   * @param {object} event - Cached event in unified schema
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if the event date is before today
+   */
+  const isPast = ( event, now ) => Boolean( event.date ) && event.date < mf.timezones.getLocalDate( now, event.timeZone );
+
+  /**
+   * Pairs up events of two lists that share a key, removing paired events from both lists
+   * @param {Array<object>} before - Unpaired cached events, modified in place
+   * @param {Array<object>} after - Unpaired fresh events, modified in place
+   * @param {Function} getKey - Returns the key of an event, or empty string to never pair
+   * @returns {Array<Array<object>>} Pairs of cached and fresh event
+   */
+  const pairBy = ( before, after, getKey ) => {
+    const pairs = [];
+
+    for ( const previous of [ ...before ] ) {
+      const key = getKey( previous );
+      const index = key ? after.findIndex( ( event ) => getKey( event ) === key ) : -1;
+
+      if ( index !== -1 ) {
+        pairs.push( [ previous, after[ index ] ] );
+        before.splice( before.indexOf( previous ), 1 );
+        after.splice( index, 1 );
+      }
+    }
+
+    return pairs;
+  };
+
+  /**
+   * Lists the changes between cached and fresh events of an act
+   * Events are matched by date and venue first, then by venue alone (rescheduled),
+   * then by date alone (venue changed). Whatever is left over was added or removed,
+   * except for past cached events, which simply expired.
+   * @param {Array<object>} previousEvents - Events currently in the cache
+   * @param {Array<object>} events - Freshly fetched events
+   * @returns {Array<object>} Changes of type added, removed, rescheduled, venueChanged or cancelled
+   */
+  const diffEvents = ( previousEvents, events ) => {
+    const before = [ ...previousEvents ];
+    const after = [ ...events ];
+    const changes = [];
+    const now = Date.now();
+
+    for ( const [ previous, event ] of pairBy( before, after, mf.eventMerger.getEventKey ) ) {
+      if ( event.status === 'cancelled' && previous.status !== 'cancelled' ) {
+        changes.push( buildChange( 'cancelled', event, previous ) );
+      }
+    }
+
+    for ( const [ previous, event ] of pairBy( before, after, mf.eventMerger.getVenueKey ) ) {
+      changes.push( buildChange( 'rescheduled', event, previous ) );
+    }
+
+    for ( const [ previous, event ] of pairBy( before, after, ( item ) => item.date ) ) {
+      changes.push( buildChange( 'venueChanged', event, previous ) );
+    }
+
+    return [
+      ...changes,
+      ...before.
+        filter( ( event ) => !isPast( event, now ) ).
+        map( ( event ) => buildChange( 'removed', event, null ) ),
+      ...after.map( ( event ) => buildChange( 'added', event, null ) )
+    ];
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.eventDiff = {
+    diffEvents
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.eventDiff = {
+      isPast,
+      pairBy,
+      summarize
+    };
+  }
+} )();
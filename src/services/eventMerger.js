@@ -0,0 +1,276 @@
+( () => {
+  'use strict';
+
+  /**
+   * Event merger module
+   * Deduplicates events reported by several event sources and merges them into one event
+   * @module services/eventMerger
+   */
+
+  const crypto = require( 'crypto' );
+  require( './geo' );
+
+  /**
+   * Maximum distance in kilometers between two venues of the same show when the venue names differ
+   * Providers geocode the same venue slightly differently, other venues of the same city are farther apart
+   * @constant {number}
+   */
+  const MATCH_RADIUS_KM = 0.5;
+
+  /**
+   * Normalizes free text for comparison
+   * Lowercases, strips diacritics and removes everything that is not a letter or digit
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text, or empty string for non-string input
+   */
+  const normalizeText = ( text ) => {
+    if ( typeof text !== 'string' ) {
+      return '';
+    }
+
+    return text.
+      normalize( 'NFKD' ).
+      replace( /\p{Diacritic}/gu, '' ).
+      toLowerCase().
+      replace( /[^\p{L}\p{N}]/gu, '' );
+  };
+
+  /**
+   * Event statuses ordered by precedence when providers disagree
+   * A cancellation reported by any provider beats "scheduled" from another
+   * @constant {Array<string>}
+   */
+  const STATUS_PRECEDENCE = [ 'cancelled', 'postponed', 'rescheduled', 'movedOnline', 'scheduled' ];
+
+  /**
+   * Extracts the normalized venue from an event
+   * Uses the venue name, falling back to the "Act @ Venue" event name both Bandsintown and Songkick use
+   * @param {object} event - Event in unified schema
+   * @returns {string} Normalized venue, or empty string if unknown
+   */
+  const getVenueKey = ( event ) => {
+    if ( event.location?.name ) {
+      return normalizeText( event.location.name );
+    }
+
+    const match = event.name?.match( / @ (?<venue>.+)$/u );
+
+    return normalizeText( match?.groups.venue );
+  };
+
+  /**
+   * Builds a key identifying a show independent of the provider that reported it
+   * Stays the same when an event is refreshed, as long as date and venue do not change
+   * @param {object} event - Event in unified schema
+   * @returns {string} Key made of date and normalized venue (e.g., "2030-05-01|o2academyislington")
+   */
+  const getEventKey = ( event ) => `${event.date}|${getVenueKey( event ) || normalizeText( event.name )}`;
+
+  /**
+   * Builds an opaque ID for a show of an act, e.g. for calendar UIDs and feed entry IDs
+   * @param {string} actId - MusicBrainz ID of the act
+   * @param {object} event - Event in unified schema
+   * @returns {string} SHA-1 hex digest of act ID and event key
+   */
+  const getEventId = ( actId, event ) => crypto.createHash( 'sha1' ).
+    update( `${actId}|${getEventKey( event )}` ).
+    digest( 'hex' );
+
+  /**
+   * Stamps events with the time the service first saw them
+   * Events already cached keep their firstSeenAt, new events get seenAt
+   * @param {Array<object>} events - Freshly fetched events
+   * @param {Array<object>} previousEvents - Events currently in the cache
+   * @param {string} seenAt - ISO timestamp for newly seen events
+   * @returns {Array<object>} Events with firstSeenAt
+   */
+  const carryFirstSeenAt = ( events, previousEvents, seenAt ) => {
+    const firstSeen = new Map( previousEvents.
+      filter( ( event ) => event.firstSeenAt ).
+      map( ( event ) => [ getEventKey( event ), event.firstSeenAt ] ) );
+
+    return events.map( ( event ) => ( {
+      ...event,
+      'firstSeenAt': firstSeen.get( getEventKey( event ) ) || seenAt
+    } ) );
+  };
+
+  /**
+   * Picks the status with the highest precedence
+   * @param {string} statusA - Status from the first provider
+   * @param {string} statusB - Status from the second provider
+   * @returns {string} Status with higher precedence, unknown statuses lose
+   */
+  const pickStatus = ( statusA, statusB ) => {
+    const rankA = STATUS_PRECEDENCE.indexOf( statusA );
+    const rankB = STATUS_PRECEDENCE.indexOf( statusB );
+
+    if ( rankA === -1 ) {
+      return statusB;
+    }
+
+    if ( rankB === -1 || rankA <= rankB ) {
+      return statusA;
+    }
+
+    return statusB;
+  };
+
+  /**
+   * Checks whether two venue keys refer to the same venue
+   * One provider may use a longer form of the venue name ("O2 Academy" vs "O2 Academy Islington")
+   * @param {string} venueA - Normalized venue of the first event
+   * @param {string} venueB - Normalized venue of the second event
+   * @returns {boolean} True if both venues are known and one contains the other
+   */
+  const isSameVenue = ( venueA, venueB ) => {
+    if ( !venueA || !venueB ) {
+      return false;
+    }
+
+    return venueA.includes( venueB ) || venueB.includes( venueA );
+  };
+
+  /**
+   * Checks whether two events describe the same show
+   * Events must share the date and the venue, or be reported at almost the same coordinates
+   * @param {object} eventA - First event in unified schema
+   * @param {object} eventB - Second event in unified schema
+   * @returns {boolean} True if both events describe the same show
+   */
+  const isSameEvent = ( eventA, eventB ) => {
+    if ( !eventA.date || eventA.date !== eventB.date ) {
+      return false;
+    }
+
+    if ( isSameVenue( getVenueKey( eventA ), getVenueKey( eventB ) ) ) {
+      return true;
+    }
+
+    const distance = mf.geo.distanceKm( eventA.location?.geo, eventB.location?.geo );
+
+    return distance !== null && distance <= MATCH_RADIUS_KM;
+  };
+
+  /**
+   * Checks whether a value carries no information
+   * @param {*} value - Value to check
+   * @returns {boolean} True for null, undefined, empty strings and empty arrays
+   */
+  const isEmpty = ( value ) => value === null ||
+    typeof value === 'undefined' ||
+    value === '' ||
+    ( Array.isArray( value ) && value.length === 0 );
+
+  /**
+   * Checks whether a value is a plain object
+   * @param {*} value - Value to check
+   * @returns {boolean} True for non-null, non-array objects
+   */
+  const isPlainObject = ( value ) => value !== null && typeof value === 'object' && !Array.isArray( value );
+
+  /**
+   * Picks the richer of two values for the same field
+   * Empty values lose, longer strings and arrays win, objects are merged field by field
+   * On a tie the first value is kept
+   * @param {*} valueA - Value from the first provider
+   * @param {*} valueB - Value from the second provider
+   * @returns {*} The richer value
+   */
+  const pickRicher = ( valueA, valueB ) => {
+    if ( isEmpty( valueA ) ) {
+      return valueB;
+    }
+
+    if ( isEmpty( valueB ) ) {
+      return valueA;
+    }
+
+    if ( isPlainObject( valueA ) && isPlainObject( valueB ) ) {
+      const merged = {};
+
+      for ( const key of new Set( [ ...Object.keys( valueA ), ...Object.keys( valueB ) ] ) ) {
+        merged[ key ] = pickRicher( valueA[ key ], valueB[ key ] );
+      }
+
+      return merged;
+    }
+
+    const bothStrings = typeof valueA === 'string' && typeof valueB === 'string';
+    const bothArrays = Array.isArray( valueA ) && Array.isArray( valueB );
+
+    if ( ( bothStrings || bothArrays ) && valueB.length > valueA.length ) {
+      return valueB;
+    }
+
+    return valueA;
+  };
+
+  /**
+   * Compares two events chronologically by date and local time
+   * @param {object} eventA - First event
+   * @param {object} eventB - Second event
+   * @returns {number} Negative if eventA is earlier, positive if later, 0 if equal
+   */
+  const compareEvents = ( eventA, eventB ) => `${eventA.date}T${eventA.localTime || ''}`.
+    localeCompare( `${eventB.date}T${eventB.localTime || ''}` );
+
+  /**
+   * Merges events from several sources into one deduplicated list
+   * Only events of different sources are merged, shows a provider lists twice on one day stay separate (e.g. matinee and evening show)
+   * Every merged event lists the providers that reported it in its sources array
+   * @param {object} eventsBySource - Object mapping source name (e.g. "bandsintown") to array of events
+   * @returns {Array<object>} Merged events sorted by date
+   */
+  const mergeEvents = ( eventsBySource ) => {
+    const merged = [];
+
+    for ( const [ source, events ] of Object.entries( eventsBySource || {} ) ) {
+      for ( const event of events || [] ) {
+        const match = merged.find( ( candidate ) => !candidate.sources.has( source ) && isSameEvent( candidate.event, event ) );
+
+        if ( match ) {
+          match.event = {
+            ...pickRicher( match.event, event ),
+            'status': pickStatus( match.event.status, event.status )
+          };
+          match.sources.add( source );
+        } else {
+          merged.push( {
+            event,
+            'sources': new Set( [ source ] )
+          } );
+        }
+      }
+    }
+
+    return merged.
+      map( ( { event, sources } ) => ( {
+        ...event,
+        'sources': [ ...sources ]
+      } ) ).
+      sort( compareEvents );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.eventMerger = {
+    carryFirstSeenAt,
+    getEventId,
+    getEventKey,
+    getVenueKey,
+    mergeEvents
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.eventMerger = {
+      normalizeText,
+      getVenueKey,
+      isSameEvent,
+      pickRicher,
+      pickStatus
+    };
+  }
+} )();
@@ -0,0 +1,170 @@
+( () => {
+  'use strict';
+
+  /**
+   * Event query module
+   * Filters the events of several acts by distance and date range
+   * @module services/eventQuery
+   */
+
+  require( './geo' );
+  require( './timezones' );
+
+  /**
+   * Radius in kilometers used when near is given without radiusKm
+   * @constant {number}
+   */
+  const DEFAULT_RADIUS_KM = 100;
+
+  /**
+   * Largest accepted radius in kilometers (half the circumference of the earth)
+   * @constant {number}
+   */
+  const MAX_RADIUS_KM = 20038;
+
+  /**
+   * Builds the error result for an invalid query parameter
+   * @param {string} details - Description of the problem
+   * @returns {object} Result with error message and details
+   */
+  const invalidParameter = ( details ) => ( {
+    'error': {
+      'message': 'Invalid query parameter',
+      details
+    }
+  } );
+
+  /**
+   * Parses a "lat,lon" pair
+   * @param {string} near - Comma-separated latitude and longitude
+   * @returns {object|null} Point with lat and lon, or null if invalid or out of range
+   */
+  const parsePoint = ( near ) => {
+    const match = String( near ).match( /^\s*(?<lat>-?\d+(?:\.\d+)?)\s*,\s*(?<lon>-?\d+(?:\.\d+)?)\s*$/u );
+
+    if ( !match ) {
+      return null;
+    }
+
+    const point = {
+      'lat': Number( match.groups.lat ),
+      'lon': Number( match.groups.lon )
+    };
+
+    return Math.abs( point.lat ) <= 90 && Math.abs( point.lon ) <= 180 ? point : null;
+  };
+
+  /**
+   * Checks whether a value is a valid calendar date in YYYY-MM-DD format
+   * @param {string} value - Value to check
+   * @returns {boolean} True for valid dates
+   */
+  const isValidDate = ( value ) => {
+    if ( !/^\d{4}-\d{2}-\d{2}$/u.test( value ) ) {
+      return false;
+    }
+
+    const parsed = new Date( `${value}T00:00:00Z` );
+
+    return !isNaN( parsed.getTime() ) && parsed.toISOString().startsWith( value );
+  };
+
+  /**
+   * Parses and validates the query parameters of an event query
+   * @param {object} query - Express query object with near, radiusKm, from and to
+   * @returns {object} Result with criteria (near, radiusKm, from, to) or error
+   */
+  const parseEventQuery = ( query ) => {
+    const { near, radiusKm, from, to } = query;
+    const criteria = {
+      'near': null,
+      'radiusKm': null,
+      'from': from || null,
+      'to': to || null
+    };
+
+    if ( typeof near !== 'undefined' ) {
+      criteria.near = parsePoint( near );
+
+      if ( !criteria.near ) {
+        return invalidParameter( 'near must be "lat,lon" with latitude -90 to 90 and longitude -180 to 180' );
+      }
+
+      criteria.radiusKm = typeof radiusKm === 'undefined' ? DEFAULT_RADIUS_KM : Number( radiusKm );
+
+      if ( !Number.isFinite( criteria.radiusKm ) || criteria.radiusKm <= 0 || criteria.radiusKm > MAX_RADIUS_KM ) {
+        return invalidParameter( `radiusKm must be a number greater than 0 and at most ${MAX_RADIUS_KM}` );
+      }
+    } else if ( typeof radiusKm !== 'undefined' ) {
+      return invalidParameter( 'radiusKm requires near' );
+    }
+
+    for ( const key of [ 'from', 'to' ] ) {
+      if ( criteria[ key ] !== null && !isValidDate( criteria[ key ] ) ) {
+        return invalidParameter( `${key} must be a date in YYYY-MM-DD format` );
+      }
+    }
+
+    if ( criteria.from && criteria.to && criteria.from > criteria.to ) {
+      return invalidParameter( 'from must not be after to' );
+    }
+
+    return { criteria };
+  };
+
+  /**
+   * Compares two events chronologically by start instant
+   * Events without valid start are sorted last
+   * @param {object} eventA - First event
+   * @param {object} eventB - Second event
+   * @returns {number} Negative if eventA starts earlier, positive if later, 0 if equal
+   */
+  const compareByStart = ( eventA, eventB ) => {
+    const startA = mf.timezones.getEventInstant( eventA )?.getTime() ?? Infinity;
+    const startB = mf.timezones.getEventInstant( eventB )?.getTime() ?? Infinity;
+
+    return startA === startB ? 0 : startA - startB;
+  };
+
+  /**
+   * Collects the events of several acts into one chronological list
+   * Each event names its act and, if near is given, its distance in kilometers
+   * @param {Array<object>} acts - Acts with musicbrainzId, name and events
+   * @param {object} criteria - Parsed criteria from parseEventQuery
+   * @returns {Array<object>} Matching events sorted by start time
+   */
+  const findEvents = ( acts, criteria ) => acts.
+    flatMap( ( act ) => ( act.events || [] ).map( ( event ) => ( {
+      ...event,
+      'act': {
+        'musicbrainzId': act.musicbrainzId,
+        'name': act.name
+      },
+      'distanceKm': criteria.near ? mf.geo.distanceKm( criteria.near, event.location?.geo ) : null
+    } ) ) ).
+    filter( ( event ) => !criteria.from || event.date >= criteria.from ).
+    filter( ( event ) => !criteria.to || event.date <= criteria.to ).
+    filter( ( event ) => !criteria.near || ( event.distanceKm !== null && event.distanceKm <= criteria.radiusKm ) ).
+    map( ( event ) => ( {
+      ...event,
+      'distanceKm': event.distanceKm === null ? null : Math.round( event.distanceKm * 10 ) / 10
+    } ) ).
+    sort( compareByStart );
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.eventQuery = {
+    findEvents,
+    parseEventQuery
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.eventQuery = {
+      compareByStart,
+      isValidDate,
+      parsePoint
+    };
+  }
+} )();
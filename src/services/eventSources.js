@@ -0,0 +1,111 @@
+( () => {
+  'use strict';
+
+  /**
+   * Event source module
+   * Fetches the events of every source an act links to and tells a failed source from one without events
+   * @module services/eventSources
+   */
+
+  require( './bandsintownTransformer' );
+  require( './database' );
+
+  /**
+   * Reads the cached act to take the last good events of failed sources from
+   * Fails open: without a cached act, failed sources contribute no events
+   * @param {string} actId - The MusicBrainz act ID
+   * @returns {Promise<object|null>} Cached act, or null if it is not cached or cannot be read
+   */
+  const readCachedAct = async ( actId ) => {
+    try {
+      return await mf.database.getActFromCache( actId ) || null;
+    } catch ( error ) {
+      mf.logger.warn( {
+        actId,
+        'err': error
+      }, 'Failed to read cached events of failed source' );
+
+      return null;
+    }
+  };
+
+  /**
+   * Builds the stale result of a failed source from the cached act
+   * Cached events list the sources that reported them, so only events of the failed source are kept
+   * Cached events that fell out of the date window meanwhile are dropped like on a successful fetch
+   * @param {string} source - Event source name, e.g. "bandsintown"
+   * @param {object|null} cachedAct - Cached act, null if there is none
+   * @returns {object} Last good events and freshness of the source
+   */
+  const keepCachedEvents = ( source, cachedAct ) => ( {
+    'events': ( cachedAct?.events || [] ).filter( ( event ) => event.sources?.includes( source ) &&
+      mf.bandsintownTransformer.isEventWithinRange( event.date, event.timeZone ) ),
+    'freshness': {
+      'stale': true,
+      'fetchedAt': cachedAct?.eventSources?.[ source ]?.fetchedAt || cachedAct?.updatedAt || null
+    }
+  } );
+
+  /**
+   * Fetches the events of all sources an act links to
+   * A source that fails keeps its last good events from the cache and is marked stale,
+   * so an outage can neither empty the events nor flip the act status
+   * @param {object} actData - Transformed act data with _id and relations
+   * @param {object} fetchers - Object mapping source name to fetch function (actData, silentFail) => events
+   * @param {string} fetchedAt - Timestamp to report for sources fetched now
+   * @param {boolean} silentFail - If false, the first failing source throws instead
+   * @returns {Promise<object>} Object with eventsBySource for eventMerger and eventSources with freshness per linked source
+   * @throws {Error} Error of a failing source when silentFail is false
+   */
+  const collectEvents = async ( actData, fetchers, fetchedAt, silentFail ) => {
+    const eventsBySource = {};
+    const eventSources = {};
+    const failedSources = [];
+
+    for ( const [ source, fetchEvents ] of Object.entries( fetchers ) ) {
+      try {
+        eventsBySource[ source ] = await fetchEvents( actData, false );
+
+        if ( actData.relations?.[ source ] ) {
+          eventSources[ source ] = {
+            'stale': false,
+            fetchedAt
+          };
+        }
+      } catch ( error ) {
+        if ( !silentFail ) {
+          throw error;
+        }
+
+        mf.logger.warn( {
+          'actId': actData._id,
+          source,
+          'err': error
+        }, 'Event source failed, keeping cached events' );
+        failedSources.push( source );
+      }
+    }
+
+    if ( failedSources.length > 0 ) {
+      const cachedAct = await readCachedAct( actData._id );
+
+      for ( const source of failedSources ) {
+        const { events, freshness } = keepCachedEvents( source, cachedAct );
+
+        eventsBySource[ source ] = events;
+        eventSources[ source ] = freshness;
+      }
+    }
+
+    return {
+      eventsBySource,
+      eventSources
+    };
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.eventSources = {
+    collectEvents
+  };
+} )();
@@ -0,0 +1,157 @@
+( () => {
+  'use strict';
+
+  /**
+   * Feed module
+   * Renders newly announced events of acts as Atom or RSS feed, newest announcement first
+   * @module services/feedBuilder
+   */
+
+  require( './eventMerger' );
+
+  /**
+   * Maximum number of entries in a feed
+   * @constant {number}
+   */
+  const FEED_LIMIT = 50;
+
+  /**
+   * Title of all feeds
+   * @constant {string}
+   */
+  const FEED_TITLE = 'Music Favorites: new shows';
+
+  /**
+   * Escapes text for XML content and attributes
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  const escapeXml = ( text ) => String( text ).
+    replace( /&/gu, '&amp;' ).
+    replace( /</gu, '&lt;' ).
+    replace( />/gu, '&gt;' ).
+    replace( /"/gu, '&quot;' ).
+    replace( /'/gu, '&apos;' );
+
+  /**
+   * Collects the events of all acts that have a firstSeenAt, newest first
+   * Events cached before firstSeenAt was tracked are left out until their next refresh
+   * @param {Array<object>} acts - Acts with musicbrainzId, name and events
+   * @returns {Array<object>} Feed items with act, event and ID
+   */
+  const collectItems = ( acts ) => acts.
+    flatMap( ( act ) => ( act.events || [] ).
+      filter( ( event ) => event.firstSeenAt ).
+      map( ( event ) => ( {
+        act,
+        event,
+        'id': `tag:musicfavorites,2025:events/${mf.eventMerger.getEventId( act.musicbrainzId, event )}`
+      } ) ) ).
+    sort( ( a, b ) => b.event.firstSeenAt.localeCompare( a.event.firstSeenAt ) ||
+      a.event.date.localeCompare( b.event.date ) ).
+    slice( 0, FEED_LIMIT );
+
+  /**
+   * Builds the human readable summary of a feed item
+   * @param {object} item - Feed item with act and event
+   * @returns {string} Summary (e.g., "Act A plays SO36, Berlin on 2030-06-02")
+   */
+  const buildSummary = ( item ) => {
+    const { act, event } = item;
+    const place = [ event.location?.name, event.location?.address?.locality ].filter( Boolean ).join( ', ' );
+
+    return place ? `${act.name} plays ${place} on ${event.date}` : `${act.name} plays on ${event.date}`;
+  };
+
+  /**
+   * Renders a feed item as Atom entry
+   * @param {object} item - Feed item with act, event and ID
+   * @returns {string} Atom entry element
+   */
+  const buildAtomEntry = ( item ) => [
+    '  <entry>',
+    `    <id>${escapeXml( item.id )}</id>`,
+    `    <title>${escapeXml( item.event.name || item.act.name )}</title>`,
+    `    <updated>${escapeXml( item.event.firstSeenAt )}</updated>`,
+    `    <published>${escapeXml( item.event.firstSeenAt )}</published>`,
+    `    <author><name>${escapeXml( item.act.name )}</name></author>`,
+    ...item.event.url ? [ `    <link rel="alternate" href="${escapeXml( item.event.url )}"/>` ] : [],
+    `    <summary>${escapeXml( buildSummary( item ) )}</summary>`,
+    '  </entry>'
+  ].join( '\n' );
+
+  /**
+   * Renders newly announced events as Atom feed
+   * @param {Array<object>} acts - Acts with musicbrainzId, name and events
+   * @param {string} feedUrl - Absolute URL of the feed itself
+   * @returns {string} Atom XML document
+   */
+  const buildAtomFeed = ( acts, feedUrl ) => {
+    const items = collectItems( acts );
+    const updated = items[ 0 ]?.event.firstSeenAt || new Date().toISOString();
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml( feedUrl )}</id>`,
+      `  <title>${escapeXml( FEED_TITLE )}</title>`,
+      `  <updated>${escapeXml( updated )}</updated>`,
+      `  <link rel="self" href="${escapeXml( feedUrl )}"/>`,
+      ...items.map( buildAtomEntry ),
+      '</feed>',
+      ''
+    ].join( '\n' );
+  };
+
+  /**
+   * Renders a feed item as RSS item
+   * @param {object} item - Feed item with act, event and ID
+   * @returns {string} RSS item element
+   */
+  const buildRssItem = ( item ) => [
+    '    <item>',
+    `      <guid isPermaLink="false">${escapeXml( item.id )}</guid>`,
+    `      <title>${escapeXml( item.event.name || item.act.name )}</title>`,
+    `      <pubDate>${new Date( item.event.firstSeenAt ).toUTCString()}</pubDate>`,
+    ...item.event.url ? [ `      <link>${escapeXml( item.event.url )}</link>` ] : [],
+    `      <description>${escapeXml( buildSummary( item ) )}</description>`,
+    '    </item>'
+  ].join( '\n' );
+
+  /**
+   * Renders newly announced events as RSS 2.0 feed
+   * @param {Array<object>} acts - Acts with musicbrainzId, name and events
+   * @param {string} feedUrl - Absolute URL of the feed itself
+   * @returns {string} RSS XML document
+   */
+  const buildRssFeed = ( acts, feedUrl ) => [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml( FEED_TITLE )}</title>`,
+    `    <link>${escapeXml( feedUrl )}</link>`,
+    `    <description>${escapeXml( 'Newly announced shows of your favorite acts' )}</description>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml( feedUrl )}"/>`,
+    ...collectItems( acts ).map( buildRssItem ),
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join( '\n' );
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.feedBuilder = {
+    buildAtomFeed,
+    buildRssFeed
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.feedBuilder = {
+      buildSummary,
+      collectItems,
+      escapeXml
+    };
+  }
+} )();
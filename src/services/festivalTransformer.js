@@ -0,0 +1,153 @@
+( () => {
+  'use strict';
+
+  /**
+   * Festival event transformer module
+   * Transforms LD+JSON Festival data to unified event schema with lineup
+   * @module services/festivalTransformer
+   */
+
+  require( './bandsintownTransformer' );
+
+  /**
+   * Extracts lineup entries from the performer list of a Festival
+   * Performers may be a single object or an array, entries without name are skipped
+   * @param {object|Array<object>} performer - schema.org performer value
+   * @returns {Array<object>} Lineup entries with name and musicbrainzId (null until matched)
+   */
+  const extractLineup = ( performer ) => {
+    if ( !performer ) {
+      return [];
+    }
+
+    const performers = Array.isArray( performer ) ? performer : [ performer ];
+
+    return performers.
+      filter( ( entry ) => typeof entry?.name === 'string' && entry.name.trim().length > 0 ).
+      map( ( entry ) => ( {
+        'name': entry.name.trim(),
+        'musicbrainzId': null
+      } ) );
+  };
+
+  /**
+   * Transforms a single Festival to our event schema
+   * @param {object} festival - LD+JSON Festival object
+   * @returns {object} Transformed event object flagged as festival
+   */
+  const transformFestival = ( festival ) => ( {
+    ...mf.bandsintownTransformer.transformEvent( festival ),
+    'type': 'festival',
+    'lineup': extractLineup( festival.performer )
+  } );
+
+  /**
+   * Transforms array of LD+JSON objects to festival events
+   * Filters to include only Festival type objects
+   * Filters out festivals that ended before the day before yesterday at the venue
+   * Filters out festivals without a name
+   * @param {Array<object>} ldJsonData - Array of LD+JSON objects
+   * @returns {Array<object>} Array of transformed festival events
+   */
+  const transformFestivals = ( ldJsonData ) => {
+    if ( !ldJsonData || !Array.isArray( ldJsonData ) ) {
+      return [];
+    }
+
+    return ldJsonData.
+      filter( ( item ) => item[ '@type' ] === 'Festival' ).
+      filter( ( item ) => mf.bandsintownTransformer.isEventWithinRange(
+        item.endDate || item.startDate,
+        mf.bandsintownTransformer.extractTimeZone( item.location )
+      ) ).
+      filter( ( item ) => item.name ).
+      map( transformFestival );
+  };
+
+  /**
+   * Collects all lineup names of the festival events
+   * @param {Array<object>} events - Events in unified schema
+   * @returns {Array<string>} Unique performer names
+   */
+  const collectLineupNames = ( events ) => [
+    ...new Set( ( events || [] ).
+      filter( ( event ) => event.type === 'festival' ).
+      flatMap( ( event ) => event.lineup || [] ).
+      map( ( entry ) => entry.name ) )
+  ];
+
+  /**
+   * Assigns MusicBrainz IDs of cached acts to matching lineup entries
+   * Names are compared case- and accent-insensitively
+   * @param {Array<object>} events - Events in unified schema
+   * @param {Array<object>} cachedActs - Cached acts with _id and name
+   * @returns {Array<object>} Events with matched lineup entries
+   */
+  const applyLineupMatches = ( events, cachedActs ) => events.map( ( event ) => {
+    if ( event.type !== 'festival' || !Array.isArray( event.lineup ) ) {
+      return event;
+    }
+
+    return {
+      ...event,
+      'lineup': event.lineup.map( ( entry ) => {
+        const match = cachedActs.find( ( act ) => entry.name.localeCompare( act.name, 'en', { 'sensitivity': 'base' } ) === 0 );
+
+        return {
+          ...entry,
+          'musicbrainzId': match ? match._id : entry.musicbrainzId
+        };
+      } )
+    };
+  } );
+
+  /**
+   * Lists the requested acts playing each festival
+   * Adds favoritesInLineup (MusicBrainz IDs of requested acts in the lineup) to every festival event
+   * @param {Array<object>} acts - Acts of one request with musicbrainzId and events
+   * @param {Array<string>} [requestedIds] - All requested MusicBrainz IDs, defaults to the IDs of acts
+   * @returns {Array<object>} Acts with annotated festival events
+   */
+  const markFavorites = ( acts, requestedIds ) => {
+    const favoriteIds = new Set( requestedIds || acts.map( ( act ) => act.musicbrainzId ) );
+
+    return acts.map( ( act ) => {
+      if ( !Array.isArray( act.events ) || !act.events.some( ( event ) => event.type === 'festival' ) ) {
+        return act;
+      }
+
+      return {
+        ...act,
+        'events': act.events.map( ( event ) => {
+          if ( event.type !== 'festival' ) {
+            return event;
+          }
+
+          return {
+            ...event,
+            'favoritesInLineup': ( event.lineup || [] ).
+              map( ( entry ) => entry.musicbrainzId ).
+              filter( ( id ) => id && favoriteIds.has( id ) )
+          };
+        } )
+      };
+    } );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.festivalTransformer = {
+    applyLineupMatches,
+    collectLineupNames,
+    markFavorites,
+    transformFestivals
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.festivalTransformer = {
+      extractLineup
+    };
+  }
+} )();
@@ -3,24 +3,97 @@
 
   /**
    * Fetch queue processor - sequential background fetching with delays
+   * Which act goes next and how long to wait before is up to the fetch scheduler
    * This module breaks circular dependencies by being imported by others
    * @module services/fetchQueue
    */
 
-  const THIRTY_SECONDS_MS = 30 * 1000;
+  const crypto = require( 'crypto' );
+  require( './actImport' );
+  require( './database' );
+  require( './fetchScheduler' );
+  require( './webhookDispatcher' );
+
+  /**
+   * Assumed duration of one fetch until the first fetch was measured
+   * @constant {number}
+   */
+  const DEFAULT_FETCH_DURATION_MS = 5000;
+
+  /**
+   * Fetch attempts after which a persisted act is dropped instead of resumed
+   * Guards against acts whose fetch keeps taking the process down
+   * @constant {number}
+   */
+  const MAX_RESUME_ATTEMPTS = 3;
 
   // Module-level queue and flag to prevent concurrent fetches and duplicates
   const fetchQueue = new Set();
   let isBackgroundFetchRunning = false;
 
+  // Writes to the persisted queue, chained so they reach MongoDB in order
+  let queueWrites = Promise.resolve();
+
+  // Listeners notified whenever the queue finishes an act
+  const actListeners = new Set();
+
+  // Average fetch duration for job completion estimates
+  const fetchDurations = {
+    'count': 0,
+    'totalMs': 0
+  };
+
   /**
-   * Promise-based sleep utility
-   * @param {number} ms - Milliseconds to sleep
-   * @returns {Promise<void>} Resolves after delay
+   * Mirrors a queue change to MongoDB after all earlier changes
+   * Fails open: the in-memory queue keeps working if the write fails
+   * @param {Function} write - Performs the write, returns a promise
+   * @param {object} details - Log context, e.g. { actId }
+   * @returns {Promise<void>} Resolves when the write is done or failed
    */
-  const sleep = ( ms ) => new Promise( ( resolve ) => {
-    setTimeout( resolve, ms );
-  } );
+  const persistQueueChange = ( write, details ) => {
+    queueWrites = queueWrites.
+      then( write ).
+      catch( ( error ) => {
+        mf.logger.warn( {
+          ...details,
+          'err': error
+        }, 'Failed to persist fetch queue change' );
+      } );
+
+    return queueWrites;
+  };
+
+  /**
+   * Registers a listener for acts finished by the queue
+   * @param {Function} listener - Called with act ID, fetched act data (null on failure) and error (null on success)
+   * @returns {Function} Function that removes the listener again
+   */
+  const onActProcessed = ( listener ) => {
+    actListeners.add( listener );
+
+    return () => actListeners.delete( listener );
+  };
+
+  /**
+   * Notifies all listeners that the queue finished an act
+   * A failing listener is logged and does not stop the queue
+   * @param {string} actId - The MusicBrainz act ID
+   * @param {object|null} actData - Fetched act data, null on failure
+   * @param {Error|null} error - Error of a failed fetch, null on success
+   * @returns {void}
+   */
+  const notifyActListeners = ( actId, actData, error ) => {
+    for ( const listener of actListeners ) {
+      try {
+        listener( actId, actData, error );
+      } catch ( listenerError ) {
+        mf.logger.error( {
+          actId,
+          'err': listenerError
+        }, 'Act listener failed' );
+      }
+    }
+  };
 
   /**
    * Fetches and caches a single act, tracking success/failure
@@ -41,15 +114,122 @@
       const dataToCache = await mf.actService.fetchAndEnrichActData( actId, true );
 
       // Cache the result
-      await mf.database.cacheAct( dataToCache );
+      const refresh = await mf.database.cacheAct( dataToCache );
+
+      // Notify subscribers in the background, retries can take several minutes
+      mf.webhookDispatcher.notifyActUpdate( dataToCache, refresh ).catch( ( error ) => {
+        mf.logger.error( {
+          actId,
+          'err': error
+        }, 'Failed to notify subscribers' );
+      } );
+
+      notifyActListeners( actId, dataToCache, null );
 
       return true;
     } catch ( error ) {
-      // Silent fail
+      // Silent fail, only listeners learn about it
+      notifyActListeners( actId, null, error );
+
       return false;
     }
   };
 
+  /**
+   * Records the outcome of a fetch in every job waiting for the act
+   * Fails open: the queue keeps working if the jobs cannot be updated
+   * @param {string} actId - The MusicBrainz act ID that was fetched
+   * @param {boolean} success - Whether the act was fetched and cached
+   * @param {number} durationMs - How long the fetch took
+   * @returns {void}
+   */
+  const recordFetch = ( actId, success, durationMs ) => {
+    fetchDurations.count++;
+    fetchDurations.totalMs += durationMs;
+
+    mf.databaseJobs.recordJobFetch( actId, success ? 'fetched' : 'failed', mf.constants.JOB_RETENTION_MS ).catch( ( error ) => {
+      mf.logger.warn( {
+        actId,
+        'err': error
+      }, 'Failed to record fetch in jobs' );
+    } );
+  };
+
+  /**
+   * Estimates when the last queued act of a job will be fetched
+   * Assumes every act ahead in the queue takes the average fetch duration plus the delay of its priority class
+   * @param {object} job - Stored job with completedAt and acts
+   * @returns {string|null} ISO timestamp, or null if the job is complete
+   */
+  const estimateCompletion = ( job ) => {
+    if ( job.completedAt ) {
+      return null;
+    }
+
+    const averageMs = fetchDurations.count > 0 ? fetchDurations.totalMs / fetchDurations.count : DEFAULT_FETCH_DURATION_MS;
+    const queued = mf.fetchScheduler.orderQueue( fetchQueue, Date.now() );
+    const lastIndex = Math.max( ...job.acts.map( ( { musicbrainzId } ) => queued.indexOf( musicbrainzId ) ) );
+    const remainingMs = queued.
+      slice( 0, lastIndex + 1 ).
+      reduce( ( sum, actId ) => sum + mf.fetchScheduler.getDelayMs( actId ) + averageMs, averageMs );
+
+    return new Date( Date.now() + remainingMs ).toISOString();
+  };
+
+  /**
+   * Counts the acts of a job in a state
+   * @param {Array<string>} states - States of all acts of the job
+   * @param {string} state - State to count ("queued", "fetched" or "failed")
+   * @returns {number} Number of acts in the state
+   */
+  const countState = ( states, state ) => states.filter( ( item ) => item === state ).length;
+
+  /**
+   * Builds the public view of a stored job
+   * @param {object} job - Stored job with _id, createdAt, completedAt and acts
+   * @returns {object} Job with status, counts per state, state per act and estimated completion
+   */
+  const toJobView = ( job ) => {
+    const states = job.acts.map( ( { status } ) => status );
+
+    return {
+      'id': job._id,
+      'status': job.completedAt ? 'completed' : 'running',
+      'createdAt': job.createdAt,
+      'completedAt': job.completedAt,
+      'estimatedCompletionAt': estimateCompletion( job ),
+      'counts': {
+        'queued': countState( states, 'queued' ),
+        'fetched': countState( states, 'fetched' ),
+        'failed': countState( states, 'failed' )
+      },
+      'acts': job.acts.map( ( { musicbrainzId, status } ) => ( {
+        musicbrainzId,
+        status
+      } ) )
+    };
+  };
+
+  /**
+   * Gets the public view of a fetch or import job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object|null>} Job view, or null if unknown or expired
+   * @throws {Error} When the job cannot be read
+   */
+  const getJob = async ( jobId ) => {
+    const job = await mf.databaseJobs.getJob( jobId );
+
+    if ( !job ) {
+      return null;
+    }
+
+    if ( job.kind === 'import' ) {
+      return mf.actImport.toJobView( job );
+    }
+
+    return toJobView( job );
+  };
+
   /**
    * Logs completion metrics for the queue processing
    * @param {number} totalActs - Total number of acts processed
@@ -70,20 +250,30 @@
   };
 
   /**
-   * Processes queue items sequentially until empty
+   * Processes queue items sequentially until empty, most urgent first
    * @param {Set<string>} queue - Set of MusicBrainz act IDs to fetch
    * @param {object} stats - Object to track success/error counts and position
    * @returns {Promise<void>} Resolves when queue is empty
    */
   const processQueueItems = async ( queue, stats ) => {
     while ( queue.size > 0 ) {
-      const [ actId ] = queue;
+      const [ actId ] = mf.fetchScheduler.orderQueue( queue, Date.now() );
 
       queue.delete( actId );
+      mf.fetchScheduler.release( actId );
       stats.position++;
+      persistQueueChange( () => mf.databaseQueue.recordAttempt( actId ), { actId } );
 
+      const startTime = Date.now();
       const success = await processActInQueue( actId, stats.position, stats.totalActs );
 
+      recordFetch( actId, success, Date.now() - startTime );
+
+      // An act queued again during its fetch stays persisted for the next round
+      if ( !queue.has( actId ) ) {
+        persistQueueChange( () => mf.databaseQueue.dequeueAct( actId ), { actId } );
+      }
+
       if ( success ) {
         stats.successCount++;
       } else {
@@ -91,16 +281,13 @@
       }
 
       if ( queue.size > 0 ) {
-        mf.logger.debug( {
-          'delayMs': THIRTY_SECONDS_MS
-        }, 'Waiting before next fetch' );
-        await sleep( THIRTY_SECONDS_MS );
+        await mf.fetchScheduler.waitForNextFetch( queue );
       }
     }
   };
 
   /**
-   * Processes the fetch queue sequentially with 30-second delays
+   * Processes the fetch queue sequentially with delays between fetches
    * Uses lazy require pattern to avoid circular dependency with actService
    * @param {Set<string>} queue - Set of MusicBrainz act IDs to fetch
    * @param {string|null} parentCorrelationId - Optional parent correlation ID for linking
@@ -134,22 +321,11 @@
   };
 
   /**
-   * Triggers background sequential fetch for missing act IDs
-   * Adds IDs to queue and starts processor if not already running
-   * Prevents reload hammering by using a Set (duplicates ignored)
-   * @param {Array<string>} actIds - Array of MusicBrainz act IDs to fetch
-   * @returns {void} Returns immediately after queueing
+   * Starts the queue processor unless it is running already
+   * @param {string|null} parentCorrelationId - Correlation ID of the request that queued the acts, if any
+   * @returns {void}
    */
-  const triggerBackgroundFetch = ( actIds ) => {
-    // Capture parent correlation ID if available (e.g., from HTTP request)
-    const store = mf.asyncLocalStorage?.getStore();
-    const parentCorrelationId = store?.correlationId || null;
-
-    // Add all missing IDs to the queue (Set prevents duplicates)
-    for ( const actId of actIds ) {
-      fetchQueue.add( actId );
-    }
-
+  const startProcessing = ( parentCorrelationId ) => {
     // If processor already running, just return (IDs are queued)
     if ( isBackgroundFetchRunning ) {
       return;
@@ -172,9 +348,109 @@
       } );
   };
 
+  /**
+   * Triggers background sequential fetch for act IDs
+   * Adds IDs to queue and starts processor if not already running
+   * Prevents reload hammering by using a Set (duplicates ignored), an act queued again keeps the more urgent priority
+   * Newly queued IDs and raised priorities are persisted so a restart can resume them
+   * @param {Array<string>} actIds - Array of MusicBrainz act IDs to fetch
+   * @param {string} [priority] - "interactive" for acts a user waits for, "onTour" for stale acts on tour, "refresh" for other stale acts
+   * @returns {void} Returns immediately after queueing
+   */
+  const triggerBackgroundFetch = ( actIds, priority = 'refresh' ) => {
+    if ( actIds.length === 0 ) {
+      return;
+    }
+
+    // Capture parent correlation ID if available (e.g., from HTTP request)
+    const store = mf.asyncLocalStorage?.getStore();
+    const parentCorrelationId = store?.correlationId || null;
+    const enqueuedAt = Date.now();
+
+    // Add all IDs to the queue (Set prevents duplicates), acts queued with a lower priority are raised
+    const changedIds = [ ...new Set( actIds ) ].filter( ( actId ) => {
+      fetchQueue.add( actId );
+
+      return mf.fetchScheduler.schedule( actId, priority, enqueuedAt );
+    } );
+
+    if ( changedIds.length > 0 ) {
+      persistQueueChange( () => mf.databaseQueue.enqueueActs( changedIds, parentCorrelationId, priority ), { 'count': changedIds.length } );
+    }
+
+    startProcessing( parentCorrelationId );
+  };
+
+  /**
+   * Queues the acts a previous process left in the persisted queue
+   * Resumed acts keep their priority and enqueue time, so aging counts the time before the restart
+   * Acts that were attempted too often are dropped, they may be what took the process down
+   * @returns {Promise<number>} Number of resumed acts
+   * @throws {Error} When the persisted queue cannot be read
+   */
+  const resumeQueue = async () => {
+    const entries = await mf.databaseQueue.getQueuedActs();
+    const resumable = entries.filter( ( entry ) => entry.attempts < MAX_RESUME_ATTEMPTS );
+
+    for ( const entry of entries.filter( ( item ) => item.attempts >= MAX_RESUME_ATTEMPTS ) ) {
+      mf.logger.warn( {
+        'actId': entry._id,
+        'attempts': entry.attempts,
+        'correlationId': entry.correlationId
+      }, 'Dropping queued act after too many attempts' );
+      persistQueueChange( () => mf.databaseQueue.dequeueAct( entry._id ), { 'actId': entry._id } );
+    }
+
+    if ( resumable.length > 0 ) {
+      mf.logger.info( {
+        'queueDepth': resumable.length,
+        'oldestEnqueuedAt': resumable[ 0 ].enqueuedAt
+      }, 'Resuming persisted fetch queue' );
+
+      for ( const entry of resumable ) {
+        fetchQueue.add( entry._id );
+        mf.fetchScheduler.schedule( entry._id, entry.priority, Date.parse( entry.enqueuedAt ) );
+      }
+
+      startProcessing( null );
+    }
+
+    return resumable.length;
+  };
+
+  /**
+   * Creates a job so clients can follow the background fetch of act IDs
+   * Jobs are stored in MongoDB, so they survive restarts and every instance can report them
+   * The acts themselves are queued via triggerBackgroundFetch
+   * @param {Array<string>} actIds - Array of MusicBrainz act IDs to fetch
+   * @returns {Promise<object>} Job view as returned by getJob
+   * @throws {Error} When the job cannot be stored
+   */
+  const createJob = async ( actIds ) => {
+    const now = new Date();
+    const job = {
+      '_id': crypto.randomUUID(),
+      'createdAt': now.toISOString(),
+      'completedAt': null,
+      'expiresAt': new Date( now.getTime() + mf.constants.RUNNING_JOB_RETENTION_MS ),
+      'acts': [ ...new Set( actIds ) ].map( ( musicbrainzId ) => ( {
+        musicbrainzId,
+        'status': 'queued'
+      } ) )
+    };
+
+    await mf.databaseJobs.createJob( job );
+
+    return toJobView( job );
+  };
+
   // Initialize global namespace
   globalThis.mf = globalThis.mf || {};
   globalThis.mf.fetchQueue = {
+    createJob,
+    getJob,
+    onActProcessed,
+    resumeQueue,
     triggerBackgroundFetch
   };
 
@@ -184,6 +460,7 @@
     globalThis.mf.testing.fetchQueue = {
       processFetchQueue,
       fetchQueue,
+      fetchDurations,
       /**
        * Sets the background fetch running flag for test isolation
        * @param {boolean} value - The value to set
@@ -0,0 +1,192 @@
+( () => {
+  'use strict';
+
+  /**
+   * Fetch scheduler - decides which queued act is fetched next and how long to wait before
+   * Interactive misses go first, then acts on tour, then ordinary stale refreshes
+   * Aging moves long-waiting acts up, so a steady stream of urgent acts cannot starve the others
+   * @module services/fetchScheduler
+   */
+
+  require( '../logger' );
+
+  /**
+   * Priority classes: rank (lower is fetched first) and delay before fetching an act of the class
+   * The rate limiter still holds every upstream host to its limit, the delays only spread the load
+   * @constant {object}
+   */
+  const PRIORITY_CLASSES = {
+    'interactive': {
+      'rank': 0,
+      'delayMs': 2 * 1000
+    },
+    'onTour': {
+      'rank': 1,
+      'delayMs': 10 * 1000
+    },
+    'refresh': {
+      'rank': 2,
+      'delayMs': 30 * 1000
+    }
+  };
+
+  /**
+   * Waiting time after which a queued act counts one priority class higher
+   * @constant {number}
+   */
+  const AGING_MS = 5 * 60 * 1000;
+
+  // Priority and enqueue time by act ID
+  const entries = new Map();
+
+  // Ends the current wait early, set while waiting before the next fetch
+  let wakeUp = null;
+
+  /**
+   * Gets a priority class, unknown priorities count as ordinary refresh
+   * @param {string} priority - "interactive", "onTour" or "refresh"
+   * @returns {object} Priority class with rank and delay
+   */
+  const getPriorityClass = ( priority ) => PRIORITY_CLASSES[ priority ] || PRIORITY_CLASSES.refresh;
+
+  /**
+   * Records the priority of a queued act and ends a running wait, so an urgent act does not sit out a long delay
+   * An act that is scheduled already keeps its enqueue time and gets the more urgent of both priorities
+   * @param {string} actId - The MusicBrainz act ID
+   * @param {string} priority - "interactive", "onTour" or "refresh"
+   * @param {number} enqueuedAt - Enqueue time in milliseconds, aging counts from here
+   * @returns {boolean} True if the act now has the given priority, false if it keeps a more urgent one
+   */
+  const schedule = ( actId, priority, enqueuedAt ) => {
+    const entry = entries.get( actId );
+    let changed = true;
+
+    if ( !entry ) {
+      entries.set( actId, {
+        priority,
+        enqueuedAt
+      } );
+    } else if ( getPriorityClass( priority ).rank < getPriorityClass( entry.priority ).rank ) {
+      entry.priority = priority;
+    } else {
+      changed = false;
+    }
+
+    wakeUp?.();
+
+    return changed;
+  };
+
+  /**
+   * Forgets the priority of an act once its fetch starts
+   * @param {string} actId - The MusicBrainz act ID
+   * @returns {void}
+   */
+  const release = ( actId ) => {
+    entries.delete( actId );
+  };
+
+  /**
+   * Gets the effective rank of an act: its class rank minus one per AGING_MS waited
+   * Acts without recorded priority count as ordinary refresh queued just now
+   * @param {string} actId - The MusicBrainz act ID
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Effective rank, lower is fetched first
+   */
+  const getEffectiveRank = ( actId, now ) => {
+    const entry = entries.get( actId ) || {
+      'priority': 'refresh',
+      'enqueuedAt': now
+    };
+
+    return getPriorityClass( entry.priority ).rank - ( ( now - entry.enqueuedAt ) / AGING_MS );
+  };
+
+  /**
+   * Orders queued acts by effective rank, acts of equal rank keep their queue order
+   * @param {Set<string>} queue - Queued MusicBrainz act IDs in enqueue order
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<string>} Act IDs in fetch order
+   */
+  const orderQueue = ( queue, now ) => [ ...queue ].
+    map( ( actId ) => ( {
+      actId,
+      'rank': getEffectiveRank( actId, now )
+    } ) ).
+    sort( ( first, second ) => first.rank - second.rank ).
+    map( ( item ) => item.actId );
+
+  /**
+   * Gets the delay before fetching an act, which depends on its priority class
+   * @param {string} actId - The MusicBrainz act ID
+   * @returns {number} Delay in milliseconds
+   */
+  const getDelayMs = ( actId ) => getPriorityClass( entries.get( actId )?.priority ).delayMs;
+
+  /**
+   * Gets how much of the delay before the next fetch is left
+   * @param {Set<string>} queue - Queued MusicBrainz act IDs
+   * @param {number} waitStartedAt - Start of the wait in milliseconds
+   * @returns {number} Remaining delay in milliseconds, zero or less once the next fetch may start
+   */
+  const getRemainingMs = ( queue, waitStartedAt ) => {
+    const now = Date.now();
+
+    return getDelayMs( orderQueue( queue, now )[ 0 ] ) - ( now - waitStartedAt );
+  };
+
+  /**
+   * Sleeps until the time is up or an act is scheduled
+   * @param {number} ms - Milliseconds to sleep at most
+   * @returns {Promise<void>} Resolves after the time or when woken up
+   */
+  const sleepUntilScheduled = ( ms ) => new Promise( ( resolve ) => {
+    const timer = setTimeout( resolve, ms );
+
+    /**
+     * Ends the sleep early
+     * @returns {void}
+     */
+    wakeUp = () => {
+      globalThis.clearTimeout( timer );
+      resolve();
+    };
+  } );
+
+  /**
+   * Waits the delay of the act fetched next, counted from now
+   * Re-checks the next act whenever an act is scheduled meanwhile, so an urgent act shortens the wait
+   * @param {Set<string>} queue - Queued MusicBrainz act IDs
+   * @returns {Promise<void>} Resolves when the next fetch may start
+   */
+  const waitForNextFetch = async ( queue ) => {
+    const waitStartedAt = Date.now();
+
+    for ( let remainingMs = getRemainingMs( queue, waitStartedAt ); remainingMs > 0; remainingMs = getRemainingMs( queue, waitStartedAt ) ) {
+      mf.logger.debug( {
+        'delayMs': remainingMs
+      }, 'Waiting before next fetch' );
+
+      await sleepUntilScheduled( remainingMs );
+      wakeUp = null;
+    }
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.fetchScheduler = {
+    getDelayMs,
+    orderQueue,
+    release,
+    schedule,
+    waitForNextFetch
+  };
+
+  // Expose private state for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.fetchScheduler = {
+      entries
+    };
+  }
+} )();
@@ -0,0 +1,52 @@
+( () => {
+  'use strict';
+
+  /**
+   * Geographic helper functions
+   * @module services/geo
+   */
+
+  const EARTH_RADIUS_KM = 6371;
+
+  /**
+   * Converts degrees to radians
+   * @param {number} degrees - Angle in degrees
+   * @returns {number} Angle in radians
+   */
+  const toRadians = ( degrees ) => ( degrees * Math.PI ) / 180;
+
+  /**
+   * Checks whether a value is a usable geo point
+   * @param {object} point - Object with lat and lon properties
+   * @returns {boolean} True if lat and lon are finite numbers
+   */
+  const isValidPoint = ( point ) => Number.isFinite( point?.lat ) && Number.isFinite( point?.lon );
+
+  /**
+   * Calculates the great-circle distance between two points using the haversine formula
+   * @param {object} from - Start point with lat and lon
+   * @param {object} to - End point with lat and lon
+   * @returns {number|null} Distance in kilometers, or null if a point is invalid
+   */
+  const distanceKm = ( from, to ) => {
+    if ( !isValidPoint( from ) || !isValidPoint( to ) ) {
+      return null;
+    }
+
+    const deltaLat = toRadians( to.lat - from.lat );
+    const deltaLon = toRadians( to.lon - from.lon );
+    const sinLat = Math.sin( deltaLat / 2 );
+    const sinLon = Math.sin( deltaLon / 2 );
+    const haversine = ( sinLat * sinLat ) +
+      ( Math.cos( toRadians( from.lat ) ) * Math.cos( toRadians( to.lat ) ) * sinLon * sinLon );
+
+    return 2 * EARTH_RADIUS_KM * Math.asin( Math.min( 1, Math.sqrt( haversine ) ) );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.geo = {
+    distanceKm,
+    isValidPoint
+  };
+} )();
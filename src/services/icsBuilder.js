@@ -0,0 +1,202 @@
+( () => {
+  'use strict';
+
+  /**
+   * Calendar export module
+   * Renders the events of acts as an RFC 5545 calendar
+   * @module services/icsBuilder
+   */
+
+  require( '../constants' );
+  require( './eventMerger' );
+  require( './geo' );
+
+  /**
+   * Maximum length of a content line in octets before it must be folded
+   * @constant {number}
+   */
+  const MAX_LINE_OCTETS = 75;
+
+  /**
+   * Maps our event status to the iCalendar STATUS property
+   * @constant {object}
+   */
+  const STATUS_MAP = {
+    'cancelled': 'CANCELLED',
+    'postponed': 'TENTATIVE'
+  };
+
+  /**
+   * Escapes a TEXT property value
+   * @param {string} text - Raw text
+   * @returns {string} Text with backslashes, semicolons, commas and newlines escaped
+   */
+  const escapeText = ( text ) => String( text ).
+    replace( /\\/gu, '\\\\' ).
+    replace( /;/gu, '\\;' ).
+    replace( /,/gu, '\\,' ).
+    replace( /\r?\n/gu, '\\n' );
+
+  /**
+   * Folds a content line into chunks of at most 75 octets
+   * Continuation lines start with a single space, multi-byte characters are never split
+   * @param {string} line - Unfolded content line
+   * @returns {string} Folded line joined with CRLF
+   */
+  const foldLine = ( line ) => {
+    const chunks = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for ( const character of line ) {
+      const octets = Buffer.byteLength( character );
+      const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+      if ( currentOctets + octets > limit ) {
+        chunks.push( current );
+        current = '';
+        currentOctets = 0;
+      }
+
+      current += character;
+      currentOctets += octets;
+    }
+
+    chunks.push( current );
+
+    return chunks.join( '\r\n ' );
+  };
+
+  /**
+   * Formats an instant as iCalendar UTC date-time
+   * @param {Date} instant - Instant to format
+   * @returns {string} Date-time (e.g., "20301115T190000Z")
+   */
+  const formatUtc = ( instant ) => instant.toISOString().replace( /[-:]/gu, '' ).replace( /\.\d{3}/u, '' );
+
+  /**
+   * Formats a date as iCalendar DATE value
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {number} [addDays] - Days to add
+   * @returns {string} Date (e.g., "20301115")
+   */
+  const formatDate = ( date, addDays = 0 ) => {
+    const parsed = new Date( `${date}T00:00:00Z` );
+
+    parsed.setUTCDate( parsed.getUTCDate() + addDays );
+
+    return parsed.toISOString().slice( 0, 10 ).replace( /-/gu, '' );
+  };
+
+  /**
+   * Builds a UID that stays the same for a show of an act across cache refreshes
+   * @param {string} actId - MusicBrainz ID of the act
+   * @param {object} event - Event in unified schema
+   * @returns {string} UID (e.g., "3f2a...@musicfavorites")
+   */
+  const buildUid = ( actId, event ) => `${mf.eventMerger.getEventId( actId, event )}@musicfavorites`;
+
+  /**
+   * Builds the DTSTART and DTEND lines of an event
+   * Events without local time become all-day events, ending the day after their end date
+   * @param {object} event - Event in unified schema
+   * @returns {Array<string>} Date lines
+   */
+  const buildDateLines = ( event ) => {
+    if ( event.startsAt && !isNaN( Date.parse( event.startsAt ) ) ) {
+      return [ `DTSTART:${formatUtc( new Date( event.startsAt ) )}` ];
+    }
+
+    if ( event.localTime ) {
+      return [ `DTSTART:${formatDate( event.date )}T${event.localTime.replace( /:/gu, '' )}` ];
+    }
+
+    return [
+      `DTSTART;VALUE=DATE:${formatDate( event.date )}`,
+      `DTEND;VALUE=DATE:${formatDate( event.endDate || event.date, 1 )}`
+    ];
+  };
+
+  /**
+   * Joins venue name and address of an event into one location text
+   * @param {object} location - Event location with name and structured address
+   * @returns {string} Location text, empty if unknown
+   */
+  const buildLocationText = ( location ) => {
+    const address = location?.address || {};
+
+    return [
+      location?.name,
+      address.street,
+      [ address.postalCode, address.locality ].filter( Boolean ).join( ' ' ),
+      address.country
+    ].filter( Boolean ).join( ', ' );
+  };
+
+  /**
+   * Builds the VEVENT of an event
+   * @param {object} act - Act with musicbrainzId and name
+   * @param {object} event - Event in unified schema
+   * @param {string} timestamp - DTSTAMP value
+   * @returns {Array<string>} Unfolded content lines
+   */
+  const buildEvent = ( act, event, timestamp ) => {
+    const locationText = buildLocationText( event.location );
+    const geo = event.location?.geo;
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${buildUid( act.musicbrainzId, event )}`,
+      `DTSTAMP:${timestamp}`,
+      ...buildDateLines( event ),
+      `SUMMARY:${escapeText( event.name || act.name )}`,
+      ...locationText ? [ `LOCATION:${escapeText( locationText )}` ] : [],
+      ...mf.geo.isValidPoint( geo ) ? [ `GEO:${geo.lat};${geo.lon}` ] : [],
+      ...event.url ? [ `URL:${event.url}` ] : [],
+      `STATUS:${STATUS_MAP[ event.status ] || 'CONFIRMED'}`,
+      'END:VEVENT'
+    ];
+  };
+
+  /**
+   * Renders the events of acts as iCalendar
+   * @param {Array<object>} acts - Acts with musicbrainzId, name and events
+   * @returns {string} Calendar with one VEVENT per event and CRLF line endings
+   */
+  const buildCalendar = ( acts ) => {
+    const timestamp = formatUtc( new Date() );
+    const events = acts.flatMap( ( act ) => ( act.events || [] ).
+      filter( ( event ) => event.date ).
+      flatMap( ( event ) => buildEvent( act, event, timestamp ) ) );
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//MusicFavorites//MusicFavorites ${mf.constants.VERSION}//EN`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:Music Favorites',
+      ...events,
+      'END:VCALENDAR'
+    ];
+
+    return `${lines.map( foldLine ).join( '\r\n' )}\r\n`;
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.icsBuilder = {
+    buildCalendar
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.icsBuilder = {
+      buildDateLines,
+      buildLocationText,
+      buildUid,
+      escapeText,
+      foldLine
+    };
+  }
+} )();
@@ -0,0 +1,186 @@
+( () => {
+  'use strict';
+
+  /**
+   * Import parser module
+   * Reads artists from the export files of streaming services
+   * @module services/importParsers
+   */
+
+  /**
+   * Most artists accepted in one import, enough for the artists of large Last.fm libraries
+   * @constant {number}
+   */
+  const MAX_IMPORT_ENTRIES = 5000;
+
+  /**
+   * Builds the error result for an unreadable import file
+   * @param {string} details - Description of the problem
+   * @returns {object} Result with error message and details
+   */
+  const invalidImport = ( details ) => ( {
+    'error': {
+      'message': 'Invalid import file',
+      details
+    }
+  } );
+
+  /**
+   * Extracts the Spotify artist ID from an artist ID, URI or URL
+   * @param {string} value - e.g. "spotify:artist:1lYT0A0LV5DUfxr6doRP3d" or "https://open.spotify.com/artist/1lYT0A0LV5DUfxr6doRP3d"
+   * @returns {string|null} 22 character Spotify ID, or null if there is none
+   */
+  const extractSpotifyId = ( value ) => {
+    const match = typeof value === 'string' && value.match( /(?:^|artist[:/])(?<id>[0-9A-Za-z]{22})(?:$|[?#])/u );
+
+    return match ? match.groups.id : null;
+  };
+
+  /**
+   * Reads a Spotify "followed artists" JSON export
+   * Accepts the Web API response ({ artists: { items } }), a paging object ({ items }) or a plain array of artists
+   * @param {string} body - JSON text
+   * @returns {Array<object>|null} Entries with name and spotifyId, or null if the file is no Spotify export
+   */
+  const parseSpotify = ( body ) => {
+    let data;
+
+    try {
+      data = JSON.parse( body );
+    } catch {
+      return null;
+    }
+
+    const items = data?.artists?.items || data?.items || data;
+
+    if ( !Array.isArray( items ) ) {
+      return null;
+    }
+
+    return items.
+      filter( ( item ) => typeof item?.name === 'string' ).
+      map( ( item ) => ( {
+        'name': item.name,
+        'spotifyId': extractSpotifyId( item.id ) || extractSpotifyId( item.uri ) || extractSpotifyId( item.external_urls?.spotify )
+      } ) );
+  };
+
+  /**
+   * Reads the first field of a CSV line, honouring double quotes
+   * @param {string} line - One line of CSV
+   * @returns {string} First field without quotes
+   */
+  const readFirstCsvField = ( line ) => {
+    if ( !line.startsWith( '"' ) ) {
+      return line.split( ',' )[ 0 ];
+    }
+
+    const match = line.match( /^"(?<field>(?:[^"]|"")*)"/u );
+
+    return match ? match.groups.field.replace( /""/gu, '"' ) : line.slice( 1 );
+  };
+
+  /**
+   * Reads a Last.fm library CSV export (artist, album, track, date)
+   * A header line starting with "artist" is skipped
+   * @param {string} body - CSV text
+   * @returns {Array<object>} Entries with name
+   */
+  const parseLastfm = ( body ) => body.
+    split( /\r?\n/u ).
+    filter( ( line, index ) => index > 0 || !/^"?artist"?(?:,|$)/iu.test( line ) ).
+    map( ( line ) => ( { 'name': readFirstCsvField( line ) } ) );
+
+  /**
+   * Reads a plain list with one artist name per line
+   * @param {string} body - Text
+   * @returns {Array<object>} Entries with name
+   */
+  const parseNameList = ( body ) => body.
+    split( /\r?\n/u ).
+    map( ( line ) => ( { 'name': line } ) );
+
+  /**
+   * Parsers by import format
+   * @constant {object}
+   */
+  const PARSERS = {
+    'spotify': parseSpotify,
+    'lastfm': parseLastfm,
+    'text': parseNameList
+  };
+
+  /**
+   * Trims names, drops empty ones and keeps the first entry of names listed several times
+   * Last.fm exports list an artist once per scrobble
+   * @param {Array<object>} entries - Parsed entries
+   * @returns {Array<object>} Unique entries with trimmed names
+   */
+  const uniqueEntries = ( entries ) => {
+    const seen = new Set();
+
+    return entries.
+      map( ( entry ) => ( {
+        ...entry,
+        'name': entry.name.trim()
+      } ) ).
+      filter( ( entry ) => {
+        const key = entry.name.toLowerCase();
+
+        if ( entry.name.length === 0 || seen.has( key ) ) {
+          return false;
+        }
+
+        seen.add( key );
+
+        return true;
+      } );
+  };
+
+  /**
+   * Reads the artists of an import file
+   * @param {string} format - "spotify", "lastfm" or "text"
+   * @param {string} body - File content
+   * @returns {object} Result with entries, or error for unknown formats, unreadable or oversized files
+   */
+  const parseImport = ( format, body ) => {
+    const parse = Object.hasOwn( PARSERS, format ) && PARSERS[ format ];
+
+    if ( !parse ) {
+      return invalidImport( `Unknown format ${format}, use one of ${Object.keys( PARSERS ).join( ', ' )}` );
+    }
+
+    const parsed = typeof body === 'string' ? parse( body ) : null;
+
+    if ( !parsed ) {
+      return invalidImport( `Request body is no ${format} export` );
+    }
+
+    const entries = uniqueEntries( parsed );
+
+    if ( entries.length === 0 || entries.length > MAX_IMPORT_ENTRIES ) {
+      return invalidImport( `Import must contain 1 to ${MAX_IMPORT_ENTRIES} artists, found ${entries.length}` );
+    }
+
+    return {
+      entries
+    };
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.importParsers = {
+    parseImport
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.importParsers = {
+      extractSpotifyId,
+      parseLastfm,
+      parseSpotify,
+      readFirstCsvField
+    };
+  }
+} )();
@@ -11,6 +11,9 @@
   const cheerio = require( 'cheerio' );
   require( '../logger' );
   require( '../constants' );
+  require( './circuitBreaker' );
+  require( './rateLimiter' );
+  require( './upstreamRetry' );
 
   /**
    * Validates URL format for HTTP/HTTPS protocols with domain whitelist
@@ -25,7 +28,9 @@
     // Whitelist of allowed domains for fetching LD+JSON data
     const allowedDomains = [
       'bandsintown.com',
-      'www.bandsintown.com'
+      'www.bandsintown.com',
+      'songkick.com',
+      'www.songkick.com'
     ];
 
     try {
@@ -83,10 +88,29 @@
     return ldJsonBlocks;
   };
 
+  /**
+   * Sends a rate limited GET request for an event page, retrying transient failures
+   * Fails at once while the circuit breaker of the event source is open
+   * @param {string} url - Event page URL
+   * @returns {Promise<object>} Axios response
+   * @throws {Error} Axios error of the last attempt, or circuit breaker error
+   */
+  const fetchPage = ( url ) => mf.circuitBreaker.execute( url, () => mf.upstreamRetry.withRetries( async () => {
+    await mf.rateLimiter.acquire( url );
+
+    return axios.get( url, {
+      'timeout': mf.constants.HTTP_TIMEOUT,
+      'headers': {
+        'User-Agent': mf.constants.USER_AGENT
+      }
+    } );
+  }, { url } ) );
+
   /**
    * Fetches a URL and extracts LD+JSON data
    * @param {string} url - The URL to fetch (must be valid HTTP/HTTPS URL)
-   * @returns {Promise<Array<object>>} Array of parsed JSON objects (empty array on error or invalid URL)
+   * @returns {Promise<Array<object>>} Array of parsed JSON objects (empty array for invalid URL)
+   * @throws {Error} When the page cannot be fetched, so callers can tell a failed source from one without events
    */
   const fetchAndExtractLdJson = async ( url ) => {
     if ( !validateUrl( url ) ) {
@@ -96,18 +120,13 @@
     // Log before request
     mf.logger.debug(
       { url },
-      'Fetching Bandsintown HTML'
+      'Fetching event page HTML'
     );
 
     const start = Date.now();
 
     try {
-      const response = await axios.get( url, {
-        'timeout': mf.constants.HTTP_TIMEOUT,
-        'headers': {
-          'User-Agent': mf.constants.USER_AGENT
-        }
-      } );
+      const response = await fetchPage( url );
 
       const events = extractLdJson( response.data );
       const duration = Date.now() - start;
@@ -119,7 +138,7 @@
           'eventCount': events.length,
           duration
         },
-        'Parsed Bandsintown events'
+        'Parsed LD+JSON from event page'
       );
 
       return events;
@@ -133,8 +152,7 @@
         'Failed to extract LD+JSON'
       );
 
-      // Fail silently for any errors (network, timeout, 404, etc.)
-      return [];
+      throw error;
     }
   };
 
@@ -9,6 +9,9 @@
   const axios = require( 'axios' );
   require( '../logger' );
   require( '../constants' );
+  require( './circuitBreaker' );
+  require( './rateLimiter' );
+  require( './upstreamRetry' );
 
   const MUSICBRAINZ_BASE_URL = 'https://musicbrainz.org/ws/2';
 
@@ -64,11 +67,48 @@
     );
   };
 
+  /**
+   * Builds the request options shared by all MusicBrainz API calls
+   * @returns {object} Axios request config with User-Agent and timeout
+   */
+  const getRequestConfig = () => ( {
+    'headers': {
+      'User-Agent': mf.constants.USER_AGENT
+    },
+    'timeout': mf.constants.HTTP_TIMEOUT
+  } );
+
+  /**
+   * Sends a rate limited GET request to MusicBrainz, retrying transient failures
+   * Fails at once while the MusicBrainz circuit breaker is open
+   * @param {string} url - MusicBrainz API URL
+   * @returns {Promise<object>} Axios response
+   * @throws {Error} Axios error of the last attempt, or circuit breaker error
+   */
+  const get = ( url ) => mf.circuitBreaker.execute( url, () => mf.upstreamRetry.withRetries( async () => {
+    await mf.rateLimiter.acquire( url );
+
+    return axios.get( url, getRequestConfig() );
+  }, { url } ) );
+
+  /**
+   * Wraps an axios error with the MusicBrainz prefix and the HTTP status
+   * @param {Error} error - Error thrown by axios
+   * @returns {Error} Error with statusCode (null without response)
+   */
+  const wrapError = ( error ) => {
+    const wrappedError = new Error( `MusicBrainz: ${error.message}` );
+
+    wrappedError.statusCode = error.response?.status || null;
+
+    return wrappedError;
+  };
+
   /**
    * Fetches act data from MusicBrainz API
    * @param {string} actId - The MusicBrainz act ID (must be a valid UUID)
    * @returns {Promise<object>} Act data from MusicBrainz
-   * @throws {Error} When the API request fails or MBID is invalid (with MusicBrainz prefix)
+   * @throws {Error} When the API request fails or MBID is invalid (with MusicBrainz prefix and HTTP statusCode, null without response)
    */
   const fetchAct = async ( actId ) => {
     if ( !validateMbid( actId ) ) {
@@ -88,25 +128,94 @@
     const start = Date.now();
 
     try {
-      const response = await axios.get( url, {
-        'headers': {
-          'User-Agent': mf.constants.USER_AGENT
-        },
-        'timeout': mf.constants.HTTP_TIMEOUT
-      } );
+      const response = await get( url );
 
       logSuccess( actId, response, Date.now() - start );
 
       return response.data;
     } catch ( error ) {
       logError( actId, error );
-      throw new Error( `MusicBrainz: ${error.message}` );
+
+      throw wrapError( error );
+    }
+  };
+
+  /**
+   * Escapes the characters Lucene reads as query syntax, so names like "AC/DC" or "Sunn O)))" are searched as typed
+   * @param {string} query - Search text as typed by the user
+   * @returns {string} Lucene query matching the text literally
+   */
+  const escapeLucene = ( query ) => query.replace( /[+\-&|!(){}[\]^"~*?:\\/]/gu, '\\$&' );
+
+  /**
+   * Searches MusicBrainz artists by name
+   * @param {string} query - Search text as typed by the user
+   * @param {number} limit - Maximum number of artists to return
+   * @returns {Promise<Array<object>>} Artists as returned by MusicBrainz, best match first
+   * @throws {Error} When the API request fails (with MusicBrainz prefix and HTTP statusCode, null without response)
+   */
+  const searchActs = async ( query, limit ) => {
+    const url = `${MUSICBRAINZ_BASE_URL}/artist?query=${encodeURIComponent( escapeLucene( query ) )}&limit=${limit}&fmt=json`;
+    const start = Date.now();
+
+    try {
+      const response = await get( url );
+
+      mf.logger.info( {
+        query,
+        'status': response.status,
+        'duration': Date.now() - start,
+        'resultCount': response.data.artists?.length || 0
+      }, 'MusicBrainz search completed' );
+
+      return response.data.artists || [];
+    } catch ( error ) {
+      mf.logger.error( {
+        query,
+        'err': error,
+        'status': error.response?.status
+      }, 'MusicBrainz search error' );
+
+      throw wrapError( error );
+    }
+  };
+
+  /**
+   * Finds the artists MusicBrainz links to an external URL, e.g. a Spotify artist page
+   * @param {string} resource - External URL as stored in MusicBrainz url-rels
+   * @returns {Promise<Array<object>>} Linked artists with id and name, empty if MusicBrainz does not know the URL
+   * @throws {Error} When the API request fails for other reasons (with MusicBrainz prefix and HTTP statusCode, null without response)
+   */
+  const lookupUrl = async ( resource ) => {
+    const url = `${MUSICBRAINZ_BASE_URL}/url?resource=${encodeURIComponent( resource )}&inc=artist-rels&fmt=json`;
+
+    try {
+      const response = await get( url );
+
+      return ( response.data.relations || [] ).
+        filter( ( relation ) => relation.artist ).
+        map( ( relation ) => relation.artist );
+    } catch ( error ) {
+      if ( error.response?.status === 404 ) {
+        return [];
+      }
+
+      mf.logger.error( {
+        resource,
+        'err': error,
+        'status': error.response?.status
+      }, 'MusicBrainz URL lookup error' );
+
+      throw wrapError( error );
     }
   };
 
   // Initialize global namespace
   globalThis.mf = globalThis.mf || {};
   globalThis.mf.musicbrainz = {
-    fetchAct
+    fetchAct,
+    lookupUrl,
+    searchActs,
+    validateMbid
   };
 } )();
@@ -0,0 +1,163 @@
+( () => {
+  'use strict';
+
+  /**
+   * Negative cache module
+   * Remembers act IDs that MusicBrainz cannot deliver, so requests for them are answered without going upstream
+   * Merged IDs need no negative reason: MusicBrainz delivers the surviving act for them, they are recorded as aliases
+   * @module services/negativeCache
+   */
+
+  require( './database' );
+  require( './databaseAliases' );
+  require( './databaseNegativeCache' );
+  require( './musicbrainz' );
+
+  /**
+   * Stores a negative result in the background
+   * @param {string} actId - Requested MusicBrainz ID
+   * @param {string} reason - "invalid" or "notFound"
+   * @returns {void}
+   */
+  const remember = ( actId, reason ) => {
+    mf.databaseNegativeCache.cacheNegativeResult( actId, reason ).catch( ( error ) => {
+      mf.logger.warn( {
+        actId,
+        reason,
+        'err': error
+      }, 'Failed to cache negative result' );
+    } );
+  };
+
+  /**
+   * Determines why a failed MusicBrainz fetch will keep failing
+   * @param {string} actId - Requested MusicBrainz ID
+   * @param {Error} error - Error thrown by musicbrainz.fetchAct
+   * @returns {string|null} "invalid" or "notFound", null for errors that may go away (timeouts, 5xx)
+   */
+  const getFailureReason = ( actId, error ) => {
+    if ( !mf.musicbrainz.validateMbid( actId ) ) {
+      return 'invalid';
+    }
+
+    if ( error.statusCode === 404 ) {
+      return 'notFound';
+    }
+
+    return null;
+  };
+
+  /**
+   * Records an MBID that MusicBrainz merged into another in the background
+   * @param {string} aliasId - Requested (merged) MBID
+   * @param {string} canonicalId - MBID MusicBrainz answered with
+   * @returns {void}
+   */
+  const rememberAlias = ( aliasId, canonicalId ) => {
+    mf.databaseAliases.recordAlias( aliasId, canonicalId ).catch( ( error ) => {
+      mf.logger.warn( {
+        aliasId,
+        canonicalId,
+        'err': error
+      }, 'Failed to record act alias' );
+    } );
+  };
+
+  /**
+   * Fetches an act from MusicBrainz and remembers IDs that cannot be fetched as requested
+   * MusicBrainz answers requests for merged MBIDs with the act they were merged into
+   * @param {string} actId - Requested MusicBrainz ID
+   * @returns {Promise<object>} Act data from MusicBrainz
+   * @throws {Error} When the MusicBrainz request fails
+   */
+  const fetchMusicBrainzAct = async ( actId ) => {
+    let mbData = null;
+
+    try {
+      mbData = await mf.musicbrainz.fetchAct( actId );
+    } catch ( error ) {
+      const reason = getFailureReason( actId, error );
+
+      if ( reason ) {
+        remember( actId, reason );
+      }
+
+      throw error;
+    }
+
+    if ( typeof mbData?.id === 'string' && mbData.id.toLowerCase() !== actId.toLowerCase() ) {
+      rememberAlias( actId, mbData.id );
+    }
+
+    return mbData;
+  };
+
+  /**
+   * Looks up the negative results of act IDs
+   * Fails open: if the lookup fails, the acts are fetched as if nothing was known about them
+   * @param {Array<string>} actIds - MusicBrainz IDs missing from the cache
+   * @returns {Promise<Array<object>>} Results with musicbrainzId, reason and expiresAt
+   */
+  const findNegativeResults = async ( actIds ) => {
+    try {
+      return await mf.databaseNegativeCache.getNegativeResults( actIds );
+    } catch ( error ) {
+      mf.logger.warn( { 'err': error }, 'Failed to read negative cache' );
+
+      return [];
+    }
+  };
+
+  /**
+   * Lists the negative results of a request next to its acts or in its job
+   * A request that has nothing but negative results fails with 404
+   * @param {object} result - Result with acts array or job
+   * @param {Array<object>} notFound - Negative results with musicbrainzId, reason and expiresAt
+   * @returns {object} Result with notFound, or error with HTTP status 404
+   */
+  const reportNotFound = ( result, notFound ) => {
+    if ( notFound.length === 0 ) {
+      return result;
+    }
+
+    if ( result.acts?.length === 0 ) {
+      return {
+        'status': 404,
+        'error': {
+          'message': `${notFound.length} acts cannot be fetched from MusicBrainz`,
+          'acts': notFound
+        }
+      };
+    }
+
+    if ( result.job ) {
+      return {
+        'job': {
+          ...result.job,
+          notFound
+        }
+      };
+    }
+
+    return {
+      ...result,
+      notFound
+    };
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.negativeCache = {
+    fetchMusicBrainzAct,
+    findNegativeResults,
+    reportNotFound
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.negativeCache = {
+      getFailureReason
+    };
+  }
+} )();
@@ -0,0 +1,183 @@
+( () => {
+  'use strict';
+
+  /**
+   * Upstream rate limiter module
+   * One token bucket per upstream host, shared by every fetch path (requests, fetch queue, cache updater, webhooks)
+   * @module services/rateLimiter
+   */
+
+  require( '../logger' );
+  require( './upstreamHost' );
+
+  /**
+   * Rate limits of known upstream hosts, keyed by normalized host name
+   * MusicBrainz allows about one request per second per client
+   * @constant {object}
+   */
+  const HOST_LIMITS = {
+    'musicbrainz.org': {
+      'requestsPerSecond': 1,
+      'burst': 1
+    },
+    'bandsintown.com': {
+      'requestsPerSecond': 2,
+      'burst': 2
+    },
+    'songkick.com': {
+      'requestsPerSecond': 2,
+      'burst': 2
+    }
+  };
+
+  /**
+   * Rate limit of all other hosts, e.g. webhook receivers
+   * @constant {object}
+   */
+  const DEFAULT_LIMIT = {
+    'requestsPerSecond': 5,
+    'burst': 5
+  };
+
+  /**
+   * Token buckets by normalized host
+   * @type {Map<string, object>}
+   */
+  const buckets = new Map();
+
+  /**
+   * Gets the bucket of a host, creating a full one on first use
+   * @param {string} host - Normalized upstream host name
+   * @returns {object} Bucket with limit, tokens, waiting requests and statistics
+   */
+  const getBucket = ( host ) => {
+    if ( !buckets.has( host ) ) {
+      const limit = HOST_LIMITS[ host ] || DEFAULT_LIMIT;
+
+      buckets.set( host, {
+        host,
+        limit,
+        'tokens': limit.burst,
+        'refilledAt': Date.now(),
+        'waiting': [],
+        'timer': null,
+        'requests': 0,
+        'delayedRequests': 0,
+        'totalWaitMs': 0,
+        'maxWaitMs': 0
+      } );
+    }
+
+    return buckets.get( host );
+  };
+
+  /**
+   * Adds the tokens earned since the last refill, up to the burst size
+   * @param {object} bucket - Token bucket
+   * @returns {void}
+   */
+  const refill = ( bucket ) => {
+    const now = Date.now();
+    const earned = ( now - bucket.refilledAt ) * bucket.limit.requestsPerSecond / 1000;
+
+    bucket.tokens = Math.min( bucket.limit.burst, bucket.tokens + earned );
+    bucket.refilledAt = now;
+  };
+
+  /**
+   * Records how long a request waited for its token
+   * @param {object} bucket - Token bucket
+   * @param {number} waitMs - Time between asking for and getting the token
+   * @returns {void}
+   */
+  const recordWait = ( bucket, waitMs ) => {
+    bucket.requests++;
+    bucket.totalWaitMs += waitMs;
+    bucket.maxWaitMs = Math.max( bucket.maxWaitMs, waitMs );
+
+    if ( waitMs > 0 ) {
+      bucket.delayedRequests++;
+    }
+  };
+
+  /**
+   * Hands out tokens to waiting requests in order and schedules the next round while requests remain
+   * @param {object} bucket - Token bucket
+   * @returns {void}
+   */
+  const drain = ( bucket ) => {
+    refill( bucket );
+
+    while ( bucket.waiting.length > 0 && bucket.tokens >= 1 ) {
+      const { resolve, requestedAt } = bucket.waiting.shift();
+
+      bucket.tokens -= 1;
+      recordWait( bucket, Date.now() - requestedAt );
+      resolve();
+    }
+
+    if ( bucket.waiting.length > 0 && !bucket.timer ) {
+      const delayMs = Math.ceil( ( 1 - bucket.tokens ) * 1000 / bucket.limit.requestsPerSecond );
+
+      bucket.timer = setTimeout( () => {
+        bucket.timer = null;
+        drain( bucket );
+      }, delayMs );
+    }
+  };
+
+  /**
+   * Waits until a request to the host of a URL is allowed
+   * Requests to the same host are let through in the order they asked
+   * @param {string} url - URL about to be requested
+   * @returns {Promise<void>} Resolves when the request may be sent
+   */
+  const acquire = ( url ) => new Promise( ( resolve ) => {
+    const bucket = getBucket( mf.upstreamHost.getHostKey( url ) );
+
+    bucket.waiting.push( {
+      resolve,
+      'requestedAt': Date.now()
+    } );
+
+    if ( bucket.waiting.length > 1 ) {
+      mf.logger.debug( {
+        'host': bucket.host,
+        'queueDepth': bucket.waiting.length
+      }, 'Upstream request waiting for rate limit' );
+    }
+
+    drain( bucket );
+  } );
+
+  /**
+   * Gets queue depth and wait times per upstream host
+   * @returns {object} Metrics by normalized host name
+   */
+  const getMetrics = () => Object.fromEntries( [ ...buckets.values() ].map( ( bucket ) => [
+    bucket.host,
+    {
+      'requestsPerSecond': bucket.limit.requestsPerSecond,
+      'queueDepth': bucket.waiting.length,
+      'requests': bucket.requests,
+      'delayedRequests': bucket.delayedRequests,
+      'averageWaitMs': bucket.requests > 0 ? Math.round( bucket.totalWaitMs / bucket.requests ) : 0,
+      'maxWaitMs': bucket.maxWaitMs
+    }
+  ] ) );
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.rateLimiter = {
+    acquire,
+    getMetrics
+  };
+
+  // Expose private state for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.rateLimiter = {
+      buckets
+    };
+  }
+} )();
@@ -0,0 +1,66 @@
+( () => {
+  'use strict';
+
+  /**
+   * Songkick event transformer module
+   * Transforms Songkick LD+JSON MusicEvent data to unified event schema
+   * @module services/songkickTransformer
+   */
+
+  require( './bandsintownTransformer' );
+
+  /**
+   * Removes duplicate MusicEvent objects
+   * Songkick repeats the same event on artist pages (e.g. in "upcoming" and "festivals" sections)
+   * @param {Array<object>} ldJsonData - Array of LD+JSON objects
+   * @returns {Array<object>} LD+JSON objects with duplicate events removed
+   */
+  const removeDuplicateEvents = ( ldJsonData ) => {
+    const seen = new Set();
+
+    return ldJsonData.filter( ( item ) => {
+      if ( item[ '@type' ] !== 'MusicEvent' ) {
+        return true;
+      }
+
+      const key = `${item.url}|${item.startDate}|${item.name}`;
+
+      if ( seen.has( key ) ) {
+        return false;
+      }
+
+      seen.add( key );
+
+      return true;
+    } );
+  };
+
+  /**
+   * Transforms array of Songkick LD+JSON objects to event schema
+   * Songkick publishes the same schema.org MusicEvent markup as Bandsintown,
+   * so mapping, date filtering and name filtering are shared with the Bandsintown transformer
+   * @param {Array<object>} ldJsonData - Array of LD+JSON objects
+   * @returns {Array<object>} Array of transformed event objects
+   */
+  const transformEvents = ( ldJsonData ) => {
+    if ( !ldJsonData || !Array.isArray( ldJsonData ) ) {
+      return [];
+    }
+
+    return mf.bandsintownTransformer.transformEvents( removeDuplicateEvents( ldJsonData ) );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.songkickTransformer = {
+    transformEvents
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.songkickTransformer = {
+      removeDuplicateEvents
+    };
+  }
+} )();
@@ -0,0 +1,294 @@
+( () => {
+  'use strict';
+
+  /**
+   * Timezone module
+   * Resolves venue timezones from the bundled lookup tables and converts local show times to instants
+   * @module services/timezones
+   */
+
+  require( './geo' );
+
+  /**
+   * IANA timezones per ISO 3166-1 alpha-2 country code
+   * Each entry has a reference point, the first entry is the country's main timezone
+   * @constant {object}
+   */
+  const TIMEZONES_BY_COUNTRY = require( '../data/timezones.json' );
+
+  /**
+   * Regions (states, provinces) of countries spanning several timezones
+   * Each region has its code, names, timezone, reference points and optionally
+   * localities that keep another timezone than the rest of the region (e.g., El Paso, Texas)
+   * @constant {object}
+   */
+  const REGIONS_BY_COUNTRY = require( '../data/timezoneRegions.json' );
+
+  /**
+   * Matches an explicit UTC offset at the end of an ISO 8601 datetime string
+   * @constant {RegExp}
+   */
+  const EXPLICIT_OFFSET_PATTERN = /T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/u;
+
+  /**
+   * Normalizes a region or locality name for lookup
+   * Lowercases, strips diacritics and removes everything that is not a letter
+   * @param {string} name - Region or locality name
+   * @returns {string} Normalized lookup key
+   */
+  const normalizePlaceName = ( name ) => name.
+    normalize( 'NFKD' ).
+    replace( /\p{Diacritic}/gu, '' ).
+    toLowerCase().
+    replace( /[^\p{L}]/gu, '' );
+
+  /**
+   * Finds the entry with the reference point nearest to a location
+   * @param {Array<object>} entries - Timezone entries with zone, lat and lon
+   * @param {object} geo - Location with lat and lon
+   * @returns {object} Nearest entry
+   */
+  const findNearestEntry = ( entries, geo ) => entries.reduce( ( nearest, entry ) => {
+    const distance = mf.geo.distanceKm( geo, entry );
+
+    return distance < nearest.distance ? {
+      entry,
+      distance
+    } : nearest;
+  }, {
+    'entry': entries[ 0 ],
+    'distance': Infinity
+  } ).entry;
+
+  /**
+   * Finds the region of a venue, by region code or name, else by the nearest reference point
+   * @param {Array<object>} regions - Regions of the venue country
+   * @param {string|null} regionName - Region of the venue address (e.g., "TX" or "Texas")
+   * @param {object|null} geo - Venue coordinates with lat and lon
+   * @returns {object|null} Region, or null if neither region nor coordinates are known
+   */
+  const findRegion = ( regions, regionName, geo ) => {
+    const key = regionName ? normalizePlaceName( regionName ) : '';
+    const named = key && regions.find( ( region ) => [ region.code, ...region.names ].some( ( name ) => normalizePlaceName( name ) === key ) );
+
+    if ( named ) {
+      return named;
+    }
+
+    if ( !mf.geo.isValidPoint( geo ) ) {
+      return null;
+    }
+
+    const points = regions.flatMap( ( region ) => region.points.map( ( point ) => ( {
+      ...point,
+      region
+    } ) ) );
+
+    return findNearestEntry( points, geo ).region;
+  };
+
+  /**
+   * Gets the timezone of a locality in a region, which is the region timezone unless the locality is an exception
+   * @param {object} region - Region with zone and optional localities
+   * @param {string|null} locality - Locality of the venue address
+   * @returns {string} IANA timezone
+   */
+  const getRegionTimeZone = ( region, locality ) => {
+    const key = locality ? normalizePlaceName( locality ) : '';
+    const exception = key && Object.entries( region.localities || {} ).find( ( [ name ] ) => normalizePlaceName( name ) === key );
+
+    return exception ? exception[ 1 ] : region.zone;
+  };
+
+  /**
+   * Finds the IANA timezone of a venue
+   * Countries with regions in different timezones use the timezone of the venue region,
+   * found by the region of the address or else by the nearest region reference point
+   * Other countries with several timezones use the zone with the nearest reference point
+   * Without a known country the nearest reference point of all countries is used
+   * @param {object} geo - Venue coordinates with lat and lon
+   * @param {object} address - Venue address with countryCode, region and locality
+   * @returns {string|null} IANA timezone (e.g., "Europe/Berlin"), or null if unknown
+   */
+  const findTimeZone = ( geo, address ) => {
+    const countryCode = address?.countryCode;
+    const regions = REGIONS_BY_COUNTRY[ countryCode ];
+    const region = regions ? findRegion( regions, address.region, geo ) : null;
+
+    if ( region ) {
+      return getRegionTimeZone( region, address.locality );
+    }
+
+    const entries = TIMEZONES_BY_COUNTRY[ countryCode ];
+    const hasGeo = mf.geo.isValidPoint( geo );
+
+    if ( entries ) {
+      return hasGeo ? findNearestEntry( entries, geo ).zone : entries[ 0 ].zone;
+    }
+
+    if ( hasGeo ) {
+      return findNearestEntry( Object.values( TIMEZONES_BY_COUNTRY ).flat(), geo ).zone;
+    }
+
+    return null;
+  };
+
+  /**
+   * Gets the UTC offset of a timezone at an instant
+   * @param {string} timeZone - IANA timezone
+   * @param {number} timestamp - Instant in milliseconds since epoch
+   * @returns {number} Offset in minutes east of UTC
+   */
+  const getOffsetMinutes = ( timeZone, timestamp ) => {
+    const { value } = new Intl.DateTimeFormat( 'en-US', {
+      timeZone,
+      'timeZoneName': 'longOffset'
+    } ).formatToParts( new Date( timestamp ) ).find( ( part ) => part.type === 'timeZoneName' );
+    const match = value.match( /(?<sign>[+-])(?<hours>\d{2}):(?<minutes>\d{2})/u );
+
+    if ( !match ) {
+      return 0;
+    }
+
+    const minutes = ( Number( match.groups.hours ) * 60 ) + Number( match.groups.minutes );
+
+    return match.groups.sign === '-' ? -minutes : minutes;
+  };
+
+  /**
+   * Gets the calendar date of an instant in a timezone
+   * @param {number} timestamp - Instant in milliseconds since epoch
+   * @param {string} timeZone - IANA timezone, null for UTC
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  const getLocalDate = ( timestamp, timeZone ) => new Date( timestamp + ( getOffsetMinutes( timeZone || 'UTC', timestamp ) * 60000 ) ).
+    toISOString().
+    slice( 0, 10 );
+
+  /**
+   * Converts a local wall-clock time at a venue to an instant
+   * @param {string} date - Local date in YYYY-MM-DD format
+   * @param {string} localTime - Local time in HH:MM:SS format, empty for start of day
+   * @param {string} timeZone - IANA timezone, null for UTC
+   * @returns {Date|null} Instant, or null if date or time are invalid
+   */
+  const toInstant = ( date, localTime, timeZone ) => {
+    const wallClock = Date.parse( `${date}T${localTime || '00:00:00'}Z` );
+
+    if ( isNaN( wallClock ) ) {
+      return null;
+    }
+
+    if ( !timeZone ) {
+      return new Date( wallClock );
+    }
+
+    // The offset depends on the instant itself, so correct once for DST transitions
+    const firstGuess = wallClock - ( getOffsetMinutes( timeZone, wallClock ) * 60000 );
+
+    return new Date( wallClock - ( getOffsetMinutes( timeZone, firstGuess ) * 60000 ) );
+  };
+
+  /**
+   * Gets the start instant of an event
+   * Uses startsAt, falling back to date and localTime in the event timezone (UTC if unknown)
+   * @param {object} event - Event with startsAt or date, localTime and timeZone
+   * @returns {Date|null} Start instant, or null if the event has no valid start
+   */
+  const getEventInstant = ( event ) => {
+    if ( event.startsAt ) {
+      const instant = new Date( event.startsAt );
+
+      return isNaN( instant.getTime() ) ? null : instant;
+    }
+
+    return toInstant( event.date, event.localTime, event.timeZone );
+  };
+
+  /**
+   * Formats an instant as ISO 8601 timestamp in the local time of a timezone
+   * @param {Date} instant - Instant to format
+   * @param {string} timeZone - IANA timezone
+   * @returns {string} Timestamp with offset (e.g., "2025-11-25T18:00:00+01:00")
+   */
+  const formatWithOffset = ( instant, timeZone ) => {
+    const offset = getOffsetMinutes( timeZone, instant.getTime() );
+    const localTime = new Date( instant.getTime() + ( offset * 60000 ) ).toISOString().slice( 0, 19 );
+    const sign = offset < 0 ? '-' : '+';
+    const hours = String( Math.floor( Math.abs( offset ) / 60 ) ).padStart( 2, '0' );
+    const minutes = String( Math.abs( offset ) % 60 ).padStart( 2, '0' );
+
+    return `${localTime}${sign}${hours}:${minutes}`;
+  };
+
+  /**
+   * Resolves the instant of an ISO 8601 start date
+   * Start dates with explicit offset are absolute, all others are local to the venue
+   * @param {string} startDate - ISO 8601 date or datetime string
+   * @param {string} timeZone - IANA timezone of the venue, null for UTC
+   * @returns {Date|null} Instant, or null if startDate is invalid
+   */
+  const resolveInstant = ( startDate, timeZone ) => {
+    if ( !startDate || typeof startDate !== 'string' ) {
+      return null;
+    }
+
+    if ( EXPLICIT_OFFSET_PATTERN.test( startDate ) ) {
+      const instant = new Date( startDate );
+
+      return isNaN( instant.getTime() ) ? null : instant;
+    }
+
+    const match = startDate.match( /^(?<date>\d{4}-\d{2}-\d{2})(?:T(?<hours>\d{2}):(?<minutes>\d{2})(?::(?<seconds>\d{2}))?(?:\.\d+)?)?$/u );
+
+    if ( !match ) {
+      return null;
+    }
+
+    const { date, hours, minutes, seconds } = match.groups;
+
+    return toInstant( date, hours ? `${hours}:${minutes}:${seconds || '00'}` : '', timeZone );
+  };
+
+  /**
+   * Builds the absolute start time of an event
+   * @param {string} startDate - ISO 8601 datetime string
+   * @param {string} timeZone - IANA timezone of the venue
+   * @returns {string|null} ISO 8601 timestamp with venue offset, or null without time or resolvable timezone
+   */
+  const buildStartsAt = ( startDate, timeZone ) => {
+    if ( typeof startDate !== 'string' || !startDate.includes( 'T' ) ) {
+      return null;
+    }
+
+    const isAbsolute = EXPLICIT_OFFSET_PATTERN.test( startDate );
+
+    if ( !timeZone && !isAbsolute ) {
+      return null;
+    }
+
+    const instant = resolveInstant( startDate, timeZone );
+
+    return instant ? formatWithOffset( instant, timeZone || 'UTC' ) : null;
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.timezones = {
+    buildStartsAt,
+    findTimeZone,
+    getEventInstant,
+    getLocalDate,
+    resolveInstant,
+    toInstant
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.timezones = {
+      formatWithOffset,
+      getOffsetMinutes
+    };
+  }
+} )();
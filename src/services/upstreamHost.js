@@ -0,0 +1,29 @@
+( () => {
+  'use strict';
+
+  /**
+   * Upstream host module
+   * Names the host of an upstream URL the same way for rate limits and circuit breakers
+   * @module services/upstreamHost
+   */
+
+  /**
+   * Subdomain prefixes under which a provider serves the same site
+   * @constant {RegExp}
+   */
+  const SUBDOMAIN_PREFIX = /^(?:www|m|api)\./u;
+
+  /**
+   * Gets the normalized host of a URL, so every subdomain of a provider counts as one host
+   * @param {string} url - Upstream URL (e.g. "https://www.bandsintown.com/a/1")
+   * @returns {string} Host name without www., m. or api. prefix (e.g. "bandsintown.com")
+   * @throws {TypeError} When the URL is invalid
+   */
+  const getHostKey = ( url ) => new globalThis.URL( url ).hostname.replace( SUBDOMAIN_PREFIX, '' );
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.upstreamHost = {
+    getHostKey
+  };
+} )();
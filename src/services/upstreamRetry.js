@@ -0,0 +1,153 @@
+( () => {
+  'use strict';
+
+  /**
+   * Upstream retry module
+   * Retries transient upstream failures (timeouts, resets, 5xx) with exponential backoff and jitter
+   * @module services/upstreamRetry
+   */
+
+  require( '../logger' );
+
+  /**
+   * Most attempts per request, including the first one
+   * @constant {number}
+   */
+  const MAX_ATTEMPTS = 3;
+
+  /**
+   * Backoff before the first retry, doubled for every further retry
+   * @constant {number}
+   */
+  const BASE_DELAY_MS = 1000;
+
+  /**
+   * Longest Retry-After that is waited for, longer ones fail at once
+   * @constant {number}
+   */
+  const MAX_RETRY_AFTER_MS = 30 * 1000;
+
+  /**
+   * HTTP statuses of upstream hiccups that are worth another attempt
+   * @constant {Array<number>}
+   */
+  const RETRYABLE_STATUSES = [ 500, 502, 503, 504 ];
+
+  /**
+   * Error codes of requests that timed out or lost their connection
+   * @constant {Array<string>}
+   */
+  const RETRYABLE_CODES = [ 'ECONNABORTED', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN', 'ETIMEDOUT' ];
+
+  /**
+   * Waits for the given time
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>} Resolves after the time has passed
+   */
+  const sleep = ( ms ) => new Promise( ( resolve ) => {
+    setTimeout( resolve, ms );
+  } );
+
+  /**
+   * Reads a Retry-After header given in seconds or as HTTP date
+   * @param {string|undefined} value - Header value
+   * @returns {number|null} Milliseconds to wait, or null without a readable header
+   */
+  const parseRetryAfter = ( value ) => {
+    if ( !value ) {
+      return null;
+    }
+
+    if ( /^\d+$/u.test( value ) ) {
+      return Number( value ) * 1000;
+    }
+
+    const date = Date.parse( value );
+
+    return Number.isNaN( date ) ? null : Math.max( 0, date - Date.now() );
+  };
+
+  /**
+   * Tells whether a failed request may succeed when sent again
+   * Client errors (4xx) never do
+   * @param {Error} error - Error thrown by axios
+   * @returns {boolean} True for timeouts, connection errors and retryable 5xx responses
+   */
+  const isRetryable = ( error ) => {
+    if ( error.response ) {
+      return RETRYABLE_STATUSES.includes( error.response.status );
+    }
+
+    return RETRYABLE_CODES.includes( error.code );
+  };
+
+  /**
+   * Determines how long to wait before the next attempt
+   * Honours Retry-After, otherwise backs off exponentially with jitter so parallel retries spread out
+   * @param {Error} error - Error thrown by axios
+   * @param {number} attempt - Number of the failed attempt, starting at 1
+   * @returns {number|null} Milliseconds to wait, or null if the request must not be retried
+   */
+  const getRetryDelay = ( error, attempt ) => {
+    if ( attempt >= MAX_ATTEMPTS || !isRetryable( error ) ) {
+      return null;
+    }
+
+    const retryAfterMs = parseRetryAfter( error.response?.headers?.[ 'retry-after' ] );
+
+    if ( retryAfterMs !== null ) {
+      return retryAfterMs <= MAX_RETRY_AFTER_MS ? retryAfterMs : null;
+    }
+
+    const backoffMs = BASE_DELAY_MS * ( 2 ** ( attempt - 1 ) );
+
+    return Math.round( ( backoffMs / 2 ) + ( Math.random() * backoffMs / 2 ) );
+  };
+
+  /**
+   * Sends a request and repeats it while it fails transiently
+   * @param {Function} request - Sends the request, returns the axios response promise
+   * @param {object} context - Log context, e.g. { url }
+   * @param {number} [attempt] - Number of this attempt, starting at 1
+   * @returns {Promise<object>} Axios response
+   * @throws {Error} The last error when the request cannot or must not be retried
+   */
+  const withRetries = async ( request, context, attempt = 1 ) => {
+    try {
+      return await request();
+    } catch ( error ) {
+      const delayMs = getRetryDelay( error, attempt );
+
+      if ( delayMs === null ) {
+        throw error;
+      }
+
+      mf.logger.warn( {
+        ...context,
+        attempt,
+        delayMs,
+        'status': error.response?.status,
+        'code': error.code
+      }, 'Retrying upstream request' );
+
+      await sleep( delayMs );
+
+      return withRetries( request, context, attempt + 1 );
+    }
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.upstreamRetry = {
+    withRetries
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.upstreamRetry = {
+      getRetryDelay,
+      parseRetryAfter
+    };
+  }
+} )();
@@ -0,0 +1,305 @@
+( () => {
+  'use strict';
+
+  /**
+   * Webhook dispatcher module
+   * Notifies subscribers about event and status changes of their acts with signed JSON webhooks
+   * @module services/webhookDispatcher
+   */
+
+  const axios = require( 'axios' );
+  const crypto = require( 'crypto' );
+  require( '../constants' );
+  require( '../logger' );
+  require( './callbackGuard' );
+  require( './database' );
+  require( './rateLimiter' );
+
+  /**
+   * Maximum number of delivery attempts per webhook
+   * @constant {number}
+   */
+  const MAX_ATTEMPTS = 5;
+
+  /**
+   * Delay before the first retry, doubled for every further retry (30s, 1m, 2m, 4m)
+   * @constant {number}
+   */
+  const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+  /**
+   * Interval between checks for due retries
+   * @constant {number}
+   */
+  const RETRY_POLL_MS = 15 * 1000;
+
+  /**
+   * Maximum number of retries attempted per check, they are attempted one after another
+   * @constant {number}
+   */
+  const MAX_RETRIES_PER_POLL = 20;
+
+  /**
+   * Act statuses whose transitions are reported to subscribers
+   * @constant {Array<string>}
+   */
+  const NOTIFIED_STATUSES = [ 'on tour', 'tour planned', 'active' ];
+
+  /**
+   * Promise-based sleep utility
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>} Resolves after delay
+   */
+  const sleep = ( ms ) => new Promise( ( resolve ) => {
+    setTimeout( resolve, ms );
+  } );
+
+  /**
+   * Calculates the delay before the next attempt
+   * @param {number} attempt - Number of the failed attempt, starting at 1
+   * @returns {number} Delay in milliseconds
+   */
+  const getRetryDelay = ( attempt ) => RETRY_BASE_DELAY_MS * ( 2 ** ( attempt - 1 ) );
+
+  /**
+   * Signs a webhook body
+   * Subscribers verify by computing the same HMAC over "<timestamp>.<body>" with their secret
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix timestamp in seconds, also sent as header
+   * @param {string} body - Raw JSON body
+   * @returns {string} Signature header value (e.g., "sha256=5d41...")
+   */
+  const sign = ( secret, timestamp, body ) => {
+    const hmac = crypto.createHmac( 'sha256', secret ).update( `${timestamp}.${body}` ).digest( 'hex' );
+
+    return `sha256=${hmac}`;
+  };
+
+  /**
+   * Determines the status change worth reporting
+   * @param {string|null} previousStatus - Status before the refresh
+   * @param {string} status - Status after the refresh
+   * @returns {object|null} Status change with from and to, or null
+   */
+  const getStatusChange = ( previousStatus, status ) => {
+    if ( previousStatus === status || !NOTIFIED_STATUSES.includes( previousStatus ) || !NOTIFIED_STATUSES.includes( status ) ) {
+      return null;
+    }
+
+    return {
+      'from': previousStatus,
+      'to': status
+    };
+  };
+
+  /**
+   * Sends one delivery attempt
+   * The callback host is resolved again for every attempt, an attempt to a non-public address fails without request
+   * @param {object} subscription - Subscription with callbackUrl and secret
+   * @param {string} deliveryId - Delivery ID, the same for all attempts
+   * @param {string} body - Raw JSON body
+   * @returns {Promise<object>} Attempt result with success, statusCode and error
+   */
+  const postWebhook = async ( subscription, deliveryId, body ) => {
+    const timestamp = Math.floor( Date.now() / 1000 );
+
+    try {
+      await mf.callbackGuard.assertPublicUrl( subscription.callbackUrl );
+      await mf.rateLimiter.acquire( subscription.callbackUrl );
+
+      const response = await axios.post( subscription.callbackUrl, body, {
+        'headers': {
+          'Content-Type': 'application/json',
+          'User-Agent': mf.constants.USER_AGENT,
+          'X-MusicFavorites-Delivery': deliveryId,
+          'X-MusicFavorites-Timestamp': String( timestamp ),
+          'X-MusicFavorites-Signature': sign( subscription.secret, timestamp, body )
+        },
+        'timeout': mf.constants.HTTP_TIMEOUT,
+        'maxRedirects': 0,
+        // Checks the address actually connected to, which DNS may have changed since the check above
+        'lookup': mf.callbackGuard.resolvePublicAddresses
+      } );
+
+      return {
+        'success': true,
+        'statusCode': response.status,
+        'error': null
+      };
+    } catch ( error ) {
+      return {
+        'success': false,
+        'statusCode': error.response?.status || null,
+        'error': error.message
+      };
+    }
+  };
+
+  /**
+   * Logs a delivery attempt without ever failing the delivery
+   * @param {object} entry - Delivery attempt
+   * @returns {Promise<void>} Resolves when logged or logging failed
+   */
+  const logAttempt = async ( entry ) => {
+    try {
+      await mf.databaseSubscriptions.logDelivery( entry );
+    } catch ( error ) {
+      mf.logger.warn( {
+        'subscriptionId': entry.subscriptionId,
+        'err': error
+      }, 'Failed to log webhook delivery' );
+    }
+  };
+
+  /**
+   * Stores the next attempt of a failed delivery without ever failing the delivery
+   * @param {object} subscription - Subscription with _id
+   * @param {object} payload - Webhook payload with id
+   * @param {number} attempt - Number of the failed attempt, starting at 1
+   * @returns {Promise<void>} Resolves when stored or storing failed
+   */
+  const scheduleRetry = async ( subscription, payload, attempt ) => {
+    try {
+      await mf.databaseSubscriptions.scheduleRetry( {
+        '_id': payload.id,
+        'subscriptionId': subscription._id,
+        payload,
+        'attempt': attempt + 1,
+        'nextAttemptAt': new Date( Date.now() + getRetryDelay( attempt ) ).toISOString()
+      } );
+    } catch ( error ) {
+      mf.logger.warn( {
+        'subscriptionId': subscription._id,
+        'deliveryId': payload.id,
+        'err': error
+      }, 'Failed to schedule webhook retry' );
+    }
+  };
+
+  /**
+   * Sends one attempt of a webhook to one subscriber
+   * A failed attempt is stored as retry with exponential backoff, so retries survive a restart
+   * @param {object} subscription - Subscription with _id, callbackUrl and secret
+   * @param {object} payload - Webhook payload with id and act
+   * @param {number} [attempt] - Number of the attempt, starting at 1
+   * @returns {Promise<boolean>} True if the subscriber accepted the webhook
+   */
+  const deliver = async ( subscription, payload, attempt = 1 ) => {
+    const result = await postWebhook( subscription, payload.id, JSON.stringify( payload ) );
+
+    await logAttempt( {
+      'subscriptionId': subscription._id,
+      'deliveryId': payload.id,
+      'actId': payload.act.musicbrainzId,
+      attempt,
+      ...result,
+      'timestamp': new Date().toISOString()
+    } );
+
+    if ( result.success ) {
+      return true;
+    }
+
+    if ( attempt < MAX_ATTEMPTS ) {
+      await scheduleRetry( subscription, payload, attempt );
+    } else {
+      mf.logger.warn( {
+        'subscriptionId': subscription._id,
+        'deliveryId': payload.id
+      }, 'Webhook delivery failed after all attempts' );
+    }
+
+    return false;
+  };
+
+  /**
+   * Attempts the retries that are due, one after another
+   * A retry is removed before its attempt, retries of deleted subscriptions are dropped
+   * @returns {Promise<number>} Number of attempted retries
+   * @throws {Error} When the database is unavailable
+   */
+  const processDueRetries = async () => {
+    const retries = await mf.databaseSubscriptions.getDueRetries( new Date().toISOString(), MAX_RETRIES_PER_POLL );
+
+    for ( const retry of retries ) {
+      await mf.databaseSubscriptions.deleteRetry( retry._id );
+
+      const subscription = await mf.databaseSubscriptions.getSubscription( retry.subscriptionId );
+
+      if ( subscription ) {
+        await deliver( subscription, retry.payload, retry.attempt );
+      }
+    }
+
+    return retries.length;
+  };
+
+  /**
+   * Checks for due retries every RETRY_POLL_MS, including those stored before a restart
+   * @returns {Promise<void>} Never resolves (runs forever)
+   */
+  const startRetries = async () => {
+    const keepRunning = true;
+
+    while ( keepRunning ) {
+      try {
+        await processDueRetries();
+      } catch ( error ) {
+        mf.logger.warn( {
+          'err': error
+        }, 'Failed to process webhook retries' );
+      }
+
+      await sleep( RETRY_POLL_MS );
+    }
+  };
+
+  /**
+   * Notifies the subscribers of an act about a refresh that changed its events or status
+   * @param {object} actData - Act data that was cached, with _id, name and status
+   * @param {object|null} refresh - Result of database.cacheAct with changes and previousStatus
+   * @returns {Promise<void>} Resolves when the first attempts finished, failed ones are retried later
+   */
+  const notifyActUpdate = async ( actData, refresh ) => {
+    const statusChange = getStatusChange( refresh?.previousStatus, actData.status );
+
+    if ( !refresh || ( refresh.changes.length === 0 && !statusChange ) ) {
+      return;
+    }
+
+    const subscriptions = await mf.databaseSubscriptions.getSubscriptionsForAct( actData._id );
+
+    await Promise.all( subscriptions.map( ( subscription ) => deliver( subscription, {
+      'id': crypto.randomUUID(),
+      'type': 'act.updated',
+      'createdAt': new Date().toISOString(),
+      'act': {
+        'musicbrainzId': actData._id,
+        'name': actData.name,
+        'status': actData.status
+      },
+      statusChange,
+      'changes': refresh.changes
+    } ) ) );
+  };
+
+  // Initialize global namespace
+  globalThis.mf = globalThis.mf || {};
+  globalThis.mf.webhookDispatcher = {
+    notifyActUpdate,
+    startRetries
+  };
+
+  // Expose private functions for unit testing when running under Jest
+  if ( process.env.JEST_WORKER_ID ) {
+    globalThis.mf.testing = globalThis.mf.testing || {};
+    globalThis.mf.testing.webhookDispatcher = {
+      deliver,
+      getRetryDelay,
+      getStatusChange,
+      postWebhook,
+      processDueRetries,
+      sign
+    };
+  }
+} )();
@@ -19,7 +19,9 @@
   const setupMongoMocks = () => {
     const mockCollection = {
       'findOne': jest.fn(),
+      'insertOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
       'updateOne': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
+      'updateMany': jest.fn().mockResolvedValue( { 'acknowledged': true } ),
       'find': jest.fn().mockReturnValue( { 'toArray': jest.fn().mockResolvedValue( [] ) } ),
       'deleteOne': jest.fn().mockResolvedValue( { 'acknowledged': true } )
     };
@@ -95,6 +97,26 @@
     fetchQueueTestingApi.setIsRunning( false );
   };
 
+  /**
+   * Counts the findOne calls that looked up an act for a request
+   * Leaves out reads of previous events that cacheAct makes before replacing an act
+   * @param {object} mockCollection - Mock collection from setupMongoMocks
+   * @returns {number} Number of act lookups
+   */
+  const countActLookups = ( mockCollection ) => mockCollection.findOne.mock.calls.
+    filter( ( [ , options ] ) => !options?.projection ).
+    length;
+
+  /**
+   * Counts the updateOne calls that wrote act data
+   * Leaves out negative results, fetch queue attempts and the aliases recorded when MusicBrainz answers with a different (merged) MBID
+   * @param {object} mockCollection - Mock collection from setupMongoMocks
+   * @returns {number} Number of act writes
+   */
+  const countActWrites = ( mockCollection ) => mockCollection.updateOne.mock.calls.
+    filter( ( [ , update ] ) => !update?.$set?.reason && !update?.$set?.canonicalId && !update?.$inc?.attempts ).
+    length;
+
   /**
    * Complete integration test setup with all mocks and configuration
    * @param {object} options - Configuration options
@@ -137,6 +159,8 @@
     setupTestDatabase,
     setupIntegrationTest,
     resetFetchQueueState,
-    getRecentBerlinTimestamp
+    getRecentBerlinTimestamp,
+    countActLookups,
+    countActWrites
   };
 } )();